@@ -10,6 +10,9 @@ import ContentList from './pages/ContentList';
 import CreateContent from './pages/CreateContent';
 import Categories from './pages/Categories';
 import UserList from './pages/UserList';
+import Orders from './pages/Orders';
+import Series from './pages/Series';
+import AuditLog from './pages/AuditLog';
 import Analytics from './pages/Analytics';
 import Settings from './pages/Settings';
 import Upload from './pages/Upload';
@@ -35,7 +38,10 @@ function App() {
             <Route path="content" element={<ContentList />} />
             <Route path="content/new" element={<CreateContent />} />
             <Route path="categories" element={<Categories />} />
+            <Route path="series" element={<Series />} />
             <Route path="users" element={<UserList />} />
+            <Route path="orders" element={<Orders />} />
+            <Route path="audit" element={<AuditLog />} />
             <Route path="analytics" element={<Analytics />} />
             <Route path="upload" element={<Upload />} />
             <Route path="settings" element={<Settings />} />
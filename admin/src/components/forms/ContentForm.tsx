@@ -13,8 +13,10 @@ const contentSchema = z.object({
   categoryId: z.string().min(1, 'Category is required'),
   type: z.string(),
   title: z.string().min(1, 'Title is required').max(200, 'Title must be less than 200 characters'),
+  description: z.string().max(1000, 'Description must be less than 1000 characters').optional(),
   durationSec: z.number().min(1, 'Duration must be at least 1 second').max(3600, 'Duration must be less than 1 hour'),
   ageRange: z.string(),
+  accessTier: z.enum(['free', 'premium']),
   tags: z.array(z.string()).min(1, 'At least one tag is required'),
   language: z.string().optional(),
   region: z.string().optional(),
@@ -48,6 +50,11 @@ const AGE_RANGES = [
   { value: '9-12', label: '9-12 years' },
 ];
 
+const ACCESS_TIERS = [
+  { value: 'free', label: 'Free' },
+  { value: 'premium', label: 'Premium (subscribers only)' },
+];
+
 const AVAILABLE_TAGS = [
   'folk_tales', 'affirmations', 'meditations', 'music', 
   'adventure', 'fantasy', 'educational', 'calming'
@@ -87,8 +94,10 @@ export default function ContentForm({
       categoryId: initialData?.categoryId || '',
       type: initialData?.type || 'story',
       title: initialData?.title || '',
+      description: initialData?.description || '',
       durationSec: initialData?.durationSec || 60,
       ageRange: initialData?.ageRange || '3-5',
+      accessTier: initialData?.accessTier || 'free',
       tags: initialData?.tags || [],
       language: initialData?.language || 'en',
       region: initialData?.region || 'US',
@@ -211,6 +220,22 @@ export default function ContentForm({
           )}
         </div>
 
+        {/* Description */}
+        <div className="md:col-span-2">
+          <label htmlFor="description" className="block text-sm font-medium text-gray-700">
+            Description
+          </label>
+          <textarea
+            {...register('description')}
+            rows={3}
+            className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+            placeholder="Short summary shown in the app and used by search"
+          />
+          {errors.description && (
+            <p className="mt-1 text-sm text-red-600">{errors.description.message}</p>
+          )}
+        </div>
+
         {/* Category */}
         <div className="md:col-span-2">
           <label htmlFor="categoryId" className="block text-sm font-medium text-gray-700">
@@ -279,6 +304,26 @@ export default function ContentForm({
           )}
         </div>
 
+        {/* Access Tier */}
+        <div>
+          <label htmlFor="accessTier" className="block text-sm font-medium text-gray-700">
+            Access
+          </label>
+          <select
+            {...register('accessTier')}
+            className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+          >
+            {ACCESS_TIERS.map(tier => (
+              <option key={tier.value} value={tier.value}>
+                {tier.label}
+              </option>
+            ))}
+          </select>
+          <p className="mt-1 text-xs text-gray-500">
+            Free users see premium content as locked
+          </p>
+        </div>
+
         {/* Duration */}
         <div>
           <label htmlFor="duration" className="block text-sm font-medium text-gray-700">
@@ -1,24 +1,33 @@
 import React from 'react';
 import { NavLink, useLocation } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { authService } from '../../services/auth';
 import {
   LayoutDashboard,
   FileText,
   FolderOpen,
+  Library,
   Users,
+  Receipt,
+  History,
   BarChart3,
   Settings,
   Upload,
   Heart,
 } from 'lucide-react';
 
+// Items are shown when the signed-in user's roles grant the permission
 const navigation = [
-  { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard },
-  { name: 'Content', href: '/content', icon: FileText },
-  { name: 'Categories', href: '/categories', icon: FolderOpen },
-  { name: 'Users', href: '/users', icon: Users },
-  { name: 'Analytics', href: '/analytics', icon: BarChart3 },
-  { name: 'Upload', href: '/upload', icon: Upload },
-  { name: 'Settings', href: '/settings', icon: Settings },
+  { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard, permission: 'stats.read' },
+  { name: 'Content', href: '/content', icon: FileText, permission: 'content.read' },
+  { name: 'Categories', href: '/categories', icon: FolderOpen, permission: 'content.read' },
+  { name: 'Series', href: '/series', icon: Library, permission: 'content.read' },
+  { name: 'Users', href: '/users', icon: Users, permission: 'users.read' },
+  { name: 'Orders', href: '/orders', icon: Receipt, permission: 'orders.read' },
+  { name: 'Audit Log', href: '/audit', icon: History, permission: 'audit.read' },
+  { name: 'Analytics', href: '/analytics', icon: BarChart3, permission: 'stats.read' },
+  { name: 'Upload', href: '/upload', icon: Upload, permission: 'files.upload' },
+  { name: 'Settings', href: '/settings', icon: Settings, permission: null },
 ];
 
 interface SidebarProps {
@@ -28,6 +37,10 @@ interface SidebarProps {
 
 export default function Sidebar({ isOpen, onClose }: SidebarProps) {
   const location = useLocation();
+  const { user } = useAuth();
+  const visibleNavigation = navigation.filter(
+    item => !item.permission || authService.hasPermission(user, item.permission)
+  );
 
   return (
     <>
@@ -58,7 +71,7 @@ export default function Sidebar({ isOpen, onClose }: SidebarProps) {
 
           {/* Navigation */}
           <nav className="flex-1 px-4 py-6 space-y-2">
-            {navigation.map((item) => {
+            {visibleNavigation.map((item) => {
               const isActive = location.pathname === item.href;
               return (
                 <NavLink
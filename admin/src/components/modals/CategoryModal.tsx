@@ -1,9 +1,22 @@
 import React, { useState, useEffect } from 'react';
-import { X, Save, Loader } from 'lucide-react';
+import { X, Save, Loader, Plus } from 'lucide-react';
 import { categoryService } from '../../services/category';
 import { CategoryItem } from '../../types/api';
 import { toast } from 'react-hot-toast';
 
+interface TranslationRow {
+  language: string;
+  name: string;
+  description: string;
+}
+
+const toTranslationRows = (category?: CategoryItem | null): TranslationRow[] =>
+  Object.entries(category?.translations || {}).map(([language, translation]) => ({
+    language,
+    name: translation.name,
+    description: translation.description || '',
+  }));
+
 interface CategoryModalProps {
   isOpen: boolean;
   onClose: () => void;
@@ -29,6 +42,7 @@ const CategoryModal: React.FC<CategoryModalProps> = ({
       imageUrl: '',
     },
   });
+  const [translations, setTranslations] = useState<TranslationRow[]>([]);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState<Record<string, string>>({});
 
@@ -62,6 +76,7 @@ const CategoryModal: React.FC<CategoryModalProps> = ({
         },
       });
     }
+    setTranslations(toTranslationRows(category));
     setErrors({});
   }, [category, isOpen]);
 
@@ -101,6 +116,13 @@ const CategoryModal: React.FC<CategoryModalProps> = ({
       newErrors.color = 'Color must be a valid hex color';
     }
 
+    const languages = translations.map(row => row.language.trim().toLowerCase());
+    if (translations.some((row, index) => !/^[a-z]{2}$/.test(languages[index]) || !row.name.trim())) {
+      newErrors.translations = 'Each translation needs a two-letter language code and a name';
+    } else if (new Set(languages).size !== languages.length) {
+      newErrors.translations = 'Each language can only be translated once';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -114,12 +136,20 @@ const CategoryModal: React.FC<CategoryModalProps> = ({
 
     setLoading(true);
 
+    const data = {
+      ...formData,
+      translations: Object.fromEntries(translations.map(row => [
+        row.language.trim().toLowerCase(),
+        { name: row.name.trim(), description: row.description.trim() || undefined },
+      ])),
+    };
+
     try {
       if (isEditing && category) {
-        await categoryService.updateCategory(category.id, formData);
+        await categoryService.updateCategory(category.id, data);
         toast.success('Category updated successfully');
       } else {
-        await categoryService.createCategory(formData);
+        await categoryService.createCategory(data);
         toast.success('Category created successfully');
       }
       
@@ -256,6 +286,65 @@ const CategoryModal: React.FC<CategoryModalProps> = ({
             />
           </div>
 
+          {/* Translations */}
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700">
+                Translations
+              </label>
+              <button
+                type="button"
+                onClick={() => setTranslations(prev => [...prev, { language: '', name: '', description: '' }])}
+                className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Add language
+              </button>
+            </div>
+            {translations.map((row, index) => (
+              <div key={index} className="flex gap-2 mb-2">
+                <input
+                  type="text"
+                  value={row.language}
+                  onChange={(e) => setTranslations(prev => prev.map((item, i) => (
+                    i === index ? { ...item, language: e.target.value } : item
+                  )))}
+                  className="w-14 px-2 py-2 border border-gray-300 rounded-lg text-sm"
+                  placeholder="hi"
+                  maxLength={2}
+                />
+                <input
+                  type="text"
+                  value={row.name}
+                  onChange={(e) => setTranslations(prev => prev.map((item, i) => (
+                    i === index ? { ...item, name: e.target.value } : item
+                  )))}
+                  className="flex-1 px-2 py-2 border border-gray-300 rounded-lg text-sm"
+                  placeholder="Name"
+                />
+                <input
+                  type="text"
+                  value={row.description}
+                  onChange={(e) => setTranslations(prev => prev.map((item, i) => (
+                    i === index ? { ...item, description: e.target.value } : item
+                  )))}
+                  className="flex-1 px-2 py-2 border border-gray-300 rounded-lg text-sm"
+                  placeholder="Description"
+                />
+                <button
+                  type="button"
+                  onClick={() => setTranslations(prev => prev.filter((_, i) => i !== index))}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+            {errors.translations && (
+              <p className="text-red-600 text-sm mt-1">{errors.translations}</p>
+            )}
+          </div>
+
           {/* Active Status */}
           <div className="flex items-center">
             <input
@@ -4,6 +4,10 @@ export const API_ENDPOINTS = {
   // Auth endpoints
   AUTH: {
     LOGIN: '/auth/login',
+    LOGIN_TWO_FACTOR: '/auth/login/2fa',
+    TWO_FACTOR: '/auth/2fa',
+    TWO_FACTOR_SETUP: '/auth/2fa/setup',
+    TWO_FACTOR_ENABLE: '/auth/2fa/enable',
     REFRESH: '/auth/refresh',
     LOGOUT: '/auth/logout',
     ME: '/auth/me',
@@ -14,6 +18,9 @@ export const API_ENDPOINTS = {
     // Content management
     CONTENT: '/admin/content',
     CONTENT_BY_ID: (id: string) => `/admin/content/${id}`,
+    CONTENT_STATUS: (id: string) => `/admin/content/${id}/status`,
+    CONTENT_COMMENTS: (id: string) => `/admin/content/${id}/comments`,
+    CONTENT_TRANSCRIPT: (id: string) => `/admin/content/${id}/transcript`,
     BULK_UPDATE_CONTENT: '/admin/content/bulk-update',
 
     // Category management
@@ -22,9 +29,21 @@ export const API_ENDPOINTS = {
     CATEGORY_CONTENT: (id: string) => `/admin/categories/${id}/content`,
     UPDATE_CATEGORY_COUNTS: '/admin/categories/update-counts',
 
+    // Series management
+    SERIES: '/admin/series',
+    SERIES_BY_ID: (id: string) => `/admin/series/${id}`,
+    SERIES_EPISODES: (id: string) => `/admin/series/${id}/episodes`,
+
     // User management
     USERS: '/admin/users',
     USER_BY_ID: (id: string) => `/admin/users/${id}`,
+    USER_ROLES: (id: string) => `/admin/users/${id}/roles`,
+
+    // Orders
+    ORDERS: '/admin/orders',
+
+    // Audit log
+    AUDIT: '/admin/audit',
 
     // File upload
     UPLOAD: '/admin/upload',
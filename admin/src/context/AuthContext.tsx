@@ -1,12 +1,23 @@
-import React, { createContext, useContext, useReducer, useEffect, ReactNode } from 'react';
-import { AuthState, AuthContextType, LoginCredentials, User } from '../types/auth';
+import React, { createContext, useContext, useReducer, useEffect, useRef, ReactNode } from 'react';
+import axios from 'axios';
+import { AuthState, AuthContextType, LoginCredentials, User, TwoFactorStep } from '../types/auth';
 import { authService } from '../services/auth';
 
+// Prefer the API's message over axios' generic "Request failed" text
+function getErrorMessage(error: unknown, fallback: string): string {
+  if (axios.isAxiosError(error) && error.response?.data?.message) {
+    return error.response.data.message;
+  }
+  return error instanceof Error ? error.message : fallback;
+}
+
 // Auth reducer actions
 type AuthAction =
   | { type: 'LOGIN_START' }
   | { type: 'LOGIN_SUCCESS'; payload: User }
   | { type: 'LOGIN_FAILURE'; payload: string }
+  | { type: 'TWO_FACTOR_REQUIRED'; payload: TwoFactorStep }
+  | { type: 'TWO_FACTOR_FAILURE'; payload: string }
   | { type: 'LOGOUT' }
   | { type: 'SET_USER'; payload: User }
   | { type: 'SET_LOADING'; payload: boolean }
@@ -18,6 +29,7 @@ const initialState: AuthState = {
   isAuthenticated: false,
   isLoading: true,
   error: null,
+  twoFactorStep: null,
 };
 
 // Auth reducer
@@ -36,6 +48,7 @@ function authReducer(state: AuthState, action: AuthAction): AuthState {
         isAuthenticated: true,
         isLoading: false,
         error: null,
+        twoFactorStep: null,
       };
     case 'LOGIN_FAILURE':
       return {
@@ -44,6 +57,20 @@ function authReducer(state: AuthState, action: AuthAction): AuthState {
         isAuthenticated: false,
         isLoading: false,
         error: action.payload,
+        twoFactorStep: null,
+      };
+    case 'TWO_FACTOR_REQUIRED':
+      return {
+        ...state,
+        isLoading: false,
+        error: null,
+        twoFactorStep: action.payload,
+      };
+    // A wrong code keeps the user on the code step
+    case 'TWO_FACTOR_FAILURE':
+      return {
+        ...state,
+        error: action.payload,
       };
     case 'LOGOUT':
       return {
@@ -52,6 +79,7 @@ function authReducer(state: AuthState, action: AuthAction): AuthState {
         isAuthenticated: false,
         isLoading: false,
         error: null,
+        twoFactorStep: null,
       };
     case 'SET_USER':
       return {
@@ -86,6 +114,9 @@ interface AuthProviderProps {
 
 export function AuthProvider({ children }: AuthProviderProps) {
   const [state, dispatch] = useReducer(authReducer, initialState);
+  // Between login steps: the challenge token, or the user enrolling in 2FA
+  const twoFactorToken = useRef<string | null>(null);
+  const pendingUser = useRef<User | null>(null);
 
   // Initialize auth state on app load
   useEffect(() => {
@@ -119,19 +150,95 @@ export function AuthProvider({ children }: AuthProviderProps) {
       dispatch({ type: 'LOGIN_START' });
       
       const response = await authService.login(credentials);
-      
-      if (!response.data.user.roles.includes('admin')) {
+
+      if ('twoFactorRequired' in response) {
+        twoFactorToken.current = response.twoFactorToken;
+        dispatch({ type: 'TWO_FACTOR_REQUIRED', payload: 'verify' });
+        return;
+      }
+
+      const { user } = response.data;
+      if (!authService.isStaff(user)) {
         throw new Error('Admin access required');
       }
-      
-      dispatch({ type: 'LOGIN_SUCCESS', payload: response.data.user });
+
+      // Admin routes need a second factor: enroll an authenticator app first
+      if (!user.twoFactorEnabled) {
+        const status = await authService.getTwoFactorStatus();
+        if (status.required) {
+          pendingUser.current = user;
+          dispatch({ type: 'TWO_FACTOR_REQUIRED', payload: 'setup' });
+          return;
+        }
+      }
+
+      authService.storeUser(user);
+      dispatch({ type: 'LOGIN_SUCCESS', payload: user });
     } catch (error) {
-      const errorMessage = error instanceof Error ? error.message : 'Login failed';
-      dispatch({ type: 'LOGIN_FAILURE', payload: errorMessage });
+      dispatch({ type: 'LOGIN_FAILURE', payload: getErrorMessage(error, 'Login failed') });
       throw error;
     }
   };
 
+  const verifyTwoFactor = async (code: string) => {
+    if (!twoFactorToken.current) {
+      dispatch({ type: 'LOGIN_FAILURE', payload: 'Please sign in again' });
+      return;
+    }
+
+    try {
+      const response = await authService.verifyTwoFactor(twoFactorToken.current, code);
+      const { user } = response.data;
+      if (!authService.isStaff(user)) {
+        throw new Error('Admin access required');
+      }
+
+      twoFactorToken.current = null;
+      authService.storeUser(user);
+      dispatch({ type: 'LOGIN_SUCCESS', payload: user });
+    } catch (error) {
+      dispatch({ type: 'TWO_FACTOR_FAILURE', payload: getErrorMessage(error, 'Invalid code') });
+      throw error;
+    }
+  };
+
+  const setupTwoFactor = async () => {
+    try {
+      return await authService.setupTwoFactor();
+    } catch (error) {
+      dispatch({ type: 'TWO_FACTOR_FAILURE', payload: getErrorMessage(error, 'Two-factor setup failed') });
+      throw error;
+    }
+  };
+
+  const enableTwoFactor = async (code: string) => {
+    try {
+      return await authService.enableTwoFactor(code);
+    } catch (error) {
+      dispatch({ type: 'TWO_FACTOR_FAILURE', payload: getErrorMessage(error, 'Invalid code') });
+      throw error;
+    }
+  };
+
+  // Called once the recovery codes have been saved
+  const completeTwoFactorSetup = () => {
+    if (!pendingUser.current) {
+      dispatch({ type: 'LOGOUT' });
+      return;
+    }
+
+    const user = { ...pendingUser.current, twoFactorEnabled: true };
+    pendingUser.current = null;
+    authService.storeUser(user);
+    dispatch({ type: 'LOGIN_SUCCESS', payload: user });
+  };
+
+  const cancelTwoFactor = () => {
+    twoFactorToken.current = null;
+    pendingUser.current = null;
+    logout();
+  };
+
   const logout = async () => {
     try {
       await authService.logout();
@@ -159,6 +266,11 @@ export function AuthProvider({ children }: AuthProviderProps) {
   const contextValue: AuthContextType = {
     ...state,
     login,
+    verifyTwoFactor,
+    setupTwoFactor,
+    enableTwoFactor,
+    completeTwoFactorSetup,
+    cancelTwoFactor,
     logout,
     refreshToken,
     clearError,
@@ -33,14 +33,24 @@ interface UserStats {
 
 interface EngagementStats {
   totalPlays: number;
-  averageSessionDuration: number;
+  uniqueListeners: number;
+  avgSessionDuration: number;
+  completionRate: number;
+  dailyActiveUsers: number;
+  weeklyActiveUsers: number;
+  monthlyActiveUsers: number;
   topContent: Array<{
     id: string;
     title: string;
     plays: number;
     type: string;
   }>;
-  engagementByType: Record<string, number>;
+  engagementTrends: Array<{
+    date: string;
+    plays: number;
+    users: number;
+    duration: number;
+  }>;
 }
 
 export default function Analytics() {
@@ -299,6 +309,64 @@ export default function Analytics() {
             </div>
           </div>
         )}
+
+        {/* Listening Engagement */}
+        {engagementStats && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <Activity className="h-5 w-5 mr-2" />
+              Listening Engagement (30 days)
+            </h3>
+            <div className="space-y-4">
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-gray-600">Unique Listeners</span>
+                <span className="text-sm font-semibold text-gray-900">
+                  {formatNumber(engagementStats.uniqueListeners)}
+                </span>
+              </div>
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-gray-600">Completion Rate</span>
+                <span className="text-sm font-semibold text-gray-900">
+                  {engagementStats.completionRate}%
+                </span>
+              </div>
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-gray-600">Avg. Listening Time</span>
+                <span className="text-sm font-semibold text-gray-900">
+                  {formatDuration(engagementStats.avgSessionDuration)}
+                </span>
+              </div>
+              <div className="flex justify-between items-center">
+                <span className="text-sm text-gray-600">Daily / Weekly / Monthly Active</span>
+                <span className="text-sm font-semibold text-gray-900">
+                  {formatNumber(engagementStats.dailyActiveUsers)} / {formatNumber(engagementStats.weeklyActiveUsers)} / {formatNumber(engagementStats.monthlyActiveUsers)}
+                </span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Daily Plays */}
+        {engagementStats && engagementStats.engagementTrends.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+              <TrendingUp className="h-5 w-5 mr-2" />
+              Daily Plays
+            </h3>
+            <div className="flex items-end h-32 space-x-1">
+              {engagementStats.engagementTrends.map((day) => (
+                <div
+                  key={day.date}
+                  className="flex-1 bg-purple-500 rounded-t"
+                  title={`${day.date}: ${day.plays} plays, ${day.users} listeners`}
+                  style={{
+                    height: `${(day.plays / Math.max(1, ...engagementStats.engagementTrends.map((d) => d.plays))) * 100}%`,
+                  }}
+                />
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Filter, History, ChevronDown, ChevronRight } from 'lucide-react';
+import { auditService, AuditFilters } from '../services/audit';
+import { AuditLogEntry, PaginationParams } from '../types/api';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import Pagination from '../components/common/Pagination';
+import toast from 'react-hot-toast';
+
+const TARGET_TYPES = [
+  { value: '', label: 'All Targets' },
+  { value: 'content', label: 'Content' },
+  { value: 'category', label: 'Category' },
+  { value: 'series', label: 'Series' },
+  { value: 'user', label: 'User' },
+  { value: 'file', label: 'File' },
+  { value: 'cache', label: 'Cache' },
+];
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+function ChangesTable({ entry }: { entry: AuditLogEntry }) {
+  const { before, after } = entry.changes;
+  const fields = Array.from(new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]));
+
+  if (fields.length === 0 && !entry.metadata) {
+    return <p className="text-sm text-gray-500">No field changes recorded.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {fields.length > 0 && (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-medium text-gray-500 uppercase">
+              <th className="pr-4 py-1">Field</th>
+              <th className="pr-4 py-1">Before</th>
+              <th className="py-1">After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map(field => (
+              <tr key={field} className="align-top">
+                <td className="pr-4 py-1 font-medium text-gray-900">{field}</td>
+                <td className="pr-4 py-1 text-red-700 break-all">{formatValue(before?.[field])}</td>
+                <td className="py-1 text-green-700 break-all">{formatValue(after?.[field])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {entry.metadata && (
+        <div>
+          <p className="text-xs font-medium text-gray-500 uppercase">Request</p>
+          <pre className="mt-1 text-xs text-gray-700 whitespace-pre-wrap break-all">
+            {JSON.stringify(entry.metadata, null, 2)}
+          </pre>
+        </div>
+      )}
+      <p className="text-xs text-gray-500">
+        {entry.method} {entry.path} · request {entry.requestId || '—'} · {entry.userAgent || 'unknown client'}
+      </p>
+    </div>
+  );
+}
+
+export default function AuditLog() {
+  const [entries, setEntries] = useState<AuditLogEntry[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [totalItems, setTotalItems] = useState(0);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [filters, setFilters] = useState<AuditFilters>({});
+  const [showFilters, setShowFilters] = useState(false);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+
+  const itemsPerPage = 50;
+  const totalPages = Math.ceil(totalItems / itemsPerPage);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [currentPage, filters]);
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const pagination: PaginationParams = {
+        limit: itemsPerPage,
+        offset: (currentPage - 1) * itemsPerPage,
+      };
+
+      const response = await auditService.getAuditLog(filters, pagination);
+      setEntries(response.items);
+      setTotalItems(response.pagination.total);
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      toast.error('Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, filters]);
+
+  const handleFilterChange = (key: keyof AuditFilters, value: string) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: value === '' ? undefined : value,
+    }));
+    setCurrentPage(1);
+  };
+
+  // Date inputs give a day; the API takes timestamps
+  const handleDateChange = (key: 'from' | 'to', value: string) => {
+    if (!value) {
+      handleFilterChange(key, '');
+      return;
+    }
+    const time = key === 'from' ? 'T00:00:00' : 'T23:59:59.999';
+    handleFilterChange(key, new Date(`${value}${time}`).toISOString());
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-gray-600">Changes made by admins, newest first</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => setShowFilters(!showFilters)}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
+        >
+          <Filter className="h-4 w-4 mr-2" />
+          Filters
+        </button>
+      </div>
+
+      {/* Filters */}
+      {showFilters && (
+        <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-4">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Action</label>
+              <input
+                type="text"
+                placeholder="e.g. content.update"
+                value={filters.action || ''}
+                onChange={(e) => handleFilterChange('action', e.target.value.trim())}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Target</label>
+              <select
+                value={filters.targetType || ''}
+                onChange={(e) => handleFilterChange('targetType', e.target.value)}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              >
+                {TARGET_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Target ID</label>
+              <input
+                type="text"
+                value={filters.targetId || ''}
+                onChange={(e) => handleFilterChange('targetId', e.target.value.trim())}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Admin user ID</label>
+              <input
+                type="text"
+                value={filters.actorId || ''}
+                onChange={(e) => handleFilterChange('actorId', e.target.value.trim())}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+              <input
+                type="date"
+                onChange={(e) => handleDateChange('from', e.target.value)}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+              <input
+                type="date"
+                onChange={(e) => handleDateChange('to', e.target.value)}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Entries */}
+      <div className="bg-white shadow-sm border border-gray-200 rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="text-center py-12">
+            <History className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No audit entries found</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              No admin changes match your current filter criteria.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3" />
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      When
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Admin
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Action
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Target
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      IP
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {entries.map((entry) => (
+                    <React.Fragment key={entry.id}>
+                      <tr
+                        className="hover:bg-gray-50 cursor-pointer"
+                        onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                      >
+                        <td className="pl-6 py-4 text-gray-400">
+                          {expandedId === entry.id
+                            ? <ChevronDown className="h-4 w-4" />
+                            : <ChevronRight className="h-4 w-4" />}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {new Date(entry.createdAt).toLocaleString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {entry.actorEmail || entry.actorId}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          {entry.action}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {entry.targetType || '—'}
+                          {entry.targetId && <span className="ml-1 font-mono text-xs">{entry.targetId}</span>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">
+                          {entry.ip || '—'}
+                        </td>
+                      </tr>
+                      {expandedId === entry.id && (
+                        <tr className="bg-gray-50">
+                          <td />
+                          <td colSpan={5} className="px-6 py-4">
+                            <ChangesTable entry={entry} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Pagination */}
+            <Pagination
+              currentPage={currentPage}
+              totalPages={totalPages}
+              onPageChange={setCurrentPage}
+              totalItems={totalItems}
+              itemsPerPage={itemsPerPage}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Link } from 'react-router-dom';
 import {
   Plus,
@@ -11,9 +11,12 @@ import {
   Clock,
   Tag,
   FileText,
+  MessageSquare,
+  Captions,
+  X,
 } from 'lucide-react';
 import { contentService, ContentFilters } from '../services/content';
-import { ContentItem, PaginationParams } from '../types/api';
+import { ContentItem, ContentStatus, PaginationParams } from '../types/api';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import Pagination from '../components/common/Pagination';
 import toast from 'react-hot-toast';
@@ -33,6 +36,26 @@ const AGE_RANGES = [
   { value: '9-12', label: '9-12 years' },
 ];
 
+const WORKFLOW_STATUSES: { value: ContentStatus; label: string; color: string }[] = [
+  { value: 'draft', label: 'Draft', color: 'bg-gray-100 text-gray-800' },
+  { value: 'in_review', label: 'In Review', color: 'bg-yellow-100 text-yellow-800' },
+  { value: 'scheduled', label: 'Scheduled', color: 'bg-blue-100 text-blue-800' },
+  { value: 'published', label: 'Published', color: 'bg-green-100 text-green-800' },
+  { value: 'archived', label: 'Archived', color: 'bg-red-100 text-red-800' },
+];
+
+// Mirrors Content.STATUS_TRANSITIONS on the server
+const NEXT_STATUSES: Record<ContentStatus, ContentStatus[]> = {
+  draft: ['in_review', 'archived'],
+  in_review: ['draft', 'scheduled', 'published', 'archived'],
+  scheduled: ['draft', 'published', 'archived'],
+  published: ['archived'],
+  archived: ['draft'],
+};
+
+const getWorkflowStatus = (status?: ContentStatus) =>
+  WORKFLOW_STATUSES.find(option => option.value === (status || 'published'))!;
+
 export default function ContentList() {
   const [content, setContent] = useState<ContentItem[]>([]);
   const [loading, setLoading] = useState(true);
@@ -41,6 +64,8 @@ export default function ContentList() {
   const [searchQuery, setSearchQuery] = useState('');
   const [filters, setFilters] = useState<ContentFilters>({});
   const [showFilters, setShowFilters] = useState(false);
+  const [transcriptTarget, setTranscriptTarget] = useState<ContentItem | null>(null);
+  const transcriptInputRef = useRef<HTMLInputElement>(null);
 
   const itemsPerPage = 20;
   const totalPages = Math.ceil(totalItems / itemsPerPage);
@@ -98,6 +123,96 @@ export default function ContentList() {
     }
   };
 
+  const handleStatusChange = async (item: ContentItem, status: ContentStatus) => {
+    const fromStatus = item.status || 'published';
+    let publishAt: string | undefined;
+    let comment: string | undefined;
+
+    if (status === 'scheduled') {
+      const value = window.prompt('Publish at (YYYY-MM-DD HH:MM, local time)');
+      if (!value) {
+        return;
+      }
+      const date = new Date(value.replace(' ', 'T'));
+      if (isNaN(date.getTime())) {
+        toast.error('Invalid publish time');
+        return;
+      }
+      publishAt = date.toISOString();
+    }
+
+    if (fromStatus === 'in_review' && status === 'draft') {
+      comment = window.prompt('What needs to change?') || '';
+      if (!comment.trim()) {
+        return;
+      }
+    }
+
+    try {
+      await contentService.changeStatus(item.id, { status, publishAt, comment });
+      toast.success(`Moved to ${getWorkflowStatus(status).label}`);
+      fetchContent();
+    } catch (error) {
+      console.error('Error changing content status:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to change status');
+    }
+  };
+
+  const handleAddComment = async (item: ContentItem) => {
+    const body = window.prompt(`Comment on "${item.title}"`);
+    if (!body || !body.trim()) {
+      return;
+    }
+
+    try {
+      await contentService.addComment(item.id, body.trim());
+      toast.success('Comment added');
+      fetchContent();
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      toast.error('Failed to add comment');
+    }
+  };
+
+  const handleTranscriptClick = (item: ContentItem) => {
+    setTranscriptTarget(item);
+    transcriptInputRef.current?.click();
+  };
+
+  const handleTranscriptFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || !transcriptTarget) {
+      return;
+    }
+
+    try {
+      await contentService.uploadTranscript(transcriptTarget.id, file);
+      toast.success('Transcript uploaded');
+      fetchContent();
+    } catch (error) {
+      console.error('Error uploading transcript:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to upload transcript');
+    } finally {
+      setTranscriptTarget(null);
+    }
+  };
+
+  const handleDeleteTranscript = async (item: ContentItem) => {
+    if (!window.confirm(`Remove the transcript of "${item.title}"?`)) {
+      return;
+    }
+
+    try {
+      await contentService.deleteTranscript(item.id);
+      toast.success('Transcript removed');
+      fetchContent();
+    } catch (error) {
+      console.error('Error deleting transcript:', error);
+      toast.error('Failed to remove transcript');
+    }
+  };
+
   const formatDuration = (seconds: number) => {
     const minutes = Math.floor(seconds / 60);
     const remainingSeconds = seconds % 60;
@@ -131,6 +246,14 @@ export default function ContentList() {
         </Link>
       </div>
 
+      <input
+        ref={transcriptInputRef}
+        type="file"
+        accept=".srt,.vtt,.json"
+        className="hidden"
+        onChange={handleTranscriptFile}
+      />
+
       {/* Search and Filters */}
       <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-4">
         <div className="flex flex-col sm:flex-row gap-4">
@@ -159,7 +282,7 @@ export default function ContentList() {
         {/* Filter Options */}
         {showFilters && (
           <div className="mt-4 pt-4 border-t border-gray-200">
-            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Content Type
@@ -206,6 +329,23 @@ export default function ContentList() {
                   <option value="false">Inactive</option>
                 </select>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Workflow
+                </label>
+                <select
+                  value={filters.status || ''}
+                  onChange={(e) => handleFilterChange('status', e.target.value)}
+                  className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                >
+                  <option value="">All Stages</option>
+                  {WORKFLOW_STATUSES.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
             </div>
           </div>
         )}
@@ -278,6 +418,11 @@ export default function ContentList() {
                               {item.isFeatured && (
                                 <Star className="ml-2 h-4 w-4 text-yellow-400 fill-current" />
                               )}
+                              {item.accessTier === 'premium' && (
+                                <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
+                                  Premium
+                                </span>
+                              )}
                             </div>
                             <div className="text-sm text-gray-500">
                               {item.tags.slice(0, 2).map(tag => (
@@ -287,6 +432,25 @@ export default function ContentList() {
                                 </span>
                               ))}
                             </div>
+                            {item.transcript && (
+                              <div className="mt-1 text-xs text-gray-500 flex items-center">
+                                <Captions className="h-3 w-3 mr-1 flex-shrink-0" />
+                                Transcript · {item.transcript.wordCount} words
+                                <button
+                                  onClick={() => handleDeleteTranscript(item)}
+                                  className="ml-1 text-gray-400 hover:text-red-600"
+                                  title="Remove transcript"
+                                >
+                                  <X className="h-3 w-3" />
+                                </button>
+                              </div>
+                            )}
+                            {item.reviewComments && item.reviewComments.length > 0 && (
+                              <div className="mt-1 text-xs text-gray-500 flex items-center max-w-xs truncate">
+                                <MessageSquare className="h-3 w-3 mr-1 flex-shrink-0" />
+                                {item.reviewComments[item.reviewComments.length - 1].body}
+                              </div>
+                            )}
                           </div>
                         </div>
                       </td>
@@ -304,7 +468,15 @@ export default function ContentList() {
                           {formatDuration(item.durationSec)}
                         </div>
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
+                      <td className="px-6 py-4 whitespace-nowrap space-y-1">
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium mr-1 ${getWorkflowStatus(item.status).color}`}>
+                          {getWorkflowStatus(item.status).label}
+                        </span>
+                        {item.status === 'scheduled' && item.publishedAt && (
+                          <div className="text-xs text-gray-500">
+                            {new Date(item.publishedAt).toLocaleString()}
+                          </div>
+                        )}
                         <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
                           item.isActive 
                             ? 'bg-green-100 text-green-800' 
@@ -315,6 +487,32 @@ export default function ContentList() {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                         <div className="flex items-center space-x-2">
+                          <select
+                            value=""
+                            onChange={(e) => handleStatusChange(item, e.target.value as ContentStatus)}
+                            className="border-gray-300 rounded-md shadow-sm text-xs py-1 focus:ring-primary-500 focus:border-primary-500"
+                          >
+                            <option value="">Move to…</option>
+                            {NEXT_STATUSES[item.status || 'published'].map(status => (
+                              <option key={status} value={status}>
+                                {getWorkflowStatus(status).label}
+                              </option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => handleTranscriptClick(item)}
+                            className="text-gray-600 hover:text-gray-900"
+                            title={item.transcript ? 'Replace transcript (SRT, WebVTT or JSON)' : 'Upload transcript (SRT, WebVTT or JSON)'}
+                          >
+                            <Captions className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleAddComment(item)}
+                            className="text-gray-600 hover:text-gray-900"
+                            title="Add review comment"
+                          >
+                            <MessageSquare className="h-4 w-4" />
+                          </button>
                           <Link
                             to={`/content/${item.id}`}
                             className="text-primary-600 hover:text-primary-900"
@@ -1,11 +1,11 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import { z } from 'zod';
 import { Navigate } from 'react-router-dom';
-import { Eye, EyeOff, Lock, Mail, AlertCircle } from 'lucide-react';
+import { Eye, EyeOff, Lock, Mail, AlertCircle, ShieldCheck } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
-import { LoginCredentials } from '../types/auth';
+import { LoginCredentials, TwoFactorSetup } from '../types/auth';
 
 // Validation schema
 const loginSchema = z.object({
@@ -15,8 +15,175 @@ const loginSchema = z.object({
 
 type LoginFormData = z.infer<typeof loginSchema>;
 
+// Authenticator code, or a recovery code (xxxxx-xxxxx) on the sign-in step
+const codeSchema = z.object({
+  code: z.string().trim().min(6, 'Enter the code from your authenticator app'),
+});
+
+type CodeFormData = z.infer<typeof codeSchema>;
+
+const inputClassName = (hasError: boolean) =>
+  `block w-full px-3 py-2 border rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm ${
+    hasError ? 'border-red-300' : 'border-gray-300'
+  }`;
+
+const primaryButtonClassName =
+  'group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed';
+
+function ErrorBanner({ message }: { message: string | null }) {
+  if (!message) {
+    return null;
+  }
+
+  return (
+    <div className="bg-red-50 border border-red-200 rounded-md p-4">
+      <div className="flex">
+        <AlertCircle className="h-5 w-5 text-red-400" />
+        <div className="ml-3">
+          <p className="text-sm text-red-800">{message}</p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+interface CodeFormProps {
+  label: string;
+  submitLabel: string;
+  allowRecoveryCode?: boolean;
+  onSubmit: (code: string) => Promise<void>;
+}
+
+function CodeForm({ label, submitLabel, allowRecoveryCode = false, onSubmit }: CodeFormProps) {
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm<CodeFormData>({
+    resolver: zodResolver(codeSchema),
+  });
+
+  const submit = async (data: CodeFormData) => {
+    try {
+      setIsSubmitting(true);
+      await onSubmit(data.code);
+    } catch (error) {
+      // Error is handled by the auth context
+      reset();
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="space-y-4" onSubmit={handleSubmit(submit)}>
+      <div>
+        <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+          {label}
+        </label>
+        <input
+          {...register('code')}
+          id="code"
+          type="text"
+          inputMode={allowRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          className={`mt-1 tracking-widest ${inputClassName(!!errors.code)}`}
+          placeholder={allowRecoveryCode ? '123456 or recovery code' : '123456'}
+        />
+        {errors.code && (
+          <p className="mt-1 text-sm text-red-600">{errors.code.message}</p>
+        )}
+      </div>
+
+      <button type="submit" disabled={isSubmitting} className={primaryButtonClassName}>
+        {isSubmitting ? 'Verifying...' : submitLabel}
+      </button>
+    </form>
+  );
+}
+
+// Enroll an authenticator app, confirm a code, then show the recovery codes once
+function TwoFactorSetupStep() {
+  const { setupTwoFactor, enableTwoFactor, completeTwoFactorSetup } = useAuth();
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  // Each setup request replaces the pending secret, so only ask once
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) {
+      return;
+    }
+    requested.current = true;
+
+    setupTwoFactor().then(setSetup).catch(() => {
+      // Error is handled by the auth context
+    });
+  }, [setupTwoFactor]);
+
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-gray-700">
+          Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose
+          your authenticator app. They will not be shown again.
+        </p>
+        <ul className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-md p-4 font-mono text-sm text-gray-900">
+          {recoveryCodes.map((code) => (
+            <li key={code}>{code}</li>
+          ))}
+        </ul>
+        <button type="button" onClick={completeTwoFactorSetup} className={primaryButtonClassName}>
+          I have saved my recovery codes
+        </button>
+      </div>
+    );
+  }
+
+  if (!setup) {
+    return (
+      <div className="flex justify-center py-6">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-700">
+        Admin accounts need two-factor authentication. Add this account to your authenticator app
+        (open the link on your phone, or enter the setup key), then enter the 6-digit code it shows.
+      </p>
+      <div className="bg-gray-50 border border-gray-200 rounded-md p-4 space-y-2">
+        <p className="text-xs font-medium text-gray-500 uppercase">Setup key</p>
+        <p className="font-mono text-sm text-gray-900 break-all">{setup.secret}</p>
+        <a href={setup.otpauthUri} className="text-sm text-primary-600 hover:text-primary-700">
+          Open in authenticator app
+        </a>
+      </div>
+      <CodeForm
+        label="Verification code"
+        submitLabel="Enable two-factor authentication"
+        onSubmit={async (code) => setRecoveryCodes(await enableTwoFactor(code))}
+      />
+    </div>
+  );
+}
+
 export default function Login() {
-  const { login, isAuthenticated, isLoading, error, clearError } = useAuth();
+  const {
+    login,
+    verifyTwoFactor,
+    cancelTwoFactor,
+    twoFactorStep,
+    isAuthenticated,
+    isLoading,
+    error,
+    clearError,
+  } = useAuth();
   const [showPassword, setShowPassword] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -53,6 +220,51 @@ export default function Login() {
     );
   }
 
+  if (twoFactorStep) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-secondary-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <div className="mx-auto h-16 w-16 bg-primary-600 rounded-full flex items-center justify-center">
+              <ShieldCheck className="h-8 w-8 text-white" />
+            </div>
+            <h2 className="mt-6 text-center text-3xl font-bold text-gray-900">
+              Two-factor authentication
+            </h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              {twoFactorStep === 'verify'
+                ? 'Enter the code from your authenticator app'
+                : 'Set up an authenticator app to continue'}
+            </p>
+          </div>
+
+          <div className="mt-8 space-y-6">
+            <ErrorBanner message={error} />
+
+            {twoFactorStep === 'verify' ? (
+              <CodeForm
+                label="Authentication code"
+                submitLabel="Verify"
+                allowRecoveryCode
+                onSubmit={verifyTwoFactor}
+              />
+            ) : (
+              <TwoFactorSetupStep />
+            )}
+
+            <button
+              type="button"
+              onClick={cancelTwoFactor}
+              className="w-full text-center text-sm text-gray-600 hover:text-gray-900"
+            >
+              Back to sign in
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-secondary-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -69,16 +281,7 @@ export default function Login() {
         </div>
 
         <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
-          {error && (
-            <div className="bg-red-50 border border-red-200 rounded-md p-4">
-              <div className="flex">
-                <AlertCircle className="h-5 w-5 text-red-400" />
-                <div className="ml-3">
-                  <p className="text-sm text-red-800">{error}</p>
-                </div>
-              </div>
-            </div>
-          )}
+          <ErrorBanner message={error} />
 
           <div className="space-y-4">
             <div>
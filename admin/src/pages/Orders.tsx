@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Receipt } from 'lucide-react';
+import { orderService, OrderFilters } from '../services/orders';
+import { OrderItem, OrderStatus, PaginationParams } from '../types/api';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import Pagination from '../components/common/Pagination';
+import toast from 'react-hot-toast';
+
+const ORDER_STATUSES = [
+  { value: '', label: 'All Status' },
+  { value: 'created', label: 'Created' },
+  { value: 'attempted', label: 'Attempted' },
+  { value: 'paid', label: 'Paid' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'refunded', label: 'Refunded' },
+];
+
+const getStatusColor = (status: OrderStatus) => {
+  const colors = {
+    created: 'bg-gray-100 text-gray-800',
+    attempted: 'bg-yellow-100 text-yellow-800',
+    paid: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+    cancelled: 'bg-gray-100 text-gray-800',
+    refunded: 'bg-purple-100 text-purple-800',
+  };
+  return colors[status] || 'bg-gray-100 text-gray-800';
+};
+
+const formatAmount = (order: OrderItem) =>
+  new Intl.NumberFormat(undefined, { style: 'currency', currency: order.currency }).format(order.amount);
+
+export default function Orders() {
+  const [orders, setOrders] = useState<OrderItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [totalItems, setTotalItems] = useState(0);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [filters, setFilters] = useState<OrderFilters>({});
+
+  const itemsPerPage = 20;
+  const totalPages = Math.ceil(totalItems / itemsPerPage);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [currentPage, filters]);
+
+  const fetchOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      const pagination: PaginationParams = {
+        limit: itemsPerPage,
+        offset: (currentPage - 1) * itemsPerPage,
+      };
+
+      const response = await orderService.getOrders(filters, pagination);
+      setOrders(response.items);
+      setTotalItems(response.pagination.total);
+    } catch (error) {
+      console.error('Error fetching orders:', error);
+      toast.error('Failed to load orders');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage, filters]);
+
+  const handleFilterChange = (key: keyof OrderFilters, value: string) => {
+    setFilters(prev => ({
+      ...prev,
+      [key]: value === '' ? undefined : value,
+    }));
+    setCurrentPage(1);
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Orders</h1>
+          <p className="text-gray-600">Payments for subscriptions and premium access</p>
+        </div>
+        <select
+          value={filters.status || ''}
+          onChange={(e) => handleFilterChange('status', e.target.value)}
+          className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+        >
+          {ORDER_STATUSES.map(status => (
+            <option key={status.value} value={status.value}>
+              {status.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Orders */}
+      <div className="bg-white shadow-sm border border-gray-200 rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : orders.length === 0 ? (
+          <div className="text-center py-12">
+            <Receipt className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No orders found</h3>
+          </div>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Date
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Customer
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Order
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Amount
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {orders.map((order) => (
+                    <tr key={order._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {new Date(order.createdAt).toLocaleString()}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {order.userId ? order.userId.email : 'Deleted account'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        <div className="font-mono text-xs">{order.paymentOrderId}</div>
+                        {order.metadata?.orderType && <div>{order.metadata.orderType}</div>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {formatAmount(order)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(order.status)}`}>
+                          {order.status}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Pagination */}
+            <Pagination
+              currentPage={currentPage}
+              totalPages={totalPages}
+              onPageChange={setCurrentPage}
+              totalItems={totalItems}
+              itemsPerPage={itemsPerPage}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,404 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Plus, Trash2, Library, ArrowUp, ArrowDown, X, ListOrdered } from 'lucide-react';
+import { seriesService } from '../services/series';
+import { contentService } from '../services/content';
+import { authService } from '../services/auth';
+import { useAuth } from '../context/AuthContext';
+import { ContentItem, SeriesItem, SeriesEpisode, PaginationParams } from '../types/api';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import Pagination from '../components/common/Pagination';
+import toast from 'react-hot-toast';
+
+type EpisodeContent = NonNullable<SeriesEpisode['contentId']>;
+
+const formatDuration = (seconds: number) => `${Math.round(seconds / 60)} min`;
+
+export default function Series() {
+  const { user } = useAuth();
+  const canWrite = authService.hasPermission(user, 'content.write');
+  const [series, setSeries] = useState<SeriesItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [totalItems, setTotalItems] = useState(0);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [newTitle, setNewTitle] = useState('');
+  const [creating, setCreating] = useState(false);
+
+  // Episode editor for one series
+  const [editing, setEditing] = useState<SeriesItem | null>(null);
+  const [episodes, setEpisodes] = useState<EpisodeContent[]>([]);
+  const [contentOptions, setContentOptions] = useState<ContentItem[]>([]);
+  const [selectedContentId, setSelectedContentId] = useState('');
+  const [savingEpisodes, setSavingEpisodes] = useState(false);
+
+  const itemsPerPage = 20;
+  const totalPages = Math.ceil(totalItems / itemsPerPage);
+
+  useEffect(() => {
+    fetchSeries();
+  }, [currentPage]);
+
+  const fetchSeries = useCallback(async () => {
+    try {
+      setLoading(true);
+      const pagination: PaginationParams = {
+        limit: itemsPerPage,
+        offset: (currentPage - 1) * itemsPerPage,
+      };
+
+      const response = await seriesService.getSeriesList({}, pagination);
+      setSeries(response.items);
+      setTotalItems(response.pagination.total);
+    } catch (error) {
+      console.error('Error fetching series:', error);
+      toast.error('Failed to load series');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentPage]);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newTitle.trim()) {
+      return;
+    }
+
+    try {
+      setCreating(true);
+      await seriesService.createSeries({ title: newTitle.trim() });
+      toast.success('Series created');
+      setNewTitle('');
+      fetchSeries();
+    } catch (error) {
+      console.error('Error creating series:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to create series');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleToggleActive = async (item: SeriesItem) => {
+    try {
+      await seriesService.updateSeries(item._id, { isActive: !item.isActive });
+      toast.success(item.isActive ? 'Series hidden' : 'Series visible');
+      fetchSeries();
+    } catch (error) {
+      console.error('Error updating series:', error);
+      toast.error('Failed to update series');
+    }
+  };
+
+  const handleDelete = async (item: SeriesItem) => {
+    if (!window.confirm(`Delete "${item.title}"? Its episodes stay available as single stories.`)) {
+      return;
+    }
+
+    try {
+      await seriesService.deleteSeries(item._id);
+      toast.success('Series deleted');
+      if (editing?._id === item._id) {
+        setEditing(null);
+      }
+      fetchSeries();
+    } catch (error) {
+      console.error('Error deleting series:', error);
+      toast.error('Failed to delete series');
+    }
+  };
+
+  const openEpisodes = async (item: SeriesItem) => {
+    try {
+      const [full, content] = await Promise.all([
+        seriesService.getSeriesById(item._id),
+        contentOptions.length > 0
+          ? Promise.resolve(null)
+          : contentService.getContentList({}, { limit: 100, sort: 'title', order: 'asc' }),
+      ]);
+      setEditing(full);
+      // Deleted content has nothing to play; saving drops it
+      setEpisodes(full.episodes
+        .map(episode => episode.contentId)
+        .filter((content): content is EpisodeContent => content !== null));
+      if (content) {
+        setContentOptions(content.items);
+      }
+      setSelectedContentId('');
+    } catch (error) {
+      console.error('Error loading series:', error);
+      toast.error('Failed to load episodes');
+    }
+  };
+
+  const moveEpisode = (index: number, offset: number) => {
+    setEpisodes(prev => {
+      const next = [...prev];
+      const [episode] = next.splice(index, 1);
+      next.splice(index + offset, 0, episode);
+      return next;
+    });
+  };
+
+  const addEpisode = () => {
+    const content = contentOptions.find(item => item.id === selectedContentId);
+    if (!content || episodes.some(episode => episode._id === content.id)) {
+      return;
+    }
+
+    setEpisodes(prev => [...prev, {
+      _id: content.id,
+      title: content.title,
+      slug: content.slug,
+      type: content.type,
+      durationSec: content.durationSec,
+      isActive: content.isActive,
+      status: content.status,
+    }]);
+    setSelectedContentId('');
+  };
+
+  const saveEpisodes = async () => {
+    if (!editing) {
+      return;
+    }
+
+    try {
+      setSavingEpisodes(true);
+      await seriesService.setEpisodes(editing._id, episodes.map(episode => episode._id));
+      toast.success('Episodes saved');
+      setEditing(null);
+      fetchSeries();
+    } catch (error) {
+      console.error('Error saving episodes:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to save episodes');
+    } finally {
+      setSavingEpisodes(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Series</h1>
+          <p className="text-gray-600">Multi-night stories played episode by episode</p>
+        </div>
+        {canWrite && (
+          <form onSubmit={handleCreate} className="flex items-center space-x-2">
+            <input
+              type="text"
+              placeholder="New series title"
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+            />
+            <button
+              type="submit"
+              disabled={creating || !newTitle.trim()}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Create
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Episode editor */}
+      {editing && (
+        <div className="bg-white shadow-sm border border-gray-200 rounded-lg p-4 space-y-4">
+          <div className="flex justify-between items-center">
+            <h2 className="text-lg font-medium text-gray-900">Episodes of {editing.title}</h2>
+            <button
+              type="button"
+              onClick={() => setEditing(null)}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          {episodes.length === 0 ? (
+            <p className="text-sm text-gray-500">No episodes yet.</p>
+          ) : (
+            <ol className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {episodes.map((episode, index) => (
+                <li key={episode._id} className="flex items-center justify-between px-4 py-2 text-sm">
+                  <div>
+                    <span className="font-medium text-gray-900">{index + 1}. {episode.title}</span>
+                    <span className="ml-2 text-gray-500">{formatDuration(episode.durationSec)}</span>
+                    {episode.status && episode.status !== 'published' && (
+                      <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                        {episode.status}
+                      </span>
+                    )}
+                  </div>
+                  {canWrite && (
+                    <div className="flex items-center space-x-1">
+                      <button
+                        type="button"
+                        disabled={index === 0}
+                        onClick={() => moveEpisode(index, -1)}
+                        className="p-1 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                        title="Move up"
+                      >
+                        <ArrowUp className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        disabled={index === episodes.length - 1}
+                        onClick={() => moveEpisode(index, 1)}
+                        className="p-1 text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                        title="Move down"
+                      >
+                        <ArrowDown className="h-4 w-4" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setEpisodes(prev => prev.filter((_, i) => i !== index))}
+                        className="p-1 text-red-400 hover:text-red-600"
+                        title="Remove episode"
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {canWrite && (
+            <div className="flex items-center justify-between">
+              <div className="flex items-center space-x-2">
+                <select
+                  value={selectedContentId}
+                  onChange={(e) => setSelectedContentId(e.target.value)}
+                  className="border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                >
+                  <option value="">Add an episode…</option>
+                  {contentOptions
+                    .filter(content => !episodes.some(episode => episode._id === content.id))
+                    .map(content => (
+                      <option key={content.id} value={content.id}>
+                        {content.title}
+                      </option>
+                    ))}
+                </select>
+                <button
+                  type="button"
+                  disabled={!selectedContentId}
+                  onClick={addEpisode}
+                  className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add
+                </button>
+              </div>
+              <button
+                type="button"
+                disabled={savingEpisodes}
+                onClick={saveEpisodes}
+                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+              >
+                Save episodes
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Series */}
+      <div className="bg-white shadow-sm border border-gray-200 rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : series.length === 0 ? (
+          <div className="text-center py-12">
+            <Library className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No series yet</h3>
+          </div>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Title
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Episodes
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {series.map((item) => (
+                    <tr key={item._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{item.title}</div>
+                        <div className="text-sm text-gray-500">{item.slug}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {item.episodeCount ?? item.episodes.length}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <button
+                          type="button"
+                          disabled={!canWrite}
+                          onClick={() => handleToggleActive(item)}
+                          className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                            item.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                          }`}
+                        >
+                          {item.isActive ? 'Active' : 'Hidden'}
+                        </button>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <div className="flex items-center justify-end space-x-2">
+                          <button
+                            type="button"
+                            onClick={() => openEpisodes(item)}
+                            className="text-primary-600 hover:text-primary-900"
+                            title="Episodes"
+                          >
+                            <ListOrdered className="h-4 w-4" />
+                          </button>
+                          {canWrite && (
+                            <button
+                              type="button"
+                              onClick={() => handleDelete(item)}
+                              className="text-red-600 hover:text-red-900"
+                              title="Delete series"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Pagination */}
+            <Pagination
+              currentPage={currentPage}
+              totalPages={totalPages}
+              onPageChange={setCurrentPage}
+              totalItems={totalItems}
+              itemsPerPage={itemsPerPage}
+            />
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
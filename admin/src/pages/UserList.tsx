@@ -8,9 +8,12 @@ import {
   Users as UsersIcon,
   Crown,
   Calendar,
+  Shield,
 } from 'lucide-react';
 import { userService, UserFilters } from '../services/users';
-import { UserItem, PaginationParams } from '../types/api';
+import { authService } from '../services/auth';
+import { useAuth } from '../context/AuthContext';
+import { AdminRole, UserItem, PaginationParams } from '../types/api';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import Pagination from '../components/common/Pagination';
 import toast from 'react-hot-toast';
@@ -36,7 +39,20 @@ const PROVIDERS = [
   { value: 'google', label: 'Google' },
 ];
 
+// Mirrors ROLE_PERMISSIONS in src/utils/permissions.js
+const ADMIN_ROLES: { value: AdminRole; label: string; description: string }[] = [
+  { value: 'admin', label: 'Admin', description: 'Everything, including roles and the audit log' },
+  { value: 'editor', label: 'Editor', description: 'Writes content, categories and uploads' },
+  { value: 'reviewer', label: 'Reviewer', description: 'Approves, schedules and sends back content' },
+  { value: 'support', label: 'Support', description: 'Views users and clears sign-in lockouts' },
+  { value: 'finance', label: 'Finance', description: 'Views orders and users' },
+];
+
 export default function UserList() {
+  const { user: currentUser } = useAuth();
+  const canAssignRoles = authService.hasPermission(currentUser, 'users.roles');
+  const [editingRoles, setEditingRoles] = useState<{ userId: string; roles: AdminRole[] } | null>(null);
+  const [savingRoles, setSavingRoles] = useState(false);
   const [users, setUsers] = useState<UserItem[]>([]);
   const [loading, setLoading] = useState(true);
   const [totalItems, setTotalItems] = useState(0);
@@ -101,6 +117,34 @@ export default function UserList() {
     }
   };
 
+  const toggleRole = (role: AdminRole) => {
+    setEditingRoles(prev => prev && ({
+      ...prev,
+      roles: prev.roles.includes(role)
+        ? prev.roles.filter(existing => existing !== role)
+        : [...prev.roles, role],
+    }));
+  };
+
+  const handleSaveRoles = async () => {
+    if (!editingRoles) {
+      return;
+    }
+
+    try {
+      setSavingRoles(true);
+      await userService.updateRoles(editingRoles.userId, ['user', ...editingRoles.roles]);
+      toast.success('Roles updated');
+      setEditingRoles(null);
+      fetchUsers();
+    } catch (error) {
+      console.error('Error updating roles:', error);
+      toast.error(error instanceof Error ? error.message : 'Failed to update roles');
+    } finally {
+      setSavingRoles(false);
+    }
+  };
+
   const getPlanColor = (plan: string) => {
     const colors = {
       free: 'bg-gray-100 text-gray-800',
@@ -254,66 +298,129 @@ export default function UserList() {
                 </thead>
                 <tbody className="bg-white divide-y divide-gray-200">
                   {users.map((user) => (
-                    <tr key={user.id} className="hover:bg-gray-50">
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="flex items-center">
-                          <div className="flex-shrink-0 h-10 w-10">
-                            <div className="h-10 w-10 bg-primary-600 rounded-full flex items-center justify-center">
-                              <span className="text-sm font-medium text-white">
-                                {(user.name || user.email).charAt(0).toUpperCase()}
-                              </span>
+                    <React.Fragment key={user.id}>
+                      <tr className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex items-center">
+                            <div className="flex-shrink-0 h-10 w-10">
+                              <div className="h-10 w-10 bg-primary-600 rounded-full flex items-center justify-center">
+                                <span className="text-sm font-medium text-white">
+                                  {(user.name || user.email).charAt(0).toUpperCase()}
+                                </span>
+                              </div>
                             </div>
-                          </div>
-                          <div className="ml-4">
-                            <div className="text-sm font-medium text-gray-900 flex items-center">
-                              {user.name || 'No name'}
-                              {user.roles.includes('admin') && (
-                                <Crown className="ml-2 h-4 w-4 text-yellow-500" />
+                            <div className="ml-4">
+                              <div className="text-sm font-medium text-gray-900 flex items-center">
+                                {user.name || 'No name'}
+                                {user.roles.includes('admin') && (
+                                  <Crown className="ml-2 h-4 w-4 text-yellow-500" />
+                                )}
+                              </div>
+                              <div className="text-sm text-gray-500">{user.email}</div>
+                              {user.roles.some(role => role !== 'user' && role !== 'admin') && (
+                                <div className="mt-1 flex flex-wrap gap-1">
+                                  {user.roles.filter(role => role !== 'user' && role !== 'admin').map(role => (
+                                    <span key={role} className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-indigo-100 text-indigo-800 capitalize">
+                                      {role}
+                                    </span>
+                                  ))}
+                                </div>
                               )}
                             </div>
-                            <div className="text-sm text-gray-500">{user.email}</div>
                           </div>
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <div className="flex flex-col space-y-1">
-                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getPlanColor(user.subscription.plan)}`}>
-                            {user.subscription.plan}
-                          </span>
-                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(user.subscription.status)}`}>
-                            {user.subscription.status}
-                          </span>
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">
-                        {user.provider === 'local' ? 'Email/Password' : user.provider}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        {user.kidsCount || 0}
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        <div className="flex items-center">
-                          <Calendar className="h-4 w-4 text-gray-400 mr-1" />
-                          {new Date(user.createdAt).toLocaleDateString()}
-                        </div>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                        <div className="flex items-center space-x-2">
-                          <button className="text-primary-600 hover:text-primary-900">
-                            <Eye className="h-4 w-4" />
-                          </button>
-                          <button className="text-gray-600 hover:text-gray-900">
-                            <Edit className="h-4 w-4" />
-                          </button>
-                          <button
-                            onClick={() => handleDelete(user.id, user.email)}
-                            className="text-red-600 hover:text-red-900"
-                          >
-                            <Trash2 className="h-4 w-4" />
-                          </button>
-                        </div>
-                      </td>
-                    </tr>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex flex-col space-y-1">
+                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getPlanColor(user.subscription.plan)}`}>
+                              {user.subscription.plan}
+                            </span>
+                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(user.subscription.status)}`}>
+                              {user.subscription.status}
+                            </span>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">
+                          {user.provider === 'local' ? 'Email/Password' : user.provider}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {user.kidsCount || 0}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          <div className="flex items-center">
+                            <Calendar className="h-4 w-4 text-gray-400 mr-1" />
+                            {new Date(user.createdAt).toLocaleDateString()}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <div className="flex items-center space-x-2">
+                            <button className="text-primary-600 hover:text-primary-900">
+                              <Eye className="h-4 w-4" />
+                            </button>
+                            <button className="text-gray-600 hover:text-gray-900">
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            {canAssignRoles && (
+                              <button
+                                onClick={() => setEditingRoles(
+                                  editingRoles?.userId === user.id
+                                    ? null
+                                    : { userId: user.id, roles: user.roles.filter(role => role !== 'user') as AdminRole[] }
+                                )}
+                                className="text-indigo-600 hover:text-indigo-900"
+                                title="Assign roles"
+                              >
+                                <Shield className="h-4 w-4" />
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleDelete(user.id, user.email)}
+                              className="text-red-600 hover:text-red-900"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                      {editingRoles?.userId === user.id && (
+                        <tr className="bg-gray-50">
+                          <td colSpan={6} className="px-6 py-4">
+                            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                              {ADMIN_ROLES.map(role => (
+                                <label key={role.value} className="flex items-start space-x-2 text-sm">
+                                  <input
+                                    type="checkbox"
+                                    checked={editingRoles.roles.includes(role.value)}
+                                    onChange={() => toggleRole(role.value)}
+                                    className="mt-0.5 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                                  />
+                                  <span>
+                                    <span className="font-medium text-gray-900">{role.label}</span>
+                                    <span className="block text-xs text-gray-500">{role.description}</span>
+                                  </span>
+                                </label>
+                              ))}
+                            </div>
+                            <div className="mt-4 flex justify-end space-x-2">
+                              <button
+                                type="button"
+                                onClick={() => setEditingRoles(null)}
+                                className="px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 bg-white hover:bg-gray-50"
+                              >
+                                Cancel
+                              </button>
+                              <button
+                                type="button"
+                                onClick={handleSaveRoles}
+                                disabled={savingRoles}
+                                className="px-3 py-1.5 rounded-md text-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                              >
+                                Save roles
+                              </button>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
                   ))}
                 </tbody>
               </table>
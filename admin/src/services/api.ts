@@ -58,6 +58,12 @@ class ApiService {
           }
         }
 
+        // Sessions from before 2FA was set up must sign in again with a code
+        if (error.response?.status === 403 && error.response.data?.error?.includes('TWO_FACTOR_REQUIRED')) {
+          this.clearTokens();
+          window.location.href = '/login';
+        }
+
         return Promise.reject(error);
       }
     );
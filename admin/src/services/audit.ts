@@ -0,0 +1,43 @@
+import { apiService } from './api';
+import { API_ENDPOINTS } from '../constants/api';
+import { AuditLogEntry, PaginatedResponse, PaginationParams } from '../types/api';
+
+export interface AuditFilters {
+  actorId?: string;
+  action?: string;
+  targetType?: string;
+  targetId?: string;
+  from?: string;
+  to?: string;
+}
+
+class AuditService {
+  async getAuditLog(
+    filters: AuditFilters = {},
+    pagination: PaginationParams = {}
+  ): Promise<PaginatedResponse<AuditLogEntry>> {
+    const params = new URLSearchParams();
+
+    Object.entries({ ...filters, ...pagination }).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        params.append(key, value.toString());
+      }
+    });
+
+    const response = await apiService.get<{
+      entries: AuditLogEntry[];
+      pagination: PaginatedResponse<AuditLogEntry>['pagination'];
+    }>(`${API_ENDPOINTS.ADMIN.AUDIT}?${params.toString()}`);
+
+    if (response.success) {
+      return {
+        items: response.data.entries,
+        pagination: response.data.pagination,
+      };
+    }
+
+    throw new Error(response.message || 'Failed to fetch audit log');
+  }
+}
+
+export const auditService = new AuditService();
@@ -1,40 +1,112 @@
 import { apiService } from './api';
 import { API_ENDPOINTS, STORAGE_KEYS } from '../constants/api';
-import { LoginCredentials, AuthResponse, User } from '../types/auth';
+import {
+  LoginCredentials,
+  AuthResponse,
+  User,
+  TwoFactorChallenge,
+  TwoFactorSetup,
+  TwoFactorStatus,
+} from '../types/auth';
+
+interface TokenResponse {
+  user: any;
+  accessToken: string;
+  refreshToken: string;
+}
 
 class AuthService {
-  async login(credentials: LoginCredentials): Promise<AuthResponse> {
-    const response = await apiService.post<{
-      user: any;
-      accessToken: string;
-      refreshToken: string;
-    }>(
+  // The user is stored by the auth context once every login step is done
+  async login(credentials: LoginCredentials): Promise<AuthResponse | TwoFactorChallenge> {
+    const response = await apiService.post<TokenResponse | TwoFactorChallenge>(
       API_ENDPOINTS.AUTH.LOGIN,
       credentials
     );
 
     if (response.success) {
-      const { user, accessToken, refreshToken } = response.data;
+      if ('twoFactorRequired' in response.data) {
+        return response.data;
+      }
+
+      return this.handleTokenResponse(response.data, response.message);
+    }
+
+    throw new Error(response.message || 'Login failed');
+  }
+
+  async verifyTwoFactor(twoFactorToken: string, code: string): Promise<AuthResponse> {
+    const response = await apiService.post<TokenResponse>(
+      API_ENDPOINTS.AUTH.LOGIN_TWO_FACTOR,
+      { twoFactorToken, code }
+    );
+
+    if (response.success) {
+      return this.handleTokenResponse(response.data, response.message);
+    }
+
+    throw new Error(response.message || 'Two-factor verification failed');
+  }
+
+  async getTwoFactorStatus(): Promise<TwoFactorStatus> {
+    const response = await apiService.get<TwoFactorStatus>(API_ENDPOINTS.AUTH.TWO_FACTOR);
+
+    if (response.success) {
+      return response.data;
+    }
+
+    throw new Error(response.message || 'Failed to get two-factor status');
+  }
 
-      // Store tokens and user data
+  async setupTwoFactor(): Promise<TwoFactorSetup> {
+    const response = await apiService.post<TwoFactorSetup>(API_ENDPOINTS.AUTH.TWO_FACTOR_SETUP);
+
+    if (response.success) {
+      return response.data;
+    }
+
+    throw new Error(response.message || 'Two-factor setup failed');
+  }
+
+  // Enabling 2FA starts a new session that counts as signed in with it
+  async enableTwoFactor(code: string): Promise<string[]> {
+    const response = await apiService.post<{
+      recoveryCodes: string[];
+      accessToken: string;
+      refreshToken: string;
+    }>(API_ENDPOINTS.AUTH.TWO_FACTOR_ENABLE, { code });
+
+    if (response.success) {
+      const { recoveryCodes, accessToken, refreshToken } = response.data;
       localStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, accessToken);
       localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
-      localStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(user));
-
-      return {
-        success: true,
-        data: {
-          user,
-          tokens: {
-            accessToken,
-            refreshToken
-          }
-        },
-        message: response.message,
-      };
+      return recoveryCodes;
     }
 
-    throw new Error(response.message || 'Login failed');
+    throw new Error(response.message || 'Failed to enable two-factor authentication');
+  }
+
+  storeUser(user: User): void {
+    localStorage.setItem(STORAGE_KEYS.USER, JSON.stringify(user));
+  }
+
+  private handleTokenResponse(data: TokenResponse, message: string): AuthResponse {
+    const { user, accessToken, refreshToken } = data;
+
+    // Store tokens
+    localStorage.setItem(STORAGE_KEYS.ACCESS_TOKEN, accessToken);
+    localStorage.setItem(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
+
+    return {
+      success: true,
+      data: {
+        user,
+        tokens: {
+          accessToken,
+          refreshToken
+        }
+      },
+      message,
+    };
   }
 
   async logout(): Promise<void> {
@@ -100,7 +172,23 @@ class AuthService {
   isAuthenticated(): boolean {
     const token = this.getStoredToken();
     const user = this.getStoredUser();
-    return !!(token && user && user.roles.includes('admin'));
+    return !!(token && user && this.isStaff(user));
+  }
+
+  // Any role beyond 'user' opens the dashboard; routes check permissions
+  isStaff(user: User): boolean {
+    return user.roles.some(role => role !== 'user');
+  }
+
+  hasPermission(user: User | null, permission: string): boolean {
+    if (!user) {
+      return false;
+    }
+    // Users stored before the API sent permissions
+    if (!user.permissions) {
+      return user.roles.includes('admin');
+    }
+    return user.permissions.includes(permission);
   }
 
   private clearStorage(): void {
@@ -1,6 +1,6 @@
 import { apiService } from './api';
 import { API_ENDPOINTS } from '../constants/api';
-import { CategoryItem, PaginatedResponse, PaginationParams, ContentItem } from '../types/api';
+import { CategoryItem, CategoryTranslation, PaginatedResponse, PaginationParams, ContentItem } from '../types/api';
 
 export interface CategoryFilters {
   isActive?: boolean;
@@ -17,6 +17,7 @@ export interface CreateCategoryData {
     icon?: string;
     imageUrl?: string;
   };
+  translations?: Record<string, CategoryTranslation>;
 }
 
 export interface UpdateCategoryData extends Partial<CreateCategoryData> {}
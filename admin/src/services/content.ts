@@ -1,6 +1,6 @@
 import { apiService } from './api';
 import { API_ENDPOINTS } from '../constants/api';
-import { ContentItem, PaginatedResponse, PaginationParams, UploadedFile, ContentFilesUpload } from '../types/api';
+import { ContentItem, ContentStatus, PaginatedResponse, PaginationParams, UploadedFile, ContentFilesUpload } from '../types/api';
 
 export interface ContentFilters {
   categoryId?: string;
@@ -8,12 +8,21 @@ export interface ContentFilters {
   ageRange?: string;
   isActive?: boolean;
   isFeatured?: boolean;
+  accessTier?: 'free' | 'premium';
+  status?: ContentStatus;
+}
+
+export interface ChangeStatusData {
+  status: ContentStatus;
+  publishAt?: string;
+  comment?: string;
 }
 
 export interface CreateContentData {
   categoryId: string;
   type: 'story' | 'affirmation' | 'meditation' | 'music';
   title: string;
+  description?: string;
   slug?: string;
   durationSec: number;
   ageRange: '3-5' | '6-8' | '9-12';
@@ -38,6 +47,7 @@ export interface CreateContentData {
   };
   isFeatured?: boolean;
   isActive?: boolean;
+  accessTier?: 'free' | 'premium';
 }
 
 export interface UpdateContentData extends Partial<CreateContentData> {}
@@ -142,6 +152,65 @@ class ContentService {
     throw new Error(response.message || 'Failed to bulk update content');
   }
 
+  // Editorial Workflow Methods
+
+  async changeStatus(id: string, data: ChangeStatusData): Promise<ContentItem> {
+    const response = await apiService.post<ContentItem>(
+      API_ENDPOINTS.ADMIN.CONTENT_STATUS(id),
+      data
+    );
+
+    if (response.success) {
+      return response.data;
+    }
+
+    throw new Error(response.message || 'Failed to change content status');
+  }
+
+  async addComment(id: string, body: string): Promise<ContentItem> {
+    const response = await apiService.post<ContentItem>(
+      API_ENDPOINTS.ADMIN.CONTENT_COMMENTS(id),
+      { body }
+    );
+
+    if (response.success) {
+      return response.data;
+    }
+
+    throw new Error(response.message || 'Failed to add comment');
+  }
+
+  // Read-along transcripts (SRT, WebVTT or JSON; the format comes from the file name)
+
+  async uploadTranscript(id: string, file: File): Promise<void> {
+    const formData = new FormData();
+    formData.append('file', file);
+
+    const response = await apiService.put(
+      API_ENDPOINTS.ADMIN.CONTENT_TRANSCRIPT(id),
+      formData,
+      {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+      }
+    );
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to upload transcript');
+    }
+  }
+
+  async deleteTranscript(id: string): Promise<void> {
+    const response = await apiService.delete(
+      API_ENDPOINTS.ADMIN.CONTENT_TRANSCRIPT(id)
+    );
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to delete transcript');
+    }
+  }
+
   // File Upload Methods
 
   async uploadFile(file: File, categorySlug?: string): Promise<UploadedFile> {
@@ -0,0 +1,41 @@
+import { apiService } from './api';
+import { API_ENDPOINTS } from '../constants/api';
+import { OrderItem, OrderStatus, PaginatedResponse, PaginationParams } from '../types/api';
+
+export interface OrderFilters {
+  userId?: string;
+  status?: OrderStatus;
+  from?: string;
+  to?: string;
+}
+
+class OrderService {
+  async getOrders(
+    filters: OrderFilters = {},
+    pagination: PaginationParams = {}
+  ): Promise<PaginatedResponse<OrderItem>> {
+    const params = new URLSearchParams();
+
+    Object.entries({ ...filters, ...pagination }).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        params.append(key, value.toString());
+      }
+    });
+
+    const response = await apiService.get<{
+      orders: OrderItem[];
+      pagination: PaginatedResponse<OrderItem>['pagination'];
+    }>(`${API_ENDPOINTS.ADMIN.ORDERS}?${params.toString()}`);
+
+    if (response.success) {
+      return {
+        items: response.data.orders,
+        pagination: response.data.pagination,
+      };
+    }
+
+    throw new Error(response.message || 'Failed to fetch orders');
+  }
+}
+
+export const orderService = new OrderService();
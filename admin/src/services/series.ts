@@ -0,0 +1,105 @@
+import { apiService } from './api';
+import { API_ENDPOINTS } from '../constants/api';
+import { SeriesItem, PaginatedResponse, PaginationParams } from '../types/api';
+
+export interface SeriesFilters {
+  isActive?: boolean;
+  q?: string;
+}
+
+export interface CreateSeriesData {
+  title: string;
+  slug?: string;
+  description?: string;
+  imageUrl?: string;
+  ageRange?: '3-5' | '6-8' | '9-12';
+  isActive?: boolean;
+  contentIds?: string[];
+}
+
+export interface UpdateSeriesData extends Partial<Omit<CreateSeriesData, 'contentIds'>> {}
+
+class SeriesService {
+  async getSeriesList(
+    filters: SeriesFilters = {},
+    pagination: PaginationParams = {}
+  ): Promise<PaginatedResponse<SeriesItem>> {
+    const params = new URLSearchParams();
+
+    Object.entries({ ...filters, ...pagination }).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        params.append(key, value.toString());
+      }
+    });
+
+    const response = await apiService.get<{
+      series: SeriesItem[];
+      pagination: PaginatedResponse<SeriesItem>['pagination'];
+    }>(`${API_ENDPOINTS.ADMIN.SERIES}?${params.toString()}`);
+
+    if (response.success) {
+      return {
+        items: response.data.series,
+        pagination: response.data.pagination,
+      };
+    }
+
+    throw new Error(response.message || 'Failed to fetch series');
+  }
+
+  async getSeriesById(id: string): Promise<SeriesItem> {
+    const response = await apiService.get<SeriesItem>(API_ENDPOINTS.ADMIN.SERIES_BY_ID(id));
+
+    if (response.success) {
+      return response.data;
+    }
+
+    throw new Error(response.message || 'Failed to fetch series');
+  }
+
+  async createSeries(data: CreateSeriesData): Promise<SeriesItem> {
+    const response = await apiService.post<SeriesItem>(API_ENDPOINTS.ADMIN.SERIES, data);
+
+    if (response.success) {
+      return response.data;
+    }
+
+    throw new Error(response.message || 'Failed to create series');
+  }
+
+  async updateSeries(id: string, data: UpdateSeriesData): Promise<SeriesItem> {
+    const response = await apiService.put<SeriesItem>(API_ENDPOINTS.ADMIN.SERIES_BY_ID(id), data);
+
+    if (response.success) {
+      return response.data;
+    }
+
+    throw new Error(response.message || 'Failed to update series');
+  }
+
+  async deleteSeries(id: string): Promise<void> {
+    const response = await apiService.delete(API_ENDPOINTS.ADMIN.SERIES_BY_ID(id));
+
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to delete series');
+    }
+  }
+
+  /**
+   * Replace the episode list; the order of contentIds is the play order
+   */
+  async setEpisodes(id: string, contentIds: string[]): Promise<SeriesItem> {
+    const response = await apiService.put<SeriesItem>(
+      API_ENDPOINTS.ADMIN.SERIES_EPISODES(id),
+      { contentIds }
+    );
+
+    if (response.success) {
+      return response.data;
+    }
+
+    throw new Error(response.message || 'Failed to update episodes');
+  }
+}
+
+export const seriesService = new SeriesService();
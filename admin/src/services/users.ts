@@ -1,6 +1,6 @@
 import { apiService } from './api';
 import { API_ENDPOINTS } from '../constants/api';
-import { UserItem, PaginatedResponse, PaginationParams } from '../types/api';
+import { AdminRole, UserItem, PaginatedResponse, PaginationParams } from '../types/api';
 
 export interface UserFilters {
   plan?: string;
@@ -69,6 +69,19 @@ class UserService {
     throw new Error(response.message || 'Failed to update user');
   }
 
+  async updateRoles(id: string, roles: AdminRole[]): Promise<UserItem> {
+    const response = await apiService.put<UserItem>(
+      API_ENDPOINTS.ADMIN.USER_ROLES(id),
+      { roles }
+    );
+
+    if (response.success) {
+      return response.data;
+    }
+
+    throw new Error(response.message || 'Failed to update roles');
+  }
+
   async deleteUser(id: string): Promise<void> {
     const response = await apiService.delete(
       API_ENDPOINTS.ADMIN.USER_BY_ID(id)
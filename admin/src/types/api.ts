@@ -37,10 +37,17 @@ export interface CategoryItem {
     icon: string;
     imageUrl?: string;
   };
+  // Localized name and description by language code (English is name/description)
+  translations?: Record<string, CategoryTranslation>;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface CategoryTranslation {
+  name: string;
+  description?: string;
+}
+
 export interface MediaMetadata {
   audioFormat?: 'mp3' | 'wav' | 'aac' | 'm4a';
   videoFormat?: 'mp4' | 'webm' | 'avi' | 'mov';
@@ -54,12 +61,24 @@ export interface MediaMetadata {
   };
 }
 
+export type ContentStatus = 'draft' | 'in_review' | 'scheduled' | 'published' | 'archived';
+
+export interface ReviewComment {
+  authorId: string;
+  authorEmail?: string;
+  body: string;
+  fromStatus?: ContentStatus | null;
+  toStatus?: ContentStatus | null;
+  createdAt: string;
+}
+
 export interface ContentItem {
   id: string;
   categoryId: string;
   category?: CategoryItem;
   type: 'story' | 'affirmation' | 'meditation' | 'music';
   title: string;
+  description?: string;
   slug: string;
   durationSec: number;
   ageRange: '3-5' | '6-8' | '9-12';
@@ -72,13 +91,27 @@ export interface ContentItem {
   thumbnailUrl?: string;
   mediaMetadata?: MediaMetadata;
   isFeatured: boolean;
+  accessTier: 'free' | 'premium';
   popularityScore: number;
-  publishedAt: string;
+  // Unset on content created before the editorial workflow; counts as published
+  status?: ContentStatus;
+  reviewComments?: ReviewComment[];
+  // Read-along transcript summary; text and timings come from the transcript endpoint
+  transcript?: ContentTranscriptSummary;
+  publishedAt: string | null;
   isActive: boolean;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface ContentTranscriptSummary {
+  format: 'srt' | 'vtt' | 'json';
+  segmentCount: number;
+  wordCount: number;
+  endSec: number;
+  uploadedAt: string;
+}
+
 export interface UploadedFile {
   url: string;
   fullUrl?: string;
@@ -101,7 +134,9 @@ export interface UserItem {
   id: string;
   email: string;
   name: string;
-  provider: 'google' | 'local';
+  // 'local' (email and password), 'google' or a configured OIDC provider
+  provider: string;
+  identities?: { provider: string; email?: string; linkedAt?: string }[];
   roles: string[];
   subscription: {
     plan: 'free' | 'premium' | 'family';
@@ -115,6 +150,79 @@ export interface UserItem {
   favoritesCount?: number;
 }
 
+export type AdminRole = 'user' | 'admin' | 'editor' | 'reviewer' | 'support' | 'finance';
+
+export type OrderStatus = 'created' | 'attempted' | 'paid' | 'failed' | 'cancelled' | 'refunded';
+
+export interface OrderItem {
+  _id: string;
+  // Populated buyer; null once the account is deleted
+  userId: { _id: string; email: string; name?: string } | null;
+  paymentOrderId: string;
+  razorpayPaymentId?: string;
+  amount: number;
+  currency: string;
+  status: OrderStatus;
+  metadata?: {
+    orderType?: string;
+    description?: string;
+  };
+  paidAt?: string;
+  createdAt: string;
+}
+
+// Admin series responses are lean documents, hence `_id`
+export interface SeriesEpisode {
+  // Populated episode content; null if the content was deleted
+  contentId: {
+    _id: string;
+    title: string;
+    slug: string;
+    type: ContentItem['type'];
+    durationSec: number;
+    isActive: boolean;
+    status?: ContentStatus;
+  } | null;
+}
+
+export interface SeriesItem {
+  _id: string;
+  title: string;
+  slug: string;
+  description?: string;
+  imageUrl?: string;
+  ageRange?: ContentItem['ageRange'];
+  isActive: boolean;
+  episodes: SeriesEpisode[];
+  episodeCount?: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type AuditTargetType = 'content' | 'user' | 'category' | 'series' | 'file' | 'cache';
+
+export interface AuditLogEntry {
+  id: string;
+  actorId: string;
+  actorEmail: string | null;
+  action: string;
+  targetType: AuditTargetType | null;
+  targetId: string | null;
+  // Changed fields only; before is null for creations, after for deletions
+  changes: {
+    before: Record<string, unknown> | null;
+    after: Record<string, unknown> | null;
+  };
+  metadata: Record<string, unknown> | null;
+  method: string;
+  path: string;
+  statusCode: number;
+  requestId: string | null;
+  ip: string | null;
+  userAgent: string | null;
+  createdAt: string;
+}
+
 export interface OverviewStats {
   totalContent: number;
   totalUsers: number;
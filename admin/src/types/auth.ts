@@ -3,6 +3,9 @@ export interface User {
   email: string;
   name: string;
   roles: string[];
+  // What the roles allow, e.g. 'content.write' (see src/utils/permissions.js)
+  permissions?: string[];
+  twoFactorEnabled?: boolean;
   subscription: {
     plan: 'free' | 'premium' | 'family';
     status: 'active' | 'inactive' | 'cancelled' | 'past_due';
@@ -30,15 +33,43 @@ export interface AuthResponse {
   message: string;
 }
 
+// Returned by login instead of tokens when the account has 2FA enabled
+export interface TwoFactorChallenge {
+  twoFactorRequired: true;
+  twoFactorToken: string;
+  expiresAt: string;
+}
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUri: string;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+  required: boolean;
+}
+
+// Extra login step: enter a code, or enroll an authenticator app first
+export type TwoFactorStep = 'verify' | 'setup';
+
 export interface AuthState {
   user: User | null;
   isAuthenticated: boolean;
   isLoading: boolean;
   error: string | null;
+  twoFactorStep: TwoFactorStep | null;
 }
 
 export interface AuthContextType extends AuthState {
   login: (credentials: LoginCredentials) => Promise<void>;
+  verifyTwoFactor: (code: string) => Promise<void>;
+  setupTwoFactor: () => Promise<TwoFactorSetup>;
+  enableTwoFactor: (code: string) => Promise<string[]>;
+  completeTwoFactorSetup: () => void;
+  cancelTwoFactor: () => void;
   logout: () => void;
   refreshToken: () => Promise<void>;
   clearError: () => void;
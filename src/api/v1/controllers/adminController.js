@@ -1,6 +1,6 @@
 const path = require('path');
 const fs = require('fs').promises;
-const { adminService } = require('../../../services');
+const { adminService, loginLockoutService, auditService, contentWorkflowService, contentTranslationService, transcriptService, seriesService } = require('../../../services');
 const { success, error } = require('../../../utils/envelope');
 
 class AdminController {
@@ -14,6 +14,8 @@ class AdminController {
         ageRange: req.query.ageRange,
         isActive: req.query.isActive,
         isFeatured: req.query.isFeatured,
+        accessTier: req.query.accessTier,
+        status: req.query.status,
       };
       
       const options = {
@@ -93,6 +95,37 @@ class AdminController {
     }
   }
 
+  /**
+   * Move content through the editorial workflow
+   */
+  async changeContentStatus(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { status, publishAt, comment } = req.body;
+
+      const content = await contentWorkflowService.transition(id, status, { publishAt, comment }, req.user);
+
+      res.json(success(content, 'Content status updated successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Add a reviewer comment to content
+   */
+  async addContentComment(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const content = await contentWorkflowService.addComment(id, req.body.body, req.user);
+
+      res.status(201).json(success(content, 'Comment added successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
   /**
    * Bulk update content
    */
@@ -166,6 +199,19 @@ class AdminController {
     }
   }
 
+  /**
+   * Assign admin roles to a user
+   */
+  async updateUserRoles(req, res, next) {
+    try {
+      const user = await adminService.updateUserRoles(req.params.id, req.body.roles, req.user);
+
+      res.json(success(user, 'User roles updated successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
   /**
    * Delete user
    */
@@ -181,6 +227,89 @@ class AdminController {
     }
   }
 
+  /**
+   * List accounts locked out of sign-in
+   */
+  async getLockouts(req, res, next) {
+    try {
+      const options = {
+        limit: req.query.limit || 20,
+        offset: req.query.offset || 0,
+      };
+
+      const result = await loginLockoutService.getLockouts(options);
+
+      res.json(success(result, 'Lockouts retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Clear an account's sign-in lockout
+   */
+  async clearLockout(req, res, next) {
+    try {
+      await loginLockoutService.clearLockout(req.params.id);
+
+      res.json(success(null, 'Lockout cleared successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * List orders
+   */
+  async getOrderList(req, res, next) {
+    try {
+      const filters = {
+        userId: req.query.userId,
+        status: req.query.status,
+        from: req.query.from ? new Date(req.query.from) : undefined,
+        to: req.query.to ? new Date(req.query.to) : undefined,
+      };
+
+      const options = {
+        limit: parseInt(req.query.limit) || 20,
+        offset: parseInt(req.query.offset) || 0,
+      };
+
+      const result = await adminService.getOrderList(filters, options);
+
+      res.json(success(result, 'Orders retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * List audit log entries
+   */
+  async getAuditLog(req, res, next) {
+    try {
+      const filters = {
+        actorId: req.query.actorId,
+        action: req.query.action,
+        targetType: req.query.targetType,
+        targetId: req.query.targetId,
+        from: req.query.from ? new Date(req.query.from) : undefined,
+        to: req.query.to ? new Date(req.query.to) : undefined,
+      };
+
+      const options = {
+        limit: parseInt(req.query.limit) || 50,
+        offset: parseInt(req.query.offset) || 0,
+      };
+
+      const result = await auditService.getAuditLog(filters, options);
+
+      res.json(success(result, 'Audit log retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
   /**
    * Upload file
    */
@@ -479,6 +608,198 @@ class AdminController {
       next(err);
     }
   }
+
+  /**
+   * Get the language variants of a content item
+   */
+  async getContentTranslations(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const translations = await contentTranslationService.getTranslations(id);
+
+      res.json(success(translations, 'Translations retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Add content to the translation group of another story
+   */
+  async linkContentTranslation(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { translationOf } = req.body;
+
+      const translations = await contentTranslationService.linkTranslation(id, translationOf);
+
+      res.json(success(translations, 'Translation linked successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Remove content from its translation group
+   */
+  async unlinkContentTranslation(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const translations = await contentTranslationService.unlinkTranslation(id);
+
+      res.json(success(translations, 'Translation unlinked successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get the transcript of content
+   */
+  async getContentTranscript(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const transcript = await transcriptService.getAdminTranscript(id);
+
+      res.json(success(transcript, 'Transcript retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Replace the transcript from an uploaded file or the `transcript` field
+   */
+  async uploadContentTranscript(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const transcript = await transcriptService.uploadTranscript(id, {
+        source: req.file ? req.file.buffer.toString('utf8') : req.body.transcript,
+        format: req.body.format,
+        filename: req.file ? req.file.originalname : null,
+      });
+
+      res.json(success(transcript, 'Transcript uploaded successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Remove the transcript of content
+   */
+  async deleteContentTranscript(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      await transcriptService.deleteTranscript(id);
+
+      res.json(success(null, 'Transcript deleted successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get series list
+   */
+  async getSeriesList(req, res, next) {
+    try {
+      const filters = {
+        isActive: req.query.isActive,
+        search: req.query.q,
+      };
+
+      const options = {
+        limit: parseInt(req.query.limit) || 20,
+        offset: parseInt(req.query.offset) || 0,
+      };
+
+      const result = await seriesService.listSeries(filters, options);
+
+      res.json(success(result, 'Series list retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Create new series
+   */
+  async createSeries(req, res, next) {
+    try {
+      const series = await seriesService.createSeries(req.body);
+
+      res.status(201).json(success(series, 'Series created successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get series by ID with all episodes
+   */
+  async getSeriesById(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const series = await seriesService.getSeriesById(id);
+
+      res.json(success(series, 'Series retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Update series details
+   */
+  async updateSeries(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      const series = await seriesService.updateSeries(id, req.body);
+
+      res.json(success(series, 'Series updated successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Delete series
+   */
+  async deleteSeries(req, res, next) {
+    try {
+      const { id } = req.params;
+
+      await seriesService.deleteSeries(id);
+
+      res.json(success(null, 'Series deleted successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Replace the ordered episode list of a series
+   */
+  async setSeriesEpisodes(req, res, next) {
+    try {
+      const { id } = req.params;
+      const { contentIds } = req.body;
+
+      const series = await seriesService.setEpisodes(id, contentIds);
+
+      res.json(success(series, 'Series episodes updated successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
 }
 
 module.exports = new AdminController();
@@ -1,6 +1,26 @@
-const { authService } = require('../../../services');
+const {
+  authService,
+  sessionService,
+  parentPinService,
+  twoFactorService,
+  accountService,
+  loginLockoutService,
+  identityService,
+} = require('../../../services');
 const { success, error } = require('../../../utils/envelope');
 
+/**
+ * Device details for the refresh session (body fields or X-Device-* headers)
+ */
+function getClient(req) {
+  return {
+    deviceId: req.body.deviceId || req.get('X-Device-Id'),
+    deviceName: req.body.deviceName || req.get('X-Device-Name'),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+  };
+}
+
 class AuthController {
   /**
    * Register new user with email and password
@@ -9,7 +29,7 @@ class AuthController {
     try {
       const { email, password, name } = req.body;
 
-      const result = await authService.register({ email, password, name });
+      const result = await authService.register({ email, password, name }, getClient(req));
 
       res.status(201).json(success(result, 'User registered successfully'));
     } catch (err) {
@@ -24,7 +44,48 @@ class AuthController {
     try {
       const { email, password } = req.body;
 
-      const result = await authService.login(email, password);
+      const result = await authService.login(email, password, getClient(req));
+
+      res.json(success(result, 'Login successful'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Finish signing in with a two-factor code
+   */
+  async verifyTwoFactorLogin(req, res, next) {
+    try {
+      const { twoFactorToken, code } = req.body;
+
+      const result = await authService.verifyTwoFactorLogin(twoFactorToken, code, getClient(req));
+
+      res.json(success(result, 'Login successful'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Email a passwordless sign-in link
+   */
+  async requestMagicLink(req, res, next) {
+    try {
+      const result = await authService.requestMagicLink(req.body.email);
+
+      res.json(success(result, 'Sign-in link sent'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Sign in with a magic link token
+   */
+  async verifyMagicLink(req, res, next) {
+    try {
+      const result = await authService.verifyMagicLink(req.body.token, getClient(req));
 
       res.json(success(result, 'Login successful'));
     } catch (err) {
@@ -77,6 +138,19 @@ class AuthController {
     }
   }
 
+  /**
+   * Lift a sign-in lockout with the token from the unlock email
+   */
+  async unlockAccount(req, res, next) {
+    try {
+      await loginLockoutService.unlock(req.body.token);
+
+      res.json(success(null, 'Account unlocked successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
   /**
    * Authenticate with Google ID token
    */
@@ -84,7 +158,7 @@ class AuthController {
     try {
       const { idToken } = req.body;
       
-      const result = await authService.authenticateWithGoogle(idToken);
+      const result = await authService.authenticateWithGoogle(idToken, getClient(req));
       
       res.json(success(result, 'Authentication successful'));
     } catch (err) {
@@ -92,6 +166,22 @@ class AuthController {
     }
   }
 
+  /**
+   * Authenticate with an ID token from an identity provider
+   */
+  async providerAuth(req, res, next) {
+    try {
+      const { provider } = req.params;
+      const { idToken } = req.body;
+
+      const result = await authService.authenticateWithProvider(provider, idToken, getClient(req));
+
+      res.json(success(result, 'Authentication successful'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
   /**
    * Refresh access token
    */
@@ -99,7 +189,7 @@ class AuthController {
     try {
       const { refreshToken } = req.body;
       
-      const result = await authService.refreshAccessToken(refreshToken);
+      const result = await authService.refreshAccessToken(refreshToken, getClient(req));
       
       res.json(success(result, 'Token refreshed successfully'));
     } catch (err) {
@@ -152,6 +242,223 @@ class AuthController {
       next(err);
     }
   }
+
+  /**
+   * Download all account data as a JSON file
+   */
+  async exportAccount(req, res, next) {
+    try {
+      const archive = await accountService.exportAccount(req.userId);
+
+      const date = archive.exportedAt.toISOString().substring(0, 10);
+      res.attachment(`bedtime-stories-export-${date}.json`);
+      res.json(success(archive, 'Account data exported successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Request account deletion (final after the grace period)
+   */
+  async deleteAccount(req, res, next) {
+    try {
+      const result = await accountService.requestDeletion(req.userId);
+
+      res.json(success(result, 'Account deletion scheduled'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Cancel a pending account deletion
+   */
+  async restoreAccount(req, res, next) {
+    try {
+      await accountService.cancelDeletion(req.userId);
+
+      res.json(success(null, 'Account deletion cancelled'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * List signed-in devices
+   */
+  async getSessions(req, res, next) {
+    try {
+      const userId = req.userId;
+
+      const sessions = await sessionService.getSessions(userId, req.token.sid);
+
+      res.json(success(sessions, 'Sessions retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Sign out a device
+   */
+  async revokeSession(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { sessionId } = req.params;
+
+      await sessionService.revokeSession(userId, sessionId);
+
+      res.json(success(null, 'Session revoked successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * List the sign-in methods linked to the account
+   */
+  async getIdentities(req, res, next) {
+    try {
+      const userId = req.userId;
+
+      const result = await identityService.getIdentities(userId);
+
+      res.json(success(result, 'Sign-in methods retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Link an identity provider to the account
+   */
+  async linkIdentity(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { provider } = req.params;
+      const { idToken } = req.body;
+
+      const result = await identityService.linkIdentity(userId, provider, idToken);
+
+      res.json(success(result, 'Sign-in method linked successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Unlink an identity provider from the account
+   */
+  async unlinkIdentity(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { provider } = req.params;
+
+      const result = await identityService.unlinkIdentity(userId, provider);
+
+      res.json(success(result, 'Sign-in method unlinked successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Set or change the parent PIN
+   */
+  async setParentPin(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { pin, currentPin, password } = req.body;
+
+      const result = await parentPinService.setPin(userId, { pin, currentPin, password }, req.token.sid);
+
+      res.json(success(result, 'Parent PIN saved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Exchange the parent PIN for a parent-elevated token
+   */
+  async verifyParentPin(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { pin } = req.body;
+
+      const result = await parentPinService.elevate(userId, pin, req.token.sid);
+
+      res.json(success(result, 'Parent mode unlocked'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get two-factor status
+   */
+  async getTwoFactorStatus(req, res, next) {
+    try {
+      const result = await twoFactorService.getStatus(req.userId);
+
+      res.json(success(result, 'Two-factor status retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Start two-factor enrollment
+   */
+  async setupTwoFactor(req, res, next) {
+    try {
+      const result = await twoFactorService.setup(req.userId);
+
+      res.json(success(result, 'Scan the QR code with your authenticator app'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code
+   */
+  async enableTwoFactor(req, res, next) {
+    try {
+      const result = await twoFactorService.enable(req.userId, req.body.code, getClient(req));
+
+      res.json(success(result, 'Two-factor authentication enabled'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Replace recovery codes
+   */
+  async regenerateRecoveryCodes(req, res, next) {
+    try {
+      const result = await twoFactorService.regenerateRecoveryCodes(req.userId, req.body.code);
+
+      res.json(success(result, 'Recovery codes regenerated'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Turn off two-factor authentication
+   */
+  async disableTwoFactor(req, res, next) {
+    try {
+      await twoFactorService.disable(req.userId, req.body.code);
+
+      res.json(success(null, 'Two-factor authentication disabled'));
+    } catch (err) {
+      next(err);
+    }
+  }
 }
 
 module.exports = new AuthController();
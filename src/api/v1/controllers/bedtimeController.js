@@ -0,0 +1,70 @@
+const { bedtimeService } = require('../../../services');
+const { success } = require('../../../utils/envelope');
+
+class BedtimeController {
+  /**
+   * Get bedtime settings for kid
+   */
+  async getSettings(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+
+      const settings = await bedtimeService.getSettings(userId, id);
+
+      res.json(success(settings, 'Bedtime settings retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Update bedtime settings for kid
+   */
+  async updateSettings(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+
+      const settings = await bedtimeService.updateSettings(userId, id, req.body);
+
+      res.json(success(settings, 'Bedtime settings updated successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get recent and upcoming bedtime reminders (polled by the app)
+   */
+  async getReminders(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+
+      const reminders = await bedtimeService.getReminders(userId, id);
+
+      res.json(success(reminders, 'Reminders retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Acknowledge a reminder
+   */
+  async acknowledgeReminder(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id, reminderId } = req.params;
+
+      const reminder = await bedtimeService.acknowledgeReminder(userId, id, reminderId);
+
+      res.json(success(reminder, 'Reminder acknowledged'));
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+module.exports = new BedtimeController();
@@ -1,5 +1,6 @@
-const { contentService } = require('../../../services');
+const { contentService, seriesService, transcriptService } = require('../../../services');
 const { success, error } = require('../../../utils/envelope');
+const { toWebVtt } = require('../../../utils/transcript');
 
 class ContentController {
   /**
@@ -9,7 +10,7 @@ class ContentController {
     try {
       const { slug } = req.params;
       
-      const content = await contentService.getContentBySlug(slug);
+      const content = await contentService.getContentBySlug(slug, req.user, req.language);
       
       res.json(success(content, 'Content retrieved successfully'));
     } catch (err) {
@@ -17,6 +18,40 @@ class ContentController {
     }
   }
 
+  /**
+   * Get the read-along transcript as JSON, or as a WebVTT file
+   */
+  async getTranscript(req, res, next) {
+    try {
+      const { slug } = req.params;
+      
+      const transcript = await transcriptService.getTranscript(slug, req.user);
+      
+      if (req.query.format === 'vtt') {
+        return res.type('text/vtt; charset=utf-8').send(toWebVtt(transcript.segments));
+      }
+      
+      res.json(success(transcript, 'Transcript retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get a series with its episodes in order
+   */
+  async getSeries(req, res, next) {
+    try {
+      const { slug } = req.params;
+      
+      const series = await seriesService.getSeriesBySlug(slug, req.user);
+      
+      res.json(success(series, 'Series retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
   /**
    * Get content categories
    */
@@ -35,14 +70,17 @@ class ContentController {
    */
   async getContentList(req, res, next) {
     try {
-      const filters = contentService.validateFilters(req.query);
+      const filters = {
+        language: req.language,
+        ...contentService.validateFilters(req.query),
+      };
       const options = {
         sort: req.query.sort,
         limit: req.query.limit,
         offset: req.query.offset,
       };
       
-      const result = await contentService.getContentList(filters, options);
+      const result = await contentService.getContentList(filters, options, req.user);
       
       res.json(success(result, 'Content list retrieved successfully'));
     } catch (err) {
@@ -62,7 +100,7 @@ class ContentController {
         offset: req.query.offset,
       };
       
-      const content = await contentService.searchContent(searchText, filters, options);
+      const content = await contentService.searchContent(searchText, filters, options, req.user);
       
       res.json(success(content, 'Search results retrieved successfully'));
     } catch (err) {
@@ -78,7 +116,7 @@ class ContentController {
       const userId = req.userId;
       const { kidId } = req.query;
       
-      const homeContent = await contentService.getHomeContent(userId, kidId);
+      const homeContent = await contentService.getHomeContent(userId, kidId, req.user, req.language);
       
       res.json(success(homeContent, 'Home content retrieved successfully'));
     } catch (err) {
@@ -94,9 +132,10 @@ class ContentController {
       const { slug } = req.params;
       const { amount = 1 } = req.body;
       
-      await contentService.incrementPopularity(slug, amount);
+      const content = await contentService.incrementPopularity(slug, amount);
+      const nextEpisode = await seriesService.getNextEpisode(content._id, req.user);
       
-      res.json(success(null, 'Content popularity updated'));
+      res.json(success({ nextEpisode }, 'Content popularity updated'));
     } catch (err) {
       next(err);
     }
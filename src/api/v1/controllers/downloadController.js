@@ -0,0 +1,81 @@
+const { downloadService } = require('../../../services');
+const { success } = require('../../../utils/envelope');
+
+class DownloadController {
+  /**
+   * Request a download license
+   */
+  async requestDownload(req, res, next) {
+    try {
+      const { kidId, contentId, deviceId } = req.body;
+
+      const license = await downloadService.requestLicense(req.user, { kidId, contentId, deviceId });
+
+      res.status(201).json(success(license, 'Download license issued successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get active downloads
+   */
+  async getDownloads(req, res, next) {
+    try {
+      const { deviceId, kidId } = req.query;
+
+      const result = await downloadService.getLicenses(req.user, { deviceId, kidId });
+
+      res.json(success(result, 'Downloads retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Renew a download license
+   */
+  async renewDownload(req, res, next) {
+    try {
+      const { licenseId } = req.params;
+
+      const license = await downloadService.renewLicense(req.user, licenseId);
+
+      res.json(success(license, 'Download license renewed successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Revoke a download license
+   */
+  async revokeDownload(req, res, next) {
+    try {
+      const { licenseId } = req.params;
+
+      await downloadService.revokeLicense(req.user, licenseId);
+
+      res.json(success(null, 'Download revoked successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Revoke all downloads on a device
+   */
+  async revokeDevice(req, res, next) {
+    try {
+      const { deviceId } = req.params;
+
+      const result = await downloadService.revokeDevice(req.user, deviceId);
+
+      res.json(success(result, 'Device downloads revoked successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+module.exports = new DownloadController();
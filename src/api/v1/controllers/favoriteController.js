@@ -46,10 +46,10 @@ class FavoriteController {
       let result;
       if (kidId) {
         // Get favorites for specific kid
-        result = await favoriteService.getKidFavorites(userId, kidId, { limit, offset });
+        result = await favoriteService.getKidFavorites(userId, kidId, { limit, offset }, req.user);
       } else {
         // Get all favorites for user
-        result = await favoriteService.getUserFavorites(userId, { limit, offset });
+        result = await favoriteService.getUserFavorites(userId, { limit, offset }, req.user);
       }
       
       res.json(success(result, 'Favorites retrieved successfully'));
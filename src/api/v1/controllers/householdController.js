@@ -0,0 +1,136 @@
+const { householdService } = require('../../../services');
+const { success } = require('../../../utils/envelope');
+
+class HouseholdController {
+  /**
+   * Get the current user's household
+   */
+  async getHousehold(req, res, next) {
+    try {
+      const household = await householdService.getHousehold(req.userId);
+
+      res.json(success(household, 'Household retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Create a household
+   */
+  async createHousehold(req, res, next) {
+    try {
+      const household = await householdService.createHousehold(req.userId, req.body);
+
+      res.status(201).json(success(household, 'Household created successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Rename the household
+   */
+  async updateHousehold(req, res, next) {
+    try {
+      const household = await householdService.updateHousehold(req.userId, req.body);
+
+      res.json(success(household, 'Household updated successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Delete the household
+   */
+  async deleteHousehold(req, res, next) {
+    try {
+      await householdService.deleteHousehold(req.userId);
+
+      res.json(success(null, 'Household deleted successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Invite a guardian by email
+   */
+  async inviteMember(req, res, next) {
+    try {
+      const invitation = await householdService.inviteMember(req.userId, req.body);
+
+      res.status(201).json(success(invitation, 'Invitation sent successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Revoke a pending invitation
+   */
+  async revokeInvitation(req, res, next) {
+    try {
+      await householdService.revokeInvitation(req.userId, req.params.invitationId);
+
+      res.json(success(null, 'Invitation revoked successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Accept an invitation
+   */
+  async joinHousehold(req, res, next) {
+    try {
+      const household = await householdService.acceptInvitation(req.userId, req.body.token);
+
+      res.json(success(household, 'Joined household successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Leave the household
+   */
+  async leaveHousehold(req, res, next) {
+    try {
+      await householdService.leaveHousehold(req.userId);
+
+      res.json(success(null, 'Left household successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Change a member's role
+   */
+  async updateMember(req, res, next) {
+    try {
+      const household = await householdService.updateMemberRole(req.userId, req.params.userId, req.body.role);
+
+      res.json(success(household, 'Member role updated successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Remove a member
+   */
+  async removeMember(req, res, next) {
+    try {
+      await householdService.removeMember(req.userId, req.params.userId);
+
+      res.json(success(null, 'Member removed successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+module.exports = new HouseholdController();
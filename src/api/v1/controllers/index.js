@@ -6,6 +6,12 @@ const favoriteController = require('./favoriteController');
 const subscriptionController = require('./subscriptionController');
 const adminController = require('./adminController');
 const healthController = require('./healthController');
+const listeningController = require('./listeningController');
+const routineController = require('./routineController');
+const bedtimeController = require('./bedtimeController');
+const mediaController = require('./mediaController');
+const downloadController = require('./downloadController');
+const householdController = require('./householdController');
 
 module.exports = {
   authController,
@@ -15,4 +21,10 @@ module.exports = {
   subscriptionController,
   adminController,
   healthController,
+  listeningController,
+  routineController,
+  bedtimeController,
+  mediaController,
+  downloadController,
+  householdController,
 };
@@ -0,0 +1,109 @@
+const { listeningService, seriesService } = require('../../../services');
+const { success } = require('../../../utils/envelope');
+
+class ListeningController {
+  /**
+   * Start listening session
+   */
+  async startSession(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+      const { contentId, positionSec, device } = req.body;
+
+      const result = await listeningService.startSession(userId, id, contentId, {
+        positionSec,
+        device,
+      }, req.user);
+
+      res.status(201).json(success(result, 'Listening session started'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Record playback progress
+   */
+  async recordProgress(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id, sessionId } = req.params;
+      const { positionSec } = req.body;
+
+      const session = await listeningService.recordProgress(userId, id, sessionId, positionSec);
+
+      res.json(success(session, 'Progress recorded'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Complete listening session
+   */
+  async completeSession(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id, sessionId } = req.params;
+      const { positionSec } = req.body;
+
+      const session = await listeningService.completeSession(userId, id, sessionId, positionSec);
+
+      res.json(success(session, 'Listening session completed'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get listening history for kid
+   */
+  async getSessions(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+      const { limit, offset } = req.query;
+
+      const result = await listeningService.getKidSessions(userId, id, { limit, offset });
+
+      res.json(success(result, 'Listening sessions retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get playback progress for content
+   */
+  async getProgress(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id, contentId } = req.params;
+
+      const progress = await listeningService.getProgress(userId, id, contentId);
+
+      res.json(success(progress, 'Playback progress retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get a kid's progress through a series
+   */
+  async getSeriesProgress(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id, slug } = req.params;
+
+      const progress = await seriesService.getKidProgress(userId, id, slug, req.user);
+
+      res.json(success(progress, 'Series progress retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+module.exports = new ListeningController();
@@ -0,0 +1,29 @@
+const { mediaService } = require('../../../services');
+
+class MediaController {
+  /**
+   * Serve a media file from a signed, expiring URL
+   */
+  async getMedia(req, res, next) {
+    try {
+      const { filePath, expiresAt } = await mediaService.resolveSignedMedia(
+        req.params[0],
+        req.query
+      );
+
+      // Browsers may reuse the file until the URL expires, but shared caches may not
+      const maxAge = Math.max(0, Math.floor((expiresAt.getTime() - Date.now()) / 1000));
+      res.set('Cache-Control', `private, max-age=${maxAge}`);
+
+      res.sendFile(filePath, { dotfiles: 'deny' }, err => {
+        if (err && !res.headersSent) {
+          next(err);
+        }
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+module.exports = new MediaController();
@@ -0,0 +1,105 @@
+const { routineService } = require('../../../services');
+const { success } = require('../../../utils/envelope');
+
+class RoutineController {
+  /**
+   * Get routines for kid
+   */
+  async getRoutines(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+
+      const routines = await routineService.getRoutines(userId, id, req.user);
+
+      res.json(success(routines, 'Routines retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Get routine by ID
+   */
+  async getRoutine(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id, routineId } = req.params;
+
+      const routine = await routineService.getRoutine(userId, id, routineId, req.user);
+
+      res.json(success(routine, 'Routine retrieved successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Create routine
+   */
+  async createRoutine(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+      const { name, contentIds } = req.body;
+
+      const routine = await routineService.createRoutine(userId, id, { name, contentIds }, req.user);
+
+      res.status(201).json(success(routine, 'Routine created successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Generate routine from kid profile
+   */
+  async generateRoutine(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id } = req.params;
+      const { name, steps } = req.body || {};
+
+      const routine = await routineService.generateRoutine(userId, id, { name, steps }, req.user);
+
+      res.status(201).json(success(routine, 'Routine generated successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Update routine
+   */
+  async updateRoutine(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id, routineId } = req.params;
+      const { name, contentIds } = req.body;
+
+      const routine = await routineService.updateRoutine(userId, id, routineId, { name, contentIds }, req.user);
+
+      res.json(success(routine, 'Routine updated successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  /**
+   * Delete routine
+   */
+  async deleteRoutine(req, res, next) {
+    try {
+      const userId = req.userId;
+      const { id, routineId } = req.params;
+
+      await routineService.deleteRoutine(userId, id, routineId);
+
+      res.json(success(null, 'Routine deleted successfully'));
+    } catch (err) {
+      next(err);
+    }
+  }
+}
+
+module.exports = new RoutineController();
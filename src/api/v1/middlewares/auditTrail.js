@@ -0,0 +1,76 @@
+const auditService = require('../../../services/auditService');
+const logger = require('../../../utils/logger');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Middleware to write every successful mutation on the router to the
+ * audit log. Mount after the auth guards; routes name the action with
+ * `audit()`, unnamed ones are logged by method and path.
+ */
+function auditTrail(req, res, next) {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  req.audit = {
+    action: null,
+    targetType: null,
+    targetId: null,
+    before: null,
+    response: null,
+  };
+
+  // Keep the response data; created records are only known from it
+  const originalJson = res.json;
+  res.json = function(body) {
+    if (body && body.success) {
+      req.audit.response = body.data;
+    }
+    return originalJson.call(this, body);
+  };
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400) {
+      return;
+    }
+
+    auditService.recordRequest(req, res.statusCode).catch(error => {
+      logger.error({ error: error.message, requestId: req.requestId, path: req.originalUrl }, 'Failed to write audit log entry');
+    });
+  });
+
+  next();
+}
+
+/**
+ * Middleware to name an audited action and load its target (`:id`) as it
+ * was before the change
+ * @param {string} action - e.g. 'content.update'
+ * @param {string} targetType - One of AuditLog.TARGET_TYPES
+ */
+function audit(action, targetType) {
+  return async (req, res, next) => {
+    if (!req.audit) {
+      return next();
+    }
+
+    req.audit.action = action;
+    req.audit.targetType = targetType;
+    req.audit.targetId = req.params.id || null;
+
+    try {
+      req.audit.before = await auditService.snapshot(targetType, req.audit.targetId);
+    } catch (error) {
+      // The change is still logged, without the previous values
+      logger.warn({ error: error.message, action, targetId: req.audit.targetId }, 'Failed to load audit target');
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  auditTrail,
+  audit,
+};
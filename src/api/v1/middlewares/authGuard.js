@@ -1,9 +1,31 @@
 const { verifyAccessToken } = require('../../../utils/jwt');
 const { cache } = require('../../../loaders/redisLoader');
-const { User } = require('../../../models');
+const { User, Household } = require('../../../models');
 const { error } = require('../../../utils/envelope');
 const logger = require('../../../utils/logger');
 
+/**
+ * Family plan of an owner of the user's household, if it is paid by the
+ * same rule as the user's own plan (User.isPaidSubscription)
+ */
+async function findSharedSubscription(userId) {
+  const household = await Household.findOne({ 'members.userId': userId }).select('members').lean();
+  if (!household) {
+    return null;
+  }
+
+  const ownerIds = household.members
+    .filter(member => member.role === 'owner' && String(member.userId) !== String(userId))
+    .map(member => member.userId);
+  const owners = await User.find({
+    _id: { $in: ownerIds },
+    'subscription.plan': 'family',
+  }).select('subscription').lean();
+  const owner = owners.find(candidate => User.isPaidSubscription(candidate.subscription));
+
+  return owner ? owner.subscription : null;
+}
+
 /**
  * Middleware to verify JWT access token and attach user to request
  */
@@ -46,6 +68,10 @@ async function authGuard(req, res, next) {
       if (!user) {
         return res.status(401).json(error(['USER_NOT_FOUND'], 'User not found'));
       }
+
+      if (!User.hasPremiumAccess(user)) {
+        user.sharedSubscription = await findSharedSubscription(userId);
+      }
       
       // Cache user for 5 minutes
       await cache.set(`user:${userId}`, user, 300);
@@ -1,5 +1,6 @@
 // TODO: Redis temporarily disabled - using mock cache
 // const { cache } = require('../../../loaders/redisLoader');
+const { User } = require('../../../models');
 const { success } = require('../../../utils/envelope');
 const logger = require('../../../utils/logger');
 
@@ -105,6 +106,17 @@ function cacheMiddleware(ttlSeconds = 300, keyGenerator = null) {
   };
 }
 
+/**
+ * Access tier of the requester. Premium content is locked for free users,
+ * so responses differ per tier and must be cached separately.
+ */
+const accessTier = (req) => (User.hasPremiumAccess(req.user) ? 'premium' : 'free');
+
+/**
+ * Media URLs are signed per user, so public responses are cached per viewer
+ */
+const viewer = (req) => `${req.userId || 'anonymous'}:${accessTier(req)}`;
+
 /**
  * Cache key generators for common patterns
  */
@@ -112,23 +124,28 @@ const cacheKeys = {
   home: (req) => {
     const userId = req.userId || 'anonymous';
     const kidId = req.query.kidId || '';
-    return `cache:home:${userId}:${kidId}`;
+    return `cache:home:${userId}:${kidId}:${accessTier(req)}:${req.language || 'en'}`;
   },
   
   explore: (req) => {
     const { type, sort, limit, offset } = req.query;
-    return `cache:explore:${type || 'all'}:${sort || 'popular'}:${limit || 10}:${offset || 0}`;
+    return `cache:explore:${type || 'all'}:${sort || 'popular'}:${limit || 10}:${offset || 0}:${viewer(req)}:${req.language || 'en'}`;
   },
   
   content: (req) => {
     const slug = req.params.slug;
-    return `cache:content:${slug}`;
+    return `cache:content:${slug}:${viewer(req)}:${req.language || 'en'}`;
+  },
+  
+  series: (req) => {
+    const slug = req.params.slug;
+    return `cache:series:${slug}:${viewer(req)}`;
   },
   
   favorites: (req) => {
     const userId = req.userId;
     const kidId = req.query.kidId || '';
-    return `cache:favorites:${userId}:${kidId}`;
+    return `cache:favorites:${userId}:${kidId}:${accessTier(req)}`;
   },
 };
 
@@ -138,6 +155,7 @@ const cacheKeys = {
 const homeCache = cacheMiddleware(300, cacheKeys.home); // 5 minutes
 const exploreCache = cacheMiddleware(600, cacheKeys.explore); // 10 minutes
 const contentCache = cacheMiddleware(3600, cacheKeys.content); // 1 hour
+const seriesCache = cacheMiddleware(3600, cacheKeys.series); // 1 hour
 const favoritesCache = cacheMiddleware(300, cacheKeys.favorites); // 5 minutes
 
 /**
@@ -160,11 +178,16 @@ const invalidateCache = {
   },
   
   async content(slug) {
-    await cache.del(`cache:content:${slug}`);
+    await cache.del(`cache:content:${slug}:*`);
     // Also invalidate explore cache as it might contain this content
     await cache.del('cache:explore:*');
   },
   
+  // All series when no slug is given, since any series may list an episode
+  async series(slug = '*') {
+    await cache.del(slug === '*' ? 'cache:series:*' : `cache:series:${slug}:*`);
+  },
+  
   async explore() {
     await cache.del('cache:explore:*');
   },
@@ -180,6 +203,7 @@ module.exports = {
   homeCache,
   exploreCache,
   contentCache,
+  seriesCache,
   favoritesCache,
   invalidateCache,
 };
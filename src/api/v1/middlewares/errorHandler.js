@@ -49,6 +49,10 @@ function errorHandler(err, req, res, next) {
     statusCode = err.statusCode;
     errorCode = err.code;
     message = err.message;
+
+    if (err.retryAfterSec) {
+      res.set('Retry-After', String(err.retryAfterSec));
+    }
   }
 
   // Validation errors (Zod, Mongoose, etc.)
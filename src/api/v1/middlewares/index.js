@@ -1,12 +1,14 @@
 // Export all middlewares for easy importing
 const { authGuard, optionalAuthGuard } = require('./authGuard');
-const { roleGuard, adminGuard, anyRoleGuard } = require('./roleGuard');
+const { parentGuard } = require('./parentGuard');
+const { roleGuard, requirePermission, anyRoleGuard } = require('./roleGuard');
 const { m2mGuard, paymentsM2MGuard } = require('./m2mGuard');
 const { 
   cacheMiddleware, 
   homeCache, 
   exploreCache, 
   contentCache, 
+  seriesCache,
   favoritesCache,
   invalidateCache 
 } = require('./cache');
@@ -17,15 +19,18 @@ const {
   writeSlowDown, 
   adminRateLimit 
 } = require('./rateLimiter');
+const { languageNegotiation } = require('./language');
 const requestIdMiddleware = require('./requestId');
+const { auditTrail, audit } = require('./auditTrail');
 const { errorHandler, notFoundHandler } = require('./errorHandler');
 
 module.exports = {
   // Auth middlewares
   authGuard,
   optionalAuthGuard,
+  parentGuard,
   roleGuard,
-  adminGuard,
+  requirePermission,
   anyRoleGuard,
   m2mGuard,
   paymentsM2MGuard,
@@ -35,6 +40,7 @@ module.exports = {
   homeCache,
   exploreCache,
   contentCache,
+  seriesCache,
   favoritesCache,
   invalidateCache,
   
@@ -45,7 +51,12 @@ module.exports = {
   writeSlowDown,
   adminRateLimit,
   
+  // Audit log
+  auditTrail,
+  audit,
+
   // Utility middlewares
+  languageNegotiation,
   requestIdMiddleware,
   errorHandler,
   notFoundHandler,
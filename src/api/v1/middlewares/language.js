@@ -0,0 +1,16 @@
+const { negotiateLanguage } = require('../../../utils/language');
+
+/**
+ * Middleware to pick the content language from `?lang=` or Accept-Language
+ * (see utils/language). Sets `req.language` and the Content-Language header.
+ */
+function languageNegotiation(req, res, next) {
+  req.language = negotiateLanguage(req.query.lang, req.headers['accept-language']);
+
+  res.setHeader('Content-Language', req.language);
+  res.vary('Accept-Language');
+
+  next();
+}
+
+module.exports = { languageNegotiation };
@@ -0,0 +1,43 @@
+const { verifyParentToken } = require('../../../utils/jwt');
+const { error } = require('../../../utils/envelope');
+const logger = require('../../../utils/logger');
+
+/**
+ * Middleware requiring a parent-elevated token (X-Parent-Token header),
+ * obtained from POST /auth/pin/verify. Must be used after authGuard.
+ * Accounts that have not set a PIN are not in kid mode and pass through.
+ */
+function parentGuard(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json(error(['UNAUTHORIZED'], 'Authentication required'));
+  }
+
+  if (!req.user.parentPinSetAt) {
+    return next();
+  }
+
+  const token = req.get('X-Parent-Token');
+  if (!token) {
+    return res.status(403).json(error(['PARENT_PIN_REQUIRED'], 'Parent PIN required'));
+  }
+
+  let decoded;
+  try {
+    decoded = verifyParentToken(token);
+  } catch (jwtError) {
+    logger.warn({ error: jwtError.message, userId: req.userId }, 'Invalid parent token');
+    return res.status(403).json(error(['INVALID_PARENT_TOKEN'], 'Parent token invalid or expired'));
+  }
+
+  // The token must belong to this user and, when known, this device session
+  const sessionId = req.token && req.token.sid;
+  if (decoded.sub !== String(req.userId) || (decoded.sid && sessionId && decoded.sid !== sessionId)) {
+    return res.status(403).json(error(['INVALID_PARENT_TOKEN'], 'Parent token invalid or expired'));
+  }
+
+  next();
+}
+
+module.exports = {
+  parentGuard,
+};
@@ -3,6 +3,7 @@ const slowDown = require('express-slow-down');
 const config = require('../../../config');
 const { error } = require('../../../utils/envelope');
 const logger = require('../../../utils/logger');
+const { isStaff } = require('../../../utils/permissions');
 
 /**
  * Custom rate limit handler that returns envelope format
@@ -123,8 +124,8 @@ const adminRateLimit = rateLimit({
     return `admin:${req.userId || req.ip}`;
   },
   skip: (req) => {
-    // Only apply to admin users
-    return !req.user || !req.user.roles.includes('admin');
+    // Only apply to admin staff
+    return !isStaff(req.user);
   },
 });
 
@@ -1,4 +1,6 @@
 const { error } = require('../../../utils/envelope');
+const config = require('../../../config');
+const { hasPermission } = require('../../../utils/permissions');
 
 /**
  * Middleware to check if user has required role
@@ -19,9 +21,27 @@ function roleGuard(requiredRole) {
 }
 
 /**
- * Middleware to check if user has admin role
+ * Middleware to check that the user's roles grant any of the permissions
+ * (see utils/permissions) and, when required, that staff signed in with a
+ * second factor (the access token's mfa claim). Must be used after authGuard.
  */
-const adminGuard = roleGuard('admin');
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json(error(['UNAUTHORIZED'], 'Authentication required'));
+    }
+
+    if (!hasPermission(req.user, ...permissions)) {
+      return res.status(403).json(error(['INSUFFICIENT_PERMISSIONS'], `Permission required: ${permissions.join(' or ')}`));
+    }
+
+    if (config.twoFactor.requiredForAdmins && !(req.token && req.token.mfa)) {
+      return res.status(403).json(error(['TWO_FACTOR_REQUIRED'], 'Two-factor authentication required for admin access'));
+    }
+
+    next();
+  };
+}
 
 /**
  * Middleware to check if user has any of the specified roles
@@ -42,6 +62,6 @@ function anyRoleGuard(roles) {
 
 module.exports = {
   roleGuard,
-  adminGuard,
+  requirePermission,
   anyRoleGuard,
 };
@@ -5,32 +5,52 @@ const fs = require('fs').promises;
 const { adminController } = require('../controllers');
 const { 
   authGuard, 
-  adminGuard, 
+  requirePermission, 
   adminRateLimit,
-  writeSlowDown 
+  writeSlowDown,
+  auditTrail,
+  audit
 } = require('../middlewares');
 const {
   validate,
   createContentSchema,
   updateContentSchema,
+  adminContentListSchema,
   contentIdSchema,
+  contentStatusSchema,
+  contentCommentSchema,
+  contentTranslationSchema,
+  uploadTranscriptSchema,
   uploadFileSchema,
   adminUserListSchema,
   updateUserSchema,
+  userRolesSchema,
+  orderListSchema,
+  lockoutListSchema,
+  lockoutUserIdSchema,
+  auditListSchema,
   createCategorySchema,
   updateCategorySchema,
   categoryIdSchema,
   categoryListSchema,
-  categoryContentSchema
+  categoryContentSchema,
+  createSeriesSchema,
+  updateSeriesSchema,
+  seriesIdSchema,
+  seriesListSchema,
+  seriesEpisodesSchema
 } = require('../validators');
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication; each route requires a permission
+// from the user's roles (see utils/permissions)
 router.use(authGuard);
-router.use(adminGuard);
 router.use(adminRateLimit);
 
+// Every successful change below is written to the audit log
+router.use(auditTrail);
+
 // Helper function to ensure directory exists
 const ensureDirectoryExists = async (dirPath) => {
   try {
@@ -152,6 +172,21 @@ const uploadImage = multer({
   }
 });
 
+// Transcripts are parsed, not stored as files
+const uploadTranscript = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit for transcripts
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(srt|vtt|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only SRT, WebVTT and JSON transcripts are allowed'));
+    }
+  }
+});
+
 // Multi-file upload for content creation (audio + video + thumbnail + image)
 const uploadContent = upload.fields([
   { name: 'audio', maxCount: 1 },
@@ -162,159 +197,349 @@ const uploadContent = upload.fields([
 
 // Content Management Routes
 router.get('/content',
-  validate(adminUserListSchema),
+  requirePermission('content.read'),
+  validate(adminContentListSchema),
   adminController.getContentList
 );
 
 router.post('/content',
+  requirePermission('content.write'),
   writeSlowDown,
   validate(createContentSchema),
+  audit('content.create', 'content'),
   adminController.createContent
 );
 
 router.get('/content/:id',
+  requirePermission('content.read'),
   validate(contentIdSchema),
   adminController.getContentById
 );
 
 router.put('/content/:id',
+  requirePermission('content.write'),
   writeSlowDown,
   validate(updateContentSchema),
+  audit('content.update', 'content'),
   adminController.updateContent
 );
 
 router.delete('/content/:id',
+  requirePermission('content.write'),
   validate(contentIdSchema),
+  audit('content.delete', 'content'),
   adminController.deleteContent
 );
 
+router.post('/content/:id/status',
+  requirePermission('content.write', 'content.review'),
+  writeSlowDown,
+  validate(contentStatusSchema),
+  audit('content.status', 'content'),
+  adminController.changeContentStatus
+);
+
+router.post('/content/:id/comments',
+  requirePermission('content.write', 'content.review'),
+  writeSlowDown,
+  validate(contentCommentSchema),
+  audit('content.comment', 'content'),
+  adminController.addContentComment
+);
+
+// Translation group (language variants of the same story)
+router.get('/content/:id/translations',
+  requirePermission('content.read'),
+  validate(contentIdSchema),
+  adminController.getContentTranslations
+);
+
+router.put('/content/:id/translations',
+  requirePermission('content.write'),
+  writeSlowDown,
+  validate(contentTranslationSchema),
+  audit('content.translation_link', 'content'),
+  adminController.linkContentTranslation
+);
+
+router.delete('/content/:id/translations',
+  requirePermission('content.write'),
+  validate(contentIdSchema),
+  audit('content.translation_unlink', 'content'),
+  adminController.unlinkContentTranslation
+);
+
+// Read-along transcript
+router.get('/content/:id/transcript',
+  requirePermission('content.read'),
+  validate(contentIdSchema),
+  adminController.getContentTranscript
+);
+
+router.put('/content/:id/transcript',
+  requirePermission('content.write'),
+  writeSlowDown,
+  uploadTranscript.single('file'),
+  validate(uploadTranscriptSchema),
+  audit('content.transcript_upload', 'content'),
+  adminController.uploadContentTranscript
+);
+
+router.delete('/content/:id/transcript',
+  requirePermission('content.write'),
+  validate(contentIdSchema),
+  audit('content.transcript_delete', 'content'),
+  adminController.deleteContentTranscript
+);
+
 router.post('/content/bulk-update',
+  requirePermission('content.write'),
   writeSlowDown,
+  audit('content.bulk_update', 'content'),
   adminController.bulkUpdateContent
 );
 
+// Series Management Routes
+router.get('/series',
+  requirePermission('content.read'),
+  validate(seriesListSchema),
+  adminController.getSeriesList
+);
+
+router.post('/series',
+  requirePermission('content.write'),
+  writeSlowDown,
+  validate(createSeriesSchema),
+  audit('series.create', 'series'),
+  adminController.createSeries
+);
+
+router.get('/series/:id',
+  requirePermission('content.read'),
+  validate(seriesIdSchema),
+  adminController.getSeriesById
+);
+
+router.put('/series/:id',
+  requirePermission('content.write'),
+  writeSlowDown,
+  validate(updateSeriesSchema),
+  audit('series.update', 'series'),
+  adminController.updateSeries
+);
+
+router.delete('/series/:id',
+  requirePermission('content.write'),
+  validate(seriesIdSchema),
+  audit('series.delete', 'series'),
+  adminController.deleteSeries
+);
+
+// Add, remove and reorder episodes
+router.put('/series/:id/episodes',
+  requirePermission('content.write'),
+  writeSlowDown,
+  validate(seriesEpisodesSchema),
+  audit('series.episodes', 'series'),
+  adminController.setSeriesEpisodes
+);
+
 // User Management Routes
 router.get('/users',
+  requirePermission('users.read'),
   validate(adminUserListSchema),
   adminController.getUserList
 );
 
 router.get('/users/:id',
+  requirePermission('users.read'),
   validate(contentIdSchema), // Reuse for user ID validation
   adminController.getUserById
 );
 
 router.put('/users/:id',
+  requirePermission('users.write'),
   writeSlowDown,
   validate(updateUserSchema),
+  audit('user.update', 'user'),
   adminController.updateUser
 );
 
+router.put('/users/:id/roles',
+  requirePermission('users.roles'),
+  writeSlowDown,
+  validate(userRolesSchema),
+  audit('user.roles', 'user'),
+  adminController.updateUserRoles
+);
+
 router.delete('/users/:id',
+  requirePermission('users.write'),
   validate(contentIdSchema), // Reuse for user ID validation
+  audit('user.delete', 'user'),
   adminController.deleteUser
 );
 
+// Sign-in lockouts
+router.get('/lockouts',
+  requirePermission('lockouts.manage'),
+  validate(lockoutListSchema),
+  adminController.getLockouts
+);
+
+router.delete('/lockouts/:id',
+  requirePermission('lockouts.manage'),
+  writeSlowDown,
+  validate(lockoutUserIdSchema),
+  audit('user.lockout_clear', 'user'),
+  adminController.clearLockout
+);
+
+// Orders
+router.get('/orders',
+  requirePermission('orders.read'),
+  validate(orderListSchema),
+  adminController.getOrderList
+);
+
+// Audit log
+router.get('/audit',
+  requirePermission('audit.read'),
+  validate(auditListSchema),
+  adminController.getAuditLog
+);
+
 // File Upload Routes
 router.post('/upload',
+  requirePermission('files.upload'),
+  audit('file.upload', 'file'),
   upload.single('file'),
   adminController.uploadFile
 );
 
 // Specific file type uploads
 router.post('/upload/audio',
+  requirePermission('files.upload'),
+  audit('file.upload', 'file'),
   uploadAudio.single('audio'),
   adminController.uploadFile
 );
 
 router.post('/upload/video',
+  requirePermission('files.upload'),
+  audit('file.upload', 'file'),
   uploadVideo.single('video'),
   adminController.uploadFile
 );
 
 router.post('/upload/image',
+  requirePermission('files.upload'),
+  audit('file.upload', 'file'),
   uploadImage.single('image'),
   adminController.uploadFile
 );
 
 router.post('/upload/thumbnail',
+  requirePermission('files.upload'),
+  audit('file.upload', 'file'),
   uploadImage.single('thumbnail'),
   adminController.uploadFile
 );
 
 // Multi-file upload for content
 router.post('/upload/content',
+  requirePermission('files.upload'),
+  audit('file.upload', 'file'),
   uploadContent,
   adminController.uploadContentFiles
 );
 
 // Analytics and Stats Routes
 router.get('/stats/overview',
+  requirePermission('stats.read'),
   adminController.getOverviewStats
 );
 
 router.get('/stats/content',
+  requirePermission('stats.read'),
   adminController.getContentStats
 );
 
 router.get('/stats/users',
+  requirePermission('stats.read'),
   adminController.getUserStats
 );
 
 router.get('/stats/engagement',
+  requirePermission('stats.read'),
   adminController.getEngagementStats
 );
 
 // System Management Routes
 router.get('/system/health',
+  requirePermission('system.manage'),
   adminController.getSystemHealth
 );
 
 router.post('/system/cache/clear',
+  requirePermission('system.manage'),
   writeSlowDown,
+  audit('cache.clear', 'cache'),
   adminController.clearCache
 );
 
 // Category Management Routes
 router.get('/categories',
+  requirePermission('content.read'),
   validate(categoryListSchema),
   adminController.getCategoryList
 );
 
 router.post('/categories',
+  requirePermission('categories.write'),
   writeSlowDown,
   validate(createCategorySchema),
+  audit('category.create', 'category'),
   adminController.createCategory
 );
 
 router.get('/categories/:id',
+  requirePermission('content.read'),
   validate(categoryIdSchema),
   adminController.getCategoryById
 );
 
 router.put('/categories/:id',
+  requirePermission('categories.write'),
   writeSlowDown,
   validate(updateCategorySchema),
+  audit('category.update', 'category'),
   adminController.updateCategory
 );
 
 router.delete('/categories/:id',
+  requirePermission('categories.write'),
   validate(categoryIdSchema),
+  audit('category.delete', 'category'),
   adminController.deleteCategory
 );
 
 router.get('/categories/:id/content',
+  requirePermission('content.read'),
   validate(categoryContentSchema),
   adminController.getCategoryContent
 );
 
 // Category Statistics Routes
 router.get('/stats/categories',
+  requirePermission('stats.read'),
   adminController.getCategoryStats
 );
 
 router.post('/categories/update-counts',
+  requirePermission('categories.write'),
   writeSlowDown,
+  audit('category.update_counts', 'category'),
   adminController.updateCategoryContentCounts
 );
 
@@ -1,17 +1,28 @@
 const express = require('express');
 const { authController } = require('../controllers');
-const { authGuard, authRateLimit, writeSlowDown } = require('../middlewares');
+const { authGuard, parentGuard, authRateLimit, writeSlowDown } = require('../middlewares');
 const {
   validate,
   googleAuthSchema,
+  providerAuthSchema,
+  linkIdentitySchema,
+  unlinkIdentitySchema,
   refreshTokenSchema,
   logoutSchema,
   updateProfileSchema,
   registerSchema,
   loginSchema,
+  magicLinkSchema,
+  verifyMagicLinkSchema,
   verifyEmailSchema,
+  unlockAccountSchema,
   forgotPasswordSchema,
-  resetPasswordSchema
+  resetPasswordSchema,
+  sessionIdSchema,
+  setParentPinSchema,
+  verifyParentPinSchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema
 } = require('../validators');
 
 const router = express.Router();
@@ -30,6 +41,27 @@ router.post('/login',
   authController.login
 );
 
+// Finish login with a two-factor code
+router.post('/login/2fa',
+  authRateLimit,
+  validate(twoFactorLoginSchema),
+  authController.verifyTwoFactorLogin
+);
+
+// Request a passwordless sign-in link
+router.post('/magic-link',
+  authRateLimit,
+  validate(magicLinkSchema),
+  authController.requestMagicLink
+);
+
+// Sign in with a magic link
+router.post('/magic-link/verify',
+  authRateLimit,
+  validate(verifyMagicLinkSchema),
+  authController.verifyMagicLink
+);
+
 // Verify email
 router.post('/verify-email',
   authRateLimit,
@@ -51,6 +83,13 @@ router.post('/reset-password',
   authController.resetPassword
 );
 
+// Lift a sign-in lockout from the unlock email
+router.post('/unlock',
+  authRateLimit,
+  validate(unlockAccountSchema),
+  authController.unlockAccount
+);
+
 // Google authentication
 router.post('/google', 
   authRateLimit,
@@ -58,6 +97,13 @@ router.post('/google',
   authController.googleAuth
 );
 
+// OpenID Connect provider authentication
+router.post('/oidc/:provider',
+  authRateLimit,
+  validate(providerAuthSchema),
+  authController.providerAuth
+);
+
 // Refresh access token
 router.post('/refresh',
   authRateLimit,
@@ -78,12 +124,128 @@ router.get('/me',
   authController.getProfile
 );
 
-// Update user profile (protected)
+// Update user profile (protected, parent only)
 router.patch('/me',
   authGuard,
+  parentGuard,
   writeSlowDown,
   validate(updateProfileSchema),
   authController.updateProfile
 );
 
+// Export all account data (protected, parent only)
+router.get('/me/export',
+  authGuard,
+  parentGuard,
+  authRateLimit,
+  authController.exportAccount
+);
+
+// Request account deletion (protected, parent only)
+router.delete('/me',
+  authGuard,
+  parentGuard,
+  authRateLimit,
+  authController.deleteAccount
+);
+
+// Cancel a pending account deletion (protected)
+router.post('/me/restore',
+  authGuard,
+  authRateLimit,
+  authController.restoreAccount
+);
+
+// List signed-in devices (protected)
+router.get('/sessions',
+  authGuard,
+  authController.getSessions
+);
+
+// Sign out a device (protected, parent only)
+router.delete('/sessions/:sessionId',
+  authGuard,
+  parentGuard,
+  writeSlowDown,
+  validate(sessionIdSchema),
+  authController.revokeSession
+);
+
+// List linked sign-in methods (protected)
+router.get('/identities',
+  authGuard,
+  authController.getIdentities
+);
+
+// Link a sign-in provider (protected, parent only)
+router.post('/identities/:provider',
+  authGuard,
+  parentGuard,
+  authRateLimit,
+  validate(linkIdentitySchema),
+  authController.linkIdentity
+);
+
+// Unlink a sign-in provider (protected, parent only)
+router.delete('/identities/:provider',
+  authGuard,
+  parentGuard,
+  writeSlowDown,
+  validate(unlinkIdentitySchema),
+  authController.unlinkIdentity
+);
+
+// Set or change the parent PIN (protected)
+router.put('/pin',
+  authGuard,
+  authRateLimit,
+  validate(setParentPinSchema),
+  authController.setParentPin
+);
+
+// Exchange the parent PIN for a parent token (protected)
+router.post('/pin/verify',
+  authGuard,
+  authRateLimit,
+  validate(verifyParentPinSchema),
+  authController.verifyParentPin
+);
+
+// Two-factor status (protected)
+router.get('/2fa',
+  authGuard,
+  authController.getTwoFactorStatus
+);
+
+// Start two-factor enrollment (protected, admins)
+router.post('/2fa/setup',
+  authGuard,
+  authRateLimit,
+  authController.setupTwoFactor
+);
+
+// Confirm two-factor enrollment (protected)
+router.post('/2fa/enable',
+  authGuard,
+  authRateLimit,
+  validate(twoFactorCodeSchema),
+  authController.enableTwoFactor
+);
+
+// Replace recovery codes (protected)
+router.post('/2fa/recovery-codes',
+  authGuard,
+  authRateLimit,
+  validate(twoFactorCodeSchema),
+  authController.regenerateRecoveryCodes
+);
+
+// Turn off two-factor authentication (protected)
+router.post('/2fa/disable',
+  authGuard,
+  authRateLimit,
+  validate(twoFactorCodeSchema),
+  authController.disableTwoFactor
+);
+
 module.exports = router;
@@ -3,15 +3,19 @@ const { contentController } = require('../controllers');
 const { 
   authGuard, 
   optionalAuthGuard, 
-  adminGuard, 
+  requirePermission, 
   publicRateLimit, 
   userRateLimit,
   contentCache,
-  exploreCache 
+  seriesCache,
+  exploreCache,
+  languageNegotiation
 } = require('../middlewares');
 const { 
   validate, 
   contentSlugSchema, 
+  contentTranscriptSchema, 
+  seriesSlugSchema, 
   incrementPopularitySchema 
 } = require('../validators');
 
@@ -24,15 +28,33 @@ router.get('/categories',
   contentController.getCategories
 );
 
+// Get a series with its published episodes in order
+router.get('/series/:slug',
+  publicRateLimit,
+  optionalAuthGuard,
+  seriesCache,
+  validate(seriesSlugSchema),
+  contentController.getSeries
+);
+
 // Get content by slug
 router.get('/:slug',
   publicRateLimit,
   optionalAuthGuard,
+  languageNegotiation,
   contentCache,
   validate(contentSlugSchema),
   contentController.getContent
 );
 
+// Get the read-along transcript as JSON or WebVTT (?format=vtt)
+router.get('/:slug/transcript',
+  publicRateLimit,
+  optionalAuthGuard,
+  validate(contentTranscriptSchema),
+  contentController.getTranscript
+);
+
 // Increment content popularity (requires auth)
 router.post('/:slug/play',
   authGuard,
@@ -44,7 +66,7 @@ router.post('/:slug/play',
 // Admin only routes
 router.get('/admin/stats',
   authGuard,
-  adminGuard,
+  requirePermission('stats.read'),
   contentController.getContentStats
 );
 
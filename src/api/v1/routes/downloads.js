@@ -0,0 +1,52 @@
+const express = require('express');
+const { downloadController } = require('../controllers');
+const { authGuard, userRateLimit, writeSlowDown } = require('../middlewares');
+const {
+  validate,
+  requestDownloadSchema,
+  getDownloadsSchema,
+  downloadIdSchema,
+  deviceIdSchema
+} = require('../validators');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authGuard);
+router.use(userRateLimit);
+
+// Get active downloads (optionally for one device or kid)
+router.get('/',
+  validate(getDownloadsSchema),
+  downloadController.getDownloads
+);
+
+// Request a download license
+router.post('/',
+  writeSlowDown,
+  validate(requestDownloadSchema),
+  downloadController.requestDownload
+);
+
+// Revoke all downloads on a device
+router.delete('/devices/:deviceId',
+  writeSlowDown,
+  validate(deviceIdSchema),
+  downloadController.revokeDevice
+);
+
+// Renew a download license
+router.post('/:licenseId/renew',
+  writeSlowDown,
+  validate(downloadIdSchema),
+  downloadController.renewDownload
+);
+
+// Revoke a download license
+router.delete('/:licenseId',
+  writeSlowDown,
+  validate(downloadIdSchema),
+  downloadController.revokeDownload
+);
+
+module.exports = router;
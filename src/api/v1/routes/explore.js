@@ -3,7 +3,8 @@ const { contentController } = require('../controllers');
 const { 
   publicRateLimit, 
   optionalAuthGuard,
-  exploreCache 
+  exploreCache,
+  languageNegotiation
 } = require('../middlewares');
 const { 
   validate, 
@@ -25,6 +26,7 @@ router.get('/categories',
 
 // Get content list with filters and pagination
 router.get('/list',
+  languageNegotiation,
   exploreCache,
   validate(exploreListSchema),
   contentController.getContentList
@@ -2,7 +2,7 @@ const express = require('express');
 const { favoriteController } = require('../controllers');
 const { 
   authGuard, 
-  adminGuard, 
+  requirePermission, 
   userRateLimit, 
   writeSlowDown,
   favoritesCache 
@@ -70,7 +70,7 @@ router.delete('/kids/:id/all',
 
 // Admin routes
 router.get('/admin/most-favorited',
-  adminGuard,
+  requirePermission('stats.read'),
   favoriteController.getMostFavorited
 );
 
@@ -3,7 +3,8 @@ const { contentController } = require('../controllers');
 const { 
   authGuard, 
   userRateLimit,
-  homeCache 
+  homeCache,
+  languageNegotiation
 } = require('../middlewares');
 const { 
   validate, 
@@ -18,6 +19,7 @@ router.use(userRateLimit);
 
 // Get home page content (highlights + recommendations)
 router.get('/',
+  languageNegotiation,
   homeCache,
   validate(homeContentSchema),
   contentController.getHomeContent
@@ -0,0 +1,92 @@
+const express = require('express');
+const { householdController } = require('../controllers');
+const { authGuard, parentGuard, userRateLimit, writeSlowDown } = require('../middlewares');
+const {
+  validate,
+  householdSchema,
+  inviteMemberSchema,
+  invitationIdSchema,
+  joinHouseholdSchema,
+  memberIdSchema,
+  updateMemberSchema
+} = require('../validators');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authGuard);
+router.use(userRateLimit);
+
+// Get current household
+router.get('/', householdController.getHousehold);
+
+// Create household
+router.post('/',
+  parentGuard,
+  writeSlowDown,
+  validate(householdSchema),
+  householdController.createHousehold
+);
+
+// Rename household (owners)
+router.patch('/',
+  parentGuard,
+  writeSlowDown,
+  validate(householdSchema),
+  householdController.updateHousehold
+);
+
+// Delete household (owners)
+router.delete('/',
+  parentGuard,
+  writeSlowDown,
+  householdController.deleteHousehold
+);
+
+// Invite a guardian (owners)
+router.post('/invitations',
+  parentGuard,
+  writeSlowDown,
+  validate(inviteMemberSchema),
+  householdController.inviteMember
+);
+
+// Revoke an invitation (owners)
+router.delete('/invitations/:invitationId',
+  parentGuard,
+  writeSlowDown,
+  validate(invitationIdSchema),
+  householdController.revokeInvitation
+);
+
+// Accept an invitation (the account email must match, so no parent PIN is needed)
+router.post('/join',
+  writeSlowDown,
+  validate(joinHouseholdSchema),
+  householdController.joinHousehold
+);
+
+// Leave household
+router.post('/leave',
+  parentGuard,
+  writeSlowDown,
+  householdController.leaveHousehold
+);
+
+// Change a member's role (owners)
+router.patch('/members/:userId',
+  parentGuard,
+  writeSlowDown,
+  validate(updateMemberSchema),
+  householdController.updateMember
+);
+
+// Remove a member (owners)
+router.delete('/members/:userId',
+  parentGuard,
+  writeSlowDown,
+  validate(memberIdSchema),
+  householdController.removeMember
+);
+
+module.exports = router;
@@ -11,6 +11,9 @@ const subscriptionRoutes = require('./subscription');
 const paymentRoutes = require('./payment');
 const internalRoutes = require('./internal');
 const adminRoutes = require('./admin');
+const mediaRoutes = require('./media');
+const downloadRoutes = require('./downloads');
+const householdRoutes = require('./households');
 const healthRoutes = require('./health');
 
 const router = express.Router();
@@ -22,10 +25,13 @@ router.use('/content', contentRoutes);
 router.use('/explore', exploreRoutes);
 router.use('/home', homeRoutes);
 router.use('/favorites', favoriteRoutes);
+router.use('/downloads', downloadRoutes);
+router.use('/households', householdRoutes);
 router.use('/subscription', subscriptionRoutes);
 router.use('/payment', paymentRoutes);
 router.use('/internal', internalRoutes);
 router.use('/admin', adminRoutes);
+router.use('/media', mediaRoutes);
 
 // Health routes at root level
 router.use('/', healthRoutes);
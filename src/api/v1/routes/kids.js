@@ -1,12 +1,24 @@
 const express = require('express');
-const { kidController } = require('../controllers');
-const { authGuard, userRateLimit, writeSlowDown } = require('../middlewares');
+const { kidController, listeningController, routineController, bedtimeController } = require('../controllers');
+const { authGuard, parentGuard, userRateLimit, writeSlowDown } = require('../middlewares');
 const { 
   validate, 
   createKidSchema, 
   updateKidSchema, 
   kidIdSchema, 
-  updatePreferencesSchema 
+  updatePreferencesSchema,
+  startSessionSchema,
+  sessionProgressSchema,
+  completeSessionSchema,
+  kidSessionsSchema,
+  contentProgressSchema,
+  seriesProgressSchema,
+  routineIdSchema,
+  createRoutineSchema,
+  updateRoutineSchema,
+  generateRoutineSchema,
+  updateBedtimeSchema,
+  reminderIdSchema
 } = require('../validators');
 
 const router = express.Router();
@@ -38,8 +50,9 @@ router.patch('/:id',
   kidController.updateKid
 );
 
-// Delete kid profile
+// Delete kid profile (parent only)
 router.delete('/:id',
+  parentGuard,
   writeSlowDown,
   validate(kidIdSchema),
   kidController.deleteKid
@@ -58,4 +71,105 @@ router.put('/:id/preferences',
   kidController.updatePreferences
 );
 
+// Get listening history for kid
+router.get('/:id/sessions',
+  validate(kidSessionsSchema),
+  listeningController.getSessions
+);
+
+// Start listening session
+router.post('/:id/sessions',
+  validate(startSessionSchema),
+  listeningController.startSession
+);
+
+// Record playback progress (heartbeat)
+router.post('/:id/sessions/:sessionId/heartbeat',
+  validate(sessionProgressSchema),
+  listeningController.recordProgress
+);
+
+// Complete listening session
+router.post('/:id/sessions/:sessionId/complete',
+  validate(completeSessionSchema),
+  listeningController.completeSession
+);
+
+// Get playback progress for content (resume position)
+router.get('/:id/progress/:contentId',
+  validate(contentProgressSchema),
+  listeningController.getProgress
+);
+
+// Get progress through a series (episodes listened, next episode)
+router.get('/:id/series/:slug/progress',
+  validate(seriesProgressSchema),
+  listeningController.getSeriesProgress
+);
+
+// Get bedtime routines for kid
+router.get('/:id/routines',
+  validate(kidIdSchema),
+  routineController.getRoutines
+);
+
+// Create bedtime routine
+router.post('/:id/routines',
+  writeSlowDown,
+  validate(createRoutineSchema),
+  routineController.createRoutine
+);
+
+// Generate bedtime routine from kid's age range and preferences
+router.post('/:id/routines/generate',
+  writeSlowDown,
+  validate(generateRoutineSchema),
+  routineController.generateRoutine
+);
+
+// Get bedtime routine by ID
+router.get('/:id/routines/:routineId',
+  validate(routineIdSchema),
+  routineController.getRoutine
+);
+
+// Update bedtime routine
+router.patch('/:id/routines/:routineId',
+  writeSlowDown,
+  validate(updateRoutineSchema),
+  routineController.updateRoutine
+);
+
+// Delete bedtime routine
+router.delete('/:id/routines/:routineId',
+  writeSlowDown,
+  validate(routineIdSchema),
+  routineController.deleteRoutine
+);
+
+// Get bedtime settings for kid
+router.get('/:id/bedtime',
+  validate(kidIdSchema),
+  bedtimeController.getSettings
+);
+
+// Update bedtime settings (bedtime, timezone, wind-down, sleep timer, days)
+router.patch('/:id/bedtime',
+  writeSlowDown,
+  validate(updateBedtimeSchema),
+  bedtimeController.updateSettings
+);
+
+// Poll recent and upcoming bedtime reminders
+router.get('/:id/reminders',
+  validate(kidIdSchema),
+  bedtimeController.getReminders
+);
+
+// Acknowledge a bedtime reminder
+router.post('/:id/reminders/:reminderId/ack',
+  validate(reminderIdSchema),
+  bedtimeController.acknowledgeReminder
+);
+
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const { mediaController } = require('../controllers');
+
+const router = express.Router();
+
+// Serve media from signed URLs (the signature is the credential, so players
+// that cannot send an Authorization header still work)
+router.get('/*',
+  mediaController.getMedia
+);
+
+module.exports = router;
@@ -10,7 +10,7 @@ const {
   handlePaymentCallback,
   getPaymentServiceStatus
 } = require('../controllers/paymentController');
-const { authGuard } = require('../middlewares');
+const { authGuard, parentGuard } = require('../middlewares');
 const { validate } = require('../validators');
 const { body, query } = require('express-validator');
 
@@ -113,7 +113,7 @@ const { body, query } = require('express-validator');
  *                     packageId:
  *                       type: string
  */
-router.get('/status', authGuard, getPaymentServiceStatus);
+router.get('/status', authGuard, parentGuard, getPaymentServiceStatus);
 
 /**
  * @swagger
@@ -154,7 +154,7 @@ router.get('/status', authGuard, getPaymentServiceStatus);
  *                           type:
  *                             type: string
  */
-router.get('/plans', authGuard, getSubscriptionPlans);
+router.get('/plans', authGuard, parentGuard, getSubscriptionPlans);
 
 /**
  * @swagger
@@ -213,6 +213,7 @@ router.get('/plans', authGuard, getSubscriptionPlans);
  */
 router.post('/order',
   authGuard,
+  parentGuard,
   [
     body('amount')
       .isNumeric()
@@ -282,6 +283,7 @@ router.post('/order',
  */
 router.post('/subscription',
   authGuard,
+  parentGuard,
   [
     body('planType')
       .isIn(['trial', 'monthly', 'yearly'])
@@ -331,6 +333,7 @@ router.post('/subscription',
  */
 router.get('/orders',
   authGuard,
+  parentGuard,
   [
     query('page')
       .optional()
@@ -391,6 +394,7 @@ router.get('/orders',
  */
 router.get('/subscriptions',
   authGuard,
+  parentGuard,
   [
     query('page')
       .optional()
@@ -444,6 +448,7 @@ router.get('/subscriptions',
  */
 router.post('/verify',
   authGuard,
+  parentGuard,
   [
     body('razorpay_order_id')
       .notEmpty()
@@ -493,6 +498,7 @@ router.post('/verify',
  *       200:
  *         description: Callback processed successfully
  */
+// Called by the payment flow itself, not the signed-in app, so no parent PIN
 router.post('/callback', handlePaymentCallback);
 
 module.exports = router;
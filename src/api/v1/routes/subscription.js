@@ -2,7 +2,8 @@ const express = require('express');
 const { subscriptionController } = require('../controllers');
 const { 
   authGuard, 
-  adminGuard, 
+  parentGuard,
+  requirePermission, 
   userRateLimit, 
   writeSlowDown 
 } = require('../middlewares');
@@ -29,15 +30,16 @@ router.post('/checkout',
   subscriptionController.createCheckout
 );
 
-// Cancel subscription
+// Cancel subscription (parent only)
 router.post('/cancel',
+  parentGuard,
   writeSlowDown,
   subscriptionController.cancelSubscription
 );
 
 // Admin routes
 router.get('/admin/stats',
-  adminGuard,
+  requirePermission('orders.read'),
   subscriptionController.getSubscriptionStats
 );
 
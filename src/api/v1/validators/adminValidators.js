@@ -1,4 +1,12 @@
 const { z } = require('zod');
+const { ROLES } = require('../../../utils/permissions');
+const { queryBoolean } = require('./fields');
+
+// Media location: an absolute URL or a path from the upload endpoints (/uploads/...)
+const assetUrl = z.string().refine(
+  value => value.startsWith('/') || z.string().url().safeParse(value).success,
+  'Must be a URL or an uploaded file path'
+);
 
 // Content validation schemas
 const createContentSchema = z.object({
@@ -6,18 +14,20 @@ const createContentSchema = z.object({
     categoryId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid category ID'),
     type: z.enum(['story', 'affirmation', 'meditation', 'music']),
     title: z.string().min(1).max(200),
+    description: z.string().max(1000).optional(),
     slug: z.string().optional(),
     durationSec: z.number().int().min(1).max(3600),
     ageRange: z.enum(['3-5', '6-8', '9-12']),
     tags: z.array(z.enum(['folk_tales', 'affirmations', 'meditations', 'music', 'adventure', 'fantasy', 'educational', 'calming'])).optional(),
     language: z.string().default('en'),
     region: z.string().default('US'),
-    audioUrl: z.string().url(),
-    videoUrl: z.string().url().optional(),
-    imageUrl: z.string().url(),
-    thumbnailUrl: z.string().url().optional(),
+    audioUrl: assetUrl,
+    videoUrl: assetUrl.optional(),
+    imageUrl: assetUrl,
+    thumbnailUrl: assetUrl.optional(),
     isFeatured: z.boolean().default(false),
     isActive: z.boolean().default(true),
+    accessTier: z.enum(['free', 'premium']).default('free'),
     mediaMetadata: z.object({
       audioFormat: z.enum(['mp3', 'wav', 'aac', 'm4a']).optional(),
       videoFormat: z.enum(['mp4', 'webm', 'avi', 'mov']).optional(),
@@ -41,18 +51,20 @@ const updateContentSchema = z.object({
     categoryId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid category ID').optional(),
     type: z.enum(['story', 'affirmation', 'meditation', 'music']).optional(),
     title: z.string().min(1).max(200).optional(),
+    description: z.string().max(1000).optional(),
     slug: z.string().optional(),
     durationSec: z.number().int().min(1).max(3600).optional(),
     ageRange: z.enum(['3-5', '6-8', '9-12']).optional(),
     tags: z.array(z.enum(['folk_tales', 'affirmations', 'meditations', 'music', 'adventure', 'fantasy', 'educational', 'calming'])).optional(),
     language: z.string().optional(),
     region: z.string().optional(),
-    audioUrl: z.string().url().optional(),
-    videoUrl: z.string().url().optional(),
-    imageUrl: z.string().url().optional(),
-    thumbnailUrl: z.string().url().optional(),
+    audioUrl: assetUrl.optional(),
+    videoUrl: assetUrl.optional(),
+    imageUrl: assetUrl.optional(),
+    thumbnailUrl: assetUrl.optional(),
     isFeatured: z.boolean().optional(),
     isActive: z.boolean().optional(),
+    accessTier: z.enum(['free', 'premium']).optional(),
     mediaMetadata: z.object({
       audioFormat: z.enum(['mp3', 'wav', 'aac', 'm4a']).optional(),
       videoFormat: z.enum(['mp4', 'webm', 'avi', 'mov']).optional(),
@@ -68,19 +80,55 @@ const updateContentSchema = z.object({
   }),
 });
 
+const adminContentListSchema = z.object({
+  query: z.object({
+    q: z.string().optional(),
+    type: z.enum(['story', 'affirmation', 'meditation', 'music']).optional(),
+    ageRange: z.enum(['3-5', '6-8', '9-12']).optional(),
+    isActive: queryBoolean.optional(),
+    isFeatured: queryBoolean.optional(),
+    accessTier: z.enum(['free', 'premium']).optional(),
+    status: z.enum(['draft', 'in_review', 'scheduled', 'published', 'archived']).optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    offset: z.coerce.number().int().min(0).default(0),
+    sort: z.enum(['createdAt', 'updatedAt', 'publishedAt', 'title', 'popularityScore', 'durationSec']).default('createdAt'),
+    order: z.enum(['asc', 'desc']).default('desc'),
+  }),
+});
+
 const contentIdSchema = z.object({
   params: z.object({
     id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID'),
   }),
 });
 
+const contentStatusSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID'),
+  }),
+  body: z.object({
+    status: z.enum(['draft', 'in_review', 'scheduled', 'published', 'archived']),
+    publishAt: z.string().datetime({ offset: true }).optional(),
+    comment: z.string().max(2000).optional(),
+  }),
+});
+
+const contentCommentSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID'),
+  }),
+  body: z.object({
+    body: z.string().min(1).max(2000),
+  }),
+});
+
 // User validation schemas
 const adminUserListSchema = z.object({
   query: z.object({
     q: z.string().optional(),
     plan: z.enum(['free', 'premium', 'family']).optional(),
     status: z.enum(['active', 'inactive', 'cancelled', 'past_due']).optional(),
-    provider: z.enum(['google', 'local']).optional(),
+    provider: z.string().regex(/^[a-z0-9_-]{1,40}$/, 'Invalid provider').optional(),
     limit: z.string().regex(/^\d+$/).transform(Number).refine(n => n >= 1 && n <= 100).optional(),
     offset: z.string().regex(/^\d+$/).transform(Number).optional(),
     sort: z.enum(['createdAt', 'lastLoginAt', 'email', 'name']).optional(),
@@ -88,6 +136,52 @@ const adminUserListSchema = z.object({
   }),
 });
 
+const userRolesSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID'),
+  }),
+  body: z.object({
+    roles: z.array(z.enum(ROLES)).min(1),
+  }),
+});
+
+const orderListSchema = z.object({
+  query: z.object({
+    userId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID').optional(),
+    status: z.enum(['created', 'attempted', 'paid', 'failed', 'cancelled', 'refunded']).optional(),
+    from: z.string().datetime({ offset: true }).optional(),
+    to: z.string().datetime({ offset: true }).optional(),
+    limit: z.string().regex(/^\d+$/).transform(Number).refine(n => n >= 1 && n <= 100).optional(),
+    offset: z.string().regex(/^\d+$/).transform(Number).optional(),
+  }),
+});
+
+const lockoutListSchema = z.object({
+  query: z.object({
+    limit: z.string().regex(/^\d+$/).transform(Number).refine(n => n >= 1 && n <= 100).optional(),
+    offset: z.string().regex(/^\d+$/).transform(Number).optional(),
+  }),
+});
+
+const lockoutUserIdSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID'),
+  }),
+});
+
+const auditListSchema = z.object({
+  query: z.object({
+    actorId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID').optional(),
+    action: z.string().max(100).optional(),
+    targetType: z.enum(['content', 'user', 'category', 'series', 'file', 'cache']).optional(),
+    targetId: z.string().max(100).optional(),
+    from: z.string().datetime({ offset: true }).optional(),
+    to: z.string().datetime({ offset: true }).optional(),
+    limit: z.string().regex(/^\d+$/).transform(Number).refine(n => n >= 1 && n <= 100).optional(),
+    offset: z.string().regex(/^\d+$/).transform(Number).optional(),
+  }),
+});
+
 const updateUserSchema = z.object({
   params: z.object({
     id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID'),
@@ -95,7 +189,6 @@ const updateUserSchema = z.object({
   body: z.object({
     name: z.string().min(1).max(100).optional(),
     email: z.string().email().optional(),
-    roles: z.array(z.enum(['user', 'admin'])).optional(),
     isEmailVerified: z.boolean().optional(),
     subscription: z.object({
       plan: z.enum(['free', 'premium', 'family']).optional(),
@@ -118,12 +211,23 @@ const bulkUpdateContentSchema = z.object({
     updates: z.object({
       isActive: z.boolean().optional(),
       isFeatured: z.boolean().optional(),
+      accessTier: z.enum(['free', 'premium']).optional(),
       tags: z.array(z.enum(['folk_tales', 'affirmations', 'meditations', 'music', 'adventure', 'fantasy', 'educational', 'calming'])).optional(),
     }).refine(obj => Object.keys(obj).length > 0, 'At least one update field is required'),
   }),
 });
 
 // Category validation schemas
+
+// Localized name and description by language code
+const categoryTranslationsSchema = z.record(
+  z.string().regex(/^[a-z]{2}$/, 'Invalid language code'),
+  z.object({
+    name: z.string().min(1).max(100),
+    description: z.string().max(500).optional(),
+  })
+);
+
 const createCategorySchema = z.object({
   body: z.object({
     name: z.string().min(1, 'Name is required').max(100, 'Name must be less than 100 characters'),
@@ -134,8 +238,9 @@ const createCategorySchema = z.object({
     metadata: z.object({
       color: z.string().regex(/^#[0-9A-F]{6}$/i, 'Color must be a valid hex color').default('#6366f1'),
       icon: z.string().min(1).default('folder'),
-      imageUrl: z.string().url().optional(),
+      imageUrl: assetUrl.optional(),
     }).optional(),
+    translations: categoryTranslationsSchema.optional(),
   }),
 });
 
@@ -152,8 +257,9 @@ const updateCategorySchema = z.object({
     metadata: z.object({
       color: z.string().regex(/^#[0-9A-F]{6}$/i, 'Color must be a valid hex color').optional(),
       icon: z.string().min(1).optional(),
-      imageUrl: z.string().url().optional(),
+      imageUrl: assetUrl.optional(),
     }).optional(),
+    translations: categoryTranslationsSchema.optional(),
   }).refine(obj => Object.keys(obj).length > 0, 'At least one update field is required'),
 });
 
@@ -169,7 +275,7 @@ const categoryListSchema = z.object({
     offset: z.coerce.number().int().min(0).default(0),
     sort: z.enum(['name', 'createdAt', 'updatedAt', 'contentCount', 'sortOrder']).default('sortOrder'),
     order: z.enum(['asc', 'desc']).default('asc'),
-    isActive: z.coerce.boolean().optional(),
+    isActive: queryBoolean.optional(),
     q: z.string().min(1).optional(), // search query
   }),
 });
@@ -186,12 +292,95 @@ const categoryContentSchema = z.object({
   }),
 });
 
+// Content translation group
+const contentTranslationSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID'),
+  }),
+  body: z.object({
+    translationOf: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID'),
+  }),
+});
+
+// Transcript upload: a multipart `file` or the file contents in `transcript`
+const uploadTranscriptSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID'),
+  }),
+  body: z.object({
+    format: z.enum(['srt', 'vtt', 'json']).optional(),
+    transcript: z.string().optional(),
+  }),
+});
+
+// Series validation schemas
+const createSeriesSchema = z.object({
+  body: z.object({
+    title: z.string().min(1, 'Title is required').max(200),
+    slug: z.string().max(200).optional(),
+    description: z.string().max(2000).optional(),
+    imageUrl: z.string().optional(),
+    ageRange: z.enum(['3-5', '6-8', '9-12']).optional(),
+    isActive: z.boolean().optional(),
+    contentIds: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID')).max(100).optional(),
+  }),
+});
+
+const updateSeriesSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid series ID'),
+  }),
+  body: z.object({
+    title: z.string().min(1).max(200).optional(),
+    slug: z.string().max(200).optional(),
+    description: z.string().max(2000).optional(),
+    imageUrl: z.string().optional(),
+    ageRange: z.enum(['3-5', '6-8', '9-12']).optional(),
+    isActive: z.boolean().optional(),
+  }).refine(obj => Object.keys(obj).length > 0, 'At least one update field is required'),
+});
+
+const seriesIdSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid series ID'),
+  }),
+});
+
+const seriesListSchema = z.object({
+  query: z.object({
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    offset: z.coerce.number().int().min(0).default(0),
+    isActive: queryBoolean.optional(),
+    q: z.string().min(1).optional(),
+  }),
+});
+
+// Episodes in play order; replaces the whole list
+const seriesEpisodesSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid series ID'),
+  }),
+  body: z.object({
+    contentIds: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID')).max(100),
+  }),
+});
+
 module.exports = {
   createContentSchema,
   updateContentSchema,
+  adminContentListSchema,
   contentIdSchema,
+  contentStatusSchema,
+  contentCommentSchema,
+  contentTranslationSchema,
+  uploadTranscriptSchema,
   adminUserListSchema,
   updateUserSchema,
+  userRolesSchema,
+  orderListSchema,
+  lockoutListSchema,
+  lockoutUserIdSchema,
+  auditListSchema,
   uploadFileSchema,
   bulkUpdateContentSchema,
   createCategorySchema,
@@ -199,4 +388,9 @@ module.exports = {
   categoryIdSchema,
   categoryListSchema,
   categoryContentSchema,
+  createSeriesSchema,
+  updateSeriesSchema,
+  seriesIdSchema,
+  seriesListSchema,
+  seriesEpisodesSchema,
 };
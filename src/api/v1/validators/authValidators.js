@@ -1,9 +1,47 @@
 const { z } = require('zod');
 
+// Device details sent when signing in (see sessionService)
+const deviceFields = {
+  deviceId: z.string().trim().min(1).max(100).optional(),
+  deviceName: z.string().trim().min(1).max(100).optional(),
+};
+
 // Google authentication validator
 const googleAuthSchema = z.object({
   body: z.object({
     idToken: z.string().min(1, 'Google ID token is required'),
+    ...deviceFields,
+  }),
+});
+
+// Identity provider name (google or a configured OIDC issuer)
+const providerName = z.string().regex(/^[a-z0-9_-]{1,40}$/, 'Invalid sign-in provider');
+
+// Identity provider (OpenID Connect) authentication validator
+const providerAuthSchema = z.object({
+  params: z.object({
+    provider: providerName,
+  }),
+  body: z.object({
+    idToken: z.string().min(1, 'ID token is required'),
+    ...deviceFields,
+  }),
+});
+
+// Link an identity provider validator
+const linkIdentitySchema = z.object({
+  params: z.object({
+    provider: providerName,
+  }),
+  body: z.object({
+    idToken: z.string().min(1, 'ID token is required'),
+  }),
+});
+
+// Unlink an identity provider validator
+const unlinkIdentitySchema = z.object({
+  params: z.object({
+    provider: providerName,
   }),
 });
 
@@ -35,6 +73,7 @@ const registerSchema = z.object({
     password: z.string().min(6, 'Password must be at least 6 characters').max(100),
     name: z.string().min(1, 'Name is required').max(100),
     confirmPassword: z.string(),
+    ...deviceFields,
   }).refine((data) => data.password === data.confirmPassword, {
     message: "Passwords don't match",
     path: ["confirmPassword"],
@@ -46,6 +85,22 @@ const loginSchema = z.object({
   body: z.object({
     email: z.string().email('Invalid email format'),
     password: z.string().min(1, 'Password is required'),
+    ...deviceFields,
+  }),
+});
+
+// Request magic link validator
+const magicLinkSchema = z.object({
+  body: z.object({
+    email: z.string().email('Invalid email format'),
+  }),
+});
+
+// Sign in with magic link validator
+const verifyMagicLinkSchema = z.object({
+  body: z.object({
+    token: z.string().min(1, 'Sign-in token is required'),
+    ...deviceFields,
   }),
 });
 
@@ -75,14 +130,76 @@ const verifyEmailSchema = z.object({
   }),
 });
 
+// Unlock account validator
+const unlockAccountSchema = z.object({
+  body: z.object({
+    token: z.string().min(1, 'Unlock token is required'),
+  }),
+});
+
+const pin = z.string().regex(/^\d{4,6}$/, 'PIN must be 4 to 6 digits');
+
+// Set parent PIN validator
+const setParentPinSchema = z.object({
+  body: z.object({
+    pin,
+    currentPin: pin.optional(),
+    password: z.string().min(1).optional(),
+  }),
+});
+
+// Verify parent PIN validator
+const verifyParentPinSchema = z.object({
+  body: z.object({
+    pin,
+  }),
+});
+
+// Authenticator code (6 digits) or recovery code (xxxxx-xxxxx)
+const twoFactorCode = z.string().trim().min(6, 'Two-factor code is required').max(20, 'Two-factor code too long');
+
+// Finish sign-in with a second factor validator
+const twoFactorLoginSchema = z.object({
+  body: z.object({
+    twoFactorToken: z.string().min(1, 'Two-factor token is required'),
+    code: twoFactorCode,
+    ...deviceFields,
+  }),
+});
+
+// Two-factor code validator (enable, disable, new recovery codes)
+const twoFactorCodeSchema = z.object({
+  body: z.object({
+    code: twoFactorCode,
+  }),
+});
+
+// Session ID validator
+const sessionIdSchema = z.object({
+  params: z.object({
+    sessionId: z.string().uuid('Invalid session ID'),
+  }),
+});
+
 module.exports = {
   googleAuthSchema,
+  providerAuthSchema,
+  linkIdentitySchema,
+  unlinkIdentitySchema,
   refreshTokenSchema,
   logoutSchema,
   updateProfileSchema,
   registerSchema,
   loginSchema,
+  magicLinkSchema,
+  verifyMagicLinkSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
   verifyEmailSchema,
+  unlockAccountSchema,
+  sessionIdSchema,
+  setParentPinSchema,
+  verifyParentPinSchema,
+  twoFactorLoginSchema,
+  twoFactorCodeSchema,
 };
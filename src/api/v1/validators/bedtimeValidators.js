@@ -0,0 +1,29 @@
+const { z } = require('zod');
+
+// Update bedtime settings validator
+const updateBedtimeSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+  }),
+  body: z.object({
+    enabled: z.boolean().optional(),
+    time: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Bedtime must be in HH:mm format').optional(),
+    timezone: z.string().min(1).max(64).optional(),
+    windDownMin: z.number().int().min(0).max(120).optional(),
+    sleepTimerMin: z.number().int().min(0).max(120).optional(),
+    days: z.array(z.number().int().min(0).max(6)).max(7).optional(),
+  }).refine(obj => Object.keys(obj).length > 0, 'At least one update field is required'),
+});
+
+// Acknowledge reminder validator
+const reminderIdSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+    reminderId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid reminder ID'),
+  }),
+});
+
+module.exports = {
+  updateBedtimeSchema,
+  reminderIdSchema,
+};
@@ -1,10 +1,31 @@
 const { z } = require('zod');
+const { queryBoolean } = require('./fields');
 
 // Content slug validator
 const contentSlugSchema = z.object({
   params: z.object({
     slug: z.string().min(1, 'Content slug is required'),
   }),
+  query: z.object({
+    lang: z.string().max(35).optional(),
+  }),
+});
+
+// Transcript as JSON or WebVTT
+const contentTranscriptSchema = z.object({
+  params: z.object({
+    slug: z.string().min(1, 'Content slug is required'),
+  }),
+  query: z.object({
+    format: z.enum(['json', 'vtt']).default('json').optional(),
+  }),
+});
+
+// Series slug validator
+const seriesSlugSchema = z.object({
+  params: z.object({
+    slug: z.string().min(1, 'Series slug is required'),
+  }),
 });
 
 // Explore list validator
@@ -19,14 +40,16 @@ const exploreListSchema = z.object({
       z.string().transform(str => str.split(',')),
       z.array(z.string())
     ]).optional(),
-    isFeatured: z.coerce.boolean().optional(),
+    isFeatured: queryBoolean.optional(),
+    language: z.string().regex(/^[a-z]{2}$/i, 'Invalid language code').optional(),
+    lang: z.string().max(35).optional(),
   }),
 });
 
 // Search content validator
 const searchContentSchema = z.object({
   query: z.object({
-    q: z.string().min(2, 'Search query must be at least 2 characters'),
+    q: z.string().trim().min(1, 'Search query is required').max(100, 'Search query too long'),
     type: z.enum(['story', 'affirmation', 'meditation', 'music']).optional(),
     limit: z.coerce.number().int().min(1).max(50).default(10),
     offset: z.coerce.number().int().min(0).default(0),
@@ -35,6 +58,8 @@ const searchContentSchema = z.object({
       z.string().transform(str => str.split(',')),
       z.array(z.string())
     ]).optional(),
+    language: z.string().regex(/^[a-z]{2}$/i, 'Invalid language code').optional(),
+    duration: z.enum(['under_5', '5_to_15', 'over_15']).optional(),
   }),
 });
 
@@ -42,6 +67,7 @@ const searchContentSchema = z.object({
 const homeContentSchema = z.object({
   query: z.object({
     kidId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID').optional(),
+    lang: z.string().max(35).optional(),
   }),
 });
 
@@ -57,6 +83,8 @@ const incrementPopularitySchema = z.object({
 
 module.exports = {
   contentSlugSchema,
+  contentTranscriptSchema,
+  seriesSlugSchema,
   exploreListSchema,
   searchContentSchema,
   homeContentSchema,
@@ -0,0 +1,41 @@
+const { z } = require('zod');
+
+const deviceId = z.string().trim().min(1, 'Device ID is required').max(100, 'Device ID too long');
+
+// Request download license validator
+const requestDownloadSchema = z.object({
+  body: z.object({
+    kidId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+    contentId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID'),
+    deviceId,
+  }),
+});
+
+// List downloads validator
+const getDownloadsSchema = z.object({
+  query: z.object({
+    deviceId: deviceId.optional(),
+    kidId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID').optional(),
+  }),
+});
+
+// Download license ID validator
+const downloadIdSchema = z.object({
+  params: z.object({
+    licenseId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid download ID'),
+  }),
+});
+
+// Device ID validator
+const deviceIdSchema = z.object({
+  params: z.object({
+    deviceId,
+  }),
+});
+
+module.exports = {
+  requestDownloadSchema,
+  getDownloadsSchema,
+  downloadIdSchema,
+  deviceIdSchema,
+};
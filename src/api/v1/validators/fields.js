@@ -0,0 +1,8 @@
+const { z } = require('zod');
+
+// Query string flag: only "true" and "false" (z.coerce.boolean turns "false" into true)
+const queryBoolean = z.enum(['true', 'false']).transform(value => value === 'true');
+
+module.exports = {
+  queryBoolean,
+};
@@ -0,0 +1,58 @@
+const { z } = require('zod');
+
+const role = z.enum(['owner', 'member']);
+
+// Create / rename household validator
+const householdSchema = z.object({
+  body: z.object({
+    name: z.string().trim().min(1, 'Household name is required').max(100, 'Household name too long'),
+  }),
+});
+
+// Invite guardian validator
+const inviteMemberSchema = z.object({
+  body: z.object({
+    email: z.string().email('Invalid email format'),
+    role: role.optional(),
+  }),
+});
+
+// Invitation ID validator
+const invitationIdSchema = z.object({
+  params: z.object({
+    invitationId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid invitation ID'),
+  }),
+});
+
+// Accept invitation validator
+const joinHouseholdSchema = z.object({
+  body: z.object({
+    token: z.string().min(1, 'Invitation token is required'),
+  }),
+});
+
+// Household member validator
+const memberIdSchema = z.object({
+  params: z.object({
+    userId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID'),
+  }),
+});
+
+// Change member role validator
+const updateMemberSchema = z.object({
+  params: z.object({
+    userId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID'),
+  }),
+  body: z.object({
+    role,
+  }),
+});
+
+module.exports = {
+  householdSchema,
+  inviteMemberSchema,
+  invitationIdSchema,
+  joinHouseholdSchema,
+  memberIdSchema,
+  updateMemberSchema,
+};
@@ -6,6 +6,11 @@ const contentValidators = require('./contentValidators');
 const favoriteValidators = require('./favoriteValidators');
 const subscriptionValidators = require('./subscriptionValidators');
 const adminValidators = require('./adminValidators');
+const listeningValidators = require('./listeningValidators');
+const routineValidators = require('./routineValidators');
+const bedtimeValidators = require('./bedtimeValidators');
+const downloadValidators = require('./downloadValidators');
+const householdValidators = require('./householdValidators');
 
 module.exports = {
   validate,
@@ -15,4 +20,9 @@ module.exports = {
   ...favoriteValidators,
   ...subscriptionValidators,
   ...adminValidators,
+  ...listeningValidators,
+  ...routineValidators,
+  ...bedtimeValidators,
+  ...downloadValidators,
+  ...householdValidators,
 };
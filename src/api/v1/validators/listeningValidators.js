@@ -0,0 +1,74 @@
+const { z } = require('zod');
+
+// Start listening session validator
+const startSessionSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+  }),
+  body: z.object({
+    contentId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID'),
+    positionSec: z.number().min(0).optional(),
+    device: z.object({
+      platform: z.enum(['ios', 'android', 'web']).optional(),
+      appVersion: z.string().max(50).optional(),
+    }).optional(),
+  }),
+});
+
+// Session heartbeat validator
+const sessionProgressSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+    sessionId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid session ID'),
+  }),
+  body: z.object({
+    positionSec: z.number().min(0, 'Position must be positive'),
+  }),
+});
+
+// Complete session validator
+const completeSessionSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+    sessionId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid session ID'),
+  }),
+  body: z.object({
+    positionSec: z.number().min(0).optional(),
+  }),
+});
+
+// Kid listening history validator
+const kidSessionsSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+  }),
+  query: z.object({
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    offset: z.coerce.number().int().min(0).default(0),
+  }),
+});
+
+// Content progress validator
+const contentProgressSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+    contentId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID'),
+  }),
+});
+
+// Series progress validator
+const seriesProgressSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+    slug: z.string().min(1, 'Series slug is required'),
+  }),
+});
+
+module.exports = {
+  startSessionSchema,
+  sessionProgressSchema,
+  completeSessionSchema,
+  kidSessionsSchema,
+  contentProgressSchema,
+  seriesProgressSchema,
+};
@@ -0,0 +1,60 @@
+const { z } = require('zod');
+
+const contentTypes = ['story', 'affirmation', 'meditation', 'music'];
+
+// Routine ID validator
+const routineIdSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+    routineId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid routine ID'),
+  }),
+});
+
+// Create routine validator
+const createRoutineSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+  }),
+  body: z.object({
+    name: z.string().min(1, 'Name is required').max(100, 'Name too long'),
+    contentIds: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID'))
+      .min(1, 'At least one content item is required')
+      .max(20, 'Too many content items'),
+  }),
+});
+
+// Update routine validator
+const updateRoutineSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+    routineId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid routine ID'),
+  }),
+  body: z.object({
+    name: z.string().min(1, 'Name is required').max(100, 'Name too long').optional(),
+    contentIds: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid content ID'))
+      .min(1, 'At least one content item is required')
+      .max(20, 'Too many content items')
+      .optional(),
+  }).refine(obj => Object.keys(obj).length > 0, 'At least one update field is required'),
+});
+
+// Generate routine validator
+const generateRoutineSchema = z.object({
+  params: z.object({
+    id: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid kid ID'),
+  }),
+  body: z.object({
+    name: z.string().min(1).max(100, 'Name too long').optional(),
+    steps: z.array(z.enum(contentTypes))
+      .min(1, 'At least one step is required')
+      .max(20, 'Too many steps')
+      .optional(),
+  }),
+});
+
+module.exports = {
+  routineIdSchema,
+  createRoutineSchema,
+  updateRoutineSchema,
+  generateRoutineSchema,
+};
@@ -1,38 +1,41 @@
 const { validationError } = require('../../../utils/envelope');
 
+// Request parts a schema can describe
+const REQUEST_PARTS = ['body', 'params', 'query'];
+
 /**
  * Middleware factory for Zod validation
- * @param {object} schema - Zod schema object with optional body, params, query properties
+ * @param {object} schema - `z.object({ body, params, query })` (each part optional)
+ *   or a plain object of part schemas
  */
 function validate(schema) {
+  // The part schemas live on the object's shape, not on the schema itself
+  const parts = schema.shape || schema;
+
   return (req, res, next) => {
     try {
       // Validate each part of the request
       const validationData = {};
-      
-      if (schema.body) {
-        validationData.body = schema.body.parse(req.body);
-      }
-      
-      if (schema.params) {
-        validationData.params = schema.params.parse(req.params);
+
+      for (const part of REQUEST_PARTS) {
+        if (parts[part]) {
+          validationData[part] = parts[part].parse(req[part] || {});
+        }
       }
-      
-      if (schema.query) {
-        validationData.query = schema.query.parse(req.query);
+
+      // Replace request data with validated (coerced, defaulted) data
+      for (const part of REQUEST_PARTS) {
+        if (validationData[part]) {
+          req[part] = validationData[part];
+        }
       }
-      
-      // Replace request data with validated data
-      if (validationData.body) req.body = validationData.body;
-      if (validationData.params) req.params = validationData.params;
-      if (validationData.query) req.query = validationData.query;
-      
+
       next();
     } catch (error) {
       if (error.name === 'ZodError') {
         return res.status(400).json(validationError(error));
       }
-      
+
       // Other validation errors
       return res.status(400).json(validationError(['VALIDATION_ERROR'], error.message));
     }
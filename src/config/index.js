@@ -7,8 +7,8 @@ const config = {
   
   // Database
   mongoUri: process.env.MONGO_URI || 'mongodb://localhost:27017/bedtime',
-  // TODO: Redis temporarily disabled
-  // redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+  // TODO: Redis temporarily disabled (only connected for the redis session store)
+  redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
   
   // JWT
   jwt: {
@@ -16,14 +16,53 @@ const config = {
     refreshSecret: process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret',
     accessTtl: process.env.JWT_ACCESS_TTL || '15m',
     refreshTtl: process.env.JWT_REFRESH_TTL || '30d',
+    // Parent-elevated token issued for the parent PIN
+    parentTtl: process.env.JWT_PARENT_TTL || '10m',
+    // Token linking a password sign-in to its two-factor code step
+    twoFactorTtl: process.env.JWT_TWO_FACTOR_TTL || '5m',
+  },
+
+  // Two-factor authentication (TOTP)
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Bedtime Stories',
+    // Admin routes reject access tokens issued without a second factor
+    requiredForAdmins: process.env.ADMIN_TWO_FACTOR_REQUIRED !== 'false',
+  },
+  
+  // Refresh token sessions
+  sessions: {
+    store: process.env.SESSION_STORE || 'mongo', // mongo | redis
   },
   
   // Google Auth
   googleClientId: process.env.GOOGLE_CLIENT_ID,
+
+  // Other OpenID Connect providers (Apple, Microsoft, a local test issuer),
+  // verified with their JWKS. JSON array of
+  // { name, issuer, jwksUri, clientIds, algorithms? }
+  oidc: {
+    providers: process.env.OIDC_PROVIDERS ? JSON.parse(process.env.OIDC_PROVIDERS) : [],
+    jwksCacheSec: parseInt(process.env.OIDC_JWKS_CACHE_SEC) || 60 * 60,
+  },
   
   // CDN & Assets
   cdnBase: process.env.CDN_BASE || 'https://cdn.example.com',
   
+  // Signed media URLs (served by /api/v1/media)
+  media: {
+    signedUrls: process.env.MEDIA_SIGNED_URLS ? process.env.MEDIA_SIGNED_URLS === 'true' : true,
+    baseUrl: process.env.MEDIA_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+    signingSecret: process.env.MEDIA_SIGNING_SECRET || 'fallback-media-secret',
+    urlTtlSec: parseInt(process.env.MEDIA_URL_TTL_SEC) || 6 * 60 * 60,
+    root: process.env.MEDIA_ROOT || 'uploads',
+  },
+  
+  // Content languages (ISO 639-1 codes). Public lists and pages are served
+  // in the best match for Accept-Language or ?lang=, falling back to English
+  languages: {
+    supported: (process.env.SUPPORTED_LANGUAGES || 'en,hi').split(',').map(code => code.trim().toLowerCase()),
+  },
+  
   // CORS
   corsOrigins: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : ['http://localhost:3000'],
   
@@ -56,6 +95,55 @@ const config = {
     },
   },
   
+  // Notifications
+  notifications: {
+    transport: process.env.NOTIFICATION_TRANSPORT || 'log',
+  },
+  
+  // Transactional email
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'file', // smtp | file
+    from: process.env.MAIL_FROM || 'Bedtime Stories <no-reply@bedtime.local>',
+    // Web app that handles the links in emails (verify email, reset password)
+    appUrl: process.env.APP_URL || 'http://localhost:3000',
+    outboxDir: process.env.MAIL_OUTBOX_DIR || 'tmp/mail',
+    maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5,
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  },
+  
+  // Privacy (account export and deletion)
+  privacy: {
+    // Days a deletion request can be cancelled before the account is erased
+    deletionGraceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14,
+  },
+  
+  // Background jobs
+  jobs: {
+    enabled: process.env.JOBS_ENABLED ? process.env.JOBS_ENABLED === 'true' : process.env.NODE_ENV !== 'test',
+    bedtimeReminders: {
+      intervalSec: parseInt(process.env.BEDTIME_REMINDER_INTERVAL_SEC) || 60,
+      lookaheadMin: parseInt(process.env.BEDTIME_REMINDER_LOOKAHEAD_MIN) || 60,
+    },
+    mailOutbox: {
+      intervalSec: parseInt(process.env.MAIL_OUTBOX_INTERVAL_SEC) || 30,
+    },
+    accountDeletion: {
+      intervalSec: parseInt(process.env.ACCOUNT_DELETION_INTERVAL_SEC) || 60 * 60,
+    },
+    contentPublishing: {
+      intervalSec: parseInt(process.env.CONTENT_PUBLISHING_INTERVAL_SEC) || 60,
+    },
+    engagementRollup: {
+      intervalSec: parseInt(process.env.ENGAGEMENT_ROLLUP_INTERVAL_SEC) || 60 * 60,
+    },
+  },
+  
   // Cache TTL (seconds)
   cache: {
     home: 300, // 5 minutes
@@ -77,4 +165,12 @@ if (!config.jwt.refreshSecret || config.jwt.refreshSecret === 'fallback-refresh-
   console.warn('⚠️  Using fallback JWT_REFRESH_SECRET. Set a secure secret in production!');
 }
 
+if (config.mail.transport === 'file' && config.nodeEnv === 'production') {
+  console.warn('⚠️  MAIL_TRANSPORT=file only writes emails to disk. Configure SMTP in production!');
+}
+
+if (config.media.signedUrls && config.media.signingSecret === 'fallback-media-secret') {
+  console.warn('⚠️  Using fallback MEDIA_SIGNING_SECRET. Set a secure secret in production!');
+}
+
 module.exports = config;
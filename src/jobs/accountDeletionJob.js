@@ -0,0 +1,17 @@
+const accountService = require('../services/accountService');
+const config = require('../config');
+const { createIntervalJob } = require('./intervalJob');
+
+// Erase the accounts whose deletion grace period has ended
+const job = createIntervalJob({
+  name: 'Account deletion',
+  intervalMs: config.jobs.accountDeletion.intervalSec * 1000,
+  run: now => accountService.processDueDeletions(now),
+  didWork: result => result.due > 0,
+});
+
+module.exports = {
+  runAccountDeletionJob: job.run,
+  startAccountDeletionJob: job.start,
+  stopAccountDeletionJob: job.stop,
+};
@@ -0,0 +1,17 @@
+const bedtimeService = require('../services/bedtimeService');
+const config = require('../config');
+const { createIntervalJob } = require('./intervalJob');
+
+// Schedule and deliver bedtime reminders
+const job = createIntervalJob({
+  name: 'Bedtime reminder',
+  intervalMs: config.jobs.bedtimeReminders.intervalSec * 1000,
+  run: now => bedtimeService.runScheduler(now),
+  didWork: result => result.scheduled > 0 || result.delivered > 0,
+});
+
+module.exports = {
+  runBedtimeReminderJob: job.run,
+  startBedtimeReminderJob: job.start,
+  stopBedtimeReminderJob: job.stop,
+};
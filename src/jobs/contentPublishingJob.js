@@ -0,0 +1,17 @@
+const contentWorkflowService = require('../services/contentWorkflowService');
+const config = require('../config');
+const { createIntervalJob } = require('./intervalJob');
+
+// Publish scheduled content whose publish time has passed
+const job = createIntervalJob({
+  name: 'Content publishing',
+  intervalMs: config.jobs.contentPublishing.intervalSec * 1000,
+  run: now => contentWorkflowService.publishDue(now),
+  didWork: result => result.published > 0,
+});
+
+module.exports = {
+  runContentPublishingJob: job.run,
+  startContentPublishingJob: job.start,
+  stopContentPublishingJob: job.stop,
+};
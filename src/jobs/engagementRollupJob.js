@@ -0,0 +1,16 @@
+const analyticsService = require('../services/analyticsService');
+const config = require('../config');
+const { createIntervalJob } = require('./intervalJob');
+
+// Store daily engagement rollups for the admin dashboard
+const job = createIntervalJob({
+  name: 'Engagement rollup',
+  intervalMs: config.jobs.engagementRollup.intervalSec * 1000,
+  run: now => analyticsService.rollUpEngagement(now),
+});
+
+module.exports = {
+  runEngagementRollupJob: job.run,
+  startEngagementRollupJob: job.start,
+  stopEngagementRollupJob: job.stop,
+};
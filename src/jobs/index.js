@@ -0,0 +1,32 @@
+const { startBedtimeReminderJob, stopBedtimeReminderJob } = require('./bedtimeReminderJob');
+const { startMailOutboxJob, stopMailOutboxJob } = require('./mailOutboxJob');
+const { startAccountDeletionJob, stopAccountDeletionJob } = require('./accountDeletionJob');
+const { startContentPublishingJob, stopContentPublishingJob } = require('./contentPublishingJob');
+const { startEngagementRollupJob, stopEngagementRollupJob } = require('./engagementRollupJob');
+
+/**
+ * Start all background jobs
+ */
+function startJobs() {
+  startBedtimeReminderJob();
+  startMailOutboxJob();
+  startAccountDeletionJob();
+  startContentPublishingJob();
+  startEngagementRollupJob();
+}
+
+/**
+ * Stop all background jobs
+ */
+function stopJobs() {
+  stopBedtimeReminderJob();
+  stopMailOutboxJob();
+  stopAccountDeletionJob();
+  stopContentPublishingJob();
+  stopEngagementRollupJob();
+}
+
+module.exports = {
+  startJobs,
+  stopJobs,
+};
@@ -0,0 +1,62 @@
+const logger = require('../utils/logger');
+
+/**
+ * Build a background job that runs on an interval. Ticks never overlap:
+ * if the previous one is still running the new one is skipped. A failed
+ * tick is logged and the job keeps running.
+ * @param {Object} options
+ * @param {string} options.name - Job name for logs (e.g. 'Mail outbox')
+ * @param {number} options.intervalMs - Time between ticks
+ * @param {Function} options.run - `(now) => Promise<result>`, one tick
+ * @param {Function} [options.didWork] - Whether a result is worth logging
+ * @returns {{run: Function, start: Function, stop: Function}}
+ */
+function createIntervalJob({ name, intervalMs, run, didWork = () => true }) {
+  let timer = null;
+  let running = false;
+
+  async function runJob(now = new Date()) {
+    if (running) {
+      logger.warn(`${name} job still running, skipping tick`);
+      return null;
+    }
+
+    running = true;
+    try {
+      const result = await run(now);
+      if (didWork(result)) {
+        logger.info(result, `${name} job completed`);
+      }
+      return result;
+    } catch (error) {
+      logger.error({ error: error.message }, `${name} job failed`);
+      return null;
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) {
+      return;
+    }
+
+    timer = setInterval(() => runJob(), intervalMs);
+    timer.unref();
+
+    logger.info({ intervalSec: intervalMs / 1000 }, `${name} job started`);
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return { run: runJob, start, stop };
+}
+
+module.exports = {
+  createIntervalJob,
+};
@@ -0,0 +1,17 @@
+const mailService = require('../services/mailService');
+const config = require('../config');
+const { createIntervalJob } = require('./intervalJob');
+
+// Send due messages from the email outbox
+const job = createIntervalJob({
+  name: 'Mail outbox',
+  intervalMs: config.jobs.mailOutbox.intervalSec * 1000,
+  run: now => mailService.processOutbox(now),
+  didWork: result => result.due > 0,
+});
+
+module.exports = {
+  runMailOutboxJob: job.run,
+  startMailOutboxJob: job.start,
+  stopMailOutboxJob: job.stop,
+};
@@ -90,6 +90,11 @@ function expressLoader(app) {
     limit: '10mb',
   }));
 
+  // Audio and video are only reachable through signed URLs (/api/v1/media)
+  if (config.media.signedUrls) {
+    app.use(['/uploads/audio', '/uploads/videos'], notFoundHandler);
+  }
+
   // Static file serving for uploads
   app.use('/uploads', express.static(path.join(process.cwd(), 'uploads'), {
     maxAge: '1d', // Cache for 1 day
@@ -3,6 +3,8 @@ const { redisLoader } = require('./redisLoader');
 const { expressLoader, loadErrorHandling } = require('./expressLoader');
 const routesLoader = require('./routesLoader');
 const swaggerLoader = require('./swaggerLoader');
+const jobsLoader = require('./jobsLoader');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 /**
@@ -17,6 +19,10 @@ async function initLoaders(app) {
     await mongoLoader();
     // TODO: Redis temporarily disabled - uncomment when Redis is available
     // await redisLoader();
+    // ...except when it backs refresh sessions
+    if (config.sessions.store === 'redis') {
+      await redisLoader();
+    }
     
     // 2. Initialize Express middleware
     logger.info('Initializing Express middleware...');
@@ -34,6 +40,10 @@ async function initLoaders(app) {
     logger.info('Loading error handling...');
     loadErrorHandling(app);
     
+    // 6. Start background jobs
+    logger.info('Starting background jobs...');
+    jobsLoader();
+    
     logger.info('All loaders initialized successfully');
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to initialize loaders');
@@ -48,5 +58,6 @@ module.exports = {
   expressLoader,
   routesLoader,
   swaggerLoader,
+  jobsLoader,
   loadErrorHandling,
 };
@@ -0,0 +1,17 @@
+const config = require('../config');
+const { startJobs } = require('../jobs');
+const logger = require('../utils/logger');
+
+/**
+ * Start background jobs (requires MongoDB)
+ */
+function jobsLoader() {
+  if (!config.jobs.enabled) {
+    logger.info('Background jobs disabled');
+    return;
+  }
+
+  startJobs();
+}
+
+module.exports = jobsLoader;
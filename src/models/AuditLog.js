@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const TARGET_TYPES = ['content', 'user', 'category', 'series', 'file', 'cache'];
+
+/**
+ * Record of a privileged (admin) change: who did what to which record,
+ * with the fields it changed. Entries are never updated.
+ */
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Kept so the entry stays readable after the actor is deleted
+  actorEmail: {
+    type: String,
+    default: null,
+  },
+  // e.g. 'content.update'; unnamed routes fall back to "METHOD /path"
+  action: {
+    type: String,
+    required: true,
+  },
+  targetType: {
+    type: String,
+    enum: [...TARGET_TYPES, null],
+    default: null,
+  },
+  targetId: {
+    type: String,
+    default: null,
+  },
+  // Changed fields only; `before` is null for creations, `after` for deletions
+  changes: {
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  // Request details for actions without a single target (bulk updates, uploads)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  method: {
+    type: String,
+    required: true,
+  },
+  path: {
+    type: String,
+    required: true,
+  },
+  statusCode: {
+    type: Number,
+    required: true,
+  },
+  requestId: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Static properties
+auditLogSchema.statics.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
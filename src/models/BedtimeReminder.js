@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Reminders are kept this long after their scheduled time
+const RETENTION_SEC = 7 * 24 * 60 * 60;
+
+const bedtimeReminderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  kidId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KidProfile',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['wind_down', 'bedtime'],
+    required: true,
+  },
+  scheduledFor: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'acknowledged'],
+    default: 'pending',
+  },
+  sentAt: {
+    type: Date,
+    default: null,
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+// One reminder per kid, type and time keeps the scheduler idempotent
+bedtimeReminderSchema.index({ kidId: 1, type: 1, scheduledFor: 1 }, { unique: true });
+bedtimeReminderSchema.index({ status: 1, scheduledFor: 1 });
+bedtimeReminderSchema.index({ scheduledFor: 1 }, { expireAfterSeconds: RETENTION_SEC });
+
+module.exports = mongoose.model('BedtimeReminder', bedtimeReminderSchema);
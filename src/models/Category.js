@@ -37,6 +37,25 @@ const categorySchema = new mongoose.Schema({
     default: 0,
     index: true,
   },
+  // Name and description per language code ({ hi: { name, description } });
+  // English lives in name and description
+  translations: {
+    type: Map,
+    of: new mongoose.Schema({
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+      },
+      description: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+      },
+    }, { _id: false }),
+    default: undefined,
+  },
   metadata: {
     color: {
       type: String,
@@ -94,6 +113,22 @@ categorySchema.methods.decrementContentCount = function(amount = 1) {
 };
 
 // Static methods
+
+/**
+ * Name and description in a language, falling back to English
+ */
+categorySchema.statics.localize = function(category, language) {
+  const translations = category.translations instanceof Map
+    ? Object.fromEntries(category.translations)
+    : category.translations || {};
+  const translation = translations[language];
+
+  return {
+    name: (translation && translation.name) || category.name,
+    description: (translation && translation.description) || category.description,
+  };
+};
+
 categorySchema.statics.findActive = function(options = {}) {
   const query = { isActive: true };
   return this.find(query, null, { sort: { sortOrder: 1, name: 1 }, ...options });
@@ -1,5 +1,84 @@
 const mongoose = require('mongoose');
 
+// Duration facets and filters for search (minutes, upper bound exclusive)
+const DURATION_BUCKETS = [
+  { key: 'under_5', minSec: 0, maxSec: 5 * 60 },
+  { key: '5_to_15', minSec: 5 * 60, maxSec: 15 * 60 },
+  { key: 'over_15', minSec: 15 * 60, maxSec: null },
+];
+
+// Editorial lifecycle; only published content is visible to families
+const STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+// Allowed status changes
+const STATUS_TRANSITIONS = {
+  draft: ['in_review', 'archived'],
+  in_review: ['draft', 'scheduled', 'published', 'archived'],
+  scheduled: ['draft', 'published', 'archived'],
+  published: ['archived'],
+  archived: ['draft'],
+};
+
+// Query for content families can see (content without a status included).
+// A new object each time: mongoose casts filters in place.
+const publishedQuery = () => ({
+  isActive: true,
+  status: { $in: ['published', null] },
+});
+
+const reviewCommentSchema = new mongoose.Schema({
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  authorEmail: {
+    type: String,
+    default: null,
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+  },
+  // Set when the comment came with a status change
+  fromStatus: {
+    type: String,
+    enum: [...STATUSES, null],
+    default: null,
+  },
+  toStatus: {
+    type: String,
+    enum: [...STATUSES, null],
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Source formats accepted for transcripts
+const TRANSCRIPT_FORMATS = ['srt', 'vtt', 'json'];
+
+const transcriptWordSchema = new mongoose.Schema({
+  startSec: { type: Number, required: true, min: 0 },
+  endSec: { type: Number, required: true, min: 0 },
+  text: { type: String, required: true },
+}, { _id: false });
+
+// A cue of the read-along: a line or sentence, optionally timed word by word
+const transcriptSegmentSchema = new mongoose.Schema({
+  startSec: { type: Number, required: true, min: 0 },
+  endSec: { type: Number, required: true, min: 0 },
+  text: { type: String, required: true },
+  words: {
+    type: [transcriptWordSchema],
+    default: undefined,
+  },
+}, { _id: false });
+
 const contentSchema = new mongoose.Schema({
   categoryId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,6 +98,11 @@ const contentSchema = new mongoose.Schema({
     trim: true,
     maxlength: 200,
   },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+  },
   slug: {
     type: String,
     required: true,
@@ -54,6 +138,14 @@ const contentSchema = new mongoose.Schema({
     default: 'US',
     uppercase: true,
   },
+  // Language variants of the same story share a translation group: the ID
+  // of the variant that started it. Null for content without translations.
+  translationGroupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    default: null,
+    index: true,
+  },
   audioUrl: {
     type: String,
     required: true,
@@ -107,17 +199,57 @@ const contentSchema = new mongoose.Schema({
     default: false,
     index: true,
   },
+  // Premium content is only playable with an active premium/family subscription
+  accessTier: {
+    type: String,
+    enum: ['free', 'premium'],
+    default: 'free',
+    index: true,
+  },
   popularityScore: {
     type: Number,
     default: 0,
     min: 0,
     index: true,
   },
+  // Unset on content created outside the admin workflow (seed scripts,
+  // content from before it existed), which counts as published
+  status: {
+    type: String,
+    enum: STATUSES,
+  },
+  // When the content went live, or is scheduled to
   publishedAt: {
     type: Date,
     default: Date.now,
     index: true,
   },
+  reviewComments: {
+    type: [reviewCommentSchema],
+    default: [],
+  },
+  // Read-along transcript. Text and timings are only loaded for the
+  // transcript endpoints; content responses carry the summary fields.
+  transcript: {
+    format: {
+      type: String,
+      enum: TRANSCRIPT_FORMATS,
+    },
+    segmentCount: Number,
+    wordCount: Number,
+    // End of the last segment, checked against durationSec
+    endSec: Number,
+    uploadedAt: Date,
+    text: {
+      type: String,
+      select: false,
+    },
+    segments: {
+      type: [transcriptSegmentSchema],
+      default: undefined,
+      select: false,
+    },
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -145,10 +277,22 @@ contentSchema.index({ type: 1, isFeatured: -1, popularityScore: -1 });
 contentSchema.index({ type: 1, publishedAt: -1 });
 contentSchema.index({ ageRange: 1, tags: 1 });
 contentSchema.index({ isFeatured: -1, popularityScore: -1, publishedAt: -1 });
+contentSchema.index({ status: 1, publishedAt: 1 });
+// One variant per language in a translation group
+contentSchema.index(
+  { translationGroupId: 1, language: 1 },
+  { unique: true, partialFilterExpression: { translationGroupId: { $type: 'objectId' } } }
+);
 
 // Text search index
 contentSchema.index({ title: 'text', tags: 'text' });
 
+// Static properties
+contentSchema.statics.DURATION_BUCKETS = DURATION_BUCKETS;
+contentSchema.statics.STATUSES = STATUSES;
+contentSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+contentSchema.statics.TRANSCRIPT_FORMATS = TRANSCRIPT_FORMATS;
+
 // Virtual for computed ranking score
 contentSchema.virtual('rankingScore').get(function() {
   const featuredBoost = this.isFeatured ? 5 : 0;
@@ -160,6 +304,9 @@ contentSchema.virtual('rankingScore').get(function() {
 
 // Instance methods
 contentSchema.methods.getRecencyBoost = function() {
+  if (!this.publishedAt) {
+    return 0;
+  }
   const daysSincePublished = (Date.now() - this.publishedAt.getTime()) / (1000 * 60 * 60 * 24);
   return Math.max(0, 2 - (daysSincePublished / 30)); // Boost decreases over 30 days
 };
@@ -170,15 +317,21 @@ contentSchema.methods.incrementPopularity = function(amount = 1) {
 };
 
 // Static methods
+contentSchema.statics.publishedQuery = publishedQuery;
+
+contentSchema.statics.isPublished = function(content) {
+  return Boolean(content.isActive) && (!content.status || content.status === 'published');
+};
+
 contentSchema.statics.findByTypeAndAge = function(type, ageRange, options = {}) {
-  const query = { type, ageRange, isActive: true };
+  const query = { type, ageRange, ...publishedQuery() };
   return this.find(query, null, options);
 };
 
 contentSchema.statics.findRecommended = function(ageRange, tags = [], limit = 10) {
   const query = {
     ageRange,
-    isActive: true,
+    ...publishedQuery(),
     ...(tags.length > 0 && { tags: { $in: tags } }),
   };
   
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Daily rollup of listening sessions, keyed by UTC day
+const dailyEngagementSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true,
+    unique: true,
+  },
+  plays: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  completions: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Distinct users who started a session that day
+  uniqueListeners: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  listenedSec: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+module.exports = mongoose.model('DailyEngagement', dailyEngagementSchema);
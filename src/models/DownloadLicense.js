@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Concurrent downloads and license lifetime per subscription plan
+const PLAN_LIMITS = {
+  free: { maxDownloads: 3, licenseDays: 7 },
+  premium: { maxDownloads: 25, licenseDays: 30 },
+  family: { maxDownloads: 50, licenseDays: 30 },
+};
+
+// Revoked and expired licenses are kept this long for the device to sync
+const RETENTION_SEC = 30 * 24 * 60 * 60;
+
+const downloadLicenseSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  kidId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KidProfile',
+    required: true,
+    index: true,
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true,
+  },
+  // App-generated identifier of the device holding the file
+  deviceId: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  // Plan the license was issued under
+  plan: {
+    type: String,
+    enum: Object.keys(PLAN_LIMITS),
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  renewedAt: {
+    type: Date,
+    default: null,
+  },
+  renewCount: {
+    type: Number,
+    default: 0,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+downloadLicenseSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+downloadLicenseSchema.index({ userId: 1, deviceId: 1, kidId: 1, contentId: 1 });
+downloadLicenseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: RETENTION_SEC });
+
+// Static properties
+downloadLicenseSchema.statics.PLAN_LIMITS = PLAN_LIMITS;
+
+module.exports = mongoose.model('DownloadLicense', downloadLicenseSchema);
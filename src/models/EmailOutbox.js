@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { TEMPLATE_NAMES } = require('../utils/mail/templates');
+
+const STATUSES = ['pending', 'sent', 'failed'];
+
+// Messages are removed a week after they are queued, whatever their status;
+// retries give up long before that
+const RETENTION_SEC = 7 * 24 * 60 * 60;
+
+const emailOutboxSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  template: {
+    type: String,
+    enum: TEMPLATE_NAMES,
+    required: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  // Bodies can carry one-time tokens, so they are removed once the message
+  // is sent or given up on
+  text: {
+    type: String,
+    default: null,
+  },
+  html: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // When the next delivery attempt may run
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastError: {
+    type: String,
+    default: null,
+  },
+  messageId: {
+    type: String,
+    default: null,
+  },
+  sentAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SEC });
+
+// Static properties
+emailOutboxSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -72,7 +72,7 @@ highlightSchema.statics.findCurrent = function(date = new Date()) {
     endsAt: { $gte: date },
   })
   .sort({ priority: -1, startsAt: 1 })
-  .populate('contentIds');
+  .populate({ path: 'contentIds', match: mongoose.model('Content').publishedQuery() });
 };
 
 highlightSchema.statics.findUpcoming = function(date = new Date(), limit = 5) {
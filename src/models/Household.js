@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['owner', 'member'];
+
+// Guardians per household, counting pending invitations
+const MAX_MEMBERS = 6;
+
+const INVITATION_TTL_DAYS = 7;
+
+const memberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'member',
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+  },
+  // SHA-256 of the token sent by email; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'member',
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const householdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  members: {
+    type: [memberSchema],
+    validate: [members => members.length > 0, 'A household needs at least one member'],
+  },
+  invitations: {
+    type: [invitationSchema],
+    default: [],
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      (ret.invitations || []).forEach(invitation => delete invitation.tokenHash);
+      return ret;
+    },
+  },
+});
+
+// Indexes
+// A guardian belongs to at most one household
+householdSchema.index({ 'members.userId': 1 }, { unique: true });
+householdSchema.index({ 'invitations.tokenHash': 1 });
+
+// Static properties
+householdSchema.statics.ROLES = ROLES;
+householdSchema.statics.MAX_MEMBERS = MAX_MEMBERS;
+householdSchema.statics.INVITATION_TTL_DAYS = INVITATION_TTL_DAYS;
+
+module.exports = mongoose.model('Household', householdSchema);
@@ -12,6 +12,56 @@ const preferencesSchema = new mongoose.Schema({
   }],
 }, { _id: false });
 
+// Kid profiles a guardian can see, household kids included
+const MAX_KIDS = 5;
+
+// Bedtime settings for profiles that never configured them
+const BEDTIME_DEFAULTS = {
+  enabled: false,
+  time: '19:30',
+  timezone: 'UTC',
+  windDownMin: 30,
+  sleepTimerMin: 0,
+  days: [0, 1, 2, 3, 4, 5, 6],
+};
+
+const bedtimeSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: BEDTIME_DEFAULTS.enabled,
+  },
+  // Local bedtime, 24-hour "HH:mm"
+  time: {
+    type: String,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+    default: BEDTIME_DEFAULTS.time,
+  },
+  // IANA timezone name, e.g. "Europe/London"
+  timezone: {
+    type: String,
+    default: BEDTIME_DEFAULTS.timezone,
+  },
+  // Minutes before bedtime for the wind-down reminder (0 disables it)
+  windDownMin: {
+    type: Number,
+    min: 0,
+    max: 120,
+    default: BEDTIME_DEFAULTS.windDownMin,
+  },
+  // Minutes of playback before the app stops audio (0 disables the timer)
+  sleepTimerMin: {
+    type: Number,
+    min: 0,
+    max: 120,
+    default: BEDTIME_DEFAULTS.sleepTimerMin,
+  },
+  // Days of week the routine applies to (0 = Sunday)
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: () => [...BEDTIME_DEFAULTS.days],
+  },
+}, { _id: false });
+
 const kidProfileSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -19,6 +69,12 @@ const kidProfileSchema = new mongoose.Schema({
     required: true,
     index: true,
   },
+  // Household the profile is shared with (see Household); null when not shared
+  householdId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+  },
   name: {
     type: String,
     required: true,
@@ -39,6 +95,10 @@ const kidProfileSchema = new mongoose.Schema({
     type: preferencesSchema,
     default: () => ({ sleepGoals: [], tags: [] }),
   },
+  bedtime: {
+    type: bedtimeSchema,
+    default: () => ({}),
+  },
 }, {
   timestamps: true,
   toJSON: {
@@ -54,8 +114,10 @@ const kidProfileSchema = new mongoose.Schema({
 // Indexes
 kidProfileSchema.index({ userId: 1 });
 kidProfileSchema.index({ userId: 1, name: 1 });
+kidProfileSchema.index({ householdId: 1 });
 kidProfileSchema.index({ ageRange: 1 });
 kidProfileSchema.index({ 'preferences.tags': 1 });
+kidProfileSchema.index({ 'bedtime.enabled': 1 });
 
 // Validation
 kidProfileSchema.pre('save', function(next) {
@@ -75,6 +137,10 @@ kidProfileSchema.pre('save', function(next) {
   }
 });
 
+// Static properties
+kidProfileSchema.statics.MAX_KIDS = MAX_KIDS;
+kidProfileSchema.statics.BEDTIME_DEFAULTS = BEDTIME_DEFAULTS;
+
 // Instance methods
 kidProfileSchema.methods.updatePreferences = function(sleepGoals, tags) {
   this.preferences.sleepGoals = sleepGoals || [];
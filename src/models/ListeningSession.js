@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// A session counts as completed once the kid reaches this share of the content
+const COMPLETION_THRESHOLD = 0.95;
+
+// Positions below this (in seconds) are not worth resuming from
+const MIN_RESUME_SEC = 5;
+
+const listeningSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  kidId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KidProfile',
+    required: true,
+    index: true,
+  },
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true,
+    index: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active',
+    index: true,
+  },
+  // Playback position in seconds, used to resume the content
+  positionSec: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Snapshot of the content duration when the session started
+  durationSec: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // Seconds actually listened (excludes seeking forward)
+  listenedSec: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+  lastHeartbeatAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  device: {
+    platform: {
+      type: String,
+      enum: ['ios', 'android', 'web'],
+    },
+    appVersion: {
+      type: String,
+      trim: true,
+    },
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+listeningSessionSchema.index({ kidId: 1, contentId: 1, lastHeartbeatAt: -1 });
+listeningSessionSchema.index({ kidId: 1, status: 1, lastHeartbeatAt: -1 });
+listeningSessionSchema.index({ contentId: 1, startedAt: -1 });
+listeningSessionSchema.index({ userId: 1, startedAt: -1 });
+
+// Static properties
+listeningSessionSchema.statics.COMPLETION_THRESHOLD = COMPLETION_THRESHOLD;
+listeningSessionSchema.statics.MIN_RESUME_SEC = MIN_RESUME_SEC;
+
+module.exports = mongoose.model('ListeningSession', listeningSessionSchema);
@@ -98,6 +98,13 @@ const orderSchema = new mongoose.Schema({
   updatedAt: {
     type: Date,
     default: Date.now
+  },
+
+  // Set when the user deleted their account; the order is kept for
+  // accounting without personal details
+  anonymizedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -54,6 +54,11 @@ const paymentEventSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Set when the user deleted their account and the payload was dropped
+  anonymizedAt: {
+    type: Date,
+    default: null,
+  },
 }, {
   timestamps: true,
   toJSON: {
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Why a session was revoked
+const REVOKE_REASONS = ['logout', 'user_revoked', 'revoke_all', 'password_reset', 'reuse_detected', 'account_deleted', 'identity_linked'];
+
+const refreshSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Shared by every refresh token rotated from one sign-in
+  familyId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // The only refresh token of the family that may still be used
+  jti: {
+    type: String,
+    required: true,
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null,
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Signed in with a second factor; carried into every access token
+  mfa: {
+    type: Boolean,
+    default: false,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokeReason: {
+    type: String,
+    enum: [...REVOKE_REASONS, null],
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.jti;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+refreshSessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+// Revoked sessions are kept until the refresh token would have expired,
+// so a reused token still hits the session and is reported as revoked
+refreshSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static properties
+refreshSessionSchema.statics.REVOKE_REASONS = REVOKE_REASONS;
+
+module.exports = mongoose.model('RefreshSession', refreshSessionSchema);
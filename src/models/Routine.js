@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Maximum number of routines per kid (business rule)
+const MAX_ROUTINES_PER_KID = 10;
+
+// Maximum number of items in a routine
+const MAX_ITEMS = 20;
+
+// Default step order for generated routines
+const DEFAULT_STEPS = ['story', 'affirmation', 'meditation', 'music'];
+
+const routineItemSchema = new mongoose.Schema({
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true,
+  },
+}, { _id: false });
+
+const routineSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  kidId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KidProfile',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  // Played in array order
+  items: {
+    type: [routineItemSchema],
+    validate: {
+      validator: items => items.length <= MAX_ITEMS,
+      message: `A routine can have at most ${MAX_ITEMS} items`,
+    },
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'generated'],
+    default: 'manual',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+routineSchema.index({ kidId: 1, createdAt: -1 });
+
+// Static properties
+routineSchema.statics.MAX_ROUTINES_PER_KID = MAX_ROUTINES_PER_KID;
+routineSchema.statics.MAX_ITEMS = MAX_ITEMS;
+routineSchema.statics.DEFAULT_STEPS = DEFAULT_STEPS;
+
+module.exports = mongoose.model('Routine', routineSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Maximum number of episodes in a series
+const MAX_EPISODES = 100;
+
+const episodeSchema = new mongoose.Schema({
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Content',
+    required: true,
+  },
+}, { _id: false });
+
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+  },
+  imageUrl: {
+    type: String,
+    trim: true,
+  },
+  ageRange: {
+    type: String,
+    enum: ['3-5', '6-8', '9-12'],
+  },
+  // Played in array order; a content item belongs to at most one series
+  episodes: {
+    type: [episodeSchema],
+    default: [],
+    validate: {
+      validator: episodes => episodes.length <= MAX_EPISODES,
+      message: `A series can have at most ${MAX_EPISODES} episodes`,
+    },
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+seriesSchema.index(
+  { 'episodes.contentId': 1 },
+  { unique: true, partialFilterExpression: { 'episodes.contentId': { $exists: true } } }
+);
+seriesSchema.index({ isActive: 1, createdAt: -1 });
+
+// Static properties
+seriesSchema.statics.MAX_EPISODES = MAX_EPISODES;
+
+module.exports = mongoose.model('Series', seriesSchema);
@@ -138,6 +138,13 @@ const subscriptionSchema = new mongoose.Schema({
   updatedAt: {
     type: Date,
     default: Date.now
+  },
+
+  // Set when the user deleted their account; the subscription is kept for
+  // accounting without personal details
+  anonymizedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/permissions');
+
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MIN = 10;
+
+// Passwordless sign-in links: lifetime and minimum time between emails
+const MAGIC_LINK = {
+  ttlMin: 15,
+  resendCooldownSec: 60,
+};
+
+// Parent PIN format and brute-force protection
+const PARENT_PIN = {
+  pattern: /^\d{4,6}$/,
+  maxAttempts: 5,
+  lockMin: 15,
+  // Setting the first PIN without the password needs a sign-in this recent
+  freshSignInMin: 10,
+};
+
+// Per-account sign-in protection: a few free attempts, then exponential
+// backoff, then a lockout that can be lifted from an emailed link
+const LOGIN_LOCKOUT = {
+  freeAttempts: 3,
+  backoffBaseSec: 5,
+  maxAttempts: 10,
+  lockMin: 30,
+};
+
+// Recovery codes issued when two-factor authentication is enabled
+const RECOVERY_CODE_COUNT = 10;
 
 const subscriptionSchema = new mongoose.Schema({
   // Current subscription status
@@ -87,6 +118,28 @@ const subscriptionSchema = new mongoose.Schema({
   },
 }, { _id: false });
 
+// An external sign-in (Google or another OpenID Connect provider) linked to the account
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  // The provider's stable user ID (`sub` claim)
+  subject: {
+    type: String,
+    required: true,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    default: null,
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -108,17 +161,22 @@ const userSchema = new mongoose.Schema({
     },
     minlength: 6,
   },
+  // How the account signed up: 'local' (email/password) or an identity provider name
   provider: {
     type: String,
-    enum: ['google', 'local'],
     required: true,
     default: 'local',
   },
+  // Google subject from before linked identities; still matched as a google identity
   googleId: {
     type: String,
     sparse: true,
     index: true,
   },
+  identities: {
+    type: [identitySchema],
+    default: [],
+  },
   isEmailVerified: {
     type: Boolean,
     default: false,
@@ -135,9 +193,97 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null,
   },
+  // SHA-256 hash of the pending sign-in link token (single use)
+  magicLinkTokenHash: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  magicLinkExpires: {
+    type: Date,
+    default: null,
+  },
+  // Hashed like password; unlocks parent-only actions in kid mode
+  parentPin: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  parentPinSetAt: {
+    type: Date,
+    default: null,
+  },
+  parentPinFailedAttempts: {
+    type: Number,
+    default: 0,
+  },
+  parentPinLockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // TOTP second factor (admin accounts)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    secret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Generated by setup, becomes the secret once a code confirms it
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    enabledAt: {
+      type: Date,
+      default: null,
+    },
+    // Last accepted time step; a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      default: null,
+    },
+  },
+  // Failed sign-ins (password or two-factor code) since the last success
+  loginLockout: {
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null,
+    },
+    // No sign-in before this time (backoff or lockout)
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Set when maxAttempts was reached and the unlock email was sent
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+    // SHA-256 hash of the token in the unlock email
+    unlockTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+  },
   roles: [{
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user',
   }],
   subscription: {
@@ -148,6 +294,15 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Account deletion requested by the parent; erased after the grace period
+  deletionRequestedAt: {
+    type: Date,
+    default: null,
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null,
+  },
 }, {
   timestamps: true,
   toJSON: {
@@ -156,6 +311,16 @@ const userSchema = new mongoose.Schema({
       delete ret._id;
       delete ret.__v;
       delete ret.googleId; // Don't expose in API
+      delete ret.parentPin;
+      delete ret.magicLinkTokenHash;
+      if (ret.loginLockout) {
+        delete ret.loginLockout.unlockTokenHash;
+      }
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.recoveryCodes;
+      }
       return ret;
     },
   },
@@ -164,12 +329,17 @@ const userSchema = new mongoose.Schema({
 // Indexes
 userSchema.index({ email: 1 });
 userSchema.index({ provider: 1, googleId: 1 });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
 userSchema.index({ 'subscription.status': 1 });
 userSchema.index({ 'subscription.isActive': 1 });
 userSchema.index({ 'subscription.planType': 1 });
 userSchema.index({ 'subscription.endDate': 1 });
 userSchema.index({ emailVerificationToken: 1 });
 userSchema.index({ passwordResetToken: 1 });
+userSchema.index({ magicLinkTokenHash: 1 });
+userSchema.index({ deletionScheduledFor: 1 });
+userSchema.index({ 'loginLockout.lockedUntil': 1 });
+userSchema.index({ 'loginLockout.unlockTokenHash': 1 });
 
 // Password hashing middleware
 userSchema.pre('save', async function(next) {
@@ -187,6 +357,21 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Parent PIN hashing middleware
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('parentPin') || !this.parentPin) {
+    return next();
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.parentPin = await bcrypt.hash(this.parentPin, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Instance methods
 userSchema.methods.comparePassword = async function(candidatePassword) {
   if (this.provider !== 'local' || !this.password) {
@@ -195,6 +380,14 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Requires the document to be loaded with +parentPin
+userSchema.methods.comparePin = function(candidatePin) {
+  if (!this.parentPin) {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(String(candidatePin), this.parentPin);
+};
+
 userSchema.methods.generateEmailVerificationToken = function() {
   const crypto = require('crypto');
   const token = crypto.randomBytes(32).toString('hex');
@@ -206,7 +399,7 @@ userSchema.methods.generatePasswordResetToken = function() {
   const crypto = require('crypto');
   const token = crypto.randomBytes(32).toString('hex');
   this.passwordResetToken = token;
-  this.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+  this.passwordResetExpires = Date.now() + PASSWORD_RESET_TTL_MIN * 60 * 1000;
   return token;
 };
 
@@ -220,7 +413,41 @@ userSchema.methods.isAdmin = function() {
 };
 
 userSchema.methods.hasPremium = function() {
-  return this.subscription.plan !== 'free' && this.subscription.status === 'active';
+  return this.constructor.hasPremiumAccess(this);
+};
+
+userSchema.statics.PASSWORD_RESET_TTL_MIN = PASSWORD_RESET_TTL_MIN;
+userSchema.statics.MAGIC_LINK = MAGIC_LINK;
+userSchema.statics.PARENT_PIN = PARENT_PIN;
+userSchema.statics.LOGIN_LOCKOUT = LOGIN_LOCKOUT;
+userSchema.statics.RECOVERY_CODE_COUNT = RECOVERY_CODE_COUNT;
+
+// Also works on lean user objects (e.g. req.user)
+userSchema.statics.isPaidSubscription = function(subscription) {
+  return Boolean(
+    subscription &&
+    subscription.plan !== 'free' &&
+    subscription.status === 'active'
+  );
+};
+
+// The user's own paid subscription, or the family plan shared by their
+// household (set on req.user by authGuard)
+userSchema.statics.getActiveSubscription = function(user) {
+  if (!user) {
+    return null;
+  }
+  if (this.isPaidSubscription(user.subscription)) {
+    return user.subscription;
+  }
+  if (this.isPaidSubscription(user.sharedSubscription)) {
+    return user.sharedSubscription;
+  }
+  return null;
+};
+
+userSchema.statics.hasPremiumAccess = function(user) {
+  return Boolean(this.getActiveSubscription(user));
 };
 
 userSchema.methods.updateLastLogin = function() {
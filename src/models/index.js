@@ -6,6 +6,18 @@ const Category = require('./Category');
 const Highlight = require('./Highlight');
 const Favorite = require('./Favorite');
 const PaymentEvent = require('./PaymentEvent');
+const Order = require('./Order');
+const Subscription = require('./Subscription');
+const ListeningSession = require('./ListeningSession');
+const DailyEngagement = require('./DailyEngagement');
+const Routine = require('./Routine');
+const BedtimeReminder = require('./BedtimeReminder');
+const DownloadLicense = require('./DownloadLicense');
+const RefreshSession = require('./RefreshSession');
+const EmailOutbox = require('./EmailOutbox');
+const Household = require('./Household');
+const AuditLog = require('./AuditLog');
+const Series = require('./Series');
 
 module.exports = {
   User,
@@ -15,4 +27,16 @@ module.exports = {
   Highlight,
   Favorite,
   PaymentEvent,
+  Order,
+  Subscription,
+  ListeningSession,
+  DailyEngagement,
+  Routine,
+  BedtimeReminder,
+  DownloadLicense,
+  RefreshSession,
+  EmailOutbox,
+  Household,
+  AuditLog,
+  Series,
 };
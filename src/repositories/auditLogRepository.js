@@ -0,0 +1,57 @@
+const { AuditLog } = require('../models');
+
+class AuditLogRepository {
+  /**
+   * Create new audit log entry
+   */
+  create(entryData) {
+    const entry = new AuditLog(entryData);
+    return entry.save();
+  }
+
+  /**
+   * Find entries matching the filters, newest first
+   */
+  find(filters = {}, limit = 50, offset = 0) {
+    return AuditLog.find(this.buildQuery(filters))
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Count entries matching the filters
+   */
+  count(filters = {}) {
+    return AuditLog.countDocuments(this.buildQuery(filters));
+  }
+
+  buildQuery({ actorId, action, targetType, targetId, from, to } = {}) {
+    const query = {};
+    if (actorId) {
+      query.actorId = actorId;
+    }
+    if (action) {
+      query.action = action;
+    }
+    if (targetType) {
+      query.targetType = targetType;
+    }
+    if (targetId) {
+      query.targetId = targetId;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        query.createdAt.$gte = from;
+      }
+      if (to) {
+        query.createdAt.$lte = to;
+      }
+    }
+    return query;
+  }
+}
+
+module.exports = new AuditLogRepository();
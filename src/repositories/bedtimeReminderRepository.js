@@ -0,0 +1,83 @@
+const { BedtimeReminder } = require('../models');
+
+class BedtimeReminderRepository {
+  /**
+   * Insert reminders that do not exist yet (matched by kid, type and time)
+   */
+  insertMissing(reminders) {
+    if (reminders.length === 0) {
+      return Promise.resolve();
+    }
+
+    return BedtimeReminder.bulkWrite(reminders.map(reminder => ({
+      updateOne: {
+        filter: {
+          kidId: reminder.kidId,
+          type: reminder.type,
+          scheduledFor: reminder.scheduledFor,
+        },
+        update: { $setOnInsert: reminder },
+        upsert: true,
+      },
+    })), { ordered: false });
+  }
+
+  /**
+   * Find pending reminders scheduled in [from, to]
+   */
+  findDue(from, to, limit = 500) {
+    return BedtimeReminder.find({
+      status: 'pending',
+      scheduledFor: { $gte: from, $lte: to },
+    })
+      .sort({ scheduledFor: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Find a kid's reminders scheduled in [from, to]
+   */
+  findByKidId(kidId, from, to) {
+    return BedtimeReminder.find({
+      kidId,
+      scheduledFor: { $gte: from, $lte: to },
+    })
+      .sort({ scheduledFor: 1 })
+      .lean();
+  }
+
+  /**
+   * Mark reminder as sent
+   */
+  markSent(id, sentAt = new Date()) {
+    return BedtimeReminder.updateOne({ _id: id, status: 'pending' }, { status: 'sent', sentAt });
+  }
+
+  /**
+   * Acknowledge reminder by ID and kid ID
+   */
+  acknowledge(id, kidId, acknowledgedAt = new Date()) {
+    return BedtimeReminder.findOneAndUpdate(
+      { _id: id, kidId },
+      { status: 'acknowledged', acknowledgedAt },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Remove a kid's reminders that have not happened yet
+   */
+  removeUpcomingByKidId(kidId, after = new Date()) {
+    return BedtimeReminder.deleteMany({ kidId, status: 'pending', scheduledFor: { $gt: after } });
+  }
+
+  /**
+   * Remove all reminders for a kid
+   */
+  removeAllByKidId(kidId) {
+    return BedtimeReminder.deleteMany({ kidId });
+  }
+}
+
+module.exports = new BedtimeReminderRepository();
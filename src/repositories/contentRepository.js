@@ -1,4 +1,8 @@
 const { Content } = require('../models');
+const { DEFAULT_LANGUAGE } = require('../utils/language');
+
+// Queries other than findById and the editorial ones are public and only
+// return published content (Content.publishedQuery)
 
 class ContentRepository {
   /**
@@ -9,10 +13,10 @@ class ContentRepository {
   }
 
   /**
-   * Find content by slug
+   * Find published content by slug
    */
   async findBySlug(slug) {
-    return Content.findOne({ slug, isActive: true }).lean();
+    return Content.findOne({ slug, ...Content.publishedQuery() }).lean();
   }
 
   /**
@@ -25,8 +29,7 @@ class ContentRepository {
       ageRange,
       tags,
       isFeatured,
-      isActive,
-      language = 'en',
+      language = DEFAULT_LANGUAGE,
       region = 'US',
     } = filters;
 
@@ -37,14 +40,7 @@ class ContentRepository {
     } = options;
 
     // Build query
-    const query = { language, region };
-
-    // Handle isActive filter (default to true if not specified)
-    if (isActive !== undefined) {
-      query.isActive = isActive;
-    } else {
-      query.isActive = true;
-    }
+    const query = { ...(await this.buildLanguageQuery(language)), region, ...Content.publishedQuery() };
 
     if (categoryId) query.categoryId = categoryId;
     if (type) query.type = type;
@@ -80,16 +76,18 @@ class ContentRepository {
    */
   async countWithFilters(filters = {}) {
     const {
+      categoryId,
       type,
       ageRange,
       tags,
       isFeatured,
-      language = 'en',
+      language = DEFAULT_LANGUAGE,
       region = 'US',
     } = filters;
 
-    const query = { isActive: true, language, region };
+    const query = { ...Content.publishedQuery(), ...(await this.buildLanguageQuery(language)), region };
     
+    if (categoryId) query.categoryId = categoryId;
     if (type) query.type = type;
     if (ageRange) query.ageRange = ageRange;
     if (tags && tags.length > 0) query.tags = { $in: tags };
@@ -98,6 +96,103 @@ class ContentRepository {
     return Content.countDocuments(query);
   }
 
+  /**
+   * Content in a language, plus English content for stories that have no
+   * published variant in that language
+   */
+  async buildLanguageQuery(language = DEFAULT_LANGUAGE) {
+    if (language === DEFAULT_LANGUAGE) {
+      return { language };
+    }
+
+    const translatedGroups = await Content.distinct('translationGroupId', {
+      language,
+      translationGroupId: { $ne: null },
+      ...Content.publishedQuery(),
+    });
+
+    return {
+      $or: [
+        { language },
+        { language: DEFAULT_LANGUAGE, translationGroupId: { $nin: translatedGroups } },
+      ],
+    };
+  }
+
+  /**
+   * Find published variants of translation groups in the given languages
+   */
+  findTranslations(groupIds, languages) {
+    return Content.find({
+      translationGroupId: { $in: groupIds },
+      language: { $in: languages },
+      ...Content.publishedQuery(),
+    }).lean();
+  }
+
+  /**
+   * Find content in a category, whatever its status (admin)
+   */
+  findByCategory(categoryId, { limit = 20, offset = 0, sort = 'createdAt', order = 'desc' } = {}) {
+    return Content.find({ categoryId })
+      .sort({ [sort]: order === 'desc' ? -1 : 1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Count content in a category, whatever its status (admin)
+   */
+  countByCategory(categoryId) {
+    return Content.countDocuments({ categoryId });
+  }
+
+  /**
+   * Find every variant of a translation group, whatever its status (admin)
+   */
+  findTranslationGroup(groupId) {
+    return Content.find({ translationGroupId: groupId })
+      .select('title slug language region status isActive translationGroupId')
+      .sort({ language: 1 })
+      .lean();
+  }
+
+  /**
+   * Move content into a translation group (null removes it from its group)
+   */
+  setTranslationGroup(ids, groupId) {
+    return Content.updateMany({ _id: { $in: ids } }, { $set: { translationGroupId: groupId } });
+  }
+
+  /**
+   * Find published content by slug with its transcript text and timings
+   */
+  findBySlugWithTranscript(slug) {
+    return Content.findOne({ slug, ...Content.publishedQuery() })
+      .select('+transcript.text +transcript.segments')
+      .lean();
+  }
+
+  /**
+   * Find content by ID with its transcript text and timings, whatever its status (admin)
+   */
+  findByIdWithTranscript(id) {
+    return Content.findById(id)
+      .select('+transcript.text +transcript.segments')
+      .lean();
+  }
+
+  /**
+   * Replace the transcript (null removes it)
+   */
+  setTranscript(id, transcript) {
+    return Content.updateOne(
+      { _id: id },
+      transcript ? { $set: { transcript } } : { $unset: { transcript: 1 } }
+    );
+  }
+
   /**
    * Find recommended content for kid
    */
@@ -105,11 +200,27 @@ class ContentRepository {
     return Content.findRecommended(ageRange, tags, limit);
   }
 
+  /**
+   * Find candidate content for the recommender. Returns documents
+   * (not lean) so `rankingScore` and `getRecencyBoost` are available.
+   */
+  findRecommendationCandidates(ageRange, options = {}) {
+    const { excludeIds = [], limit = 100 } = options;
+
+    return Content.find({
+      ageRange,
+      ...Content.publishedQuery(),
+      ...(excludeIds.length > 0 && { _id: { $nin: excludeIds } }),
+    })
+      .sort({ isFeatured: -1, popularityScore: -1, publishedAt: -1 })
+      .limit(limit);
+  }
+
   /**
    * Find featured content
    */
   async findFeatured(limit = 5) {
-    return Content.find({ isFeatured: true, isActive: true })
+    return Content.find({ isFeatured: true, ...Content.publishedQuery() })
       .sort({ popularityScore: -1, publishedAt: -1 })
       .limit(limit)
       .lean();
@@ -123,37 +234,31 @@ class ContentRepository {
   }
 
   /**
-   * Search content by text
+   * Find published content to rank for a search, most popular first.
+   * Matching happens in the search service, so this only applies filters.
    */
-  async searchByText(searchText, filters = {}, options = {}) {
-    const {
-      type,
-      ageRange,
-      tags,
-      language = 'en',
-      region = 'US',
-    } = filters;
-
-    const {
-      limit = 10,
-      offset = 0,
-    } = options;
+  findSearchCandidates(filters = {}, limit = 1000) {
+    const { type, ageRange, tags, language, region, durationBucket } = filters;
 
     const query = {
-      $text: { $search: searchText },
-      isActive: true,
-      language,
-      region,
+      ...Content.publishedQuery(),
+      ...(type && { type }),
+      ...(ageRange && { ageRange }),
+      ...(tags && tags.length > 0 && { tags: { $in: tags } }),
+      ...(language && { language }),
+      ...(region && { region }),
     };
-    
-    if (type) query.type = type;
-    if (ageRange) query.ageRange = ageRange;
-    if (tags && tags.length > 0) query.tags = { $in: tags };
 
-    return Content.find(query, { score: { $meta: 'textScore' } })
-      .sort({ score: { $meta: 'textScore' } })
+    if (durationBucket) {
+      query.durationSec = { $gte: durationBucket.minSec };
+      if (durationBucket.maxSec) {
+        query.durationSec.$lt = durationBucket.maxSec;
+      }
+    }
+
+    return Content.find(query)
+      .sort({ popularityScore: -1, publishedAt: -1 })
       .limit(limit)
-      .skip(offset)
       .lean();
   }
 
@@ -161,21 +266,21 @@ class ContentRepository {
    * Get content categories (distinct types)
    */
   async getCategories() {
-    return Content.distinct('type', { isActive: true });
+    return Content.distinct('type', Content.publishedQuery());
   }
 
   /**
    * Get content tags
    */
   async getTags() {
-    return Content.distinct('tags', { isActive: true });
+    return Content.distinct('tags', Content.publishedQuery());
   }
 
   /**
    * Get content age ranges
    */
   async getAgeRanges() {
-    return Content.distinct('ageRange', { isActive: true });
+    return Content.distinct('ageRange', Content.publishedQuery());
   }
 
   /**
@@ -193,7 +298,7 @@ class ContentRepository {
    * Find content by IDs
    */
   async findByIds(ids) {
-    return Content.find({ _id: { $in: ids }, isActive: true }).lean();
+    return Content.find({ _id: { $in: ids }, ...Content.publishedQuery() }).lean();
   }
 
   /**
@@ -218,11 +323,49 @@ class ContentRepository {
     return Content.findByIdAndUpdate(id, { isActive: false }, { new: true }).lean();
   }
 
+  /**
+   * Change the editorial status if it is still `fromStatus`, optionally
+   * with a reviewer comment
+   * @returns {Promise<Object|null>} Updated content, or null if the status changed meanwhile
+   */
+  transitionStatus(id, fromStatus, update, comment = null) {
+    return Content.findOneAndUpdate(
+      // Content without a status counts as published
+      { _id: id, status: fromStatus === 'published' ? { $in: ['published', null] } : fromStatus },
+      {
+        $set: update,
+        ...(comment && { $push: { reviewComments: comment } }),
+      },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Add a reviewer comment without changing the status
+   */
+  addReviewComment(id, comment) {
+    return Content.findByIdAndUpdate(
+      id,
+      { $push: { reviewComments: comment } },
+      { new: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Find scheduled content whose publish time has come, oldest first
+   */
+  findDueForPublishing(now = new Date(), limit = 100) {
+    return Content.find({ status: 'scheduled', publishedAt: { $lte: now } })
+      .sort({ publishedAt: 1 })
+      .limit(limit)
+      .lean();
+  }
+
   /**
    * Find recently published content
    */
   async findRecent(limit = 10) {
-    return Content.find({ isActive: true })
+    return Content.find(Content.publishedQuery())
       .sort({ publishedAt: -1 })
       .limit(limit)
       .lean();
@@ -232,7 +375,7 @@ class ContentRepository {
    * Find popular content
    */
   async findPopular(limit = 10) {
-    return Content.find({ isActive: true })
+    return Content.find(Content.publishedQuery())
       .sort({ popularityScore: -1, publishedAt: -1 })
       .limit(limit)
       .lean();
@@ -0,0 +1,31 @@
+const { DailyEngagement } = require('../models');
+
+class DailyEngagementRepository {
+  /**
+   * Find rollups for days in [from, to)
+   */
+  findByDateRange(from, to) {
+    return DailyEngagement.find({ date: { $gte: from, $lt: to } })
+      .sort({ date: 1 })
+      .lean();
+  }
+
+  /**
+   * Insert or replace rollups by day
+   */
+  upsertMany(days) {
+    if (days.length === 0) {
+      return Promise.resolve();
+    }
+
+    return DailyEngagement.bulkWrite(days.map(day => ({
+      updateOne: {
+        filter: { date: day.date },
+        update: { $set: day },
+        upsert: true,
+      },
+    })));
+  }
+}
+
+module.exports = new DailyEngagementRepository();
@@ -0,0 +1,107 @@
+const { DownloadLicense } = require('../models');
+
+const LICENSE_CONTENT_FIELDS = 'title slug type durationSec ageRange tags audioUrl imageUrl accessTier isActive status';
+
+// Licenses that are neither revoked nor expired
+const activeQuery = (now) => ({ revokedAt: null, expiresAt: { $gt: now } });
+
+class DownloadLicenseRepository {
+  /**
+   * Create new license
+   */
+  create(licenseData) {
+    const license = new DownloadLicense(licenseData);
+    return license.save();
+  }
+
+  /**
+   * Find license by ID and user ID with content details
+   */
+  findByIdAndUserId(id, userId) {
+    return DownloadLicense.findOne({ _id: id, userId })
+      .populate({ path: 'contentId', select: LICENSE_CONTENT_FIELDS })
+      .lean();
+  }
+
+  /**
+   * Find the active license for a content item on a device
+   */
+  findActive(userId, deviceId, kidId, contentId, now = new Date()) {
+    return DownloadLicense.findOne({ userId, deviceId, kidId, contentId, ...activeQuery(now) }).lean();
+  }
+
+  /**
+   * Find a user's active licenses, optionally for one device or kid
+   */
+  findActiveByUserId(userId, filters = {}, now = new Date()) {
+    const query = { userId, ...activeQuery(now) };
+    if (filters.deviceId) {
+      query.deviceId = filters.deviceId;
+    }
+    if (filters.kidId) {
+      query.kidId = filters.kidId;
+    }
+
+    return DownloadLicense.find(query)
+      .populate({ path: 'contentId', select: LICENSE_CONTENT_FIELDS })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Count a user's active licenses across all devices
+   */
+  countActiveByUserId(userId, now = new Date()) {
+    return DownloadLicense.countDocuments({ userId, ...activeQuery(now) });
+  }
+
+  /**
+   * Extend an active license
+   */
+  renew(id, userId, expiresAt, now = new Date()) {
+    return DownloadLicense.findOneAndUpdate(
+      { _id: id, userId, revokedAt: null },
+      { expiresAt, renewedAt: now, $inc: { renewCount: 1 } },
+      { new: true }
+    )
+      .populate({ path: 'contentId', select: LICENSE_CONTENT_FIELDS })
+      .lean();
+  }
+
+  /**
+   * Revoke a license
+   */
+  revoke(id, userId, now = new Date()) {
+    return DownloadLicense.findOneAndUpdate(
+      { _id: id, userId, revokedAt: null },
+      { revokedAt: now },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Revoke all active licenses on a device
+   */
+  revokeByDevice(userId, deviceId, now = new Date()) {
+    return DownloadLicense.updateMany(
+      { userId, deviceId, ...activeQuery(now) },
+      { revokedAt: now }
+    );
+  }
+
+  /**
+   * Delete a license (rolling back one issued past the cap)
+   */
+  deleteById(id) {
+    return DownloadLicense.deleteOne({ _id: id });
+  }
+
+  /**
+   * Remove all licenses for a kid
+   */
+  removeAllByKidId(kidId) {
+    return DownloadLicense.deleteMany({ kidId });
+  }
+}
+
+module.exports = new DownloadLicenseRepository();
@@ -0,0 +1,74 @@
+const { EmailOutbox } = require('../models');
+
+// Rendered bodies, which may contain one-time tokens
+const BODY_FIELDS = { text: 1, html: 1 };
+
+class EmailOutboxRepository {
+  /**
+   * Create new outbox message
+   */
+  create(messageData) {
+    const message = new EmailOutbox(messageData);
+    return message.save();
+  }
+
+  /**
+   * Find pending messages due for a delivery attempt, oldest first
+   */
+  findDue(now = new Date(), limit = 50) {
+    return EmailOutbox.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Claim a due message for one delivery attempt. Pushing nextAttemptAt
+   * forward keeps other workers from sending it at the same time.
+   * @returns {Promise<Object|null>} Claimed message, or null if already claimed
+   */
+  claim(id, now, lockUntil) {
+    return EmailOutbox.findOneAndUpdate(
+      { _id: id, status: 'pending', nextAttemptAt: { $lte: now } },
+      { nextAttemptAt: lockUntil, $inc: { attempts: 1 } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Record a successful delivery and drop the body
+   */
+  markSent(id, messageId, now = new Date()) {
+    return EmailOutbox.findByIdAndUpdate(
+      id,
+      {
+        $set: { status: 'sent', sentAt: now, messageId, lastError: null },
+        $unset: BODY_FIELDS,
+      },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Record a failed attempt; without a retry time the message is given up
+   * on and its body dropped
+   */
+  markFailed(id, errorMessage, nextAttemptAt = null) {
+    return EmailOutbox.findByIdAndUpdate(
+      id,
+      nextAttemptAt
+        ? { lastError: errorMessage, nextAttemptAt }
+        : { $set: { status: 'failed', lastError: errorMessage }, $unset: BODY_FIELDS },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Remove a user's messages that have not been sent yet
+   */
+  removeUnsentByUserId(userId) {
+    return EmailOutbox.deleteMany({ userId, status: { $ne: 'sent' } });
+  }
+}
+
+module.exports = new EmailOutboxRepository();
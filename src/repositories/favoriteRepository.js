@@ -102,12 +102,67 @@ class FavoriteRepository {
       })
       .populate({
         path: 'contentId',
-        select: 'title type durationSec ageRange tags imageUrl audioUrl',
+        select: 'title type durationSec ageRange tags imageUrl audioUrl accessTier',
       })
       .sort({ createdAt: -1 })
       .lean();
   }
 
+  /**
+   * Get favorites of several kids with kid and content details
+   */
+  getFavoritesWithDetailsByKidIds(kidIds) {
+    return Favorite.find({ kidId: { $in: kidIds } })
+      .populate({
+        path: 'kidId',
+        select: 'name ageRange avatarKey',
+      })
+      .populate({
+        path: 'contentId',
+        select: 'title type durationSec ageRange tags imageUrl audioUrl accessTier',
+      })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Count favorites of several kids
+   */
+  countByKidIds(kidIds) {
+    return Favorite.countDocuments({ kidId: { $in: kidIds } });
+  }
+
+  /**
+   * Get favorites statistics for several kids
+   */
+  getFavoritesStatsByKidIds(kidIds) {
+    return Favorite.aggregate([
+      {
+        $match: { kidId: { $in: kidIds } },
+      },
+      {
+        $lookup: {
+          from: 'contents',
+          localField: 'contentId',
+          foreignField: '_id',
+          as: 'content',
+        },
+      },
+      {
+        $unwind: '$content',
+      },
+      {
+        $group: {
+          _id: '$content.type',
+          count: { $sum: 1 },
+        },
+      },
+      {
+        $sort: { count: -1 },
+      },
+    ]);
+  }
+
   /**
    * Get kid's favorites with content details
    */
@@ -115,7 +170,7 @@ class FavoriteRepository {
     return Favorite.find({ kidId })
       .populate({
         path: 'contentId',
-        select: 'title type durationSec ageRange tags imageUrl audioUrl popularityScore',
+        select: 'title type durationSec ageRange tags imageUrl audioUrl accessTier popularityScore',
       })
       .sort({ createdAt: -1 })
       .lean();
@@ -0,0 +1,117 @@
+const { Household } = require('../models');
+
+const MEMBER_USER_FIELDS = 'name email';
+
+class HouseholdRepository {
+  /**
+   * Create new household
+   */
+  create(householdData) {
+    const household = new Household(householdData);
+    return household.save();
+  }
+
+  /**
+   * Find the household a user belongs to
+   */
+  findByMemberId(userId) {
+    return Household.findOne({ 'members.userId': userId }).lean();
+  }
+
+  /**
+   * Find household by ID with member names and emails
+   */
+  findByIdWithMembers(id) {
+    return Household.findById(id)
+      .populate({ path: 'members.userId', select: MEMBER_USER_FIELDS })
+      .lean();
+  }
+
+  /**
+   * Find the household holding an invitation
+   */
+  findByInvitationTokenHash(tokenHash) {
+    return Household.findOne({ 'invitations.tokenHash': tokenHash }).lean();
+  }
+
+  /**
+   * Update household by ID
+   */
+  updateById(id, updateData) {
+    return Household.findByIdAndUpdate(id, updateData, { new: true }).lean();
+  }
+
+  /**
+   * Add an invitation, replacing any earlier one for the same email
+   */
+  async addInvitation(id, invitation) {
+    await Household.updateOne({ _id: id }, { $pull: { invitations: { email: invitation.email } } });
+    return Household.findByIdAndUpdate(id, { $push: { invitations: invitation } }, { new: true }).lean();
+  }
+
+  /**
+   * Remove an invitation
+   */
+  removeInvitation(id, invitationId) {
+    return Household.findOneAndUpdate(
+      { _id: id, 'invitations._id': invitationId },
+      { $pull: { invitations: { _id: invitationId } } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Remove every invitation sent by a user or addressed to their email
+   */
+  removeInvitationsByUser(userId, email) {
+    const conditions = [{ invitedBy: userId }, { email }];
+
+    return Household.updateMany(
+      { invitations: { $elemMatch: { $or: conditions } } },
+      { $pull: { invitations: { $or: conditions } } }
+    );
+  }
+
+  /**
+   * Turn an invitation into a membership. Resolves with null if the
+   * invitation was already used.
+   */
+  acceptInvitation(id, invitationId, member) {
+    return Household.findOneAndUpdate(
+      { _id: id, 'invitations._id': invitationId, 'members.userId': { $ne: member.userId } },
+      { $pull: { invitations: { _id: invitationId } }, $push: { members: member } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Change a member's role
+   */
+  updateMemberRole(id, userId, role) {
+    return Household.findOneAndUpdate(
+      { _id: id, 'members.userId': userId },
+      { $set: { 'members.$.role': role } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Remove a member
+   */
+  removeMember(id, userId) {
+    return Household.findOneAndUpdate(
+      { _id: id },
+      { $pull: { members: { userId } } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Delete household
+   */
+  deleteById(id) {
+    return Household.findByIdAndDelete(id);
+  }
+}
+
+module.exports = new HouseholdRepository();
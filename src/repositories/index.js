@@ -4,6 +4,19 @@ const kidRepository = require('./kidRepository');
 const contentRepository = require('./contentRepository');
 const categoryRepository = require('./categoryRepository');
 const favoriteRepository = require('./favoriteRepository');
+const listeningSessionRepository = require('./listeningSessionRepository');
+const dailyEngagementRepository = require('./dailyEngagementRepository');
+const routineRepository = require('./routineRepository');
+const bedtimeReminderRepository = require('./bedtimeReminderRepository');
+const downloadLicenseRepository = require('./downloadLicenseRepository');
+const refreshSessionRepository = require('./refreshSessionRepository');
+const emailOutboxRepository = require('./emailOutboxRepository');
+const householdRepository = require('./householdRepository');
+const orderRepository = require('./orderRepository');
+const subscriptionRepository = require('./subscriptionRepository');
+const paymentEventRepository = require('./paymentEventRepository');
+const auditLogRepository = require('./auditLogRepository');
+const seriesRepository = require('./seriesRepository');
 
 module.exports = {
   userRepository,
@@ -11,4 +24,17 @@ module.exports = {
   contentRepository,
   categoryRepository,
   favoriteRepository,
+  listeningSessionRepository,
+  dailyEngagementRepository,
+  routineRepository,
+  bedtimeReminderRepository,
+  downloadLicenseRepository,
+  refreshSessionRepository,
+  emailOutboxRepository,
+  householdRepository,
+  orderRepository,
+  subscriptionRepository,
+  paymentEventRepository,
+  auditLogRepository,
+  seriesRepository,
 };
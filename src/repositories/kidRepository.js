@@ -1,4 +1,16 @@
-const { KidProfile } = require('../models');
+const { KidProfile, Household } = require('../models');
+
+/**
+ * Filter for the kids a guardian can see: their own profiles plus those
+ * shared with their household
+ */
+async function guardianQuery(userId) {
+  const household = await Household.findOne({ 'members.userId': userId }).select('_id').lean();
+  if (!household) {
+    return { userId };
+  }
+  return { $or: [{ userId }, { householdId: household._id }] };
+}
 
 class KidRepository {
   /**
@@ -12,14 +24,31 @@ class KidRepository {
    * Find kids by user ID
    */
   async findByUserId(userId) {
+    return KidProfile.find(await guardianQuery(userId)).sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Find the kids a user created, without those shared by their household
+   * (account export and erasure)
+   */
+  findCreatedByUserId(userId) {
     return KidProfile.find({ userId }).sort({ createdAt: -1 }).lean();
   }
 
+  /**
+   * Find kids with bedtime reminders enabled
+   */
+  findWithBedtimeEnabled() {
+    return KidProfile.find({ 'bedtime.enabled': true })
+      .select('userId name bedtime')
+      .lean();
+  }
+
   /**
    * Find kid by ID and user ID (for ownership verification)
    */
   async findByIdAndUserId(id, userId) {
-    return KidProfile.findOne({ _id: id, userId }).lean();
+    return KidProfile.findOne({ _id: id, ...(await guardianQuery(userId)) }).lean();
   }
 
   /**
@@ -42,7 +71,7 @@ class KidRepository {
    */
   async updateByIdAndUserId(id, userId, updateData) {
     return KidProfile.findOneAndUpdate(
-      { _id: id, userId },
+      { _id: id, ...(await guardianQuery(userId)) },
       updateData,
       { new: true }
     ).lean();
@@ -52,7 +81,7 @@ class KidRepository {
    * Delete kid by ID and user ID
    */
   async deleteByIdAndUserId(id, userId) {
-    return KidProfile.findOneAndDelete({ _id: id, userId });
+    return KidProfile.findOneAndDelete({ _id: id, ...(await guardianQuery(userId)) });
   }
 
   /**
@@ -60,7 +89,7 @@ class KidRepository {
    */
   async updatePreferences(id, userId, preferences) {
     return KidProfile.findOneAndUpdate(
-      { _id: id, userId },
+      { _id: id, ...(await guardianQuery(userId)) },
       { preferences },
       { new: true }
     ).lean();
@@ -70,7 +99,15 @@ class KidRepository {
    * Count kids by user ID
    */
   async countByUserId(userId) {
-    return KidProfile.countDocuments({ userId });
+    return KidProfile.countDocuments(await guardianQuery(userId));
+  }
+
+  /**
+   * Count the kids of a household together with a guardian's own kids,
+   * as they would be after the guardian joins it
+   */
+  countByHouseholdOrUserId(householdId, userId) {
+    return KidProfile.countDocuments({ $or: [{ householdId }, { userId }] });
   }
 
   /**
@@ -93,7 +130,7 @@ class KidRepository {
    * Get kid preferences by ID and user ID
    */
   async getPreferences(id, userId) {
-    const kid = await KidProfile.findOne({ _id: id, userId })
+    const kid = await KidProfile.findOne({ _id: id, ...(await guardianQuery(userId)) })
       .select('preferences')
       .lean();
     
@@ -104,7 +141,7 @@ class KidRepository {
    * Check if kid belongs to user
    */
   async belongsToUser(kidId, userId) {
-    const count = await KidProfile.countDocuments({ _id: kidId, userId });
+    const count = await KidProfile.countDocuments({ _id: kidId, ...(await guardianQuery(userId)) });
     return count > 0;
   }
 
@@ -112,7 +149,7 @@ class KidRepository {
    * Find kids with pagination
    */
   async findByUserIdWithPagination(userId, limit = 10, offset = 0) {
-    return KidProfile.find({ userId })
+    return KidProfile.find(await guardianQuery(userId))
       .sort({ createdAt: -1 })
       .limit(limit)
       .skip(offset)
@@ -123,7 +160,30 @@ class KidRepository {
    * Get total count of kids for a user
    */
   async getTotalCountByUserId(userId) {
-    return KidProfile.countDocuments({ userId });
+    return KidProfile.countDocuments(await guardianQuery(userId));
+  }
+
+  /**
+   * Share all of a guardian's own kids with their household
+   */
+  assignHousehold(userId, householdId) {
+    return KidProfile.updateMany({ userId }, { householdId });
+  }
+
+  /**
+   * Stop sharing kids with a household: those created by one guardian,
+   * or all of them when userId is omitted
+   */
+  releaseFromHousehold(householdId, userId = null) {
+    const filter = userId ? { householdId, userId } : { householdId };
+    return KidProfile.updateMany(filter, { householdId: null });
+  }
+
+  /**
+   * Hand the kids a guardian created in a household over to another member
+   */
+  transferOwnership(householdId, fromUserId, toUserId) {
+    return KidProfile.updateMany({ householdId, userId: fromUserId }, { userId: toUserId });
   }
 }
 
@@ -0,0 +1,323 @@
+const mongoose = require('mongoose');
+const { ListeningSession } = require('../models');
+
+class ListeningSessionRepository {
+  /**
+   * Create new listening session
+   */
+  create(sessionData) {
+    const session = new ListeningSession(sessionData);
+    return session.save();
+  }
+
+  /**
+   * Find session by ID and kid ID (for ownership verification)
+   */
+  findByIdAndKidId(id, kidId) {
+    return ListeningSession.findOne({ _id: id, kidId }).lean();
+  }
+
+  /**
+   * Update session by ID
+   */
+  updateById(id, updateData) {
+    return ListeningSession.findByIdAndUpdate(id, updateData, { new: true }).lean();
+  }
+
+  /**
+   * Find the most recent session of a kid for a content item
+   */
+  findLatestForKidContent(kidId, contentId) {
+    return ListeningSession.findOne({ kidId, contentId })
+      .sort({ lastHeartbeatAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Find sessions by kid ID with content details
+   */
+  findByKidId(kidId, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    return ListeningSession.find({ kidId })
+      .populate({
+        path: 'contentId',
+        select: 'title slug type durationSec ageRange tags imageUrl',
+      })
+      .sort({ lastHeartbeatAt: -1 })
+      .limit(limit)
+      .skip(offset)
+      .lean();
+  }
+
+  /**
+   * Find unfinished content for a kid, most recently listened first.
+   * Only the latest session per content counts, so content finished
+   * in a later session is not returned.
+   */
+  findUnfinishedByKidId(kidId, limit = 10) {
+    return ListeningSession.aggregate([
+      { $match: { kidId: new mongoose.Types.ObjectId(kidId) } },
+      { $sort: { lastHeartbeatAt: -1 } },
+      { $group: { _id: '$contentId', session: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$session' } },
+      {
+        $match: {
+          status: 'active',
+          positionSec: { $gte: ListeningSession.MIN_RESUME_SEC },
+        },
+      },
+      { $sort: { lastHeartbeatAt: -1 } },
+      {
+        $lookup: {
+          from: 'contents',
+          localField: 'contentId',
+          foreignField: '_id',
+          as: 'content',
+        },
+      },
+      { $unwind: '$content' },
+      { $match: { 'content.isActive': true, 'content.status': { $in: ['published', null] } } },
+      { $limit: limit },
+    ]);
+  }
+
+  /**
+   * Aggregate plays, completions, listeners and listened time
+   * per UTC day for sessions started in [from, to)
+   */
+  aggregateDailyEngagement(from, to) {
+    return ListeningSession.aggregate([
+      { $match: { startedAt: { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: { $dateTrunc: { date: '$startedAt', unit: 'day' } },
+          plays: { $sum: 1 },
+          completions: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          uniqueListeners: { $addToSet: '$userId' },
+          listenedSec: { $sum: '$listenedSec' },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          date: '$_id',
+          plays: 1,
+          completions: 1,
+          uniqueListeners: { $size: '$uniqueListeners' },
+          listenedSec: 1,
+        },
+      },
+      { $sort: { date: 1 } },
+    ]);
+  }
+
+  /**
+   * Count distinct users who started a session in [since, until). A start
+   * date is required so the count never scans the whole collection.
+   */
+  async countListeners(since, until = null) {
+    if (!since) {
+      throw new Error('countListeners needs a start date');
+    }
+
+    const startedAt = { $gte: since, ...(until && { $lt: until }) };
+    const [result] = await ListeningSession.aggregate([
+      { $match: { startedAt } },
+      { $group: { _id: '$userId' } },
+      { $count: 'total' },
+    ]);
+    return result ? result.total : 0;
+  }
+
+  /**
+   * Find the most played content since a date
+   */
+  findTopContent(since, limit = 5) {
+    return ListeningSession.aggregate([
+      { $match: { startedAt: { $gte: since } } },
+      { $group: { _id: '$contentId', plays: { $sum: 1 } } },
+      { $sort: { plays: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: 'contents',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'content',
+        },
+      },
+      { $unwind: '$content' },
+      {
+        $project: {
+          _id: 0,
+          id: '$_id',
+          title: '$content.title',
+          type: '$content.type',
+          plays: 1,
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Aggregate engagement for a single content item
+   */
+  async aggregateContentEngagement(contentId) {
+    const [result] = await ListeningSession.aggregate([
+      { $match: { contentId: new mongoose.Types.ObjectId(contentId) } },
+      {
+        $group: {
+          _id: null,
+          plays: { $sum: 1 },
+          completions: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          uniqueListeners: { $addToSet: '$userId' },
+          listenedSec: { $sum: '$listenedSec' },
+          lastPlayedAt: { $max: '$startedAt' },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          plays: 1,
+          completions: 1,
+          uniqueListeners: { $size: '$uniqueListeners' },
+          listenedSec: 1,
+          lastPlayedAt: 1,
+        },
+      },
+    ]);
+    return result || null;
+  }
+
+  /**
+   * Summarize a kid's listening per content since a date,
+   * with the content tags and type
+   */
+  aggregateKidHistory(kidId, since) {
+    return ListeningSession.aggregate([
+      {
+        $match: {
+          kidId: new mongoose.Types.ObjectId(kidId),
+          startedAt: { $gte: since },
+        },
+      },
+      {
+        $group: {
+          _id: '$contentId',
+          plays: { $sum: 1 },
+          completions: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+          maxProgress: { $max: { $divide: ['$positionSec', '$durationSec'] } },
+          lastListenedAt: { $max: '$lastHeartbeatAt' },
+        },
+      },
+      {
+        $lookup: {
+          from: 'contents',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'content',
+        },
+      },
+      { $unwind: '$content' },
+      {
+        $project: {
+          _id: 0,
+          contentId: '$_id',
+          plays: 1,
+          completions: 1,
+          maxProgress: 1,
+          lastListenedAt: 1,
+          type: '$content.type',
+          tags: '$content.tags',
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Progress of a kid per content item: whether any session completed it
+   * and the position of the latest session
+   */
+  aggregateKidContentProgress(kidId, contentIds) {
+    return ListeningSession.aggregate([
+      {
+        $match: {
+          kidId: new mongoose.Types.ObjectId(kidId),
+          contentId: { $in: contentIds.map(id => new mongoose.Types.ObjectId(id)) },
+        },
+      },
+      { $sort: { lastHeartbeatAt: -1 } },
+      {
+        $group: {
+          _id: '$contentId',
+          completed: { $max: { $cond: [{ $eq: ['$status', 'completed'] }, true, false] } },
+          positionSec: { $first: '$positionSec' },
+          lastListenedAt: { $first: '$lastHeartbeatAt' },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Aggregate plays and completions per content for sessions started since a date
+   */
+  aggregateCompletionRates(contentIds, since) {
+    return ListeningSession.aggregate([
+      {
+        $match: {
+          contentId: { $in: contentIds.map(id => new mongoose.Types.ObjectId(id)) },
+          startedAt: { $gte: since },
+        },
+      },
+      {
+        $group: {
+          _id: '$contentId',
+          plays: { $sum: 1 },
+          completions: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Count all sessions
+   */
+  count() {
+    return ListeningSession.estimatedDocumentCount();
+  }
+
+  /**
+   * Count sessions by kid ID
+   */
+  countByKidId(kidId) {
+    return ListeningSession.countDocuments({ kidId });
+  }
+
+  /**
+   * Remove all sessions for a kid
+   */
+  removeAllByKidId(kidId) {
+    return ListeningSession.deleteMany({ kidId });
+  }
+
+  /**
+   * Remove the sessions a user recorded, whichever kid they were for
+   */
+  removeAllByUserId(userId) {
+    return ListeningSession.deleteMany({ userId });
+  }
+
+  /**
+   * Find the sessions of several kids plus those a user recorded for
+   * other kids (account export)
+   */
+  findByKidIdsOrUserId(kidIds, userId) {
+    return ListeningSession.find({ $or: [{ kidId: { $in: kidIds } }, { userId }] })
+      .populate({ path: 'contentId', select: 'title slug type' })
+      .sort({ startedAt: -1 })
+      .lean();
+  }
+}
+
+module.exports = new ListeningSessionRepository();
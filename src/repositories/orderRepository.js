@@ -0,0 +1,67 @@
+const { Order } = require('../models');
+
+class OrderRepository {
+  /**
+   * Find all orders of a user, newest first
+   */
+  findByUserId(userId) {
+    return Order.find({ userId })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Find orders matching the filters with the buyer, newest first
+   */
+  find(filters = {}, limit = 20, offset = 0) {
+    return Order.find(this.buildQuery(filters))
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .populate('userId', 'email name')
+      .lean();
+  }
+
+  /**
+   * Count orders matching the filters
+   */
+  count(filters = {}) {
+    return Order.countDocuments(this.buildQuery(filters));
+  }
+
+  /**
+   * Drop personal details from a user's orders, keeping amounts and
+   * statuses for accounting
+   */
+  anonymizeByUserId(userId, now = new Date()) {
+    return Order.updateMany(
+      { userId },
+      {
+        $set: { paymentContext: {}, anonymizedAt: now },
+        $unset: { 'metadata.description': 1, 'metadata.notes': 1 },
+      }
+    );
+  }
+
+  buildQuery({ userId, status, from, to } = {}) {
+    const query = {};
+    if (userId) {
+      query.userId = userId;
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        query.createdAt.$gte = from;
+      }
+      if (to) {
+        query.createdAt.$lte = to;
+      }
+    }
+    return query;
+  }
+}
+
+module.exports = new OrderRepository();
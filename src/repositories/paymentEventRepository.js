@@ -0,0 +1,16 @@
+const { PaymentEvent } = require('../models');
+
+class PaymentEventRepository {
+  /**
+   * Replace the payload of a user's payment events; the event IDs stay so
+   * a redelivered webhook is still recognized as a duplicate
+   */
+  anonymizeByUserId(userId, now = new Date()) {
+    return PaymentEvent.updateMany(
+      { userId },
+      { $set: { data: { anonymized: true }, error: null, anonymizedAt: now } }
+    );
+  }
+}
+
+module.exports = new PaymentEventRepository();
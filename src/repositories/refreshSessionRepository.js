@@ -0,0 +1,69 @@
+const { RefreshSession } = require('../models');
+
+// Sessions that are neither revoked nor expired
+const activeQuery = (now) => ({ revokedAt: null, expiresAt: { $gt: now } });
+
+/**
+ * Mongo-backed refresh session store (the default, see utils/sessions)
+ */
+class RefreshSessionRepository {
+  /**
+   * Create new session
+   */
+  create(sessionData) {
+    const session = new RefreshSession(sessionData);
+    return session.save().then(saved => saved.toObject());
+  }
+
+  /**
+   * Find session by family ID, including revoked ones
+   */
+  findByFamilyId(familyId) {
+    return RefreshSession.findOne({ familyId }).lean();
+  }
+
+  /**
+   * Find a user's active sessions, most recently used first
+   */
+  findActiveByUserId(userId, now = new Date()) {
+    return RefreshSession.find({ userId, ...activeQuery(now) })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Swap the family's current token, only if it is still the one presented.
+   * Resolves with null when another request rotated or revoked it first.
+   */
+  rotate(familyId, currentJti, updateData) {
+    return RefreshSession.findOneAndUpdate(
+      { familyId, jti: currentJti, revokedAt: null },
+      updateData,
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Revoke a session
+   */
+  revoke(familyId, reason, now = new Date()) {
+    return RefreshSession.findOneAndUpdate(
+      { familyId, revokedAt: null },
+      { revokedAt: now, revokeReason: reason },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Revoke all of a user's active sessions
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  revokeAllByUserId(userId, reason, now = new Date()) {
+    return RefreshSession.updateMany(
+      { userId, ...activeQuery(now) },
+      { revokedAt: now, revokeReason: reason }
+    ).then(result => result.modifiedCount);
+  }
+}
+
+module.exports = new RefreshSessionRepository();
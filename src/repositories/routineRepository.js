@@ -0,0 +1,76 @@
+const { Routine } = require('../models');
+
+const ITEM_CONTENT_FIELDS = 'title slug type durationSec ageRange tags audioUrl imageUrl accessTier isActive status';
+
+class RoutineRepository {
+  /**
+   * Create new routine
+   */
+  create(routineData) {
+    const routine = new Routine(routineData);
+    return routine.save();
+  }
+
+  /**
+   * Find routines by kid ID with content details
+   */
+  findByKidId(kidId) {
+    return Routine.find({ kidId })
+      .populate({ path: 'items.contentId', select: ITEM_CONTENT_FIELDS })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Find routine by ID and kid ID with content details
+   */
+  findByIdAndKidId(id, kidId) {
+    return Routine.findOne({ _id: id, kidId })
+      .populate({ path: 'items.contentId', select: ITEM_CONTENT_FIELDS })
+      .lean();
+  }
+
+  /**
+   * Update routine by ID and kid ID
+   */
+  updateByIdAndKidId(id, kidId, updateData) {
+    return Routine.findOneAndUpdate({ _id: id, kidId }, updateData, {
+      new: true,
+      runValidators: true,
+    })
+      .populate({ path: 'items.contentId', select: ITEM_CONTENT_FIELDS })
+      .lean();
+  }
+
+  /**
+   * Delete routine by ID and kid ID
+   */
+  deleteByIdAndKidId(id, kidId) {
+    return Routine.findOneAndDelete({ _id: id, kidId });
+  }
+
+  /**
+   * Count routines by kid ID
+   */
+  countByKidId(kidId) {
+    return Routine.countDocuments({ kidId });
+  }
+
+  /**
+   * Remove all routines for a kid
+   */
+  removeAllByKidId(kidId) {
+    return Routine.deleteMany({ kidId });
+  }
+
+  /**
+   * Find routines of several kids (account export)
+   */
+  findByKidIds(kidIds) {
+    return Routine.find({ kidId: { $in: kidIds } })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+}
+
+module.exports = new RoutineRepository();
@@ -0,0 +1,118 @@
+const { Series, Content } = require('../models');
+
+const EPISODE_CONTENT_FIELDS = 'title slug type description durationSec ageRange tags audioUrl imageUrl thumbnailUrl accessTier isActive status';
+
+class SeriesRepository {
+  /**
+   * Create new series
+   */
+  create(seriesData) {
+    const series = new Series(seriesData);
+    return series.save();
+  }
+
+  /**
+   * Find series by ID with episode content (any status, for admins)
+   */
+  findById(id) {
+    return Series.findById(id)
+      .populate({ path: 'episodes.contentId', select: EPISODE_CONTENT_FIELDS })
+      .lean();
+  }
+
+  /**
+   * Find active series by slug with its published episodes. Unpublished
+   * episodes come back with a null contentId and keep their place.
+   */
+  findBySlug(slug) {
+    return Series.findOne({ slug, isActive: true })
+      .populate({
+        path: 'episodes.contentId',
+        select: EPISODE_CONTENT_FIELDS,
+        match: Content.publishedQuery(),
+      })
+      .lean();
+  }
+
+  /**
+   * Find the active series a content item is an episode of
+   */
+  findByContentId(contentId) {
+    return Series.findOne({ 'episodes.contentId': contentId, isActive: true })
+      .populate({
+        path: 'episodes.contentId',
+        select: EPISODE_CONTENT_FIELDS,
+        match: Content.publishedQuery(),
+      })
+      .lean();
+  }
+
+  /**
+   * Find series (any state) that contain any of the content items
+   */
+  findContainingContent(contentIds, excludeId = null) {
+    const query = { 'episodes.contentId': { $in: contentIds } };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+    return Series.find(query).select('title slug episodes').lean();
+  }
+
+  /**
+   * Find series for the admin list, newest first
+   */
+  findWithFilters(filters = {}, limit = 20, offset = 0) {
+    return Series.find(this.buildQuery(filters))
+      .sort({ createdAt: -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Count series matching the admin filters
+   */
+  countWithFilters(filters = {}) {
+    return Series.countDocuments(this.buildQuery(filters));
+  }
+
+  /**
+   * Check whether a slug is taken by another series
+   */
+  slugExists(slug, excludeId = null) {
+    const query = { slug };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+    return Series.exists(query);
+  }
+
+  /**
+   * Update series by ID
+   */
+  updateById(id, updateData) {
+    return Series.findByIdAndUpdate(id, updateData, { new: true, runValidators: true })
+      .populate({ path: 'episodes.contentId', select: EPISODE_CONTENT_FIELDS })
+      .lean();
+  }
+
+  /**
+   * Delete series by ID (episodes stay as standalone content)
+   */
+  deleteById(id) {
+    return Series.findByIdAndDelete(id);
+  }
+
+  buildQuery({ search, isActive } = {}) {
+    const query = {};
+    if (isActive !== undefined) {
+      query.isActive = isActive;
+    }
+    if (search) {
+      query.title = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    return query;
+  }
+}
+
+module.exports = new SeriesRepository();
@@ -0,0 +1,33 @@
+const { Subscription } = require('../models');
+
+class SubscriptionRepository {
+  /**
+   * Find all subscriptions of a user, newest first
+   */
+  findByUserId(userId) {
+    return Subscription.find({ userId })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Drop personal details from a user's subscriptions, keeping plans,
+   * amounts and dates for accounting
+   */
+  anonymizeByUserId(userId, now = new Date()) {
+    return Subscription.updateMany(
+      { userId },
+      {
+        $set: { paymentContext: {}, anonymizedAt: now },
+        $unset: {
+          'metadata.cancellationReason': 1,
+          'metadata.cancelledBy': 1,
+          'metadata.description': 1,
+          'metadata.notes': 1,
+        },
+      }
+    );
+  }
+}
+
+module.exports = new SubscriptionRepository();
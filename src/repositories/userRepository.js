@@ -22,6 +22,20 @@ class UserRepository {
     return User.findById(id).lean();
   }
 
+  /**
+   * Find user by ID with the parent PIN hash (document, for PIN checks)
+   */
+  findByIdForPin(id) {
+    return User.findById(id).select('+parentPin');
+  }
+
+  /**
+   * Find user by ID with two-factor secrets (document, for updates)
+   */
+  findByIdForTwoFactor(id) {
+    return User.findById(id).select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes');
+  }
+
   /**
    * Find user by Google ID
    */
@@ -29,6 +43,44 @@ class UserRepository {
     return User.findOne({ provider: 'google', googleId }).lean();
   }
 
+  /**
+   * Find user by a linked identity. Google also matches the legacy googleId.
+   */
+  findByIdentity(provider, subject) {
+    const conditions = [{ identities: { $elemMatch: { provider, subject } } }];
+    if (provider === 'google') {
+      conditions.push({ googleId: subject });
+    }
+    return User.findOne({ $or: conditions }).lean();
+  }
+
+  /**
+   * Link an identity, unless one from the same provider is already linked
+   * @returns {Promise<Object|null>} Updated user, or null if already linked
+   */
+  addIdentity(id, identity) {
+    const update = { $push: { identities: identity } };
+    if (identity.provider === 'google') {
+      update.$set = { googleId: identity.subject };
+    }
+    return User.findOneAndUpdate(
+      { _id: id, 'identities.provider': { $ne: identity.provider } },
+      update,
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Unlink a provider's identity
+   */
+  removeIdentity(id, provider) {
+    const update = { $pull: { identities: { provider } } };
+    if (provider === 'google') {
+      update.$unset = { googleId: 1 };
+    }
+    return User.findByIdAndUpdate(id, update, { new: true }).lean();
+  }
+
   /**
    * Create new user
    */
@@ -153,6 +205,127 @@ class UserRepository {
       passwordResetExpires: { $gt: Date.now() }
     });
   }
+
+  /**
+   * Find users whose account deletion grace period has ended
+   */
+  findDueForDeletion(now = new Date(), limit = 50) {
+    return User.find({ deletionScheduledFor: { $ne: null, $lte: now } })
+      .sort({ deletionScheduledFor: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Delete user by ID
+   */
+  deleteById(id) {
+    return User.findByIdAndDelete(id);
+  }
+
+  /**
+   * Use up a sign-in link token: clears it atomically, so it works once
+   */
+  consumeMagicLinkToken(tokenHash, now = new Date()) {
+    return User.findOneAndUpdate(
+      { magicLinkTokenHash: tokenHash, magicLinkExpires: { $gt: now } },
+      { magicLinkTokenHash: null, magicLinkExpires: null },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Count a wrong parent PIN (atomic, so parallel guesses all count)
+   */
+  recordPinFailure(id) {
+    return User.findByIdAndUpdate(
+      id,
+      { $inc: { parentPinFailedAttempts: 1 } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Forget failures older than quietSince and clear a lock that ended by
+   * now. Conditional updates, so a failure recorded in between is kept.
+   */
+  expireLoginLockout(id, quietSince, now = new Date()) {
+    return Promise.all([
+      User.updateOne(
+        { _id: id, 'loginLockout.lastFailedAt': { $lte: quietSince } },
+        { $set: { 'loginLockout.failedAttempts': 0 } }
+      ),
+      User.updateOne(
+        { _id: id, 'loginLockout.lockedUntil': { $lte: now } },
+        {
+          $set: {
+            'loginLockout.lockedUntil': null,
+            'loginLockout.lockedAt': null,
+            'loginLockout.unlockTokenHash': null,
+          },
+        }
+      ),
+    ]);
+  }
+
+  /**
+   * Count a failed sign-in (atomic, so parallel attempts all count)
+   */
+  recordLoginFailure(id, now = new Date()) {
+    return User.findByIdAndUpdate(
+      id,
+      { $inc: { 'loginLockout.failedAttempts': 1 }, $set: { 'loginLockout.lastFailedAt': now } },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Reset failed sign-in tracking
+   */
+  clearLoginLockout(id) {
+    return User.findByIdAndUpdate(
+      id,
+      {
+        loginLockout: {
+          failedAttempts: 0,
+          lastFailedAt: null,
+          lockedUntil: null,
+          lockedAt: null,
+          unlockTokenHash: null,
+        },
+      },
+      { new: true }
+    ).lean();
+  }
+
+  /**
+   * Find a locked account by the hash of its unlock token
+   */
+  findByUnlockTokenHash(tokenHash, now = new Date()) {
+    return User.findOne({
+      'loginLockout.unlockTokenHash': tokenHash,
+      'loginLockout.lockedUntil': { $gt: now },
+    }).lean();
+  }
+
+  /**
+   * Find accounts that cannot sign in right now, most recently failed first
+   */
+  findLockedOut(now = new Date(), limit = 20, offset = 0) {
+    return User.find({ 'loginLockout.lockedUntil': { $gt: now } })
+      .select('email name roles loginLockout')
+      .sort({ 'loginLockout.lastFailedAt': -1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Count accounts that cannot sign in right now
+   */
+  countLockedOut(now = new Date()) {
+    return User.countDocuments({ 'loginLockout.lockedUntil': { $gt: now } });
+  }
 }
 
 module.exports = new UserRepository();
@@ -41,6 +41,10 @@ async function startServer() {
         logger.info('HTTP server closed');
         
         try {
+          // Stop background jobs before closing connections
+          const { stopJobs } = require('./jobs');
+          stopJobs();
+          
           // Close database connections
           const { closeMongo } = require('./loaders/mongoLoader');
           // TODO: Redis temporarily disabled
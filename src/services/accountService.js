@@ -0,0 +1,184 @@
+const userRepository = require('../repositories/userRepository');
+const kidRepository = require('../repositories/kidRepository');
+const favoriteRepository = require('../repositories/favoriteRepository');
+const listeningSessionRepository = require('../repositories/listeningSessionRepository');
+const routineRepository = require('../repositories/routineRepository');
+const bedtimeReminderRepository = require('../repositories/bedtimeReminderRepository');
+const downloadLicenseRepository = require('../repositories/downloadLicenseRepository');
+const emailOutboxRepository = require('../repositories/emailOutboxRepository');
+const orderRepository = require('../repositories/orderRepository');
+const subscriptionRepository = require('../repositories/subscriptionRepository');
+const paymentEventRepository = require('../repositories/paymentEventRepository');
+const authService = require('./authService');
+const sessionService = require('./sessionService');
+const householdService = require('./householdService');
+const mailService = require('./mailService');
+const { User } = require('../models');
+const { cache } = require('../loaders/redisLoader');
+const config = require('../config');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Data export and account deletion for parents. Deletion is requested
+ * first and only carried out after a grace period, when the account and
+ * the kids' data are erased and billing records are anonymized.
+ */
+class AccountService {
+  /**
+   * Everything stored about the user and the kids they created, as one
+   * JSON archive. Kids other guardians share through the household are
+   * left out; only the sessions the user recorded for them are included.
+   */
+  async exportAccount(userId, now = new Date()) {
+    const user = await this.findUser(userId);
+
+    const kids = await kidRepository.findCreatedByUserId(userId);
+    const kidIds = kids.map(kid => kid._id);
+
+    const [favorites, listeningSessions, routines, orders, subscriptions] = await Promise.all([
+      favoriteRepository.getFavoritesWithDetailsByKidIds(kidIds),
+      listeningSessionRepository.findByKidIdsOrUserId(kidIds, userId),
+      routineRepository.findByKidIds(kidIds),
+      orderRepository.findByUserId(userId),
+      subscriptionRepository.findByUserId(userId),
+    ]);
+
+    logger.info({ userId }, 'Account data exported');
+
+    return {
+      exportedAt: now,
+      user: authService.sanitizeUser(user),
+      kids,
+      favorites,
+      listeningSessions,
+      routines,
+      orders,
+      subscriptions,
+    };
+  }
+
+  /**
+   * Schedule the account for deletion. Every device is signed out; signing
+   * in again before the grace period ends allows cancelling the request.
+   */
+  async requestDeletion(userId, now = new Date()) {
+    const user = await this.findUser(userId);
+    if (user.deletionScheduledFor) {
+      throw new ConflictError('Account deletion has already been requested');
+    }
+    if (User.isPaidSubscription(user.subscription)) {
+      throw new ConflictError('Cancel your subscription before deleting your account');
+    }
+
+    const deletionScheduledFor = new Date(now.getTime() + config.privacy.deletionGraceDays * DAY_MS);
+    await userRepository.updateById(userId, { deletionRequestedAt: now, deletionScheduledFor });
+    await cache.del(`user:${userId}`);
+
+    await sessionService.revokeAllSessions(userId, 'account_deleted', now);
+    await mailService.send('account_deletion_scheduled', user.email, {
+      name: user.name,
+      scheduledFor: deletionScheduledFor,
+    }, { userId }, now);
+
+    logger.warn({ userId, deletionScheduledFor }, 'Account deletion requested');
+
+    return { deletionRequestedAt: now, deletionScheduledFor };
+  }
+
+  /**
+   * Cancel a pending deletion request
+   */
+  async cancelDeletion(userId) {
+    const user = await this.findUser(userId);
+    if (!user.deletionScheduledFor) {
+      throw new ConflictError('Account deletion has not been requested');
+    }
+
+    await userRepository.updateById(userId, { deletionRequestedAt: null, deletionScheduledFor: null });
+    await cache.del(`user:${userId}`);
+
+    logger.info({ userId }, 'Account deletion cancelled');
+
+    return true;
+  }
+
+  /**
+   * Erase an account: the kids it created (unless a household member takes
+   * them over), their listening data, the sessions it recorded for other
+   * guardians' kids, household invitations it sent or received, pending
+   * emails and the user itself.
+   * Orders, subscriptions and payment events are kept for accounting but
+   * stripped of personal details.
+   */
+  async eraseAccount(userId, now = new Date()) {
+    const user = await this.findUser(userId);
+
+    await householdService.handOverMembership(userId);
+    await householdService.removeUserInvitations(userId, user.email);
+
+    // Kids handed over to another member no longer belong to the user
+    const kids = await kidRepository.findCreatedByUserId(userId);
+    for (const kid of kids) {
+      await Promise.all([
+        favoriteRepository.removeAllByKidId(kid._id),
+        listeningSessionRepository.removeAllByKidId(kid._id),
+        routineRepository.removeAllByKidId(kid._id),
+        bedtimeReminderRepository.removeAllByKidId(kid._id),
+        downloadLicenseRepository.removeAllByKidId(kid._id),
+      ]);
+      await kidRepository.deleteByIdAndUserId(kid._id, userId);
+    }
+
+    await favoriteRepository.removeAllByUserId(userId);
+    await listeningSessionRepository.removeAllByUserId(userId);
+    await sessionService.revokeAllSessions(userId, 'account_deleted', now);
+    await emailOutboxRepository.removeUnsentByUserId(userId);
+
+    await orderRepository.anonymizeByUserId(userId, now);
+    await subscriptionRepository.anonymizeByUserId(userId, now);
+    await paymentEventRepository.anonymizeByUserId(userId, now);
+
+    await userRepository.deleteById(userId);
+    await cache.del(`user:${userId}`);
+
+    logger.warn({ userId, kids: kids.length }, 'Account erased');
+
+    return { kidsDeleted: kids.length };
+  }
+
+  /**
+   * Erase the accounts whose grace period has ended (account deletion job)
+   * @returns {Promise<{due: number, erased: number, failed: number}>}
+   */
+  async processDueDeletions(now = new Date(), limit = 50) {
+    const users = await userRepository.findDueForDeletion(now, limit);
+    let erased = 0;
+    let failed = 0;
+
+    for (const user of users) {
+      // Sequential on purpose: each erase touches many collections
+      try {
+        await this.eraseAccount(user._id, now);
+        erased++;
+      } catch (error) {
+        failed++;
+        logger.error({ error: error.message, userId: user._id }, 'Failed to erase account');
+      }
+    }
+
+    return { due: users.length, erased, failed };
+  }
+
+  async findUser(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    return user;
+  }
+}
+
+module.exports = new AccountService();
@@ -3,9 +3,14 @@ const userRepository = require('../repositories/userRepository');
 const kidRepository = require('../repositories/kidRepository');
 const favoriteRepository = require('../repositories/favoriteRepository');
 const categoryRepository = require('../repositories/categoryRepository');
+const orderRepository = require('../repositories/orderRepository');
+const analyticsService = require('./analyticsService');
 const { Content, User, KidProfile, Category } = require('../models');
-// TODO: Redis temporarily disabled
-// const { cache } = require('../loaders/redisLoader');
+const { cache } = require('../loaders/redisLoader');
+const { ROLES } = require('../utils/permissions');
+const { DEFAULT_LANGUAGE, getSupportedLanguages } = require('../utils/language');
+const { DURATION_TOLERANCE_SEC } = require('../utils/transcript');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
 const config = require('../config');
 const logger = require('../utils/logger');
 
@@ -26,6 +31,11 @@ class AdminService {
       }
     });
     
+    // Content created before the editorial workflow has no status and is published
+    if (query.status === 'published') {
+      query.status = { $in: ['published', null] };
+    }
+    
     // Add search if provided
     if (search) {
       query.$or = [
@@ -78,7 +88,12 @@ class AdminService {
       contentData.slug = `${contentData.slug}-${Date.now()}`;
     }
 
-    const content = new Content(contentData);
+    // New content starts as a draft and goes live through the editorial workflow
+    const content = new Content({
+      ...this.stripWorkflowFields(contentData),
+      status: 'draft',
+      publishedAt: null,
+    });
     await content.save();
 
     // Update category content count
@@ -129,6 +144,31 @@ class AdminService {
       throw error;
     }
 
+    updateData = this.stripWorkflowFields(updateData);
+
+    // A translation group has one variant per language
+    const language = updateData.language && String(updateData.language).toLowerCase();
+    if (language && content.translationGroupId && language !== content.language) {
+      const taken = await Content.exists({
+        translationGroupId: content.translationGroupId,
+        language,
+        _id: { $ne: id },
+      });
+      if (taken) {
+        throw new ConflictError(`This story already has a variant in "${language}"`);
+      }
+    }
+
+    // The transcript was checked against the current duration
+    const transcriptEndSec = content.transcript && content.transcript.endSec;
+    if (updateData.durationSec !== undefined && transcriptEndSec
+      && transcriptEndSec > Number(updateData.durationSec) + DURATION_TOLERANCE_SEC) {
+      throw new ValidationError(
+        `The transcript runs to ${transcriptEndSec}s; upload a shorter one before reducing the duration`,
+        'durationSec'
+      );
+    }
+
     const oldCategoryId = content.categoryId;
 
     // Validate new category if being changed
@@ -227,6 +267,8 @@ class AdminService {
    * Bulk update content
    */
   async bulkUpdateContent(ids, updates) {
+    updates = this.stripWorkflowFields(updates);
+
     const result = await Content.updateMany(
       { _id: { $in: ids } },
       { $set: updates }
@@ -247,6 +289,17 @@ class AdminService {
     };
   }
 
+  /**
+   * Status, publish time and review comments only change through
+   * contentWorkflowService, translation groups through
+   * contentTranslationService and transcripts through transcriptService
+   */
+  stripWorkflowFields(data) {
+    const rest = { ...data };
+    ['status', 'publishedAt', 'reviewComments', 'translationGroupId', 'transcript'].forEach(key => delete rest[key]);
+    return rest;
+  }
+
   /**
    * Get user list with admin details
    */
@@ -337,7 +390,10 @@ class AdminService {
       throw new Error('User not found');
     }
     
-    Object.assign(user, updateData);
+    // Roles only change through updateUserRoles
+    const changes = { ...updateData };
+    delete changes.roles;
+    Object.assign(user, changes);
     await user.save();
     
     // TODO: Redis temporarily disabled
@@ -349,6 +405,56 @@ class AdminService {
     return user;
   }
 
+  /**
+   * Replace a user's admin roles. Everyone keeps `user`, and admins cannot
+   * drop their own admin role so someone can always assign roles.
+   */
+  async updateUserRoles(id, roles, actor) {
+    const unknown = (roles || []).filter(role => !ROLES.includes(role));
+    if (!Array.isArray(roles) || unknown.length > 0) {
+      throw new ValidationError(`Unknown roles: ${unknown.join(', ') || 'none given'}`, 'roles');
+    }
+
+    const nextRoles = ROLES.filter(role => role === 'user' || roles.includes(role));
+    if (String(actor._id) === String(id) && !nextRoles.includes('admin')) {
+      throw new ValidationError('You cannot remove your own admin role', 'roles');
+    }
+
+    const user = await userRepository.updateById(id, { roles: nextRoles });
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    // Permissions are read from the cached user on every request
+    await cache.del(`user:${id}`);
+
+    logger.info({ userId: id, roles: nextRoles, actorId: actor._id }, 'User roles updated by admin');
+
+    return user;
+  }
+
+  /**
+   * Get orders with their buyer
+   */
+  async getOrderList(filters = {}, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    const [orders, total] = await Promise.all([
+      orderRepository.find(filters, limit, offset),
+      orderRepository.count(filters),
+    ]);
+
+    return {
+      orders,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + orders.length < total,
+      },
+    };
+  }
+
   /**
    * Delete user
    */
@@ -468,15 +574,8 @@ class AdminService {
   /**
    * Get content engagement stats
    */
-  async getContentEngagementStats(contentId) {
-    // This would typically come from analytics data
-    // For now, return mock data
-    return {
-      totalPlays: Math.floor(Math.random() * 1000),
-      uniqueUsers: Math.floor(Math.random() * 500),
-      avgCompletionRate: Math.random() * 100,
-      lastPlayedAt: new Date(),
-    };
+  getContentEngagementStats(contentId) {
+    return analyticsService.getContentEngagementStats(contentId);
   }
 
   /**
@@ -598,57 +697,8 @@ class AdminService {
   /**
    * Get engagement statistics
    */
-  async getEngagementStats() {
-    // This would typically come from analytics/tracking data
-    // For now, return mock data based on content and users
-    const [totalContent, totalUsers] = await Promise.all([
-      Content.countDocuments({ isActive: true }),
-      User.countDocuments()
-    ]);
-
-    // Generate realistic mock data
-    const totalPlays = Math.floor(totalContent * totalUsers * 0.3);
-    const uniqueListeners = Math.floor(totalUsers * 0.7);
-    const avgSessionDuration = Math.floor(Math.random() * 300) + 180; // 3-8 minutes
-    const completionRate = Math.floor(Math.random() * 30) + 60; // 60-90%
-
-    return {
-      totalPlays,
-      uniqueListeners,
-      avgSessionDuration,
-      completionRate,
-      dailyActiveUsers: Math.floor(uniqueListeners * 0.2),
-      weeklyActiveUsers: Math.floor(uniqueListeners * 0.5),
-      monthlyActiveUsers: uniqueListeners,
-      topContent: await Content.find({ isActive: true })
-        .sort({ popularityScore: -1 })
-        .limit(5)
-        .select('title type popularityScore')
-        .lean(),
-      engagementTrends: this.generateMockTrends(),
-    };
-  }
-
-  /**
-   * Generate mock engagement trends data
-   */
-  generateMockTrends() {
-    const trends = [];
-    const now = new Date();
-
-    for (let i = 29; i >= 0; i--) {
-      const date = new Date(now);
-      date.setDate(date.getDate() - i);
-
-      trends.push({
-        date: date.toISOString().split('T')[0],
-        plays: Math.floor(Math.random() * 100) + 50,
-        users: Math.floor(Math.random() * 50) + 20,
-        duration: Math.floor(Math.random() * 300) + 180,
-      });
-    }
-
-    return trends;
+  getEngagementStats() {
+    return analyticsService.getEngagementStats();
   }
 
   // ==================== CATEGORY MANAGEMENT ====================
@@ -684,6 +734,8 @@ class AdminService {
    * Create new category
    */
   async createCategory(categoryData) {
+    this.validateCategoryTranslations(categoryData.translations);
+
     // Generate slug from name if not provided
     if (!categoryData.slug) {
       categoryData.slug = this.generateSlug(categoryData.name);
@@ -721,6 +773,8 @@ class AdminService {
    * Update category
    */
   async updateCategory(id, updateData) {
+    this.validateCategoryTranslations(updateData.translations);
+
     // If name is being updated and no slug provided, generate new slug
     if (updateData.name && !updateData.slug) {
       const newSlug = this.generateSlug(updateData.name);
@@ -751,6 +805,22 @@ class AdminService {
     return category;
   }
 
+  /**
+   * Category translations are keyed by a supported language other than
+   * English (English is the category's own name and description)
+   */
+  validateCategoryTranslations(translations) {
+    if (translations === undefined) {
+      return;
+    }
+
+    const supported = getSupportedLanguages().filter(code => code !== DEFAULT_LANGUAGE);
+    const invalid = Object.keys(translations || {}).filter(code => !supported.includes(code));
+    if (invalid.length > 0) {
+      throw new ValidationError(`Unsupported translation languages: ${invalid.join(', ')}`, 'translations');
+    }
+  }
+
   /**
    * Soft delete category (set isActive: false)
    */
@@ -792,13 +862,10 @@ class AdminService {
       throw error;
     }
 
-    // Get content in this category
-    const filters = { categoryId };
-    const contentOptions = { limit, offset, sort, order };
-
+    // Get content in this category, drafts and archived included
     const [content, total] = await Promise.all([
-      contentRepository.findWithFilters(filters, contentOptions),
-      Content.countDocuments(filters),
+      contentRepository.findByCategory(categoryId, { limit, offset, sort, order }),
+      contentRepository.countByCategory(categoryId),
     ]);
 
     return {
@@ -0,0 +1,182 @@
+const listeningSessionRepository = require('../repositories/listeningSessionRepository');
+const dailyEngagementRepository = require('../repositories/dailyEngagementRepository');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of days covered by trends and windowed stats
+const TREND_DAYS = 30;
+
+// Sessions keep changing after the day they started (heartbeats, late
+// completions, offline sync), so the rollup job rewrites the last week of
+// finished days on every run; older rollups are final
+const RECOMPUTE_DAYS = 7;
+
+class AnalyticsService {
+  /**
+   * Get platform-wide engagement statistics
+   */
+  async getEngagementStats(now = new Date()) {
+    const today = this.startOfDay(now);
+    const daysAgo = days => new Date(today.getTime() - (days - 1) * DAY_MS);
+
+    const [
+      totalPlays,
+      dailyActiveUsers,
+      weeklyActiveUsers,
+      monthlyActiveUsers,
+      topContent,
+      trends,
+    ] = await Promise.all([
+      listeningSessionRepository.count(),
+      listeningSessionRepository.countListeners(daysAgo(1)),
+      listeningSessionRepository.countListeners(daysAgo(7)),
+      listeningSessionRepository.countListeners(daysAgo(TREND_DAYS)),
+      listeningSessionRepository.findTopContent(daysAgo(TREND_DAYS), 5),
+      this.getDailyTrends(TREND_DAYS, now),
+    ]);
+
+    const windowTotals = trends.reduce((acc, day) => {
+      acc.plays += day.plays;
+      acc.completions += day.completions;
+      acc.listenedSec += day.listenedSec;
+      return acc;
+    }, { plays: 0, completions: 0, listenedSec: 0 });
+
+    return {
+      totalPlays,
+      // Listeners over the trend window, like the other engagement figures
+      uniqueListeners: monthlyActiveUsers,
+      avgSessionDuration: this.ratio(windowTotals.listenedSec, windowTotals.plays),
+      completionRate: this.percentage(windowTotals.completions, windowTotals.plays),
+      dailyActiveUsers,
+      weeklyActiveUsers,
+      monthlyActiveUsers,
+      topContent,
+      engagementTrends: trends.map(day => ({
+        date: day.date.toISOString().split('T')[0],
+        plays: day.plays,
+        users: day.uniqueListeners,
+        duration: this.ratio(day.listenedSec, day.plays),
+      })),
+    };
+  }
+
+  /**
+   * Get engagement statistics for a content item
+   */
+  async getContentEngagementStats(contentId) {
+    const stats = await listeningSessionRepository.aggregateContentEngagement(contentId);
+    if (!stats) {
+      return {
+        totalPlays: 0,
+        uniqueUsers: 0,
+        avgCompletionRate: 0,
+        avgListenedSec: 0,
+        lastPlayedAt: null,
+      };
+    }
+
+    return {
+      totalPlays: stats.plays,
+      uniqueUsers: stats.uniqueListeners,
+      avgCompletionRate: this.percentage(stats.completions, stats.plays),
+      avgListenedSec: this.ratio(stats.listenedSec, stats.plays),
+      lastPlayedAt: stats.lastPlayedAt,
+    };
+  }
+
+  /**
+   * Get per-day engagement for the last `days` days (oldest first).
+   * Finished days are read from the rollup collection and only today is
+   * computed from sessions. Days the rollup job has not stored yet count
+   * as empty.
+   */
+  async getDailyTrends(days = TREND_DAYS, now = new Date()) {
+    const today = this.startOfDay(now);
+    const from = new Date(today.getTime() - (days - 1) * DAY_MS);
+    const to = new Date(today.getTime() + DAY_MS);
+
+    const [rollups, live] = await Promise.all([
+      dailyEngagementRepository.findByDateRange(from, today),
+      listeningSessionRepository.aggregateDailyEngagement(today, to),
+    ]);
+
+    return this.fillDays(from, to, [...rollups, ...live]);
+  }
+
+  /**
+   * Store daily rollups for finished days (run by the engagement rollup
+   * job). The last RECOMPUTE_DAYS days are rewritten on every run, and
+   * older days in the trend window are computed once if they are missing.
+   */
+  async rollUpEngagement(now = new Date()) {
+    const today = this.startOfDay(now);
+    const from = new Date(today.getTime() - TREND_DAYS * DAY_MS);
+    const recomputeFrom = new Date(today.getTime() - RECOMPUTE_DAYS * DAY_MS);
+
+    const stored = await dailyEngagementRepository.findByDateRange(from, recomputeFrom);
+    const storedDays = new Set(stored.map(day => day.date.getTime()));
+
+    // Everything from the first missing day onwards is computed in one pass
+    let computeFrom = recomputeFrom;
+    for (let date = from; date < recomputeFrom; date = new Date(date.getTime() + DAY_MS)) {
+      if (!storedDays.has(date.getTime())) {
+        computeFrom = date;
+        break;
+      }
+    }
+
+    const computed = await listeningSessionRepository.aggregateDailyEngagement(computeFrom, today);
+    const rollups = this.fillDays(computeFrom, today, computed);
+
+    await dailyEngagementRepository.upsertMany(rollups);
+
+    return { days: rollups.length, from: computeFrom, to: today };
+  }
+
+  /**
+   * One entry per day in [from, to), with zeros for days without data
+   */
+  fillDays(from, to, entries) {
+    const byDay = new Map(entries.map(day => [day.date.getTime(), day]));
+    const filled = [];
+
+    for (let date = from; date < to; date = new Date(date.getTime() + DAY_MS)) {
+      filled.push({
+        date,
+        plays: 0,
+        completions: 0,
+        uniqueListeners: 0,
+        listenedSec: 0,
+        ...byDay.get(date.getTime()),
+      });
+    }
+
+    return filled;
+  }
+
+  /**
+   * Get the start of the UTC day for a date
+   */
+  startOfDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+  }
+
+  /**
+   * Rounded ratio, 0 when the denominator is empty
+   */
+  ratio(value, total) {
+    return total > 0 ? Math.round(value / total) : 0;
+  }
+
+  /**
+   * Percentage with one decimal, 0 when the denominator is empty
+   */
+  percentage(value, total) {
+    return total > 0 ? Math.round((value / total) * 1000) / 10 : 0;
+  }
+}
+
+module.exports = new AnalyticsService();
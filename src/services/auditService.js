@@ -0,0 +1,192 @@
+const auditLogRepository = require('../repositories/auditLogRepository');
+const contentRepository = require('../repositories/contentRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const userRepository = require('../repositories/userRepository');
+const seriesRepository = require('../repositories/seriesRepository');
+
+// Never written to the audit log, at any depth
+const SECRET_FIELDS = [
+  'password',
+  'parentPin',
+  'secret',
+  'pendingSecret',
+  'recoveryCodes',
+  'unlockTokenHash',
+  'magicLinkTokenHash',
+  'emailVerificationToken',
+  'passwordResetToken',
+  'idToken',
+  'token',
+];
+
+// Bookkeeping that changes on every write
+const IGNORED_FIELDS = ['updatedAt'];
+
+// How to load each target type as it is before a change
+const SNAPSHOT_LOADERS = {
+  content: id => contentRepository.findById(id),
+  category: id => categoryRepository.findById(id),
+  user: id => userRepository.findById(id),
+  series: id => seriesRepository.findById(id),
+};
+
+/**
+ * Audit log of privileged (admin) changes. Admin routes describe the
+ * action and target; the audit trail middleware records the request
+ * once it has succeeded, with the fields it changed.
+ */
+class AuditService {
+  /**
+   * Target as stored right now, ready to be compared and logged
+   * @returns {Promise<Object|null>} Null for unknown targets or types without snapshots
+   */
+  async snapshot(targetType, targetId) {
+    const load = SNAPSHOT_LOADERS[targetType];
+    if (!load || !targetId) {
+      return null;
+    }
+
+    const record = await load(targetId);
+    return record ? this.normalize(record) : null;
+  }
+
+  /**
+   * Plain JSON copy with `id` instead of `_id` and secrets redacted
+   */
+  normalize(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const plain = JSON.parse(JSON.stringify(value));
+    if (plain && typeof plain === 'object' && !Array.isArray(plain)) {
+      if (plain._id !== undefined) {
+        plain.id = plain.id || plain._id;
+        delete plain._id;
+      }
+      delete plain.__v;
+    }
+    return this.redact(plain);
+  }
+
+  redact(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item));
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+
+    const redacted = {};
+    for (const [key, field] of Object.entries(value)) {
+      redacted[key] = SECRET_FIELDS.includes(key) ? '[redacted]' : this.redact(field);
+    }
+    return redacted;
+  }
+
+  /**
+   * Fields that differ between two snapshots. A missing side (creation or
+   * deletion) keeps the other snapshot whole.
+   */
+  diff(before, after) {
+    if (!before || !after) {
+      return { before: before || null, after: after || null };
+    }
+
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(field => !IGNORED_FIELDS.includes(field))
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+    const pick = (snapshot) => Object.fromEntries(
+      fields.map(field => [field, snapshot[field] === undefined ? null : snapshot[field]])
+    );
+
+    return { before: pick(before), after: pick(after) };
+  }
+
+  /**
+   * Record a succeeded admin request described by the audit middleware
+   * (`req.audit`: action, targetType, targetId, the target before the
+   * change and the response data). Targets with snapshots are reloaded so
+   * both sides of the diff have the same shape; for other actions the
+   * response is what changed.
+   */
+  async recordRequest(req, statusCode) {
+    const { action, targetType, before, response } = req.audit;
+    const hasSnapshots = Boolean(SNAPSHOT_LOADERS[targetType]);
+
+    // Created targets are only known from the response
+    const createdId = response && (response.id || response._id);
+    const targetId = req.audit.targetId || (hasSnapshots && createdId ? String(createdId) : null);
+
+    const after = hasSnapshots && targetId
+      ? await this.snapshot(targetType, targetId)
+      : this.normalize(response);
+
+    // Without a single target the request says what was changed (e.g. bulk updates)
+    const body = targetId ? null : this.normalize(req.body);
+    const metadata = body && Object.keys(body).length > 0 ? body : null;
+
+    const path = req.originalUrl.split('?')[0];
+
+    return auditLogRepository.create({
+      actorId: req.userId,
+      actorEmail: req.user ? req.user.email : null,
+      action: action || `${req.method} ${path}`,
+      targetType: targetType || null,
+      targetId,
+      changes: this.diff(before, after),
+      metadata,
+      method: req.method,
+      path,
+      statusCode,
+      requestId: req.requestId || null,
+      ip: req.ip || null,
+      userAgent: req.get('user-agent') || null,
+    });
+  }
+
+  /**
+   * Audit log entries, newest first (admin)
+   */
+  async getAuditLog(filters = {}, options = {}) {
+    const { limit = 50, offset = 0 } = options;
+
+    const [entries, total] = await Promise.all([
+      auditLogRepository.find(filters, limit, offset),
+      auditLogRepository.count(filters),
+    ]);
+
+    return {
+      entries: entries.map(entry => this.formatEntry(entry)),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + entries.length < total,
+      },
+    };
+  }
+
+  formatEntry(entry) {
+    return {
+      id: entry._id,
+      actorId: entry.actorId,
+      actorEmail: entry.actorEmail,
+      action: entry.action,
+      targetType: entry.targetType,
+      targetId: entry.targetId,
+      changes: entry.changes,
+      metadata: entry.metadata,
+      method: entry.method,
+      path: entry.path,
+      statusCode: entry.statusCode,
+      requestId: entry.requestId,
+      ip: entry.ip,
+      userAgent: entry.userAgent,
+      createdAt: entry.createdAt,
+    };
+  }
+}
+
+module.exports = new AuditService();
@@ -1,16 +1,24 @@
-const { verifyGoogleIdToken } = require('../utils/googleAuth');
-const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt');
+const crypto = require('crypto');
+const { verifyRefreshToken, generateTwoFactorToken, verifyTwoFactorToken } = require('../utils/jwt');
 // TODO: Redis temporarily disabled
 // const { cache } = require('../loaders/redisLoader');
 const userRepository = require('../repositories/userRepository');
+const sessionService = require('./sessionService');
+const mailService = require('./mailService');
+const twoFactorService = require('./twoFactorService');
+const loginLockoutService = require('./loginLockoutService');
+const identityService = require('./identityService');
+const { User } = require('../models');
 const logger = require('../utils/logger');
-const { GoogleAuthError, AuthenticationError } = require('../utils/errors');
+const { getPermissions } = require('../utils/permissions');
+const { GoogleAuthError, AuthenticationError, TooManyRequestsError } = require('../utils/errors');
 
 class AuthService {
   /**
    * Register new user with email and password
+   * @param {Object} client - Device the user signs in from (see sessionService)
    */
-  async register(userData) {
+  async register(userData, client = {}) {
     try {
       const { email, password, name } = userData;
 
@@ -30,18 +38,16 @@ class AuthService {
         isEmailVerified: false, // Will need email verification
       });
 
-      // Generate email verification token
+      // Generate email verification token and email it
       const verificationToken = user.generateEmailVerificationToken();
       await user.save();
+      await mailService.send('verify_email', user.email, {
+        name: user.name,
+        token: verificationToken,
+      }, { userId: user._id });
 
-      // Generate JWT tokens
-      const accessToken = generateAccessToken(user._id.toString());
-      const { token: refreshToken, jti } = generateRefreshToken(user._id.toString());
-
-      // TODO: Redis temporarily disabled
-      // Store refresh token JTI in cache
-      // const refreshTtlSeconds = this.parseTimeToSeconds('30d');
-      // await cache.set(`refresh:${jti}`, user._id.toString(), refreshTtlSeconds);
+      // Generate JWT tokens for a new device session
+      const { accessToken, refreshToken } = await sessionService.startSession(user._id.toString(), client);
 
       logger.info({ userId: user._id, email: user.email }, 'User registered successfully');
 
@@ -49,7 +55,6 @@ class AuthService {
         user: this.sanitizeUser(user),
         accessToken,
         refreshToken,
-        emailVerificationToken: verificationToken, // For testing/development
       };
     } catch (error) {
       logger.error({ error: error.message }, 'User registration failed');
@@ -66,8 +71,9 @@ class AuthService {
 
   /**
    * Login user with email and password
+   * @param {Object} client - Device the user signs in from (see sessionService)
    */
-  async login(email, password) {
+  async login(email, password, client = {}, now = new Date()) {
     try {
       // Find user by email (with methods for authentication)
       const user = await userRepository.findByEmailForAuth(email);
@@ -77,26 +83,32 @@ class AuthService {
 
       // Check if user is local provider
       if (user.provider !== 'local') {
-        throw new AuthenticationError('Please use Google sign-in for this account');
+        throw new AuthenticationError(`Please use ${user.provider} sign-in for this account`);
       }
 
+      // Per-account backoff and lockout, on top of the per-IP rate limit
+      loginLockoutService.assertCanAttempt(user, now);
+
       // Verify password
       const isPasswordValid = await user.comparePassword(password);
       if (!isPasswordValid) {
+        await loginLockoutService.recordFailure(user, now);
         throw new AuthenticationError('Invalid email or password');
       }
 
+      // Accounts with two-factor authentication finish with a code; failed
+      // attempts are only forgotten once the code is accepted too
+      if (user.twoFactor && user.twoFactor.enabled) {
+        return this.createTwoFactorChallenge(user);
+      }
+
+      await loginLockoutService.recordSuccess(user);
+
       // Update last login
       await userRepository.updateLastLogin(user._id);
 
-      // Generate JWT tokens
-      const accessToken = generateAccessToken(user._id.toString());
-      const { token: refreshToken, jti } = generateRefreshToken(user._id.toString());
-
-      // TODO: Redis temporarily disabled
-      // Store refresh token JTI in cache
-      // const refreshTtlSeconds = this.parseTimeToSeconds('30d');
-      // await cache.set(`refresh:${jti}`, user._id.toString(), refreshTtlSeconds);
+      // Generate JWT tokens for a new device session
+      const { accessToken, refreshToken } = await sessionService.startSession(user._id.toString(), client);
 
       logger.info({ userId: user._id, email: user.email }, 'User logged in successfully');
 
@@ -108,8 +120,8 @@ class AuthService {
     } catch (error) {
       logger.error({ error: error.message }, 'User login failed');
 
-      // If it's already an AuthenticationError, re-throw it
-      if (error instanceof AuthenticationError) {
+      // If it's already an AuthenticationError or a lockout, re-throw it
+      if (error instanceof AuthenticationError || error instanceof TooManyRequestsError) {
         throw error;
       }
 
@@ -118,6 +130,66 @@ class AuthService {
     }
   }
 
+  /**
+   * Ask for the two-factor code after the first factor succeeded
+   */
+  createTwoFactorChallenge(user) {
+    const { token, expiresAt } = generateTwoFactorToken(user._id.toString());
+
+    logger.info({ userId: user._id }, 'Two-factor code required to sign in');
+
+    return {
+      twoFactorRequired: true,
+      twoFactorToken: token,
+      expiresAt,
+    };
+  }
+
+  /**
+   * Finish signing in with a two-factor code or recovery code
+   * @param {Object} client - Device the user signs in from (see sessionService)
+   */
+  async verifyTwoFactorLogin(twoFactorToken, code, client = {}, now = new Date()) {
+    let decoded;
+    try {
+      decoded = verifyTwoFactorToken(twoFactorToken);
+    } catch (jwtError) {
+      throw new AuthenticationError('Two-factor sign-in expired, please sign in again');
+    }
+
+    const user = await userRepository.findByIdForTwoFactor(decoded.sub);
+    if (!user || !user.twoFactor.enabled) {
+      throw new AuthenticationError('Two-factor sign-in expired, please sign in again');
+    }
+
+    loginLockoutService.assertCanAttempt(user, now);
+
+    let verified;
+    try {
+      verified = await twoFactorService.verifyCode(user, code, now);
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        await loginLockoutService.recordFailure(user, now);
+      }
+      throw error;
+    }
+    const { method, recoveryCodesRemaining } = verified;
+
+    await loginLockoutService.recordSuccess(user);
+    await userRepository.updateLastLogin(user._id);
+
+    const { accessToken, refreshToken } = await sessionService.startSession(user._id.toString(), client, now, { mfa: true });
+
+    logger.info({ userId: user._id, method }, 'User logged in with two-factor authentication');
+
+    return {
+      user: this.sanitizeUser(user),
+      accessToken,
+      refreshToken,
+      recoveryCodesRemaining,
+    };
+  }
+
   /**
    * Verify email with verification token
    */
@@ -132,6 +204,7 @@ class AuthService {
       user.isEmailVerified = true;
       user.emailVerificationToken = null;
       await user.save();
+      await mailService.send('welcome', user.email, { name: user.name }, { userId: user._id });
 
       logger.info({ userId: user._id, email: user.email }, 'Email verified successfully');
 
@@ -160,24 +233,98 @@ class AuthService {
         throw new Error('Password reset not available for Google accounts');
       }
 
-      // Generate reset token
+      // Generate reset token and email it
       const resetToken = user.generatePasswordResetToken();
       await user.save();
+      await mailService.send('reset_password', user.email, {
+        name: user.name,
+        token: resetToken,
+        expiresInMin: User.PASSWORD_RESET_TTL_MIN,
+      }, { userId: user._id });
 
-      // TODO: Send email with reset token
-      // For now, return token for testing
       logger.info({ userId: user._id, email: user.email }, 'Password reset requested');
 
-      return {
-        message: 'Password reset email sent',
-        resetToken, // For testing/development only
-      };
+      // Same response as an unknown email, so it doesn't reveal accounts
+      return { message: 'If the email exists, a reset link has been sent' };
     } catch (error) {
       logger.error({ error: error.message }, 'Password reset request failed');
       throw error;
     }
   }
 
+  /**
+   * Email a single-use sign-in link. Works for email and Google accounts;
+   * the response is the same whether or not the account exists.
+   */
+  async requestMagicLink(email, now = new Date()) {
+    const response = { message: 'If the email exists, a sign-in link has been sent' };
+
+    const user = await userRepository.findByEmail(email);
+    if (!user) {
+      return response;
+    }
+
+    // One email per cooldown, so the link can't be used to flood an inbox
+    const { ttlMin, resendCooldownSec } = User.MAGIC_LINK;
+    if (user.magicLinkExpires) {
+      const requestedAt = user.magicLinkExpires.getTime() - ttlMin * 60 * 1000;
+      if (now.getTime() - requestedAt < resendCooldownSec * 1000) {
+        return response;
+      }
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await userRepository.updateById(user._id, {
+      magicLinkTokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+      magicLinkExpires: new Date(now.getTime() + ttlMin * 60 * 1000),
+    });
+    await mailService.send('magic_link', user.email, {
+      name: user.name,
+      token,
+      expiresInMin: ttlMin,
+    }, { userId: user._id }, now);
+
+    logger.info({ userId: user._id }, 'Magic sign-in link requested');
+
+    return response;
+  }
+
+  /**
+   * Sign in with a magic link token. Opening the link proves the email
+   * address, so it also verifies it and lifts a sign-in lockout.
+   * @param {Object} client - Device the user signs in from (see sessionService)
+   */
+  async verifyMagicLink(token, client = {}, now = new Date()) {
+    const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+    const user = await userRepository.consumeMagicLinkToken(tokenHash, now);
+    if (!user) {
+      throw new AuthenticationError('Invalid or expired sign-in link');
+    }
+
+    if (!user.isEmailVerified) {
+      await userRepository.updateById(user._id, { isEmailVerified: true, emailVerificationToken: null });
+      user.isEmailVerified = true;
+    }
+
+    // Accounts with two-factor authentication finish with a code
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return this.createTwoFactorChallenge(user);
+    }
+
+    await loginLockoutService.recordSuccess(user);
+    await userRepository.updateLastLogin(user._id);
+
+    const { accessToken, refreshToken } = await sessionService.startSession(user._id.toString(), client, now);
+
+    logger.info({ userId: user._id, provider: user.provider }, 'User logged in with magic link');
+
+    return {
+      user: this.sanitizeUser(user),
+      accessToken,
+      refreshToken,
+    };
+  }
+
   /**
    * Reset password with reset token
    */
@@ -198,6 +345,12 @@ class AuthService {
       user.clearPasswordResetToken();
       await user.save();
 
+      // Sign out every device that used the old password
+      await this.revokeAllTokens(user._id.toString(), 'password_reset');
+
+      // The reset link proves the email owner is back in control
+      await userRepository.clearLoginLockout(user._id);
+
       logger.info({ userId: user._id, email: user.email }, 'Password reset successfully');
 
       return {
@@ -211,31 +364,11 @@ class AuthService {
 
   /**
    * Authenticate user with Google ID token
+   * @param {Object} client - Device the user signs in from (see sessionService)
    */
-  async authenticateWithGoogle(idToken) {
+  async authenticateWithGoogle(idToken, client = {}) {
     try {
-      // Verify Google ID token
-      const googleData = await verifyGoogleIdToken(idToken);
-
-      // Find or create user
-      const user = await userRepository.findOrCreate(googleData);
-
-      // Generate JWT tokens
-      const accessToken = generateAccessToken(user._id.toString());
-      const { token: refreshToken, jti } = generateRefreshToken(user._id.toString());
-
-      // TODO: Redis temporarily disabled
-      // Store refresh token JTI in cache for revocation tracking
-      // const refreshTtlSeconds = this.parseTimeToSeconds('30d');
-      // await cache.set(`refresh:${jti}`, user._id.toString(), refreshTtlSeconds);
-
-      logger.info({ userId: user._id, email: user.email }, 'User authenticated with Google');
-
-      return {
-        user: this.sanitizeUser(user),
-        accessToken,
-        refreshToken,
-      };
+      return await this.authenticateWithProvider('google', idToken, client);
     } catch (error) {
       logger.error({ error: error.message }, 'Google authentication failed');
 
@@ -250,9 +383,39 @@ class AuthService {
   }
 
   /**
-   * Refresh access token using refresh token
+   * Authenticate with an ID token from an identity provider (Google or
+   * another OpenID Connect issuer). The same verified email signing in with
+   * a second provider is linked to the existing account.
+   * @param {Object} client - Device the user signs in from (see sessionService)
+   */
+  async authenticateWithProvider(providerName, idToken, client = {}, now = new Date()) {
+    const claims = await identityService.verify(providerName, idToken, now);
+    const user = await identityService.findOrCreateUser(providerName, claims, now);
+
+    // Accounts with two-factor authentication finish with a code
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return this.createTwoFactorChallenge(user);
+    }
+
+    await loginLockoutService.recordSuccess(user);
+    await userRepository.updateLastLogin(user._id);
+
+    // Generate JWT tokens for a new device session
+    const { accessToken, refreshToken } = await sessionService.startSession(user._id.toString(), client, now);
+
+    logger.info({ userId: user._id, email: user.email, provider: providerName }, 'User authenticated with identity provider');
+
+    return {
+      user: this.sanitizeUser(user),
+      accessToken,
+      refreshToken,
+    };
+  }
+
+  /**
+   * Refresh access token using refresh token (rotates the session's token)
    */
-  async refreshAccessToken(refreshToken) {
+  async refreshAccessToken(refreshToken, client = {}) {
     try {
       // Verify refresh token
       const decoded = verifyRefreshToken(refreshToken);
@@ -261,20 +424,7 @@ class AuthService {
         throw new AuthenticationError('Invalid token type');
       }
       
-      const { sub: userId, jti } = decoded;
-      
-      // TODO: Redis temporarily disabled - skip token validation
-      // Check if refresh token is blacklisted
-      // const isBlacklisted = await cache.isBlacklisted(`refresh:${jti}`);
-      // if (isBlacklisted) {
-      //   throw new Error('Refresh token has been revoked');
-      // }
-
-      // Check if refresh token exists in cache
-      // const cachedUserId = await cache.get(`refresh:${jti}`);
-      // if (!cachedUserId || cachedUserId !== userId) {
-      //   throw new Error('Refresh token not found or invalid');
-      // }
+      const userId = decoded.sub;
       
       // Get user
       const user = await userRepository.findById(userId);
@@ -282,23 +432,14 @@ class AuthService {
         throw new AuthenticationError('User not found');
       }
       
-      // Generate new tokens (rotation)
-      const newAccessToken = generateAccessToken(userId);
-      const { token: newRefreshToken, jti: newJti } = generateRefreshToken(userId);
-      
-      // TODO: Redis temporarily disabled
-      // Blacklist old refresh token
-      // const refreshTtlSeconds = this.parseTimeToSeconds('30d');
-      // await cache.blacklist(`refresh:${jti}`, refreshTtlSeconds);
-
-      // Store new refresh token
-      // await cache.set(`refresh:${newJti}`, userId, refreshTtlSeconds);
+      // Generate new tokens (rotation); a reused token revokes the session
+      const { accessToken, refreshToken: newRefreshToken } = await sessionService.rotateSession(decoded, client);
       
-      logger.info({ userId }, 'Access token refreshed');
+      logger.info({ userId, sessionId: decoded.fam }, 'Access token refreshed');
       
       return {
         user: this.sanitizeUser(user),
-        accessToken: newAccessToken,
+        accessToken,
         refreshToken: newRefreshToken,
       };
     } catch (error) {
@@ -320,15 +461,9 @@ class AuthService {
   async logout(refreshToken) {
     try {
       const decoded = verifyRefreshToken(refreshToken);
-      const { jti } = decoded;
       
-      // TODO: Redis temporarily disabled
-      // Blacklist refresh token
-      // const refreshTtlSeconds = this.parseTimeToSeconds('30d');
-      // await cache.blacklist(`refresh:${jti}`, refreshTtlSeconds);
-
-      // Remove from active tokens
-      // await cache.del(`refresh:${jti}`);
+      // Revoke the session so none of its refresh tokens can be used
+      await sessionService.endSession(decoded);
       
       logger.info({ userId: decoded.sub }, 'User logged out');
       
@@ -390,8 +525,12 @@ class AuthService {
       name: userObj.name,
       provider: userObj.provider,
       roles: userObj.roles,
+      permissions: getPermissions(userObj),
       subscription: userObj.subscription,
       isEmailVerified: userObj.isEmailVerified,
+      hasParentPin: Boolean(userObj.parentPinSetAt),
+      twoFactorEnabled: Boolean(userObj.twoFactor && userObj.twoFactor.enabled),
+      deletionScheduledFor: userObj.deletionScheduledFor || null,
       lastLoginAt: userObj.lastLoginAt,
       createdAt: userObj.createdAt,
       updatedAt: userObj.updatedAt,
@@ -423,10 +562,10 @@ class AuthService {
   /**
    * Revoke all refresh tokens for a user (force logout from all devices)
    */
-  async revokeAllTokens(userId) {
-    // This would require storing all active refresh tokens per user
+  async revokeAllTokens(userId, reason = 'revoke_all') {
+    await sessionService.revokeAllSessions(userId, reason);
+
     // TODO: Redis temporarily disabled
-    // For now, we'll just invalidate the user cache
     // await cache.del(`user:${userId}`);
     
     logger.info({ userId }, 'All tokens revoked for user');
@@ -0,0 +1,225 @@
+const kidRepository = require('../repositories/kidRepository');
+const bedtimeReminderRepository = require('../repositories/bedtimeReminderRepository');
+const { KidProfile } = require('../models');
+const { getRemindersBetween, isValidTimezone } = require('../utils/bedtime');
+const { getNotificationSender } = require('../utils/notifications');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Reminders older than this are no longer worth delivering
+const DELIVERY_GRACE_MIN = 15;
+
+// Window returned to the app when polling
+const POLL_PAST_MIN = 60;
+
+const BEDTIME_FIELDS = ['enabled', 'time', 'timezone', 'windDownMin', 'sleepTimerMin', 'days'];
+
+const NOTIFICATION_COPY = {
+  wind_down: {
+    title: kid => `Time to wind down, ${kid.name}`,
+    body: () => 'Bedtime is coming up. Pick a calm story to get ready for sleep.',
+  },
+  bedtime: {
+    title: kid => `It's bedtime for ${kid.name}`,
+    body: () => 'Lights out! Start the bedtime routine.',
+  },
+};
+
+class BedtimeService {
+  /**
+   * Get a kid's bedtime settings
+   */
+  async getSettings(userId, kidId) {
+    const kid = await this.verifyKid(kidId, userId);
+    return this.withDefaults(kid.bedtime);
+  }
+
+  /**
+   * Update a kid's bedtime settings and reschedule upcoming reminders
+   */
+  async updateSettings(userId, kidId, settings) {
+    const kid = await this.verifyKid(kidId, userId);
+
+    const bedtime = this.withDefaults(kid.bedtime);
+    for (const field of BEDTIME_FIELDS) {
+      if (settings[field] !== undefined) {
+        bedtime[field] = settings[field];
+      }
+    }
+
+    this.validateSettings(bedtime);
+    bedtime.days = [...new Set(bedtime.days)].sort((a, b) => a - b);
+
+    const updatedKid = await kidRepository.updateByIdAndUserId(kidId, userId, { bedtime });
+
+    // Drop reminders built from the old settings; the scheduler recreates them
+    await bedtimeReminderRepository.removeUpcomingByKidId(kidId);
+    await this.scheduleKidReminders(updatedKid);
+
+    logger.info({ userId, kidId, enabled: bedtime.enabled }, 'Bedtime settings updated');
+
+    return updatedKid.bedtime;
+  }
+
+  /**
+   * Get a kid's recent and upcoming reminders (polled by the app)
+   */
+  async getReminders(userId, kidId, now = new Date()) {
+    const kid = await this.verifyKid(kidId, userId);
+
+    const reminders = await bedtimeReminderRepository.findByKidId(
+      kidId,
+      new Date(now.getTime() - POLL_PAST_MIN * MINUTE_MS),
+      new Date(now.getTime() + config.jobs.bedtimeReminders.lookaheadMin * MINUTE_MS)
+    );
+
+    return {
+      bedtime: this.withDefaults(kid.bedtime),
+      reminders: reminders.map(reminder => ({
+        id: reminder._id,
+        type: reminder.type,
+        scheduledFor: reminder.scheduledFor,
+        status: reminder.status,
+        isDue: reminder.scheduledFor <= now,
+      })),
+    };
+  }
+
+  /**
+   * Acknowledge a reminder (the app showed it)
+   */
+  async acknowledgeReminder(userId, kidId, reminderId) {
+    await this.verifyKid(kidId, userId);
+
+    const reminder = await bedtimeReminderRepository.acknowledge(reminderId, kidId);
+    if (!reminder) {
+      throw new NotFoundError('Reminder not found');
+    }
+
+    return reminder;
+  }
+
+  /**
+   * Scheduler entry point: create upcoming reminders and deliver due ones
+   */
+  async runScheduler(now = new Date()) {
+    const kids = await kidRepository.findWithBedtimeEnabled();
+
+    let scheduled = 0;
+    for (const kid of kids) {
+      // Sequential on purpose: keeps load on Mongo flat when many kids are enabled
+      scheduled += await this.scheduleKidReminders(kid, now);
+    }
+
+    const delivered = await this.deliverDueReminders(now);
+
+    return { kids: kids.length, scheduled, delivered };
+  }
+
+  /**
+   * Create reminder events for a kid within the lookahead window
+   */
+  async scheduleKidReminders(kid, now = new Date()) {
+    const to = new Date(now.getTime() + config.jobs.bedtimeReminders.lookaheadMin * MINUTE_MS);
+    const reminders = getRemindersBetween(kid.bedtime, now, to).map(reminder => ({
+      ...reminder,
+      userId: kid.userId,
+      kidId: kid._id,
+    }));
+
+    await bedtimeReminderRepository.insertMissing(reminders);
+
+    return reminders.length;
+  }
+
+  /**
+   * Send pending reminders that are due
+   */
+  async deliverDueReminders(now = new Date()) {
+    const due = await bedtimeReminderRepository.findDue(
+      new Date(now.getTime() - DELIVERY_GRACE_MIN * MINUTE_MS),
+      now
+    );
+    if (due.length === 0) {
+      return 0;
+    }
+
+    const sender = getNotificationSender();
+    let delivered = 0;
+
+    for (const reminder of due) {
+      try {
+        const kid = await kidRepository.findById(reminder.kidId);
+        if (!kid) {
+          continue;
+        }
+
+        const copy = NOTIFICATION_COPY[reminder.type];
+        const result = await sender.send({
+          userId: reminder.userId,
+          kidId: reminder.kidId,
+          type: `bedtime.${reminder.type}`,
+          title: copy.title(kid),
+          body: copy.body(kid),
+          data: {
+            reminderId: reminder._id,
+            scheduledFor: reminder.scheduledFor,
+            sleepTimerMin: kid.bedtime ? kid.bedtime.sleepTimerMin : 0,
+          },
+        });
+
+        if (result && result.delivered) {
+          await bedtimeReminderRepository.markSent(reminder._id, now);
+          delivered++;
+        }
+      } catch (error) {
+        logger.warn({ error: error.message, reminderId: reminder._id }, 'Failed to deliver bedtime reminder');
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Fill in defaults for profiles created before bedtime settings existed
+   */
+  withDefaults(bedtime) {
+    return { ...KidProfile.BEDTIME_DEFAULTS, ...bedtime };
+  }
+
+  /**
+   * Validate bedtime settings
+   */
+  validateSettings(bedtime) {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(bedtime.time)) {
+      throw new ValidationError('Bedtime must be in HH:mm format', 'time');
+    }
+    if (!isValidTimezone(bedtime.timezone)) {
+      throw new ValidationError('Invalid timezone', 'timezone');
+    }
+    for (const field of ['windDownMin', 'sleepTimerMin']) {
+      if (!Number.isInteger(bedtime[field]) || bedtime[field] < 0 || bedtime[field] > 120) {
+        throw new ValidationError(`${field} must be between 0 and 120`, field);
+      }
+    }
+    if (!Array.isArray(bedtime.days) || bedtime.days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new ValidationError('Days must be numbers from 0 (Sunday) to 6 (Saturday)', 'days');
+    }
+  }
+
+  /**
+   * Verify kid ownership
+   */
+  async verifyKid(kidId, userId) {
+    const kid = await kidRepository.findByIdAndUserId(kidId, userId);
+    if (!kid) {
+      throw new NotFoundError('Kid profile not found');
+    }
+    return kid;
+  }
+}
+
+module.exports = new BedtimeService();
@@ -1,28 +1,62 @@
 const contentRepository = require('../repositories/contentRepository');
 const kidRepository = require('../repositories/kidRepository');
 const favoriteRepository = require('../repositories/favoriteRepository');
-const { Highlight } = require('../models');
+const listeningSessionRepository = require('../repositories/listeningSessionRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const recommendationService = require('./recommendationService');
+const searchService = require('./searchService');
+const { Content, Category, Highlight, User } = require('../models');
 const config = require('../config');
+const { buildSignedMediaUrl } = require('../utils/mediaSigner');
+const { DEFAULT_LANGUAGE, getSupportedLanguages } = require('../utils/language');
 const logger = require('../utils/logger');
 
+// Asset fields returned with content
+const MEDIA_URL_FIELDS = ['audioUrl', 'videoUrl', 'imageUrl', 'thumbnailUrl'];
+
+// Recommendations fetched per shelf slot, since stories from one
+// translation group collapse into a single localized story
+const RECOMMENDATION_OVERFETCH = 3;
+
 class ContentService {
   /**
-   * Get content by slug
+   * Get content by slug. Premium content is returned locked
+   * (no media URLs) unless the viewer has premium access.
+   * A translated story is returned in the requested language (or English)
+   * with the slugs of its other language variants.
    */
-  async getContentBySlug(slug) {
+  async getContentBySlug(slug, viewer = null, language = DEFAULT_LANGUAGE) {
     const content = await contentRepository.findBySlug(slug);
     if (!content) {
       throw new Error('Content not found');
     }
     
+    const variants = content.translationGroupId
+      ? await contentRepository.findTranslations([content.translationGroupId], getSupportedLanguages())
+      : [];
+    const localized = this.pickVariant(content, variants, language);
+    
+    const category = localized.categoryId
+      ? await categoryRepository.findById(localized.categoryId)
+      : null;
+    
     // Build full URLs
-    return this.buildContentUrls(content);
+    return {
+      ...this.buildContentUrls(localized, viewer),
+      category: category ? {
+        id: category._id,
+        slug: category.slug,
+        ...Category.localize(category, language),
+      } : null,
+      translations: variants.map(variant => ({ language: variant.language, slug: variant.slug })),
+    };
   }
 
   /**
-   * Get content list with filters and pagination
+   * Get content list with filters and pagination. `filters.language` lists
+   * stories in that language, falling back to their English version.
    */
-  async getContentList(filters = {}, options = {}) {
+  async getContentList(filters = {}, options = {}, viewer = null) {
     const { limit = 10, offset = 0 } = options;
     
     // Validate limit
@@ -39,7 +73,7 @@ class ContentService {
     const total = await contentRepository.countWithFilters(filters);
     
     return {
-      content: content.map(item => this.buildContentUrls(item)),
+      content: content.map(item => this.buildContentUrls(item, viewer)),
       pagination: {
         total,
         limit: validatedLimit,
@@ -59,69 +93,114 @@ class ContentService {
   /**
    * Search content
    */
-  async searchContent(searchText, filters = {}, options = {}) {
-    if (!searchText || searchText.trim().length < 2) {
-      throw new Error('Search text must be at least 2 characters');
+  async searchContent(searchText, filters = {}, options = {}, viewer = null) {
+    if (!searchText || !searchText.trim()) {
+      throw new Error('Search text is required');
     }
     
-    const content = await contentRepository.searchByText(searchText.trim(), filters, options);
+    const { limit = 10, offset = 0 } = options;
+    const validatedLimit = Math.min(Math.max(1, parseInt(limit) || 10), 50);
+    const validatedOffset = Math.max(0, parseInt(offset) || 0);
     
-    return content.map(item => this.buildContentUrls(item));
+    const { results, total, truncated, facets } = await searchService.search(searchText.trim(), filters, {
+      limit: validatedLimit,
+      offset: validatedOffset,
+    });
+    
+    return {
+      content: results.map(item => this.buildContentUrls(item, viewer)),
+      pagination: {
+        total,
+        limit: validatedLimit,
+        offset: validatedOffset,
+        hasMore: validatedOffset + results.length < total,
+        truncated,
+      },
+      facets,
+    };
   }
 
   /**
    * Get recommended content for kid
    */
-  async getRecommendedContent(kidId, userId, limit = 10) {
+  async getRecommendedContent(kidId, userId, limit = 10, viewer = null, language = DEFAULT_LANGUAGE) {
     // Verify kid ownership
     const kid = await kidRepository.findByIdAndUserId(kidId, userId);
     if (!kid) {
       throw new Error('Kid profile not found');
     }
     
-    const { ageRange, preferences } = kid;
-    const tags = preferences.tags || [];
+    const content = await recommendationService.recommendForKid(kid, limit * RECOMMENDATION_OVERFETCH);
+    const localized = await this.localizeContent(content, language);
     
-    const content = await contentRepository.findRecommended(ageRange, tags, limit);
+    return localized.slice(0, limit).map(item => this.buildContentUrls(item, viewer));
+  }
+
+  /**
+   * Get unfinished content for kid, most recently listened first
+   */
+  async getContinueListening(kidId, userId, limit = 10, viewer = null) {
+    // Verify kid ownership
+    const kid = await kidRepository.findByIdAndUserId(kidId, userId);
+    if (!kid) {
+      throw new Error('Kid profile not found');
+    }
     
-    return content.map(item => this.buildContentUrls(item));
+    const sessions = await listeningSessionRepository.findUnfinishedByKidId(kidId, limit);
+    
+    return sessions.map(session => ({
+      ...this.buildContentUrls(session.content, viewer),
+      sessionId: session._id,
+      resumePositionSec: session.positionSec,
+      progress: Math.min(1, session.positionSec / session.durationSec),
+      lastListenedAt: session.lastHeartbeatAt,
+    }));
   }
 
   /**
-   * Get home page content (highlights + recommendations)
+   * Get home page content (highlights + continue listening + recommendations).
+   * Shelves are localized; continue listening keeps what the kid was playing.
    */
-  async getHomeContent(userId, kidId = null) {
+  async getHomeContent(userId, kidId = null, viewer = null, language = DEFAULT_LANGUAGE) {
     const result = {
       highlights: [],
+      continueListening: [],
       recommended: [],
       featured: [],
     };
     
     // Get current highlights
     const highlights = await Highlight.findCurrent();
-    result.highlights = highlights.map(highlight => ({
+    result.highlights = await Promise.all(highlights.map(async highlight => ({
       ...highlight.toObject(),
-      contentIds: highlight.contentIds.map(content => this.buildContentUrls(content)),
-    }));
+      contentIds: (await this.localizeContent(highlight.contentIds, language))
+        .map(content => this.buildContentUrls(content, viewer)),
+    })));
     
     // Get featured content
-    const featured = await contentRepository.findFeatured(5);
-    result.featured = featured.map(item => this.buildContentUrls(item));
+    const featured = await this.localizeContent(await contentRepository.findFeatured(5), language);
+    result.featured = featured.map(item => this.buildContentUrls(item, viewer));
     
     // Get recommended content if kid is specified
     if (kidId) {
       try {
-        result.recommended = await this.getRecommendedContent(kidId, userId, 10);
+        result.continueListening = await this.getContinueListening(kidId, userId, 10, viewer);
+      } catch (error) {
+        logger.warn({ error: error.message, kidId, userId }, 'Failed to get continue listening content');
+      }
+      
+      try {
+        result.recommended = await this.getRecommendedContent(kidId, userId, 10, viewer, language);
       } catch (error) {
         logger.warn({ error: error.message, kidId, userId }, 'Failed to get recommended content');
         // Fall back to popular content
-        const popular = await contentRepository.findPopular(10);
-        result.recommended = popular.map(item => this.buildContentUrls(item));
+        const popular = await this.localizeContent(await contentRepository.findPopular(10), language);
+        result.recommended = popular.map(item => this.buildContentUrls(item, viewer));
       }
     } else {
       // No kid specified, return popular content
-      const popular = await contentRepository.findPopular(10);
-      result.recommended = popular.map(item => this.buildContentUrls(item));
+      const popular = await this.localizeContent(await contentRepository.findPopular(10), language);
+      result.recommended = popular.map(item => this.buildContentUrls(item, viewer));
     }
     
     return result;
@@ -140,7 +219,7 @@ class ContentService {
     
     logger.info({ contentId: content._id, slug, amount }, 'Content popularity incremented');
     
-    return true;
+    return content;
   }
 
   /**
@@ -176,24 +255,110 @@ class ContentService {
   }
 
   /**
-   * Build full URLs for content assets
+   * Swap translated stories for their variant in the language, or their
+   * English variant when there is none. Other content is returned as is.
+   * Fields added to an item (e.g. `recommendation`) are kept on its
+   * variant, and a story appears once however many variants were listed.
    */
-  buildContentUrls(content) {
+  async localizeContent(items, language = DEFAULT_LANGUAGE) {
+    const groupIds = [...new Set(items
+      .filter(item => item && item.translationGroupId && item.language !== language)
+      .map(item => String(item.translationGroupId)))];
+    if (groupIds.length === 0) {
+      return items;
+    }
+    
+    const variants = await contentRepository.findTranslations(groupIds, [language, DEFAULT_LANGUAGE]);
+    const seenGroups = new Set();
+    
+    return items
+      .map(item => {
+        if (!item) {
+          return item;
+        }
+        const variant = this.pickVariant(item, variants, language);
+        return variant === item ? item : { ...variant, ...this.getExtraFields(item) };
+      })
+      .filter(item => {
+        if (!item || !item.translationGroupId) {
+          return true;
+        }
+        const groupId = String(item.translationGroupId);
+        if (seenGroups.has(groupId)) {
+          return false;
+        }
+        seenGroups.add(groupId);
+        return true;
+      });
+  }
+
+  /**
+   * Fields a service added to a content item that are not stored content
+   */
+  getExtraFields(item) {
+    return Object.fromEntries(Object.entries(item).filter(([key]) => !Content.schema.path(key)));
+  }
+
+  /**
+   * Best variant of a story for a language: the language itself, then English
+   */
+  pickVariant(content, variants, language) {
+    if (!content.translationGroupId || content.language === language) {
+      return content;
+    }
+    
+    const group = variants.filter(variant => String(variant.translationGroupId) === String(content.translationGroupId));
+    return group.find(variant => variant.language === language)
+      || (content.language === DEFAULT_LANGUAGE ? content : group.find(variant => variant.language === DEFAULT_LANGUAGE))
+      || content;
+  }
+
+  /**
+   * Build full URLs for content assets. Premium content is locked
+   * (metadata only, no media URLs) unless the viewer has premium access.
+   * Media URLs are signed for the viewer and expire.
+   */
+  buildContentUrls(content, viewer = null) {
     if (!content) return content;
     
-    return {
-      ...content,
-      audioUrl: this.buildAssetUrl(content.audioUrl),
-      imageUrl: this.buildAssetUrl(content.imageUrl),
-    };
+    const data = typeof content.toObject === 'function' ? content.toObject() : content;
+    const isLocked = this.isLocked(data, viewer);
+    const result = { ...data, isLocked };
+    
+    if (isLocked) {
+      delete result.audioUrl;
+      delete result.videoUrl;
+    }
+    
+    for (const field of MEDIA_URL_FIELDS) {
+      if (result[field] !== undefined) {
+        result[field] = this.buildAssetUrl(result[field], viewer);
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Check whether content is locked for a viewer (user object or null)
+   */
+  isLocked(content, viewer = null) {
+    return content.accessTier === 'premium' && !User.hasPremiumAccess(viewer);
   }
 
   /**
-   * Build full asset URL
+   * Build full asset URL, signed for the viewer when it is served by us or the CDN
    */
-  buildAssetUrl(relativePath) {
+  buildAssetUrl(relativePath, viewer = null) {
     if (!relativePath) return null;
     
+    if (config.media.signedUrls) {
+      const signedUrl = buildSignedMediaUrl(relativePath, viewer && viewer._id);
+      if (signedUrl) {
+        return signedUrl;
+      }
+    }
+    
     // If already a full URL, return as is
     if (relativePath.startsWith('http://') || relativePath.startsWith('https://')) {
       return relativePath;
@@ -247,14 +412,26 @@ class ContentService {
       validated.ageRange = filters.ageRange;
     }
     
-    if (filters.tags && Array.isArray(filters.tags)) {
-      validated.tags = filters.tags.filter(tag => validTags.includes(tag));
+    if (filters.tags) {
+      const tags = Array.isArray(filters.tags) ? filters.tags : String(filters.tags).split(',');
+      validated.tags = tags.filter(tag => validTags.includes(tag));
     }
     
     if (filters.isFeatured !== undefined) {
       validated.isFeatured = Boolean(filters.isFeatured);
     }
     
+    if (filters.language && /^[a-z]{2}$/i.test(filters.language)) {
+      validated.language = filters.language.toLowerCase();
+    }
+    
+    if (filters.duration) {
+      const bucket = Content.DURATION_BUCKETS.find(item => item.key === filters.duration);
+      if (bucket) {
+        validated.durationBucket = bucket;
+      }
+    }
+    
     return validated;
   }
 }
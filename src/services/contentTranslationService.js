@@ -0,0 +1,109 @@
+const contentRepository = require('../repositories/contentRepository');
+const { invalidateCache } = require('../api/v1/middlewares/cache');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Translation groups link the language variants of one story (see
+ * Content.translationGroupId). A group has at most one variant per
+ * language; families get the variant in their language, or the English one.
+ */
+class ContentTranslationService {
+  /**
+   * Variants in the content's translation group, whatever their status
+   */
+  async getTranslations(contentId) {
+    const content = await this.findContent(contentId);
+    if (!content.translationGroupId) {
+      return { translationGroupId: null, variants: [] };
+    }
+
+    return {
+      translationGroupId: content.translationGroupId,
+      variants: await contentRepository.findTranslationGroup(content.translationGroupId),
+    };
+  }
+
+  /**
+   * Add content to the translation group of another story, starting a
+   * group if that story has none yet
+   */
+  async linkTranslation(contentId, translationOfId) {
+    if (!translationOfId) {
+      throw new ValidationError('translationOf is required', 'translationOf');
+    }
+    if (String(contentId) === String(translationOfId)) {
+      throw new ValidationError('Content cannot be a translation of itself', 'translationOf');
+    }
+
+    const [content, original] = await Promise.all([
+      this.findContent(contentId),
+      this.findContent(translationOfId),
+    ]);
+
+    const groupId = original.translationGroupId || original._id;
+    if (content.translationGroupId) {
+      if (String(content.translationGroupId) === String(groupId)) {
+        return this.getTranslations(contentId);
+      }
+      throw new ConflictError('Content already belongs to another translation group; remove it from that group first');
+    }
+
+    const variants = original.translationGroupId
+      ? await contentRepository.findTranslationGroup(groupId)
+      : [original];
+    if (variants.some(variant => variant.language === content.language)) {
+      throw new ConflictError(`This story already has a variant in "${content.language}"`);
+    }
+
+    await contentRepository.setTranslationGroup([original._id, content._id], groupId);
+    await this.invalidateCaches([...variants, content]);
+
+    logger.info({ contentId, translationGroupId: groupId, language: content.language }, 'Content linked to translation group');
+
+    return this.getTranslations(contentId);
+  }
+
+  /**
+   * Remove content from its translation group. A group left with a single
+   * variant is dissolved.
+   */
+  async unlinkTranslation(contentId) {
+    const content = await this.findContent(contentId);
+    if (!content.translationGroupId) {
+      throw new ValidationError('Content is not part of a translation group', 'translationGroupId');
+    }
+
+    const groupId = content.translationGroupId;
+    await contentRepository.setTranslationGroup([content._id], null);
+
+    const remaining = await contentRepository.findTranslationGroup(groupId);
+    if (remaining.length === 1) {
+      await contentRepository.setTranslationGroup([remaining[0]._id], null);
+    }
+
+    await this.invalidateCaches([...remaining, content]);
+
+    logger.info({ contentId, translationGroupId: groupId }, 'Content removed from translation group');
+
+    return { translationGroupId: null, variants: [] };
+  }
+
+  async findContent(id) {
+    const content = await contentRepository.findById(id);
+    if (!content) {
+      throw new NotFoundError('Content not found');
+    }
+    return content;
+  }
+
+  /**
+   * Pages, lists and home shelves show a variant in place of its siblings
+   */
+  async invalidateCaches(variants) {
+    await Promise.all(variants.map(variant => invalidateCache.content(variant.slug)));
+    await invalidateCache.home();
+  }
+}
+
+module.exports = new ContentTranslationService();
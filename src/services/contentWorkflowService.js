@@ -0,0 +1,148 @@
+const contentRepository = require('../repositories/contentRepository');
+const { invalidateCache } = require('../api/v1/middlewares/cache');
+const { Content } = require('../models');
+const { hasPermission } = require('../utils/permissions');
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  AuthorizationError,
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Editorial workflow for content: draft → in_review → scheduled →
+ * published → archived (see Content.STATUS_TRANSITIONS). Only published
+ * content is visible to families; scheduled content is published by the
+ * content publishing job when its publishedAt arrives.
+ */
+class ContentWorkflowService {
+  /**
+   * Move content to another status
+   * @param {Object} options
+   * @param {Date|string} [options.publishAt] - Publish time, required for 'scheduled'
+   * @param {string} [options.comment] - Reviewer comment kept with the content
+   * @param {Object} actor - Admin making the change
+   */
+  async transition(contentId, toStatus, options = {}, actor, now = new Date()) {
+    const content = await contentRepository.findById(contentId);
+    if (!content) {
+      throw new NotFoundError('Content not found');
+    }
+
+    const fromStatus = this.getStatus(content);
+    if (!Content.STATUS_TRANSITIONS[fromStatus].includes(toStatus)) {
+      throw new ValidationError(`Content cannot move from ${fromStatus} to ${toStatus}`, 'status');
+    }
+
+    if (this.isReviewDecision(fromStatus, toStatus) && !hasPermission(actor, 'content.review')) {
+      throw new AuthorizationError('Only reviewers can approve, schedule or send back content');
+    }
+
+    const comment = (options.comment || '').trim();
+    if (fromStatus === 'in_review' && toStatus === 'draft' && !comment) {
+      throw new ValidationError('Say what needs to change when sending content back to draft', 'comment');
+    }
+
+    const update = { status: toStatus };
+    if (toStatus === 'scheduled') {
+      const publishAt = options.publishAt ? new Date(options.publishAt) : null;
+      if (!publishAt || isNaN(publishAt.getTime()) || publishAt <= now) {
+        throw new ValidationError('Scheduled content needs a publish time in the future', 'publishAt');
+      }
+      update.publishedAt = publishAt;
+    }
+    if (toStatus === 'published') {
+      update.publishedAt = now;
+    }
+
+    const updated = await contentRepository.transitionStatus(
+      contentId,
+      fromStatus,
+      update,
+      comment ? this.buildComment(actor, comment, now, fromStatus, toStatus) : null
+    );
+    if (!updated) {
+      throw new ConflictError('Content status changed in the meantime; reload and try again');
+    }
+
+    if (fromStatus === 'published' || toStatus === 'published') {
+      await this.invalidatePublicCaches(updated);
+    }
+
+    logger.info({ contentId, fromStatus, toStatus, userId: actor._id }, 'Content status changed');
+
+    return updated;
+  }
+
+  /**
+   * Add a reviewer comment without changing the status
+   */
+  async addComment(contentId, body, actor, now = new Date()) {
+    const comment = (body || '').trim();
+    if (!comment) {
+      throw new ValidationError('Comment is required', 'body');
+    }
+
+    const content = await contentRepository.addReviewComment(contentId, this.buildComment(actor, comment, now));
+    if (!content) {
+      throw new NotFoundError('Content not found');
+    }
+
+    return content;
+  }
+
+  /**
+   * Publish scheduled content whose publish time has come
+   */
+  async publishDue(now = new Date(), limit = 100) {
+    const due = await contentRepository.findDueForPublishing(now, limit);
+
+    let published = 0;
+    // Sequential on purpose: each item is a guarded status change and the batch is small
+    for (const content of due) {
+      const updated = await contentRepository.transitionStatus(content._id, 'scheduled', { status: 'published' });
+      if (updated) {
+        published++;
+        await this.invalidatePublicCaches(updated);
+        logger.info({ contentId: content._id, publishedAt: content.publishedAt }, 'Scheduled content published');
+      }
+    }
+
+    return { due: due.length, published };
+  }
+
+  /**
+   * Publishing, scheduling and sending content back from review are
+   * decisions for reviewers; editors move their own drafts along
+   */
+  isReviewDecision(fromStatus, toStatus) {
+    return toStatus === 'scheduled' || toStatus === 'published' || (fromStatus === 'in_review' && toStatus === 'draft');
+  }
+
+  /**
+   * Status of the content; content created outside the workflow is published
+   */
+  getStatus(content) {
+    return content.status || 'published';
+  }
+
+  buildComment(actor, body, now, fromStatus = null, toStatus = null) {
+    return {
+      authorId: actor._id,
+      authorEmail: actor.email || null,
+      body,
+      fromStatus,
+      toStatus,
+      createdAt: now,
+    };
+  }
+
+  async invalidatePublicCaches(content) {
+    await invalidateCache.content(content.slug);
+    await invalidateCache.series();
+    await invalidateCache.home();
+  }
+}
+
+module.exports = new ContentWorkflowService();
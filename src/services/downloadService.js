@@ -0,0 +1,213 @@
+const downloadLicenseRepository = require('../repositories/downloadLicenseRepository');
+const kidRepository = require('../repositories/kidRepository');
+const contentRepository = require('../repositories/contentRepository');
+const contentService = require('./contentService');
+const { Content, DownloadLicense, User } = require('../models');
+const { NotFoundError, ValidationError, ConflictError, AuthorizationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DownloadService {
+  /**
+   * Issue a download license for a content item on a device.
+   * Requesting the same item again on the same device renews the existing license.
+   */
+  async requestLicense(user, { kidId, contentId, deviceId: rawDeviceId }, now = new Date()) {
+    const deviceId = this.validateDeviceId(rawDeviceId);
+    await this.verifyKid(kidId, user._id);
+
+    const content = await contentRepository.findById(contentId);
+    if (!content || !Content.isPublished(content)) {
+      throw new NotFoundError('Content not found');
+    }
+    if (contentService.isLocked(content, user)) {
+      throw new AuthorizationError('A premium subscription is required to download this content');
+    }
+
+    const existing = await downloadLicenseRepository.findActive(user._id, deviceId, kidId, contentId, now);
+    if (existing) {
+      return this.renewLicense(user, existing._id, now);
+    }
+
+    const limits = this.getPlanLimits(user);
+    await this.checkDownloadLimit(user._id, limits, now);
+
+    const license = await downloadLicenseRepository.create({
+      userId: user._id,
+      kidId,
+      contentId,
+      deviceId,
+      plan: limits.plan,
+      expiresAt: new Date(now.getTime() + limits.licenseDays * DAY_MS),
+    });
+
+    // Parallel requests can all pass the check above. Counting again after
+    // the insert sees every earlier one, so a license that takes the user
+    // past the cap is rolled back.
+    const used = await downloadLicenseRepository.countActiveByUserId(user._id, now);
+    if (used > limits.maxDownloads) {
+      await downloadLicenseRepository.deleteById(license._id);
+      throw this.limitReachedError(limits);
+    }
+
+    logger.info({ userId: user._id, kidId, contentId, deviceId, licenseId: license._id }, 'Download license issued');
+
+    const created = await downloadLicenseRepository.findByIdAndUserId(license._id, user._id);
+    return this.formatLicense(created, user, now);
+  }
+
+  /**
+   * Get a user's active licenses and plan usage
+   */
+  async getLicenses(user, filters = {}, now = new Date()) {
+    const licenses = await downloadLicenseRepository.findActiveByUserId(user._id, filters, now);
+    const limits = this.getPlanLimits(user);
+    const used = await downloadLicenseRepository.countActiveByUserId(user._id, now);
+
+    return {
+      downloads: licenses.map(license => this.formatLicense(license, user, now)),
+      limits: {
+        plan: limits.plan,
+        maxDownloads: limits.maxDownloads,
+        licenseDays: limits.licenseDays,
+        used,
+        remaining: Math.max(0, limits.maxDownloads - used),
+      },
+    };
+  }
+
+  /**
+   * Extend a license for another plan period. The subscription and content are
+   * checked again, so lapsed plans and removed content cannot be renewed.
+   */
+  async renewLicense(user, licenseId, now = new Date()) {
+    const license = await downloadLicenseRepository.findByIdAndUserId(licenseId, user._id);
+    if (!license || license.revokedAt) {
+      throw new NotFoundError('Download not found');
+    }
+
+    const content = license.contentId;
+    if (!content || !Content.isPublished(content)) {
+      await downloadLicenseRepository.revoke(licenseId, user._id, now);
+      throw new NotFoundError('Content is no longer available');
+    }
+    if (contentService.isLocked(content, user)) {
+      await downloadLicenseRepository.revoke(licenseId, user._id, now);
+      throw new AuthorizationError('A premium subscription is required to keep this download');
+    }
+
+    // The license being renewed does not count against the cap
+    const limits = this.getPlanLimits(user);
+    const excluded = license.expiresAt > now ? 1 : 0;
+    await this.checkDownloadLimit(user._id, limits, now, excluded);
+
+    const renewed = await downloadLicenseRepository.renew(
+      licenseId,
+      user._id,
+      new Date(now.getTime() + limits.licenseDays * DAY_MS),
+      now
+    );
+    if (!renewed) {
+      throw new NotFoundError('Download not found');
+    }
+
+    logger.info({ userId: user._id, licenseId, renewCount: renewed.renewCount }, 'Download license renewed');
+
+    return this.formatLicense(renewed, user, now);
+  }
+
+  /**
+   * Revoke a license (the app deletes the file)
+   */
+  async revokeLicense(user, licenseId, now = new Date()) {
+    const license = await downloadLicenseRepository.revoke(licenseId, user._id, now);
+    if (!license) {
+      throw new NotFoundError('Download not found');
+    }
+
+    logger.info({ userId: user._id, licenseId }, 'Download license revoked');
+
+    return true;
+  }
+
+  /**
+   * Revoke every active license on a device (e.g. a lost phone)
+   */
+  async revokeDevice(user, rawDeviceId, now = new Date()) {
+    const deviceId = this.validateDeviceId(rawDeviceId);
+
+    const result = await downloadLicenseRepository.revokeByDevice(user._id, deviceId, now);
+
+    logger.info({ userId: user._id, deviceId, revoked: result.modifiedCount }, 'Device downloads revoked');
+
+    return { revoked: result.modifiedCount };
+  }
+
+  /**
+   * Download limits for the user's plan. Inactive paid plans get free limits.
+   */
+  getPlanLimits(user) {
+    const subscription = User.getActiveSubscription(user);
+    const plan = subscription ? subscription.plan : 'free';
+    const limits = DownloadLicense.PLAN_LIMITS[plan] || DownloadLicense.PLAN_LIMITS.free;
+
+    return { plan, ...limits };
+  }
+
+  /**
+   * Ensure the user has room for another active download
+   */
+  async checkDownloadLimit(userId, limits, now = new Date(), excluded = 0) {
+    const used = await downloadLicenseRepository.countActiveByUserId(userId, now) - excluded;
+    if (used >= limits.maxDownloads) {
+      throw this.limitReachedError(limits);
+    }
+  }
+
+  limitReachedError(limits) {
+    return new ConflictError(`Download limit reached for the ${limits.plan} plan (${limits.maxDownloads})`);
+  }
+
+  /**
+   * Build the API shape of a license with signed media URLs
+   */
+  formatLicense(license, user, now = new Date()) {
+    return {
+      id: license._id,
+      kidId: license.kidId,
+      deviceId: license.deviceId,
+      plan: license.plan,
+      expiresAt: license.expiresAt,
+      isExpired: license.expiresAt <= now,
+      renewedAt: license.renewedAt,
+      renewCount: license.renewCount,
+      content: contentService.buildContentUrls(license.contentId, user),
+      createdAt: license.createdAt,
+    };
+  }
+
+  /**
+   * Validate a device identifier and return it trimmed
+   */
+  validateDeviceId(deviceId) {
+    const trimmed = typeof deviceId === 'string' ? deviceId.trim() : '';
+    if (!trimmed || trimmed.length > 100) {
+      throw new ValidationError('A device ID of at most 100 characters is required', 'deviceId');
+    }
+    return trimmed;
+  }
+
+  /**
+   * Verify kid ownership
+   */
+  async verifyKid(kidId, userId) {
+    const kid = await kidRepository.findByIdAndUserId(kidId, userId);
+    if (!kid) {
+      throw new NotFoundError('Kid profile not found');
+    }
+    return kid;
+  }
+}
+
+module.exports = new DownloadService();
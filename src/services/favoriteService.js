@@ -1,6 +1,8 @@
 const favoriteRepository = require('../repositories/favoriteRepository');
 const kidRepository = require('../repositories/kidRepository');
 const contentRepository = require('../repositories/contentRepository');
+const contentService = require('./contentService');
+const { Content } = require('../models');
 // TODO: Redis temporarily disabled
 // const { invalidateCache } = require('../loaders/redisLoader');
 const logger = require('../utils/logger');
@@ -18,7 +20,7 @@ class FavoriteService {
     
     // Verify content exists
     const content = await contentRepository.findById(contentId);
-    if (!content || !content.isActive) {
+    if (!content || !Content.isPublished(content)) {
       throw new Error('Content not found');
     }
     
@@ -72,7 +74,7 @@ class FavoriteService {
   /**
    * Get favorites for a kid
    */
-  async getKidFavorites(userId, kidId, options = {}) {
+  async getKidFavorites(userId, kidId, options = {}, viewer = null) {
     // Verify kid ownership
     const kid = await kidRepository.findByIdAndUserId(kidId, userId);
     if (!kid) {
@@ -90,7 +92,7 @@ class FavoriteService {
     return {
       favorites: paginatedFavorites.map(fav => ({
         id: fav._id,
-        content: fav.contentId,
+        content: contentService.buildContentUrls(fav.contentId, viewer),
         addedAt: fav.createdAt,
       })),
       pagination: {
@@ -103,13 +105,14 @@ class FavoriteService {
   }
 
   /**
-   * Get all favorites for a user
+   * Get all favorites for a user, including those of kids shared by their household
    */
-  async getUserFavorites(userId, options = {}) {
+  async getUserFavorites(userId, options = {}, viewer = null) {
     const { limit = 50, offset = 0 } = options;
     
-    const favorites = await favoriteRepository.getUserFavoritesWithDetails(userId);
-    const total = await favoriteRepository.countByUserId(userId);
+    const kidIds = await this.getAccessibleKidIds(userId);
+    const favorites = await favoriteRepository.getFavoritesWithDetailsByKidIds(kidIds);
+    const total = await favoriteRepository.countByKidIds(kidIds);
     
     // Apply pagination
     const paginatedFavorites = favorites.slice(offset, offset + limit);
@@ -118,7 +121,7 @@ class FavoriteService {
       favorites: paginatedFavorites.map(fav => ({
         id: fav._id,
         kid: fav.kidId,
-        content: fav.contentId,
+        content: contentService.buildContentUrls(fav.contentId, viewer),
         addedAt: fav.createdAt,
       })),
       pagination: {
@@ -160,8 +163,9 @@ class FavoriteService {
    * Get favorite statistics for a user
    */
   async getUserFavoriteStats(userId) {
-    const stats = await favoriteRepository.getUserFavoritesStats(userId);
-    const totalCount = await favoriteRepository.countByUserId(userId);
+    const kidIds = await this.getAccessibleKidIds(userId);
+    const stats = await favoriteRepository.getFavoritesStatsByKidIds(kidIds);
+    const totalCount = await favoriteRepository.countByKidIds(kidIds);
     
     return {
       totalFavorites: totalCount,
@@ -240,6 +244,14 @@ class FavoriteService {
     
     return results;
   }
+
+  /**
+   * IDs of the kids a guardian can see (own and household-shared)
+   */
+  async getAccessibleKidIds(userId) {
+    const kids = await kidRepository.findByUserId(userId);
+    return kids.map(kid => kid._id);
+  }
 }
 
 module.exports = new FavoriteService();
@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const householdRepository = require('../repositories/householdRepository');
+const kidRepository = require('../repositories/kidRepository');
+const userRepository = require('../repositories/userRepository');
+const mailService = require('./mailService');
+const { Household, KidProfile, User } = require('../models');
+const { cache } = require('../loaders/redisLoader');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+  ConflictError,
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sameId = (a, b) => String(a) === String(b);
+
+/**
+ * Households: several guardians (parents, grandparents) sharing kid
+ * profiles, favorites and the owner's family plan. Owners manage the
+ * household and invite guardians by email; members use the shared kids.
+ */
+class HouseholdService {
+  /**
+   * Get the user's household
+   */
+  async getHousehold(userId) {
+    const household = await this.findUserHousehold(userId);
+    return this.formatHousehold(household._id, userId);
+  }
+
+  /**
+   * Create a household owned by the user and share their kids with it
+   */
+  async createHousehold(userId, { name }) {
+    if (!name || !name.trim()) {
+      throw new ValidationError('Household name is required', 'name');
+    }
+
+    const existing = await householdRepository.findByMemberId(userId);
+    if (existing) {
+      throw new ConflictError('You already belong to a household');
+    }
+
+    const household = await householdRepository.create({
+      name: name.trim(),
+      members: [{ userId, role: 'owner' }],
+    });
+    await kidRepository.assignHousehold(userId, household._id);
+
+    logger.info({ userId, householdId: household._id }, 'Household created');
+
+    return this.formatHousehold(household._id, userId);
+  }
+
+  /**
+   * Rename the household (owners only)
+   */
+  async updateHousehold(userId, { name }) {
+    if (!name || !name.trim()) {
+      throw new ValidationError('Household name is required', 'name');
+    }
+
+    const household = await this.findUserHousehold(userId, 'owner');
+    await householdRepository.updateById(household._id, { name: name.trim() });
+
+    return this.formatHousehold(household._id, userId);
+  }
+
+  /**
+   * Delete the household (owners only). Kids go back to being managed
+   * only by the guardian who created them.
+   */
+  async deleteHousehold(userId) {
+    const household = await this.findUserHousehold(userId, 'owner');
+
+    await kidRepository.releaseFromHousehold(household._id);
+    await householdRepository.deleteById(household._id);
+    await this.invalidateMembers(household.members);
+
+    logger.info({ userId, householdId: household._id }, 'Household deleted');
+
+    return true;
+  }
+
+  /**
+   * Invite a guardian by email (owners only). The invitation token is only
+   * sent by email; a new invitation to the same address replaces the old one.
+   */
+  async inviteMember(userId, { email, role = 'member' }, now = new Date()) {
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+      throw new ValidationError('A valid email is required', 'email');
+    }
+    if (!Household.ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${Household.ROLES.join(', ')}`, 'role');
+    }
+
+    const household = await this.findUserHousehold(userId, 'owner');
+
+    const memberIds = household.members.map(member => member.userId);
+    const invitee = await userRepository.findByEmail(normalizedEmail);
+    if (invitee && memberIds.some(id => sameId(id, invitee._id))) {
+      throw new ConflictError('This guardian is already a member of the household');
+    }
+
+    const pending = household.invitations.filter(invitation =>
+      invitation.email !== normalizedEmail && invitation.expiresAt > now
+    );
+    if (household.members.length + pending.length >= Household.MAX_MEMBERS) {
+      throw new ConflictError(`Maximum number of household members reached (${Household.MAX_MEMBERS})`);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const updated = await householdRepository.addInvitation(household._id, {
+      email: normalizedEmail,
+      tokenHash: hashToken(token),
+      role,
+      invitedBy: userId,
+      expiresAt: new Date(now.getTime() + Household.INVITATION_TTL_DAYS * DAY_MS),
+    });
+
+    const inviter = await userRepository.findById(userId);
+    await mailService.send('household_invite', normalizedEmail, {
+      inviterName: inviter && inviter.name,
+      householdName: household.name,
+      token,
+      expiresInDays: Household.INVITATION_TTL_DAYS,
+    }, {}, now);
+
+    logger.info({ userId, householdId: household._id, role }, 'Household invitation sent');
+
+    const invitation = updated.invitations.find(item => item.email === normalizedEmail);
+    return this.formatInvitation(invitation, now);
+  }
+
+  /**
+   * Revoke a pending invitation (owners only)
+   */
+  async revokeInvitation(userId, invitationId) {
+    const household = await this.findUserHousehold(userId, 'owner');
+
+    const updated = await householdRepository.removeInvitation(household._id, invitationId);
+    if (!updated) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    logger.info({ userId, householdId: household._id, invitationId }, 'Household invitation revoked');
+
+    return true;
+  }
+
+  /**
+   * Accept an invitation. The signed-in account's email must match the
+   * invited address; the guardian's own kids are shared with the household.
+   */
+  async acceptInvitation(userId, token, now = new Date()) {
+    if (!token) {
+      throw new ValidationError('Invitation token is required', 'token');
+    }
+
+    const household = await householdRepository.findByInvitationTokenHash(hashToken(token));
+    const invitation = household && household.invitations.find(item => item.tokenHash === hashToken(token));
+    if (!invitation) {
+      throw new NotFoundError('Invitation not found');
+    }
+    if (invitation.expiresAt <= now) {
+      throw new ValidationError('Invitation has expired', 'token');
+    }
+
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    if (user.email !== invitation.email) {
+      throw new AuthorizationError('This invitation was sent to a different email address');
+    }
+
+    const existing = await householdRepository.findByMemberId(userId);
+    if (existing) {
+      throw new ConflictError('You already belong to a household');
+    }
+
+    // Every guardian sees all household kids, so the merged set must fit the limit
+    const kidCount = await kidRepository.countByHouseholdOrUserId(household._id, userId);
+    if (kidCount > KidProfile.MAX_KIDS) {
+      throw new ConflictError(
+        `Joining would give the household ${kidCount} kid profiles; the maximum is ${KidProfile.MAX_KIDS}`
+      );
+    }
+
+    const updated = await householdRepository.acceptInvitation(household._id, invitation._id, {
+      userId,
+      role: invitation.role,
+      joinedAt: now,
+    });
+    if (!updated) {
+      throw new NotFoundError('Invitation not found');
+    }
+
+    await kidRepository.assignHousehold(userId, household._id);
+    // An owner joining with a family plan shares it with everyone
+    await this.invalidateMembers([...household.members, { userId }]);
+
+    logger.info({ userId, householdId: household._id, role: invitation.role }, 'Household invitation accepted');
+
+    return this.formatHousehold(household._id, userId, now);
+  }
+
+  /**
+   * Change a member's role (owners only). A household keeps at least one owner.
+   */
+  async updateMemberRole(userId, memberId, role) {
+    if (!Household.ROLES.includes(role)) {
+      throw new ValidationError(`Role must be one of: ${Household.ROLES.join(', ')}`, 'role');
+    }
+
+    const household = await this.findUserHousehold(userId, 'owner');
+    const member = this.findMember(household, memberId);
+    if (!member) {
+      throw new NotFoundError('Household member not found');
+    }
+    if (member.role === 'owner' && role !== 'owner') {
+      this.ensureAnotherOwner(household, memberId);
+    }
+
+    await householdRepository.updateMemberRole(household._id, memberId, role);
+    // Owners share their family plan, so a role change can change everyone's access
+    await this.invalidateMembers(household.members);
+
+    logger.info({ userId, householdId: household._id, memberId, role }, 'Household member role updated');
+
+    return this.formatHousehold(household._id, userId);
+  }
+
+  /**
+   * Remove a guardian from the household (owners only)
+   */
+  async removeMember(userId, memberId) {
+    if (sameId(userId, memberId)) {
+      return this.leaveHousehold(userId);
+    }
+
+    const household = await this.findUserHousehold(userId, 'owner');
+    if (!this.findMember(household, memberId)) {
+      throw new NotFoundError('Household member not found');
+    }
+
+    await this.detachMember(household, memberId);
+
+    logger.info({ userId, householdId: household._id, memberId }, 'Household member removed');
+
+    return true;
+  }
+
+  /**
+   * Leave the household. The last owner must hand over ownership first;
+   * the last member leaving deletes the household.
+   */
+  async leaveHousehold(userId) {
+    const household = await this.findUserHousehold(userId);
+    const member = this.findMember(household, userId);
+
+    if (household.members.length === 1) {
+      await kidRepository.releaseFromHousehold(household._id);
+      await householdRepository.deleteById(household._id);
+      await cache.del(`user:${userId}`);
+
+      logger.info({ userId, householdId: household._id }, 'Household deleted by last member leaving');
+
+      return true;
+    }
+    if (member.role === 'owner') {
+      this.ensureAnotherOwner(household, userId);
+    }
+
+    await this.detachMember(household, userId);
+
+    logger.info({ userId, householdId: household._id }, 'Left household');
+
+    return true;
+  }
+
+  /**
+   * Take an account that is being erased out of its household. The kids it
+   * created stay with the family: they are handed to an owner, promoting the
+   * longest-standing member when no other owner is left.
+   * @returns {Promise<string|null>} The guardian who took over the kids, if any
+   */
+  async handOverMembership(userId) {
+    const household = await householdRepository.findByMemberId(userId);
+    if (!household) {
+      return null;
+    }
+
+    const others = household.members.filter(member => !sameId(member.userId, userId));
+    if (others.length === 0) {
+      await kidRepository.releaseFromHousehold(household._id);
+      await householdRepository.deleteById(household._id);
+      return null;
+    }
+
+    let successor = others.find(member => member.role === 'owner');
+    if (!successor) {
+      successor = others[0];
+      await householdRepository.updateMemberRole(household._id, successor.userId, 'owner');
+    }
+
+    await householdRepository.removeMember(household._id, userId);
+    await kidRepository.transferOwnership(household._id, userId, successor.userId);
+    // The family plan may have been shared by the erased account
+    await this.invalidateMembers(others);
+
+    logger.info({ userId, householdId: household._id, successorId: successor.userId }, 'Household membership handed over');
+
+    return successor.userId;
+  }
+
+  /**
+   * Drop the pending invitations a user sent or received (account erasure)
+   */
+  async removeUserInvitations(userId, email) {
+    await householdRepository.removeInvitationsByUser(userId, email.toLowerCase());
+  }
+
+  /**
+   * Remove a member and take back the kids they created. The member may
+   * have been sharing a family plan, so every member's cache is dropped.
+   */
+  async detachMember(household, memberId) {
+    await householdRepository.removeMember(household._id, memberId);
+    await kidRepository.releaseFromHousehold(household._id, memberId);
+    await this.invalidateMembers(household.members);
+  }
+
+  /**
+   * Find the user's household, optionally requiring a role
+   */
+  async findUserHousehold(userId, role = null) {
+    const household = await householdRepository.findByMemberId(userId);
+    if (!household) {
+      throw new NotFoundError('You do not belong to a household');
+    }
+
+    if (role && this.findMember(household, userId).role !== role) {
+      throw new AuthorizationError('Only household owners can do this');
+    }
+
+    return household;
+  }
+
+  findMember(household, userId) {
+    return household.members.find(member => sameId(member.userId, userId)) || null;
+  }
+
+  ensureAnotherOwner(household, userId) {
+    const hasOtherOwner = household.members.some(member =>
+      member.role === 'owner' && !sameId(member.userId, userId)
+    );
+    if (!hasOtherOwner) {
+      throw new ValidationError('Make another member an owner first; a household needs at least one owner', 'role');
+    }
+  }
+
+  /**
+   * Drop cached users so their shared subscription is looked up again
+   */
+  async invalidateMembers(members) {
+    await Promise.all(members.map(member => cache.del(`user:${member.userId}`)));
+  }
+
+  /**
+   * Build the API shape of a household as seen by one member
+   */
+  async formatHousehold(householdId, userId, now = new Date()) {
+    const household = await householdRepository.findByIdWithMembers(householdId);
+    const members = household.members.map(member => ({
+      userId: member.userId && member.userId._id,
+      name: member.userId && member.userId.name,
+      email: member.userId && member.userId.email,
+      role: member.role,
+      joinedAt: member.joinedAt,
+    }));
+    const role = members.find(member => sameId(member.userId, userId)).role;
+
+    const owners = await Promise.all(members
+      .filter(member => member.role === 'owner')
+      .map(member => userRepository.findById(member.userId)));
+    const familyOwner = owners.find(owner =>
+      owner && owner.subscription && owner.subscription.plan === 'family' && User.isPaidSubscription(owner.subscription)
+    );
+
+    return {
+      id: household._id,
+      name: household.name,
+      role,
+      members,
+      // Only owners manage invitations
+      invitations: role === 'owner'
+        ? household.invitations.map(invitation => this.formatInvitation(invitation, now))
+        : [],
+      subscription: familyOwner
+        ? { plan: familyOwner.subscription.plan, status: familyOwner.subscription.status, sharedBy: familyOwner._id }
+        : null,
+      createdAt: household.createdAt,
+    };
+  }
+
+  formatInvitation(invitation, now = new Date()) {
+    return {
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy,
+      expiresAt: invitation.expiresAt,
+      isExpired: invitation.expiresAt <= now,
+      createdAt: invitation.createdAt,
+    };
+  }
+}
+
+module.exports = new HouseholdService();
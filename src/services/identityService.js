@@ -0,0 +1,200 @@
+const userRepository = require('../repositories/userRepository');
+const sessionService = require('./sessionService');
+const { getIdentityProvider, getIdentityProviderNames } = require('../utils/oidc');
+const { cache } = require('../loaders/redisLoader');
+const {
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  OidcAuthError,
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Sign-in with external identity providers (Google and other OpenID
+ * Connect issuers) and the identities linked to each account. An account
+ * can have one identity per provider next to its password.
+ */
+class IdentityService {
+  /**
+   * Verify an ID token with the named provider
+   */
+  async verify(providerName, idToken, now = new Date()) {
+    const provider = getIdentityProvider(providerName);
+    if (!provider) {
+      throw new NotFoundError(`Unknown sign-in provider: ${providerName}`);
+    }
+    if (!idToken) {
+      throw new OidcAuthError('ID token is required');
+    }
+
+    return await provider.verifyIdToken(idToken, now);
+  }
+
+  /**
+   * Find the account for a verified identity. A new identity whose verified
+   * email matches an account is linked to it; otherwise an account is created.
+   */
+  async findOrCreateUser(providerName, claims, now = new Date()) {
+    const linked = await userRepository.findByIdentity(providerName, claims.subject);
+    if (linked) {
+      return linked;
+    }
+
+    if (!claims.email || !claims.emailVerified) {
+      throw new OidcAuthError('The identity provider did not confirm an email address for this account');
+    }
+
+    const identity = {
+      provider: providerName,
+      subject: claims.subject,
+      email: claims.email,
+      linkedAt: now,
+    };
+
+    const existing = await userRepository.findByEmail(claims.email);
+    if (existing) {
+      return this.linkByEmail(existing, identity, now);
+    }
+
+    const user = await userRepository.create({
+      email: claims.email,
+      name: claims.name,
+      provider: providerName,
+      googleId: providerName === 'google' ? claims.subject : undefined,
+      identities: [identity],
+      isEmailVerified: true,
+      roles: ['user'],
+      lastLoginAt: now,
+    });
+
+    logger.info({ userId: user._id, provider: providerName }, 'User created from identity provider');
+
+    return user;
+  }
+
+  /**
+   * Link a second provider to the account with the same email. If that
+   * email was never verified, someone else may have registered it with a
+   * password: the provider proves ownership, so the password and existing
+   * sessions stop working.
+   */
+  async linkByEmail(user, identity, now = new Date()) {
+    const linked = await userRepository.addIdentity(user._id, identity);
+    if (!linked) {
+      throw new ConflictError(`This email is already linked to another ${identity.provider} account`);
+    }
+
+    if (!user.isEmailVerified) {
+      await userRepository.updateById(user._id, {
+        provider: identity.provider,
+        isEmailVerified: true,
+        emailVerificationToken: null,
+        password: null,
+      });
+      await sessionService.revokeAllSessions(user._id.toString(), 'identity_linked', now);
+      linked.isEmailVerified = true;
+
+      logger.warn({ userId: user._id, provider: identity.provider }, 'Unverified password cleared when linking identity');
+    }
+
+    await cache.del(`user:${user._id}`);
+
+    logger.info({ userId: user._id, provider: identity.provider }, 'Identity linked by email');
+
+    return linked;
+  }
+
+  /**
+   * Sign-in methods of the account and the providers it can link
+   */
+  async getIdentities(userId) {
+    const user = await this.findUser(userId);
+    const identities = this.listIdentities(user);
+
+    return {
+      hasPassword: Boolean(user.password),
+      identities: identities.map(identity => ({
+        provider: identity.provider,
+        email: identity.email,
+        linkedAt: identity.linkedAt,
+      })),
+      availableProviders: getIdentityProviderNames()
+        .filter(name => !identities.some(identity => identity.provider === name)),
+    };
+  }
+
+  /**
+   * Link a provider to the signed-in account (the emails may differ)
+   */
+  async linkIdentity(userId, providerName, idToken, now = new Date()) {
+    const claims = await this.verify(providerName, idToken, now);
+
+    const owner = await userRepository.findByIdentity(providerName, claims.subject);
+    if (owner) {
+      if (String(owner._id) !== String(userId)) {
+        throw new ConflictError(`This ${providerName} account is already linked to another user`);
+      }
+      return this.getIdentities(userId);
+    }
+
+    const linked = await userRepository.addIdentity(userId, {
+      provider: providerName,
+      subject: claims.subject,
+      email: claims.email,
+      linkedAt: now,
+    });
+    if (!linked) {
+      throw new ConflictError(`A ${providerName} account is already linked; unlink it first`);
+    }
+
+    await cache.del(`user:${userId}`);
+
+    logger.info({ userId, provider: providerName }, 'Identity linked');
+
+    return this.getIdentities(userId);
+  }
+
+  /**
+   * Unlink a provider. The account must keep a way to sign in.
+   */
+  async unlinkIdentity(userId, providerName) {
+    const user = await this.findUser(userId);
+    const identities = this.listIdentities(user);
+
+    if (!identities.some(identity => identity.provider === providerName)) {
+      throw new NotFoundError(`No ${providerName} account is linked`);
+    }
+    if (!user.password && identities.length === 1) {
+      throw new ValidationError('Link another sign-in method before unlinking this one', 'provider');
+    }
+
+    await userRepository.removeIdentity(userId, providerName);
+    await cache.del(`user:${userId}`);
+
+    logger.info({ userId, provider: providerName }, 'Identity unlinked');
+
+    return this.getIdentities(userId);
+  }
+
+  /**
+   * Linked identities, including a Google ID stored before identities existed
+   */
+  listIdentities(user) {
+    const identities = [...(user.identities || [])];
+    if (user.googleId && !identities.some(identity => identity.provider === 'google')) {
+      identities.push({ provider: 'google', subject: user.googleId, email: user.email, linkedAt: null });
+    }
+    return identities;
+  }
+
+  async findUser(userId) {
+    const user = await userRepository.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    return user;
+  }
+}
+
+module.exports = new IdentityService();
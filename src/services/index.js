@@ -5,6 +5,27 @@ const contentService = require('./contentService');
 const favoriteService = require('./favoriteService');
 const subscriptionService = require('./subscriptionService');
 const adminService = require('./adminService');
+const listeningService = require('./listeningService');
+const analyticsService = require('./analyticsService');
+const recommendationService = require('./recommendationService');
+const searchService = require('./searchService');
+const routineService = require('./routineService');
+const bedtimeService = require('./bedtimeService');
+const mediaService = require('./mediaService');
+const downloadService = require('./downloadService');
+const sessionService = require('./sessionService');
+const mailService = require('./mailService');
+const parentPinService = require('./parentPinService');
+const householdService = require('./householdService');
+const twoFactorService = require('./twoFactorService');
+const accountService = require('./accountService');
+const loginLockoutService = require('./loginLockoutService');
+const identityService = require('./identityService');
+const auditService = require('./auditService');
+const contentWorkflowService = require('./contentWorkflowService');
+const seriesService = require('./seriesService');
+const contentTranslationService = require('./contentTranslationService');
+const transcriptService = require('./transcriptService');
 
 module.exports = {
   authService,
@@ -13,4 +34,25 @@ module.exports = {
   favoriteService,
   subscriptionService,
   adminService,
+  listeningService,
+  analyticsService,
+  recommendationService,
+  searchService,
+  routineService,
+  bedtimeService,
+  mediaService,
+  downloadService,
+  sessionService,
+  mailService,
+  parentPinService,
+  householdService,
+  twoFactorService,
+  accountService,
+  loginLockoutService,
+  identityService,
+  auditService,
+  contentWorkflowService,
+  seriesService,
+  contentTranslationService,
+  transcriptService,
 };
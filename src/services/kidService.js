@@ -1,5 +1,12 @@
 const kidRepository = require('../repositories/kidRepository');
+const listeningSessionRepository = require('../repositories/listeningSessionRepository');
+const routineRepository = require('../repositories/routineRepository');
+const bedtimeReminderRepository = require('../repositories/bedtimeReminderRepository');
+const downloadLicenseRepository = require('../repositories/downloadLicenseRepository');
+const householdRepository = require('../repositories/householdRepository');
+const { KidProfile } = require('../models');
 const { cache, invalidateCache } = require('../loaders/redisLoader');
+const { AuthorizationError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
 class KidService {
@@ -25,10 +32,10 @@ class KidService {
    * Create new kid profile
    */
   async createKid(userId, kidData) {
-    // Check if user has reached the limit
+    // Check if user has reached the limit (shared household kids count too)
     const existingCount = await kidRepository.countByUserId(userId);
-    if (existingCount >= 5) {
-      throw new Error('Maximum number of kid profiles reached (5)');
+    if (existingCount >= KidProfile.MAX_KIDS) {
+      throw new Error(`Maximum number of kid profiles reached (${KidProfile.MAX_KIDS})`);
     }
 
     // Validate required fields
@@ -43,8 +50,11 @@ class KidService {
       throw new Error('Invalid age range');
     }
 
+    const household = await householdRepository.findByMemberId(userId);
+
     const newKidData = {
       userId,
+      householdId: household ? household._id : null,
       name: name.trim(),
       ageRange,
       avatarKey: avatarKey || 'default-avatar',
@@ -117,7 +127,28 @@ class KidService {
       throw new Error('Kid profile not found');
     }
 
+    // A shared profile can only be deleted by its creator or a household owner
+    if (String(kid.userId) !== String(userId)) {
+      const household = await householdRepository.findByMemberId(userId);
+      const member = household && household.members.find(item => String(item.userId) === String(userId));
+      if (!member || member.role !== 'owner') {
+        throw new AuthorizationError('Only the guardian who created this profile or a household owner can delete it');
+      }
+    }
+
     await kidRepository.deleteByIdAndUserId(kidId, userId);
+
+    // Remove the kid's listening history
+    await listeningSessionRepository.removeAllByKidId(kidId);
+
+    // Remove the kid's bedtime routines
+    await routineRepository.removeAllByKidId(kidId);
+
+    // Remove the kid's bedtime reminders
+    await bedtimeReminderRepository.removeAllByKidId(kidId);
+
+    // Remove the kid's download licenses
+    await downloadLicenseRepository.removeAllByKidId(kidId);
     
     // TODO: Also delete related favorites
     // const favoriteRepository = require('../repositories/favoriteRepository');
@@ -0,0 +1,228 @@
+const listeningSessionRepository = require('../repositories/listeningSessionRepository');
+const kidRepository = require('../repositories/kidRepository');
+const contentRepository = require('../repositories/contentRepository');
+const seriesService = require('./seriesService');
+const { Content, ListeningSession } = require('../models');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { invalidateCache } = require('../api/v1/middlewares/cache');
+const logger = require('../utils/logger');
+
+// Extra seconds tolerated between heartbeats (network jitter, app backgrounding)
+const HEARTBEAT_GRACE_SEC = 15;
+
+class ListeningService {
+  /**
+   * Start a listening session for a kid
+   */
+  async startSession(userId, kidId, contentId, options = {}, viewer = null) {
+    await this.verifyKid(kidId, userId);
+
+    const content = await contentRepository.findById(contentId);
+    if (!content || !Content.isPublished(content)) {
+      throw new NotFoundError('Content not found');
+    }
+
+    const previous = await listeningSessionRepository.findLatestForKidContent(kidId, contentId);
+    const resumePositionSec = this.getResumePosition(previous);
+
+    const startPosition = options.positionSec !== undefined
+      ? Math.min(options.positionSec, content.durationSec)
+      : resumePositionSec;
+
+    const now = new Date();
+    const session = await listeningSessionRepository.create({
+      userId,
+      kidId,
+      contentId,
+      positionSec: startPosition,
+      durationSec: content.durationSec,
+      startedAt: now,
+      lastHeartbeatAt: now,
+      device: options.device,
+    });
+
+    // Home shelves depend on playback positions
+    await invalidateCache.user(userId);
+
+    logger.info({
+      userId,
+      kidId,
+      contentId,
+      sessionId: session._id,
+      resumePositionSec,
+    }, 'Listening session started');
+
+    return {
+      session: session.toJSON(),
+      resumePositionSec,
+      nextEpisode: await seriesService.getNextEpisode(content._id, viewer),
+    };
+  }
+
+  /**
+   * Record playback progress (heartbeat)
+   */
+  async recordProgress(userId, kidId, sessionId, positionSec) {
+    await this.verifyKid(kidId, userId);
+
+    const session = await this.getActiveSession(sessionId, kidId);
+    const progress = this.computeProgress(session, positionSec);
+
+    const completed = progress.positionSec >= session.durationSec * ListeningSession.COMPLETION_THRESHOLD;
+    if (completed) {
+      progress.status = 'completed';
+      progress.completedAt = progress.lastHeartbeatAt;
+    }
+
+    const updated = await listeningSessionRepository.updateById(sessionId, progress);
+
+    // Heartbeats arrive every few seconds; home shelves only need refreshing
+    // when the story leaves continue-listening, and pick up positions when
+    // their cache expires
+    if (completed) {
+      await invalidateCache.user(userId);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Mark a listening session as completed
+   */
+  async completeSession(userId, kidId, sessionId, positionSec) {
+    await this.verifyKid(kidId, userId);
+
+    const session = await this.getActiveSession(sessionId, kidId);
+    const progress = this.computeProgress(
+      session,
+      positionSec !== undefined ? positionSec : session.durationSec
+    );
+
+    const updated = await listeningSessionRepository.updateById(sessionId, {
+      ...progress,
+      status: 'completed',
+      completedAt: progress.lastHeartbeatAt,
+    });
+
+    await invalidateCache.user(userId);
+
+    logger.info({
+      userId,
+      kidId,
+      sessionId,
+      contentId: session.contentId,
+      listenedSec: progress.listenedSec,
+    }, 'Listening session completed');
+
+    return updated;
+  }
+
+  /**
+   * Get a kid's playback progress for a content item
+   */
+  async getProgress(userId, kidId, contentId) {
+    await this.verifyKid(kidId, userId);
+
+    const latest = await listeningSessionRepository.findLatestForKidContent(kidId, contentId);
+
+    return {
+      contentId,
+      status: latest ? latest.status : null,
+      positionSec: latest ? latest.positionSec : 0,
+      durationSec: latest ? latest.durationSec : null,
+      resumePositionSec: this.getResumePosition(latest),
+      lastListenedAt: latest ? latest.lastHeartbeatAt : null,
+    };
+  }
+
+  /**
+   * Get listening history for a kid
+   */
+  async getKidSessions(userId, kidId, options = {}) {
+    await this.verifyKid(kidId, userId);
+
+    const { limit = 20, offset = 0 } = options;
+
+    const [sessions, total] = await Promise.all([
+      listeningSessionRepository.findByKidId(kidId, { limit, offset }),
+      listeningSessionRepository.countByKidId(kidId),
+    ]);
+
+    return {
+      sessions: sessions.map(session => ({
+        id: session._id,
+        content: session.contentId,
+        status: session.status,
+        positionSec: session.positionSec,
+        durationSec: session.durationSec,
+        listenedSec: session.listenedSec,
+        startedAt: session.startedAt,
+        lastHeartbeatAt: session.lastHeartbeatAt,
+        completedAt: session.completedAt,
+      })),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + sessions.length < total,
+      },
+    };
+  }
+
+  /**
+   * Compute the progress update for a new playback position.
+   * Listened time only grows by what wall-clock time allows, so seeking
+   * forward is not counted as listening.
+   */
+  computeProgress(session, positionSec, now = new Date()) {
+    const position = Math.min(Math.max(0, positionSec), session.durationSec);
+    const elapsedSec = Math.max(0, (now - new Date(session.lastHeartbeatAt)) / 1000);
+    const advancedSec = Math.max(0, position - session.positionSec);
+    const listenedDelta = Math.min(advancedSec, elapsedSec + HEARTBEAT_GRACE_SEC);
+
+    return {
+      positionSec: position,
+      listenedSec: Math.round(session.listenedSec + listenedDelta),
+      lastHeartbeatAt: now,
+    };
+  }
+
+  /**
+   * Get the position to resume playback from
+   */
+  getResumePosition(session) {
+    if (!session || session.status === 'completed' || session.positionSec < ListeningSession.MIN_RESUME_SEC) {
+      return 0;
+    }
+    return session.positionSec;
+  }
+
+  /**
+   * Get a session that can still receive progress updates
+   */
+  async getActiveSession(sessionId, kidId) {
+    const session = await listeningSessionRepository.findByIdAndKidId(sessionId, kidId);
+    if (!session) {
+      throw new NotFoundError('Listening session not found');
+    }
+
+    if (session.status === 'completed') {
+      throw new ConflictError('Listening session already completed');
+    }
+
+    return session;
+  }
+
+  /**
+   * Verify kid ownership
+   */
+  async verifyKid(kidId, userId) {
+    const kid = await kidRepository.findByIdAndUserId(kidId, userId);
+    if (!kid) {
+      throw new NotFoundError('Kid profile not found');
+    }
+    return kid;
+  }
+}
+
+module.exports = new ListeningService();
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const userRepository = require('../repositories/userRepository');
+const mailService = require('./mailService');
+const { User } = require('../models');
+const {
+  NotFoundError,
+  ValidationError,
+  TooManyRequestsError,
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Per-account brute-force protection for sign-in. Rate limits are per IP;
+ * this counts failures per account so attempts from rotating IPs are
+ * slowed down and eventually locked out.
+ */
+class LoginLockoutService {
+  /**
+   * Reject the attempt while the account is backing off or locked
+   */
+  assertCanAttempt(user, now = new Date()) {
+    const lockout = user.loginLockout;
+    if (!lockout || !lockout.lockedUntil || lockout.lockedUntil <= now) {
+      return;
+    }
+
+    const retryAfterSec = Math.ceil((lockout.lockedUntil - now) / 1000);
+    if (lockout.lockedAt) {
+      throw new TooManyRequestsError(
+        `Account locked after too many failed sign-in attempts. Use the link we emailed you or try again in ${Math.ceil(retryAfterSec / 60)} minutes`,
+        retryAfterSec
+      );
+    }
+    throw new TooManyRequestsError(
+      `Too many failed sign-in attempts. Try again in ${retryAfterSec} seconds`,
+      retryAfterSec
+    );
+  }
+
+  /**
+   * Count a failed attempt. After the free attempts each failure doubles
+   * the wait before the next one; reaching maxAttempts locks the account
+   * and emails an unlock link. Failures are forgotten after lockMin
+   * minutes without one, and an ended lock no longer counts as locked.
+   */
+  async recordFailure(user, now = new Date()) {
+    const { freeAttempts, backoffBaseSec, maxAttempts, lockMin } = User.LOGIN_LOCKOUT;
+
+    const quietSince = new Date(now.getTime() - lockMin * MINUTE_MS);
+    if (this.hasStaleLockout(user, quietSince, now)) {
+      await userRepository.expireLoginLockout(user._id, quietSince, now);
+    }
+
+    const updated = await userRepository.recordLoginFailure(user._id, now);
+    if (!updated) {
+      return;
+    }
+
+    const attempts = updated.loginLockout.failedAttempts;
+    if (attempts >= maxAttempts) {
+      await this.lock(updated, now);
+    } else if (attempts >= freeAttempts) {
+      const delaySec = backoffBaseSec * 2 ** (attempts - freeAttempts);
+      await userRepository.updateById(user._id, {
+        'loginLockout.lockedUntil': new Date(now.getTime() + delaySec * 1000),
+      });
+    }
+  }
+
+  /**
+   * Whether old failures or an ended lock are still on the account
+   */
+  hasStaleLockout(user, quietSince, now = new Date()) {
+    const lockout = user.loginLockout;
+    if (!lockout) {
+      return false;
+    }
+
+    const failuresExpired = lockout.failedAttempts > 0
+      && Boolean(lockout.lastFailedAt) && lockout.lastFailedAt <= quietSince;
+    const lockExpired = Boolean(lockout.lockedUntil) && lockout.lockedUntil <= now;
+
+    return failuresExpired || lockExpired;
+  }
+
+  /**
+   * Forget failed attempts after a successful sign-in
+   */
+  async recordSuccess(user) {
+    const lockout = user.loginLockout;
+    if (lockout && (lockout.failedAttempts > 0 || lockout.lockedUntil)) {
+      await userRepository.clearLoginLockout(user._id);
+    }
+  }
+
+  /**
+   * Lock the account and email a link that lifts the lockout
+   */
+  async lock(user, now = new Date()) {
+    const { lockMin } = User.LOGIN_LOCKOUT;
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await userRepository.updateById(user._id, {
+      'loginLockout.failedAttempts': 0,
+      'loginLockout.lockedUntil': new Date(now.getTime() + lockMin * MINUTE_MS),
+      'loginLockout.lockedAt': now,
+      'loginLockout.unlockTokenHash': hashToken(token),
+    });
+
+    await mailService.send('account_locked', user.email, {
+      name: user.name,
+      token,
+      lockMin,
+    }, { userId: user._id }, now);
+
+    logger.warn({ userId: user._id }, 'Account locked after failed sign-in attempts');
+  }
+
+  /**
+   * Lift a lockout with the token from the unlock email
+   */
+  async unlock(token, now = new Date()) {
+    if (!token) {
+      throw new ValidationError('Unlock token is required', 'token');
+    }
+
+    const user = await userRepository.findByUnlockTokenHash(hashToken(token), now);
+    if (!user) {
+      throw new ValidationError('Invalid or expired unlock link', 'token');
+    }
+
+    await userRepository.clearLoginLockout(user._id);
+
+    logger.info({ userId: user._id }, 'Account unlocked from email link');
+
+    return true;
+  }
+
+  /**
+   * Accounts that cannot sign in right now (admin)
+   */
+  async getLockouts(options = {}, now = new Date()) {
+    const { limit = 20, offset = 0 } = options;
+
+    const [users, total] = await Promise.all([
+      userRepository.findLockedOut(now, limit, offset),
+      userRepository.countLockedOut(now),
+    ]);
+
+    return {
+      lockouts: users.map(user => this.formatLockout(user, now)),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + users.length < total,
+      },
+    };
+  }
+
+  /**
+   * Clear an account's lockout and failed attempts (admin)
+   */
+  async clearLockout(userId) {
+    const user = await userRepository.clearLoginLockout(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    logger.info({ userId }, 'Account lockout cleared by admin');
+
+    return true;
+  }
+
+  formatLockout(user, now = new Date()) {
+    const lockout = user.loginLockout;
+
+    return {
+      userId: user._id,
+      email: user.email,
+      name: user.name,
+      failedAttempts: lockout.failedAttempts,
+      lastFailedAt: lockout.lastFailedAt,
+      lockedUntil: lockout.lockedUntil,
+      lockedAt: lockout.lockedAt,
+      // Locked out (emailed) rather than just backing off
+      isLocked: Boolean(lockout.lockedAt),
+      retryAfterSec: Math.max(Math.ceil((lockout.lockedUntil - now) / 1000), 0),
+    };
+  }
+}
+
+module.exports = new LoginLockoutService();
@@ -0,0 +1,118 @@
+const emailOutboxRepository = require('../repositories/emailOutboxRepository');
+const { getMailTransport, renderTemplate } = require('../utils/mail');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+// Wait before each retry; the last delay repeats until maxAttempts
+const RETRY_DELAYS_MIN = [1, 5, 15, 60];
+
+// A claimed message is retried after this if the worker dies mid-send
+const CLAIM_TIMEOUT_MIN = 5;
+
+// Messages delivered per outbox run
+const OUTBOX_BATCH = 50;
+
+class MailService {
+  /**
+   * Queue a templated email and try to deliver it right away.
+   * Delivery failures are retried by the outbox job, never thrown.
+   * @param {string} template - Template name (see utils/mail/templates)
+   * @param {string} to - Recipient address
+   * @param {Object} data - Template data
+   * @param {Object} options - { userId }
+   */
+  async send(template, to, data = {}, { userId = null } = {}, now = new Date()) {
+    const { subject, text, html } = renderTemplate(template, data);
+
+    const message = await emailOutboxRepository.create({
+      userId,
+      to,
+      template,
+      subject,
+      text,
+      html,
+      nextAttemptAt: now,
+    });
+
+    logger.info({ userId, template, messageId: message._id }, 'Email queued');
+
+    await this.deliver(message._id, now);
+
+    return message;
+  }
+
+  /**
+   * Outbox job entry point: deliver pending messages that are due
+   */
+  async processOutbox(now = new Date()) {
+    const due = await emailOutboxRepository.findDue(now, OUTBOX_BATCH);
+
+    let sent = 0;
+    for (const message of due) {
+      // Sequential on purpose: SMTP servers throttle parallel connections
+      if (await this.deliver(message._id, now)) {
+        sent++;
+      }
+    }
+
+    return { due: due.length, sent };
+  }
+
+  /**
+   * Make one delivery attempt
+   * @returns {Promise<boolean>} True if the message was sent
+   */
+  async deliver(messageId, now = new Date()) {
+    const message = await emailOutboxRepository.claim(
+      messageId,
+      now,
+      new Date(now.getTime() + CLAIM_TIMEOUT_MIN * MINUTE_MS)
+    );
+    if (!message) {
+      return false;
+    }
+
+    try {
+      const result = await getMailTransport().send({
+        from: config.mail.from,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+      });
+
+      await emailOutboxRepository.markSent(message._id, result && result.messageId, now);
+      return true;
+    } catch (error) {
+      const retryAt = this.getRetryTime(message.attempts, now);
+      await emailOutboxRepository.markFailed(message._id, error.message, retryAt);
+
+      logger.warn({
+        error: error.message,
+        messageId: message._id,
+        template: message.template,
+        attempts: message.attempts,
+        willRetry: Boolean(retryAt),
+      }, 'Email delivery failed');
+
+      return false;
+    }
+  }
+
+  /**
+   * When to retry after a failed attempt
+   * @returns {Date|null} Null once maxAttempts is reached
+   */
+  getRetryTime(attempts, now = new Date()) {
+    if (attempts >= config.mail.maxAttempts) {
+      return null;
+    }
+
+    const delayMin = RETRY_DELAYS_MIN[Math.min(attempts, RETRY_DELAYS_MIN.length) - 1];
+    return new Date(now.getTime() + delayMin * MINUTE_MS);
+  }
+}
+
+module.exports = new MailService();
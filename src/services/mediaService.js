@@ -0,0 +1,61 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { toMediaPath, verifyMediaSignature } = require('../utils/mediaSigner');
+const { AuthorizationError, NotFoundError } = require('../utils/errors');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const SIGNATURE_ERRORS = {
+  MISSING_SIGNATURE: 'Media URL is not signed',
+  INVALID_SIGNATURE: 'Invalid media URL signature',
+  EXPIRED: 'Media URL has expired',
+};
+
+class MediaService {
+  /**
+   * Verify a signed media request and resolve the file to serve. The
+   * signature is the credential: players fetch media without the access
+   * token, so a URL works for whoever holds it until it expires. The uid
+   * is signed so a leaked URL can be traced to the user it was issued to.
+   * @param {string} requestedPath - Path after /media/
+   * @param {Object} params - Signature query parameters { expires, uid, sig }
+   * @returns {Promise<{filePath: string, expiresAt: Date}>}
+   */
+  async resolveSignedMedia(requestedPath, params = {}, now = new Date()) {
+    const mediaPath = toMediaPath(requestedPath);
+    if (!mediaPath) {
+      throw new NotFoundError('Media not found');
+    }
+
+    const { valid, reason } = verifyMediaSignature(mediaPath, params, now);
+    if (!valid) {
+      logger.warn({ mediaPath, reason, uid: params.uid }, 'Rejected media request');
+      throw new AuthorizationError(SIGNATURE_ERRORS[reason]);
+    }
+
+    const root = path.resolve(process.cwd(), config.media.root);
+    const filePath = path.resolve(root, mediaPath);
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new NotFoundError('Media not found');
+    }
+
+    try {
+      const stats = await fs.stat(filePath);
+      if (!stats.isFile()) {
+        throw new NotFoundError('Media not found');
+      }
+    } catch (error) {
+      if (error instanceof NotFoundError || error.code === 'ENOENT') {
+        throw new NotFoundError('Media not found');
+      }
+      throw error;
+    }
+
+    return {
+      filePath,
+      expiresAt: new Date(Number(params.expires) * 1000),
+    };
+  }
+}
+
+module.exports = new MediaService();
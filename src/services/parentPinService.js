@@ -0,0 +1,152 @@
+const userRepository = require('../repositories/userRepository');
+const { User } = require('../models');
+const { generateParentToken } = require('../utils/jwt');
+const { getSessionStore } = require('../utils/sessions');
+const { cache } = require('../loaders/redisLoader');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+  TooManyRequestsError,
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parent PIN: the app runs in kid mode, and parent-only actions
+ * (billing, profile, deleting kids) need a short-lived parent token
+ * obtained by entering the PIN. Accounts without a PIN are not in kid
+ * mode and need no parent token.
+ */
+class ParentPinService {
+  /**
+   * Set or change the parent PIN. Changing it needs the current PIN,
+   * or the account password for email/password accounts. The first PIN
+   * needs the account password or a recent sign-in on this session, so
+   * a kid holding a signed-in device cannot lock the parent out.
+   */
+  async setPin(userId, { pin, currentPin, password }, sessionId = null, now = new Date()) {
+    if (!pin || !User.PARENT_PIN.pattern.test(String(pin))) {
+      throw new ValidationError('PIN must be 4 to 6 digits', 'pin');
+    }
+
+    const user = await this.findUser(userId);
+
+    if (user.parentPin) {
+      if (currentPin) {
+        await this.checkPin(user, currentPin, now);
+      } else if (password && user.provider === 'local') {
+        if (!(await user.comparePassword(password))) {
+          throw new AuthorizationError('Incorrect password');
+        }
+      } else {
+        throw new ValidationError('Current PIN is required to change it', 'currentPin');
+      }
+    } else if (password && user.provider === 'local') {
+      if (!(await user.comparePassword(password))) {
+        throw new AuthorizationError('Incorrect password');
+      }
+    } else if (!(await this.isFreshSignIn(userId, sessionId, now))) {
+      throw new AuthorizationError(user.provider === 'local'
+        ? 'Enter your password to set a PIN'
+        : 'Sign in again to set a PIN');
+    }
+
+    user.parentPin = String(pin);
+    user.parentPinSetAt = now;
+    user.parentPinFailedAttempts = 0;
+    user.parentPinLockedUntil = null;
+    await user.save();
+
+    // parentGuard reads parentPinSetAt from the cached user
+    await cache.del(`user:${userId}`);
+
+    logger.info({ userId }, 'Parent PIN set');
+
+    return { hasParentPin: true };
+  }
+
+  /**
+   * Exchange the PIN for a parent-elevated token bound to the caller's session
+   */
+  async elevate(userId, pin, sessionId = null, now = new Date()) {
+    const user = await this.findUser(userId);
+    if (!user.parentPin) {
+      throw new AuthorizationError('Set a parent PIN first');
+    }
+
+    await this.checkPin(user, pin, now);
+
+    const { token, expiresAt } = generateParentToken(userId, sessionId);
+
+    logger.info({ userId, sessionId }, 'Parent mode unlocked');
+
+    return { parentToken: token, expiresAt };
+  }
+
+  /**
+   * Compare a PIN, locking PIN entry after too many wrong attempts
+   */
+  async checkPin(user, pin, now = new Date()) {
+    const { maxAttempts, lockMin } = User.PARENT_PIN;
+
+    if (user.parentPinLockedUntil && user.parentPinLockedUntil > now) {
+      const retryAfterSec = Math.ceil((user.parentPinLockedUntil - now) / 1000);
+      throw new TooManyRequestsError(
+        `Too many incorrect PIN attempts. Try again in ${Math.ceil(retryAfterSec / 60)} minutes`,
+        retryAfterSec
+      );
+    }
+
+    if (await user.comparePin(pin)) {
+      if (user.parentPinFailedAttempts > 0 || user.parentPinLockedUntil) {
+        await userRepository.updateById(user._id, {
+          parentPinFailedAttempts: 0,
+          parentPinLockedUntil: null,
+        });
+      }
+      return;
+    }
+
+    const updated = await userRepository.recordPinFailure(user._id);
+    if (updated && updated.parentPinFailedAttempts >= maxAttempts) {
+      await userRepository.updateById(user._id, {
+        parentPinFailedAttempts: 0,
+        parentPinLockedUntil: new Date(now.getTime() + lockMin * MINUTE_MS),
+      });
+      logger.warn({ userId: user._id }, 'Parent PIN locked after failed attempts');
+    }
+
+    throw new AuthorizationError('Incorrect PIN');
+  }
+
+  /**
+   * Whether the caller's session was signed in within the last few minutes
+   */
+  async isFreshSignIn(userId, sessionId, now = new Date()) {
+    if (!sessionId) {
+      return false;
+    }
+
+    const session = await getSessionStore().findByFamilyId(sessionId);
+    const freshSince = now.getTime() - User.PARENT_PIN.freshSignInMin * MINUTE_MS;
+    return Boolean(session)
+      && String(session.userId) === String(userId)
+      && !session.revokedAt
+      && new Date(session.createdAt).getTime() >= freshSince;
+  }
+
+  /**
+   * Load the user with their PIN hash
+   */
+  async findUser(userId) {
+    const user = await userRepository.findByIdForPin(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    return user;
+  }
+}
+
+module.exports = new ParentPinService();
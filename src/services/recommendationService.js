@@ -0,0 +1,199 @@
+const contentRepository = require('../repositories/contentRepository');
+const favoriteRepository = require('../repositories/favoriteRepository');
+const listeningSessionRepository = require('../repositories/listeningSessionRepository');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Content heard within this many days is not recommended again
+const RECENTLY_HEARD_DAYS = 7;
+
+// Listening history considered when building the kid's taste profile
+const HISTORY_DAYS = 90;
+
+// Number of candidates scored per request
+const CANDIDATE_POOL_SIZE = 100;
+
+// Plays needed before a content's completion rate is trusted
+const MIN_COMPLETION_SAMPLE = 5;
+
+// Content abandoned before this share counts against its tags
+const ABANDONED_PROGRESS = 0.25;
+
+const WEIGHTS = {
+  preferredTag: 3,
+  favoriteTag: 1.5,
+  historyTag: 1,
+  abandonedTag: -0.5,
+  favoriteType: 1,
+  historyType: 0.5,
+  completionRate: 2,
+  ranking: 0.5,
+};
+
+const REASON_MESSAGES = {
+  preferred_tags: 'Matches favorite themes',
+  similar_to_favorites: 'Similar to favorites',
+  similar_to_history: 'Similar to stories listened to before',
+  often_completed: 'Most kids listen to the end',
+  new: 'Recently added',
+  featured: 'Featured',
+  popular: 'Popular with other kids',
+};
+
+class RecommendationService {
+  /**
+   * Recommend content for a kid profile, best match first.
+   * Each item carries a `recommendation` with its score and reasons.
+   */
+  async recommendForKid(kid, limit = 10, now = new Date()) {
+    const [favorites, history] = await Promise.all([
+      favoriteRepository.getKidFavoritesWithDetails(kid._id),
+      listeningSessionRepository.aggregateKidHistory(
+        kid._id,
+        new Date(now.getTime() - HISTORY_DAYS * DAY_MS)
+      ),
+    ]);
+
+    const recentlyHeardSince = new Date(now.getTime() - RECENTLY_HEARD_DAYS * DAY_MS);
+    const excludeIds = history
+      .filter(entry => entry.lastListenedAt >= recentlyHeardSince)
+      .map(entry => entry.contentId);
+
+    const candidates = await contentRepository.findRecommendationCandidates(kid.ageRange, {
+      excludeIds,
+      limit: CANDIDATE_POOL_SIZE,
+    });
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const completionRates = await this.getCompletionRates(
+      candidates.map(content => content._id),
+      new Date(now.getTime() - HISTORY_DAYS * DAY_MS)
+    );
+
+    const profile = this.buildProfile(kid, favorites, history);
+
+    return candidates
+      .map(content => ({
+        content,
+        recommendation: this.scoreContent(content, profile, completionRates.get(String(content._id))),
+      }))
+      .sort((a, b) => b.recommendation.score - a.recommendation.score)
+      .slice(0, limit)
+      .map(({ content, recommendation }) => ({
+        ...content.toObject(),
+        recommendation,
+      }));
+  }
+
+  /**
+   * Build the kid's taste profile: weights per tag and per content type,
+   * and which signal each tag weight came from
+   */
+  buildProfile(kid, favorites = [], history = []) {
+    const tags = new Map();
+    const types = new Map();
+
+    const addTag = (tag, weight, source) => {
+      const entry = tags.get(tag) || { weight: 0, sources: new Set() };
+      entry.weight += weight;
+      if (weight > 0) {
+        entry.sources.add(source);
+      }
+      tags.set(tag, entry);
+    };
+    const addType = (type, weight) => {
+      types.set(type, (types.get(type) || 0) + weight);
+    };
+
+    const preferredTags = (kid.preferences && kid.preferences.tags) || [];
+    preferredTags.forEach(tag => addTag(tag, WEIGHTS.preferredTag, 'preferred_tags'));
+
+    favorites
+      .map(favorite => favorite.contentId)
+      .filter(Boolean)
+      .forEach(content => {
+        (content.tags || []).forEach(tag => addTag(tag, WEIGHTS.favoriteTag, 'similar_to_favorites'));
+        addType(content.type, WEIGHTS.favoriteType);
+      });
+
+    history.forEach(entry => {
+      const progress = entry.completions > 0 ? 1 : Math.min(1, entry.maxProgress || 0);
+
+      if (progress < ABANDONED_PROGRESS) {
+        (entry.tags || []).forEach(tag => addTag(tag, WEIGHTS.abandonedTag, 'similar_to_history'));
+        return;
+      }
+
+      (entry.tags || []).forEach(tag => addTag(tag, WEIGHTS.historyTag * progress, 'similar_to_history'));
+      addType(entry.type, WEIGHTS.historyType * progress);
+    });
+
+    return { tags, types };
+  }
+
+  /**
+   * Score a candidate against the kid's profile
+   */
+  scoreContent(content, profile, completionRate = null) {
+    const reasons = new Set();
+    const matchedTags = [];
+    let score = 0;
+
+    (content.tags || []).forEach(tag => {
+      const entry = profile.tags.get(tag);
+      if (!entry) {
+        return;
+      }
+
+      score += entry.weight;
+      if (entry.weight > 0) {
+        matchedTags.push(tag);
+        entry.sources.forEach(source => reasons.add(source));
+      }
+    });
+
+    score += profile.types.get(content.type) || 0;
+
+    if (completionRate !== null) {
+      score += WEIGHTS.completionRate * completionRate;
+      if (completionRate >= 0.7) {
+        reasons.add('often_completed');
+      }
+    }
+
+    score += WEIGHTS.ranking * content.rankingScore;
+    if (content.getRecencyBoost() >= 1) {
+      reasons.add('new');
+    }
+    if (content.isFeatured) {
+      reasons.add('featured');
+    }
+    if (reasons.size === 0) {
+      reasons.add('popular');
+    }
+
+    const orderedReasons = Object.keys(REASON_MESSAGES).filter(code => reasons.has(code));
+
+    return {
+      score: Math.round(score * 100) / 100,
+      reason: REASON_MESSAGES[orderedReasons[0]],
+      reasons: orderedReasons,
+      matchedTags,
+    };
+  }
+
+  /**
+   * Get completion rates (0-1) per content ID, for content with enough plays
+   */
+  async getCompletionRates(contentIds, since) {
+    const rates = await listeningSessionRepository.aggregateCompletionRates(contentIds, since);
+
+    return new Map(rates
+      .filter(entry => entry.plays >= MIN_COMPLETION_SAMPLE)
+      .map(entry => [String(entry._id), entry.completions / entry.plays]));
+  }
+}
+
+module.exports = new RecommendationService();
@@ -0,0 +1,249 @@
+const routineRepository = require('../repositories/routineRepository');
+const kidRepository = require('../repositories/kidRepository');
+const contentRepository = require('../repositories/contentRepository');
+const contentService = require('./contentService');
+const { Routine } = require('../models');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Candidates considered per step when generating a routine
+const STEP_CANDIDATES = 20;
+
+class RoutineService {
+  /**
+   * Get all routines for a kid
+   */
+  async getRoutines(userId, kidId, viewer = null) {
+    await this.verifyKid(kidId, userId);
+
+    const routines = await routineRepository.findByKidId(kidId);
+
+    return routines.map(routine => this.formatRoutine(routine, viewer));
+  }
+
+  /**
+   * Get a routine by ID
+   */
+  async getRoutine(userId, kidId, routineId, viewer = null) {
+    await this.verifyKid(kidId, userId);
+
+    const routine = await routineRepository.findByIdAndKidId(routineId, kidId);
+    if (!routine) {
+      throw new NotFoundError('Routine not found');
+    }
+
+    return this.formatRoutine(routine, viewer);
+  }
+
+  /**
+   * Create a routine from an ordered list of content IDs
+   */
+  async createRoutine(userId, kidId, { name, contentIds }, viewer = null) {
+    if (!name || !Array.isArray(contentIds) || contentIds.length === 0) {
+      throw new ValidationError('Name and at least one content item are required');
+    }
+
+    await this.verifyKid(kidId, userId);
+    await this.checkRoutineLimit(kidId);
+    await this.verifyContent(contentIds);
+
+    const routine = await routineRepository.create({
+      userId,
+      kidId,
+      name: name.trim(),
+      items: contentIds.map(contentId => ({ contentId })),
+    });
+
+    logger.info({ userId, kidId, routineId: routine._id }, 'Routine created');
+
+    return this.getRoutine(userId, kidId, routine._id, viewer);
+  }
+
+  /**
+   * Update routine name and/or items
+   */
+  async updateRoutine(userId, kidId, routineId, { name, contentIds }, viewer = null) {
+    await this.verifyKid(kidId, userId);
+
+    const updateData = {};
+    if (name !== undefined) {
+      updateData.name = name.trim();
+    }
+    if (contentIds !== undefined) {
+      if (!Array.isArray(contentIds) || contentIds.length === 0) {
+        throw new ValidationError('At least one content item is required', 'contentIds');
+      }
+      await this.verifyContent(contentIds);
+      updateData.items = contentIds.map(contentId => ({ contentId }));
+    }
+
+    const routine = await routineRepository.updateByIdAndKidId(routineId, kidId, updateData);
+    if (!routine) {
+      throw new NotFoundError('Routine not found');
+    }
+
+    logger.info({ userId, kidId, routineId, updatedFields: Object.keys(updateData) }, 'Routine updated');
+
+    return this.formatRoutine(routine, viewer);
+  }
+
+  /**
+   * Delete a routine
+   */
+  async deleteRoutine(userId, kidId, routineId) {
+    await this.verifyKid(kidId, userId);
+
+    const routine = await routineRepository.deleteByIdAndKidId(routineId, kidId);
+    if (!routine) {
+      throw new NotFoundError('Routine not found');
+    }
+
+    logger.info({ userId, kidId, routineId }, 'Routine deleted');
+
+    return true;
+  }
+
+  /**
+   * Generate a routine with one item per step type, picked from content
+   * for the kid's age range that best matches their preference tags
+   */
+  async generateRoutine(userId, kidId, options = {}, viewer = null) {
+    const kid = await this.verifyKid(kidId, userId);
+    await this.checkRoutineLimit(kidId);
+
+    const steps = options.steps || Routine.DEFAULT_STEPS;
+    if (!Array.isArray(steps) || steps.some(type => !Routine.DEFAULT_STEPS.includes(type))) {
+      throw new ValidationError(`Steps must be one of: ${Routine.DEFAULT_STEPS.join(', ')}`, 'steps');
+    }
+    const preferredTags = (kid.preferences && kid.preferences.tags) || [];
+    const candidatesByType = await this.getStepCandidates(kid.ageRange, [...new Set(steps)]);
+
+    const usedIds = new Set();
+    const items = [];
+
+    for (const type of steps) {
+      const content = this.pickStepContent(candidatesByType[type], preferredTags, usedIds);
+      if (content) {
+        usedIds.add(String(content._id));
+        items.push({ contentId: content._id });
+      }
+    }
+
+    if (items.length === 0) {
+      throw new NotFoundError('No content available for this routine');
+    }
+
+    const routine = await routineRepository.create({
+      userId,
+      kidId,
+      name: (options.name || `${kid.name}'s bedtime routine`).trim(),
+      items,
+      source: 'generated',
+    });
+
+    logger.info({ userId, kidId, routineId: routine._id, steps }, 'Routine generated');
+
+    return this.getRoutine(userId, kidId, routine._id, viewer);
+  }
+
+  /**
+   * Get candidate content per type for an age range, most popular first
+   */
+  async getStepCandidates(ageRange, types) {
+    const results = await Promise.all(types.map(type =>
+      contentRepository.findByTypeAndAge(type, ageRange, {
+        sort: { popularityScore: -1, publishedAt: -1 },
+        limit: STEP_CANDIDATES,
+        lean: true,
+      })
+    ));
+
+    return types.reduce((acc, type, index) => {
+      acc[type] = results[index];
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Pick the candidate sharing the most preference tags, falling back to
+   * popularity order. Content already in the routine is skipped.
+   */
+  pickStepContent(candidates = [], preferredTags = [], usedIds = new Set()) {
+    let best = null;
+    let bestMatches = -1;
+
+    for (const content of candidates) {
+      if (usedIds.has(String(content._id))) {
+        continue;
+      }
+
+      const matches = (content.tags || []).filter(tag => preferredTags.includes(tag)).length;
+      if (matches > bestMatches) {
+        best = content;
+        bestMatches = matches;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Build the API shape of a routine, dropping content that no longer exists
+   * or is not published. Premium items stay in the routine but are locked
+   * for free viewers.
+   */
+  formatRoutine(routine, viewer = null) {
+    const items = routine.items
+      .map(item => item.contentId)
+      .filter(content => content && content.isActive !== false && (!content.status || content.status === 'published'))
+      .map((content, position) => ({
+        position,
+        content: contentService.buildContentUrls(content, viewer),
+      }));
+
+    return {
+      id: routine._id,
+      kidId: routine.kidId,
+      name: routine.name,
+      source: routine.source,
+      items,
+      totalDurationSec: items.reduce((sum, item) => sum + (item.content.durationSec || 0), 0),
+      createdAt: routine.createdAt,
+      updatedAt: routine.updatedAt,
+    };
+  }
+
+  /**
+   * Ensure every content ID refers to active content
+   */
+  async verifyContent(contentIds) {
+    const uniqueIds = [...new Set(contentIds.map(String))];
+    const content = await contentRepository.findByIds(uniqueIds);
+    if (content.length !== uniqueIds.length) {
+      throw new ValidationError('One or more content items were not found', 'contentIds');
+    }
+  }
+
+  /**
+   * Ensure the kid has room for another routine
+   */
+  async checkRoutineLimit(kidId) {
+    const count = await routineRepository.countByKidId(kidId);
+    if (count >= Routine.MAX_ROUTINES_PER_KID) {
+      throw new ConflictError(`Maximum number of routines reached (${Routine.MAX_ROUTINES_PER_KID})`);
+    }
+  }
+
+  /**
+   * Verify kid ownership
+   */
+  async verifyKid(kidId, userId) {
+    const kid = await kidRepository.findByIdAndUserId(kidId, userId);
+    if (!kid) {
+      throw new NotFoundError('Kid profile not found');
+    }
+    return kid;
+  }
+}
+
+module.exports = new RoutineService();
@@ -0,0 +1,113 @@
+const contentRepository = require('../repositories/contentRepository');
+const categoryRepository = require('../repositories/categoryRepository');
+const { Content } = require('../models');
+const { tokenize, scoreDocument } = require('../utils/search');
+
+// Most popular matching content ranked per search. The catalogue is small,
+// so ranking in memory is cheaper than maintaining a separate search index.
+// When more content passes the filters, total and facets only cover the pool
+// and the result is flagged as truncated.
+const SEARCH_POOL = 1000;
+
+// Weight of a match in each field
+const FIELD_WEIGHTS = {
+  title: 3,
+  tags: 2,
+  category: 1.5,
+  description: 1,
+};
+
+const FACET_FIELDS = ['type', 'ageRange', 'tags', 'language'];
+
+class SearchService {
+  /**
+   * Search content with typo-tolerant prefix matching on title, tags,
+   * category name and description
+   * @param {string} searchText - Raw query
+   * @param {Object} filters - Validated filters (see contentService.validateFilters)
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<{results: Object[], total: number, truncated: boolean, facets: Object}>}
+   */
+  async search(searchText, filters = {}, { limit = 10, offset = 0 } = {}) {
+    const terms = tokenize(searchText);
+    if (terms.length === 0) {
+      return { results: [], total: 0, truncated: false, facets: this.buildFacets([]) };
+    }
+
+    // One extra candidate tells whether the pool cut anything off
+    const [pool, categories] = await Promise.all([
+      contentRepository.findSearchCandidates(filters, SEARCH_POOL + 1),
+      categoryRepository.findActive(),
+    ]);
+    const truncated = pool.length > SEARCH_POOL;
+    const candidates = truncated ? pool.slice(0, SEARCH_POOL) : pool;
+
+    const categoryWords = new Map(
+      categories.map(category => [String(category._id), tokenize(category.name)])
+    );
+
+    const matches = [];
+    for (const content of candidates) {
+      const match = scoreDocument(terms, [
+        { name: 'title', words: tokenize(content.title), weight: FIELD_WEIGHTS.title },
+        { name: 'tags', words: tokenize(content.tags), weight: FIELD_WEIGHTS.tags },
+        { name: 'category', words: categoryWords.get(String(content.categoryId)) || [], weight: FIELD_WEIGHTS.category },
+        { name: 'description', words: tokenize(content.description), weight: FIELD_WEIGHTS.description },
+      ]);
+
+      if (match) {
+        matches.push({ content, ...match });
+      }
+    }
+
+    // Candidates arrive most popular first and sort is stable, so ties keep that order
+    matches.sort((a, b) => b.score - a.score);
+
+    return {
+      results: matches.slice(offset, offset + limit).map(({ content, score, matchedFields }) => ({
+        ...content,
+        search: {
+          score: Math.round(score * 100) / 100,
+          matchedFields,
+        },
+      })),
+      total: matches.length,
+      truncated,
+      facets: this.buildFacets(matches.map(match => match.content)),
+    };
+  }
+
+  /**
+   * Count matching content per facet value
+   */
+  buildFacets(contents) {
+    const facets = {};
+
+    for (const field of FACET_FIELDS) {
+      const counts = new Map();
+      for (const content of contents) {
+        const values = Array.isArray(content[field]) ? content[field] : [content[field]];
+        for (const value of new Set(values)) {
+          if (value !== undefined && value !== null) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+          }
+        }
+      }
+
+      facets[field] = [...counts]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    }
+
+    facets.duration = Content.DURATION_BUCKETS.map(bucket => ({
+      value: bucket.key,
+      count: contents.filter(content =>
+        content.durationSec >= bucket.minSec && (!bucket.maxSec || content.durationSec < bucket.maxSec)
+      ).length,
+    }));
+
+    return facets;
+  }
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,318 @@
+const seriesRepository = require('../repositories/seriesRepository');
+const contentRepository = require('../repositories/contentRepository');
+const kidRepository = require('../repositories/kidRepository');
+const listeningSessionRepository = require('../repositories/listeningSessionRepository');
+const contentService = require('./contentService');
+const { invalidateCache } = require('../api/v1/middlewares/cache');
+const { Series } = require('../models');
+const { NotFoundError, ValidationError, ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Multi-night story series: an ordered list of episodes, each a content
+ * item. Families only see published episodes, numbered in series order.
+ */
+class SeriesService {
+  /**
+   * Get a series page by slug
+   */
+  async getSeriesBySlug(slug, viewer = null) {
+    const series = await seriesRepository.findBySlug(slug);
+    if (!series) {
+      throw new NotFoundError('Series not found');
+    }
+
+    const episodes = this.publishedEpisodes(series);
+
+    return {
+      ...this.formatSummary(series),
+      description: series.description || null,
+      imageUrl: contentService.buildAssetUrl(series.imageUrl, viewer),
+      ageRange: series.ageRange || null,
+      totalEpisodes: episodes.length,
+      totalDurationSec: episodes.reduce((sum, content) => sum + (content.durationSec || 0), 0),
+      episodes: episodes.map((content, index) => ({
+        episodeNumber: index + 1,
+        content: contentService.buildContentUrls(content, viewer),
+      })),
+    };
+  }
+
+  /**
+   * The episode after a content item in its series, or null for the last
+   * episode and for content outside a series
+   */
+  async getNextEpisode(contentId, viewer = null) {
+    const series = await seriesRepository.findByContentId(contentId);
+    if (!series) {
+      return null;
+    }
+
+    const episodes = this.publishedEpisodes(series);
+    const index = episodes.findIndex(content => String(content._id) === String(contentId));
+    if (index === -1 || index === episodes.length - 1) {
+      return null;
+    }
+
+    return {
+      series: this.formatSummary(series),
+      episodeNumber: index + 2,
+      totalEpisodes: episodes.length,
+      content: contentService.buildContentUrls(episodes[index + 1], viewer),
+    };
+  }
+
+  /**
+   * A kid's progress through a series and the episode to play next
+   */
+  async getKidProgress(userId, kidId, slug, viewer = null) {
+    const kid = await kidRepository.findByIdAndUserId(kidId, userId);
+    if (!kid) {
+      throw new NotFoundError('Kid profile not found');
+    }
+
+    const series = await seriesRepository.findBySlug(slug);
+    if (!series) {
+      throw new NotFoundError('Series not found');
+    }
+
+    const episodes = this.publishedEpisodes(series);
+    const progress = episodes.length > 0
+      ? await listeningSessionRepository.aggregateKidContentProgress(kidId, episodes.map(content => content._id))
+      : [];
+    const progressByContent = new Map(progress.map(entry => [String(entry._id), entry]));
+
+    const items = episodes.map((content, index) => {
+      const entry = progressByContent.get(String(content._id));
+      return {
+        episodeNumber: index + 1,
+        contentId: content._id,
+        slug: content.slug,
+        title: content.title,
+        durationSec: content.durationSec,
+        status: entry ? (entry.completed ? 'completed' : 'in_progress') : 'not_started',
+        positionSec: entry ? entry.positionSec : 0,
+        lastListenedAt: entry ? entry.lastListenedAt : null,
+      };
+    });
+
+    const completedEpisodes = items.filter(item => item.status === 'completed').length;
+    // Pick up at the first episode the kid has not finished
+    const nextIndex = items.findIndex(item => item.status !== 'completed');
+
+    return {
+      series: this.formatSummary(series),
+      totalEpisodes: items.length,
+      completedEpisodes,
+      isComplete: items.length > 0 && nextIndex === -1,
+      nextEpisode: nextIndex === -1 ? null : {
+        episodeNumber: nextIndex + 1,
+        resumePositionSec: items[nextIndex].status === 'in_progress' ? items[nextIndex].positionSec : 0,
+        content: contentService.buildContentUrls(episodes[nextIndex], viewer),
+      },
+      episodes: items,
+    };
+  }
+
+  /**
+   * List series for admins
+   */
+  async listSeries(filters = {}, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+
+    const [series, total] = await Promise.all([
+      seriesRepository.findWithFilters(filters, limit, offset),
+      seriesRepository.countWithFilters(filters),
+    ]);
+
+    return {
+      series: series.map(item => ({ ...item, episodeCount: item.episodes.length })),
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + series.length < total,
+      },
+    };
+  }
+
+  /**
+   * Get a series with all its episodes, whatever their status
+   */
+  async getSeriesById(id) {
+    const series = await seriesRepository.findById(id);
+    if (!series) {
+      throw new NotFoundError('Series not found');
+    }
+    return series;
+  }
+
+  /**
+   * Create a series, optionally with its episodes in order
+   */
+  async createSeries(data) {
+    if (!data.title || !data.title.trim()) {
+      throw new ValidationError('Title is required', 'title');
+    }
+
+    const slug = await this.uniqueSlug(data.slug || data.title);
+    const contentIds = data.contentIds || [];
+    await this.verifyEpisodes(contentIds);
+
+    const series = await seriesRepository.create({
+      title: data.title.trim(),
+      slug,
+      description: data.description,
+      imageUrl: data.imageUrl,
+      ageRange: data.ageRange,
+      isActive: data.isActive !== undefined ? data.isActive : true,
+      episodes: contentIds.map(contentId => ({ contentId })),
+    });
+
+    await invalidateCache.series(slug);
+
+    logger.info({ seriesId: series._id, slug, episodes: contentIds.length }, 'Series created');
+
+    return this.getSeriesById(series._id);
+  }
+
+  /**
+   * Update series details (episodes change through setEpisodes)
+   */
+  async updateSeries(id, data) {
+    const existing = await this.getSeriesById(id);
+
+    const updateData = {};
+    ['description', 'imageUrl', 'ageRange', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) {
+        updateData[field] = data[field];
+      }
+    });
+    if (data.title !== undefined) {
+      if (!data.title.trim()) {
+        throw new ValidationError('Title is required', 'title');
+      }
+      updateData.title = data.title.trim();
+    }
+    if (data.slug !== undefined && data.slug !== existing.slug) {
+      updateData.slug = await this.uniqueSlug(data.slug, id);
+    }
+
+    const series = await seriesRepository.updateById(id, updateData);
+
+    await this.invalidateSeriesCaches(existing, series);
+
+    logger.info({ seriesId: id, updatedFields: Object.keys(updateData) }, 'Series updated');
+
+    return series;
+  }
+
+  /**
+   * Replace the ordered episode list: add, remove and reorder episodes
+   */
+  async setEpisodes(id, contentIds) {
+    if (!Array.isArray(contentIds)) {
+      throw new ValidationError('contentIds must be an ordered list of content IDs', 'contentIds');
+    }
+
+    const existing = await this.getSeriesById(id);
+    await this.verifyEpisodes(contentIds, id);
+
+    const series = await seriesRepository.updateById(id, {
+      episodes: contentIds.map(contentId => ({ contentId })),
+    });
+
+    await this.invalidateSeriesCaches(existing, series);
+
+    logger.info({ seriesId: id, episodes: contentIds.length }, 'Series episodes updated');
+
+    return series;
+  }
+
+  /**
+   * Delete a series; its episodes stay available as standalone content
+   */
+  async deleteSeries(id) {
+    const series = await seriesRepository.deleteById(id);
+    if (!series) {
+      throw new NotFoundError('Series not found');
+    }
+
+    await invalidateCache.series(series.slug);
+
+    logger.info({ seriesId: id, slug: series.slug }, 'Series deleted');
+
+    return true;
+  }
+
+  /**
+   * Ensure episodes exist, are not repeated and are not part of another series
+   */
+  async verifyEpisodes(contentIds, seriesId = null) {
+    if (contentIds.length > Series.MAX_EPISODES) {
+      throw new ValidationError(`A series can have at most ${Series.MAX_EPISODES} episodes`, 'contentIds');
+    }
+
+    const uniqueIds = [...new Set(contentIds.map(String))];
+    if (uniqueIds.length !== contentIds.length) {
+      throw new ValidationError('An episode can only appear once in a series', 'contentIds');
+    }
+    if (uniqueIds.length === 0) {
+      return;
+    }
+
+    const content = await Promise.all(uniqueIds.map(contentId => contentRepository.findById(contentId)));
+    if (content.some(item => !item)) {
+      throw new ValidationError('One or more content items were not found', 'contentIds');
+    }
+
+    const [other] = await seriesRepository.findContainingContent(uniqueIds, seriesId);
+    if (other) {
+      throw new ConflictError(`One or more episodes already belong to the series "${other.title}"`);
+    }
+  }
+
+  /**
+   * Episodes that are published, in series order
+   */
+  publishedEpisodes(series) {
+    return series.episodes
+      .map(episode => episode.contentId)
+      .filter(Boolean);
+  }
+
+  formatSummary(series) {
+    return {
+      id: series._id,
+      slug: series.slug,
+      title: series.title,
+    };
+  }
+
+  async uniqueSlug(value, excludeId = null) {
+    const slug = value
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, '')
+      .replace(/\s+/g, '-')
+      .replace(/-+/g, '-')
+      .replace(/^-|-$/g, '');
+    if (!slug) {
+      throw new ValidationError('Slug must contain letters or numbers', 'slug');
+    }
+
+    const taken = await seriesRepository.slugExists(slug, excludeId);
+    return taken ? `${slug}-${Date.now()}` : slug;
+  }
+
+  /**
+   * Series pages are cached under their slug
+   */
+  async invalidateSeriesCaches(before, after) {
+    await invalidateCache.series(before.slug);
+    if (after && after.slug !== before.slug) {
+      await invalidateCache.series(after.slug);
+    }
+  }
+}
+
+module.exports = new SeriesService();
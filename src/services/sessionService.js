@@ -0,0 +1,197 @@
+const { generateAccessToken, generateRefreshToken } = require('../utils/jwt');
+const { getSessionStore } = require('../utils/sessions');
+const { AuthenticationError, NotFoundError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Refresh token sessions. Each sign-in starts a session (a token family)
+ * on one device; every refresh rotates the family's token, and presenting
+ * a token that was already rotated revokes the whole family.
+ */
+class SessionService {
+  /**
+   * Start a session and issue its first token pair
+   * @param {string} userId - User signing in
+   * @param {Object} client - { deviceId, deviceName, userAgent, ip }
+   * @param {Object} options - { mfa } when a second factor was checked
+   */
+  async startSession(userId, client = {}, now = new Date(), { mfa = false } = {}) {
+    const { token: refreshToken, jti, familyId, expiresAt } = generateRefreshToken(userId);
+
+    await getSessionStore().create({
+      userId,
+      familyId,
+      jti,
+      ...this.clientInfo(client),
+      lastUsedAt: now,
+      expiresAt,
+      mfa,
+    });
+
+    logger.info({ userId, sessionId: familyId, deviceId: client.deviceId, mfa }, 'Session started');
+
+    return {
+      accessToken: generateAccessToken(userId, familyId, { mfa }),
+      refreshToken,
+      sessionId: familyId,
+    };
+  }
+
+  /**
+   * Exchange a verified refresh token for a new token pair
+   * @param {Object} decoded - Verified refresh token payload
+   * @param {Object} client - { deviceId, deviceName, userAgent, ip }
+   */
+  async rotateSession(decoded, client = {}, now = new Date()) {
+    const { sub: userId, jti, fam: familyId } = decoded;
+    const session = await this.findUserSession(userId, familyId);
+
+    if (session.revokedAt) {
+      throw new AuthenticationError('Session has been revoked');
+    }
+    if (session.expiresAt <= now) {
+      throw new AuthenticationError('Session has expired');
+    }
+    if (session.jti !== jti) {
+      await this.handleReuse(session, now);
+    }
+
+    const next = generateRefreshToken(userId, familyId);
+    const { userAgent, ip } = this.clientInfo(client);
+
+    const rotated = await getSessionStore().rotate(familyId, jti, {
+      jti: next.jti,
+      expiresAt: next.expiresAt,
+      lastUsedAt: now,
+      ...(userAgent && { userAgent }),
+      ...(ip && { ip }),
+    });
+
+    // Another request rotated the same token first
+    if (!rotated) {
+      await this.handleReuse(session, now);
+    }
+
+    return {
+      accessToken: generateAccessToken(userId, familyId, { mfa: Boolean(session.mfa) }),
+      refreshToken: next.token,
+      sessionId: familyId,
+    };
+  }
+
+  /**
+   * End the session a refresh token belongs to
+   * @param {Object} decoded - Verified refresh token payload
+   */
+  async endSession(decoded, now = new Date()) {
+    const session = await this.findUserSession(decoded.sub, decoded.fam);
+
+    await getSessionStore().revoke(session.familyId, 'logout', now);
+
+    logger.info({ userId: decoded.sub, sessionId: session.familyId }, 'Session ended');
+
+    return true;
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {string|null} currentSessionId - Session of the calling access token
+   */
+  async getSessions(userId, currentSessionId = null, now = new Date()) {
+    const sessions = await getSessionStore().findActiveByUserId(userId, now);
+
+    return sessions.map(session => this.formatSession(session, currentSessionId));
+  }
+
+  /**
+   * Sign out one of a user's devices
+   */
+  async revokeSession(userId, sessionId, now = new Date()) {
+    const session = await getSessionStore().findByFamilyId(sessionId);
+    if (!session || String(session.userId) !== String(userId) || session.revokedAt || session.expiresAt <= now) {
+      throw new NotFoundError('Session not found');
+    }
+
+    await getSessionStore().revoke(sessionId, 'user_revoked', now);
+
+    logger.info({ userId, sessionId }, 'Session revoked');
+
+    return true;
+  }
+
+  /**
+   * Sign out all of a user's devices
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason = 'revoke_all', now = new Date()) {
+    const revoked = await getSessionStore().revokeAllByUserId(userId, reason, now);
+
+    logger.info({ userId, revoked, reason }, 'All sessions revoked');
+
+    return revoked;
+  }
+
+  /**
+   * A rotated token was used again: it may have been stolen, so nobody
+   * holding a token from this family can stay signed in
+   */
+  async handleReuse(session, now) {
+    await getSessionStore().revoke(session.familyId, 'reuse_detected', now);
+
+    logger.warn({
+      userId: session.userId,
+      sessionId: session.familyId,
+      deviceId: session.deviceId,
+    }, 'Refresh token reuse detected, session revoked');
+
+    throw new AuthenticationError('Refresh token has already been used');
+  }
+
+  /**
+   * Find a session and ensure it belongs to the token's user
+   */
+  async findUserSession(userId, familyId) {
+    // Tokens issued before sessions were tracked have no family
+    if (!familyId) {
+      throw new AuthenticationError('Session not found, please sign in again');
+    }
+
+    const session = await getSessionStore().findByFamilyId(familyId);
+    if (!session || String(session.userId) !== String(userId)) {
+      throw new AuthenticationError('Session not found, please sign in again');
+    }
+
+    return session;
+  }
+
+  /**
+   * Device details stored with a session
+   */
+  clientInfo({ deviceId, deviceName, userAgent, ip } = {}) {
+    return {
+      deviceId: deviceId ? String(deviceId).trim().substring(0, 100) : null,
+      deviceName: deviceName ? String(deviceName).trim().substring(0, 100) : null,
+      userAgent: userAgent ? String(userAgent).substring(0, 500) : null,
+      ip: ip || null,
+    };
+  }
+
+  /**
+   * Build the API shape of a session
+   */
+  formatSession(session, currentSessionId = null) {
+    return {
+      id: session.familyId,
+      deviceId: session.deviceId,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      isCurrent: session.familyId === currentSessionId,
+    };
+  }
+}
+
+module.exports = new SessionService();
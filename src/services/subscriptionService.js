@@ -2,6 +2,7 @@ const userRepository = require('../repositories/userRepository');
 const { PaymentEvent } = require('../models');
 const paymentsClient = require('../utils/clients/paymentsClient');
 const { cache } = require('../loaders/redisLoader');
+const mailService = require('./mailService');
 const logger = require('../utils/logger');
 
 class SubscriptionService {
@@ -276,8 +277,19 @@ class SubscriptionService {
    * Handle payment succeeded event
    */
   async handlePaymentSucceeded(userId, data) {
-    // Could be used for analytics, notifications, etc.
     logger.info({ userId, amount: data.amount }, 'Payment succeeded');
+
+    const user = await userRepository.findWithSubscription(userId);
+    if (user) {
+      await mailService.send('subscription_receipt', user.email, {
+        name: user.name,
+        plan: data.plan || user.subscription.plan,
+        amount: data.amount,
+        currency: data.currency,
+        paymentId: data.paymentId || data.providerRef,
+        paidAt: data.paidAt || new Date(),
+      }, { userId });
+    }
   }
 
   /**
@@ -0,0 +1,121 @@
+const contentRepository = require('../repositories/contentRepository');
+const contentService = require('./contentService');
+const { Content } = require('../models');
+const { invalidateCache } = require('../api/v1/middlewares/cache');
+const { parseTranscript, detectTranscriptFormat } = require('../utils/transcript');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * Read-along transcripts: the story text with segment and word timings,
+ * uploaded by admins and followed by the player while the audio plays.
+ */
+class TranscriptService {
+  /**
+   * Transcript of published content. Premium transcripts need the same
+   * access as the audio.
+   */
+  async getTranscript(slug, viewer = null) {
+    const content = await contentRepository.findBySlugWithTranscript(slug);
+    if (!content) {
+      throw new NotFoundError('Content not found');
+    }
+    if (!this.hasTranscript(content)) {
+      throw new NotFoundError('This content has no transcript');
+    }
+    if (contentService.isLocked(content, viewer)) {
+      throw new AuthorizationError('A premium subscription is required to read this transcript');
+    }
+
+    return this.formatTranscript(content);
+  }
+
+  /**
+   * Transcript of any content, whatever its status (admin)
+   */
+  async getAdminTranscript(contentId) {
+    const content = await this.findContent(contentId);
+    if (!this.hasTranscript(content)) {
+      throw new NotFoundError('This content has no transcript');
+    }
+
+    return this.formatTranscript(content);
+  }
+
+  /**
+   * Replace the transcript from an SRT, WebVTT or JSON upload. The format
+   * comes from `format` or the file name; timings must fit the audio.
+   */
+  async uploadTranscript(contentId, { source, format, filename } = {}) {
+    const content = await this.findContent(contentId);
+
+    const resolvedFormat = format ? String(format).toLowerCase() : detectTranscriptFormat(filename);
+    if (!resolvedFormat || !Content.TRANSCRIPT_FORMATS.includes(resolvedFormat)) {
+      throw new ValidationError(`Transcript format must be one of: ${Content.TRANSCRIPT_FORMATS.join(', ')}`, 'format');
+    }
+
+    const parsed = parseTranscript(source, resolvedFormat, content.durationSec);
+    const transcript = {
+      format: resolvedFormat,
+      uploadedAt: new Date(),
+      ...parsed,
+    };
+
+    await contentRepository.setTranscript(content._id, transcript);
+    await invalidateCache.content(content.slug);
+
+    logger.info({
+      contentId,
+      format: resolvedFormat,
+      segmentCount: parsed.segmentCount,
+      wordCount: parsed.wordCount,
+    }, 'Transcript uploaded');
+
+    return this.formatTranscript({ ...content, transcript });
+  }
+
+  /**
+   * Remove the transcript
+   */
+  async deleteTranscript(contentId) {
+    const content = await this.findContent(contentId);
+    if (!this.hasTranscript(content)) {
+      throw new NotFoundError('This content has no transcript');
+    }
+
+    await contentRepository.setTranscript(content._id, null);
+    await invalidateCache.content(content.slug);
+
+    logger.info({ contentId }, 'Transcript deleted');
+  }
+
+  async findContent(id) {
+    const content = await contentRepository.findByIdWithTranscript(id);
+    if (!content) {
+      throw new NotFoundError('Content not found');
+    }
+    return content;
+  }
+
+  hasTranscript(content) {
+    return Boolean(content.transcript && content.transcript.segments && content.transcript.segments.length);
+  }
+
+  formatTranscript(content) {
+    const { transcript } = content;
+    return {
+      contentId: content._id,
+      slug: content.slug,
+      language: content.language,
+      durationSec: content.durationSec,
+      format: transcript.format,
+      uploadedAt: transcript.uploadedAt,
+      segmentCount: transcript.segmentCount,
+      wordCount: transcript.wordCount,
+      text: transcript.text,
+      segments: transcript.segments,
+    };
+  }
+}
+
+module.exports = new TranscriptService();
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const userRepository = require('../repositories/userRepository');
+const sessionService = require('./sessionService');
+const { User } = require('../models');
+const totp = require('../utils/totp');
+const { isStaff } = require('../utils/permissions');
+const config = require('../config');
+const {
+  NotFoundError,
+  ValidationError,
+  AuthorizationError,
+  AuthenticationError,
+  ConflictError,
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * TOTP two-factor authentication for admin accounts. Enrollment confirms a
+ * code from the authenticator app before the secret is used; sign-in then
+ * needs a code (or a single-use recovery code) after the password.
+ */
+class TwoFactorService {
+  /**
+   * Two-factor status for the account settings screen
+   */
+  async getStatus(userId) {
+    const user = await this.findUser(userId);
+
+    return {
+      enabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+      enabledAt: user.twoFactor ? user.twoFactor.enabledAt : null,
+      recoveryCodesRemaining: user.twoFactor ? user.twoFactor.recoveryCodes.length : 0,
+      required: this.isRequired(user),
+    };
+  }
+
+  /**
+   * Start enrollment: a new secret and the otpauth URI to show as a QR code
+   */
+  async setup(userId) {
+    const user = await this.findUser(userId);
+    if (!isStaff(user)) {
+      throw new AuthorizationError('Two-factor authentication is only available for admin accounts');
+    }
+    if (user.twoFactor.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    logger.info({ userId }, 'Two-factor setup started');
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email, config.twoFactor.issuer),
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the app. Returns the recovery codes
+   * (shown once) and a new session that counts as signed in with 2FA.
+   */
+  async enable(userId, code, client = {}, now = new Date()) {
+    const user = await this.findUser(userId);
+    if (user.twoFactor.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor.pendingSecret) {
+      throw new ValidationError('Start two-factor setup first', 'code');
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, code, now);
+    if (step === null) {
+      throw new ValidationError('Invalid two-factor code', 'code');
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = now;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    const { accessToken, refreshToken } = await sessionService.startSession(userId, client, now, { mfa: true });
+
+    logger.info({ userId }, 'Two-factor authentication enabled');
+
+    return { recoveryCodes, accessToken, refreshToken };
+  }
+
+  /**
+   * Replace the recovery codes (needs a current code)
+   */
+  async regenerateRecoveryCodes(userId, code, now = new Date()) {
+    const user = await this.findEnabledUser(userId);
+    await this.verifyCode(user, code, now);
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    logger.info({ userId }, 'Two-factor recovery codes regenerated');
+
+    return { recoveryCodes };
+  }
+
+  /**
+   * Turn two-factor authentication off (needs a current code). Every
+   * session is signed out, since they were trusted because of it.
+   */
+  async disable(userId, code, now = new Date()) {
+    const user = await this.findEnabledUser(userId);
+    await this.verifyCode(user, code, now);
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = null;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.enabledAt = null;
+    user.twoFactor.lastUsedStep = null;
+    await user.save();
+
+    await sessionService.revokeAllSessions(userId, 'revoke_all', now);
+
+    logger.warn({ userId }, 'Two-factor authentication disabled');
+
+    return true;
+  }
+
+  /**
+   * Check an authenticator code or a recovery code. Codes are single use:
+   * a time step is accepted once, and recovery codes are consumed.
+   * @param {Object} user - Document loaded with findByIdForTwoFactor
+   * @returns {{method: string, recoveryCodesRemaining: number}}
+   */
+  async verifyCode(user, code, now = new Date()) {
+    if (!code) {
+      throw new AuthenticationError('Two-factor code is required');
+    }
+
+    const step = totp.verifyCode(user.twoFactor.secret, code, now);
+    if (step !== null) {
+      if (user.twoFactor.lastUsedStep !== null && step <= user.twoFactor.lastUsedStep) {
+        throw new AuthenticationError('Two-factor code has already been used');
+      }
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+
+      return { method: 'totp', recoveryCodesRemaining: user.twoFactor.recoveryCodes.length };
+    }
+
+    const hash = hashRecoveryCode(code);
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+      throw new AuthenticationError('Invalid two-factor code');
+    }
+
+    user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(item => item !== hash);
+    await user.save();
+
+    logger.warn({ userId: user._id, remaining: user.twoFactor.recoveryCodes.length }, 'Recovery code used');
+
+    return { method: 'recovery_code', recoveryCodesRemaining: user.twoFactor.recoveryCodes.length };
+  }
+
+  /**
+   * Admin staff (any role beyond user) must use a second factor when
+   * enforcement is on
+   */
+  isRequired(user) {
+    return config.twoFactor.requiredForAdmins && isStaff(user);
+  }
+
+  /**
+   * Random recovery codes formatted as xxxxx-xxxxx
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: User.RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.substring(0, 5)}-${code.substring(5)}`;
+    });
+  }
+
+  async findUser(userId) {
+    const user = await userRepository.findByIdForTwoFactor(userId);
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+    return user;
+  }
+
+  async findEnabledUser(userId) {
+    const user = await this.findUser(userId);
+    if (!user.twoFactor.enabled) {
+      throw new ValidationError('Two-factor authentication is not enabled');
+    }
+    return user;
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,135 @@
+/**
+ * Bedtime schedule helpers. Times are computed in the kid's IANA timezone
+ * with Intl, so daylight saving changes are handled without extra libraries.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const formatterCache = new Map();
+
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Check that a timezone name is known to the runtime
+ */
+function isValidTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ */
+function getZonedParts(date, timezone) {
+  const parts = getFormatter(timezone).formatToParts(date).reduce((acc, part) => {
+    if (part.type !== 'literal') {
+      acc[part.type] = parseInt(part.value, 10);
+    }
+    return acc;
+  }, {});
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function getTimezoneOffset(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ */
+function zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimezoneOffset(new Date(guess), timezone);
+  const result = guess - offset;
+
+  // Re-check in case the offset changes between the guess and the result (DST)
+  const correctedOffset = getTimezoneOffset(new Date(result), timezone);
+  return new Date(correctedOffset === offset ? result : guess - correctedOffset);
+}
+
+/**
+ * Get reminder events (wind-down and bedtime) for a kid's bedtime settings
+ * that fall within [from, to)
+ */
+function getRemindersBetween(bedtime, from, to) {
+  if (!bedtime || !bedtime.enabled) {
+    return [];
+  }
+
+  const [hour, minute] = bedtime.time.split(':').map(Number);
+  const days = bedtime.days || [];
+  const reminders = [];
+
+  // Cover the local day before and after so every timezone offset is included
+  const start = getZonedParts(new Date(from.getTime() - DAY_MS), bedtime.timezone);
+  const dayCount = Math.ceil((to - from) / DAY_MS) + 2;
+
+  for (let i = 0; i <= dayCount; i++) {
+    const localDay = new Date(Date.UTC(start.year, start.month - 1, start.day + i));
+    if (!days.includes(localDay.getUTCDay())) {
+      continue;
+    }
+
+    const bedtimeAt = zonedTimeToUtc(
+      localDay.getUTCFullYear(),
+      localDay.getUTCMonth() + 1,
+      localDay.getUTCDate(),
+      hour,
+      minute,
+      bedtime.timezone
+    );
+
+    const events = [{ type: 'bedtime', scheduledFor: bedtimeAt }];
+    if (bedtime.windDownMin > 0) {
+      events.unshift({
+        type: 'wind_down',
+        scheduledFor: new Date(bedtimeAt.getTime() - bedtime.windDownMin * MINUTE_MS),
+      });
+    }
+
+    events
+      .filter(event => event.scheduledFor >= from && event.scheduledFor < to)
+      .forEach(event => reminders.push(event));
+  }
+
+  return reminders;
+}
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  getRemindersBetween,
+};
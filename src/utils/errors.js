@@ -44,6 +44,13 @@ class ConflictError extends AppError {
   }
 }
 
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', retryAfterSec = null) {
+    super(message, 429, 'TOO_MANY_REQUESTS');
+    this.retryAfterSec = retryAfterSec;
+  }
+}
+
 class GoogleAuthError extends AuthenticationError {
   constructor(message = 'Google authentication failed') {
     super(message);
@@ -51,6 +58,13 @@ class GoogleAuthError extends AuthenticationError {
   }
 }
 
+class OidcAuthError extends AuthenticationError {
+  constructor(message = 'Sign-in with identity provider failed') {
+    super(message);
+    this.code = 'OIDC_AUTH_ERROR';
+  }
+}
+
 module.exports = {
   AppError,
   ValidationError,
@@ -58,5 +72,7 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  TooManyRequestsError,
   GoogleAuthError,
+  OidcAuthError,
 };
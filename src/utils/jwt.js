@@ -3,13 +3,16 @@ const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 
 /**
- * Generate access token (15m TTL)
+ * Generate access token (15m TTL), tied to the refresh session it was issued for.
+ * mfa marks sessions that signed in with a second factor.
  */
-function generateAccessToken(userId) {
+function generateAccessToken(userId, sessionId = null, { mfa = false } = {}) {
   return jwt.sign(
     { 
       sub: userId,
       type: 'access',
+      ...(sessionId && { sid: sessionId }),
+      ...(mfa && { mfa: true }),
     },
     config.jwt.accessSecret,
     { 
@@ -21,15 +24,17 @@ function generateAccessToken(userId) {
 }
 
 /**
- * Generate refresh token (30d TTL) with unique jti for revocation
+ * Generate refresh token (30d TTL) with unique jti for revocation.
+ * Tokens rotated from the same sign-in share a family (the session ID).
  */
-function generateRefreshToken(userId) {
+function generateRefreshToken(userId, familyId = uuidv4()) {
   const jti = uuidv4();
   const token = jwt.sign(
     { 
       sub: userId,
       type: 'refresh',
       jti,
+      fam: familyId,
     },
     config.jwt.refreshSecret,
     { 
@@ -39,7 +44,56 @@ function generateRefreshToken(userId) {
     }
   );
   
-  return { token, jti };
+  const { exp } = jwt.decode(token);
+
+  return { token, jti, familyId, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Generate parent-elevated token (10m TTL) proving the parent PIN was entered
+ * on this session. Sent alongside the access token in X-Parent-Token.
+ */
+function generateParentToken(userId, sessionId = null) {
+  const token = jwt.sign(
+    {
+      sub: userId,
+      type: 'parent',
+      ...(sessionId && { sid: sessionId }),
+    },
+    config.jwt.accessSecret,
+    {
+      expiresIn: config.jwt.parentTtl,
+      issuer: 'bedtime-api',
+      audience: 'bedtime-app',
+    }
+  );
+
+  const { exp } = jwt.decode(token);
+
+  return { token, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Generate two-factor challenge token (5m TTL): the password was correct
+ * and the two-factor code is still needed to finish signing in
+ */
+function generateTwoFactorToken(userId) {
+  const token = jwt.sign(
+    {
+      sub: userId,
+      type: 'two_factor',
+    },
+    config.jwt.accessSecret,
+    {
+      expiresIn: config.jwt.twoFactorTtl,
+      issuer: 'bedtime-api',
+      audience: 'bedtime-app',
+    }
+  );
+
+  const { exp } = jwt.decode(token);
+
+  return { token, expiresAt: new Date(exp * 1000) };
 }
 
 /**
@@ -62,6 +116,38 @@ function verifyRefreshToken(token) {
   });
 }
 
+/**
+ * Verify parent-elevated token
+ */
+function verifyParentToken(token) {
+  const decoded = jwt.verify(token, config.jwt.accessSecret, {
+    issuer: 'bedtime-api',
+    audience: 'bedtime-app',
+  });
+
+  if (decoded.type !== 'parent') {
+    throw new Error('Invalid token type');
+  }
+
+  return decoded;
+}
+
+/**
+ * Verify two-factor challenge token
+ */
+function verifyTwoFactorToken(token) {
+  const decoded = jwt.verify(token, config.jwt.accessSecret, {
+    issuer: 'bedtime-api',
+    audience: 'bedtime-app',
+  });
+
+  if (decoded.type !== 'two_factor') {
+    throw new Error('Invalid token type');
+  }
+
+  return decoded;
+}
+
 /**
  * Generate M2M JWT for service-to-service communication
  */
@@ -100,6 +186,10 @@ module.exports = {
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateParentToken,
+  verifyParentToken,
+  generateTwoFactorToken,
+  verifyTwoFactorToken,
   generateM2MToken,
   verifyM2MToken,
 };
@@ -0,0 +1,64 @@
+/**
+ * Content language negotiation. Clients ask for a language with `?lang=` or
+ * the Accept-Language header; we answer with the best supported match and
+ * fall back to English, the language every story is written in first.
+ */
+const config = require('../config');
+
+const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Supported language codes, always including the default
+ */
+function getSupportedLanguages() {
+  const supported = config.languages.supported.filter(code => /^[a-z]{2}$/.test(code));
+  return supported.includes(DEFAULT_LANGUAGE) ? supported : [DEFAULT_LANGUAGE, ...supported];
+}
+
+/**
+ * Primary language codes from an Accept-Language header, most preferred
+ * first. `hi-IN;q=0.9` becomes `hi`; `*` and `q=0` entries are dropped.
+ * @returns {string[]}
+ */
+function parseAcceptLanguage(header) {
+  if (!header || typeof header !== 'string') {
+    return [];
+  }
+
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      const q = qParam ? parseFloat(qParam.slice(2)) : 1;
+      return {
+        code: tag.trim().toLowerCase().split('-')[0],
+        q: Number.isNaN(q) ? 0 : q,
+        index,
+      };
+    })
+    .filter(entry => /^[a-z]{2}$/.test(entry.code) && entry.q > 0)
+    // Stable for equal weights: header order breaks ties
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(entry => entry.code);
+}
+
+/**
+ * Pick the response language. An explicit `?lang=` wins over the header;
+ * unsupported requests fall back to English.
+ */
+function negotiateLanguage(requested, acceptLanguage, supported = getSupportedLanguages()) {
+  const candidates = [
+    ...(typeof requested === 'string' ? [requested.trim().toLowerCase().split('-')[0]] : []),
+    ...parseAcceptLanguage(acceptLanguage),
+  ];
+
+  return candidates.find(code => supported.includes(code)) || DEFAULT_LANGUAGE;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  getSupportedLanguages,
+  parseAcceptLanguage,
+  negotiateLanguage,
+};
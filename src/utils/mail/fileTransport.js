@@ -0,0 +1,37 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../logger');
+
+/**
+ * Mail transport that writes each message to a JSON file instead of
+ * sending it. Used locally and in tests; keeps the last messages for inspection.
+ */
+class FileMailTransport {
+  constructor({ dir, historySize = 100 } = {}) {
+    this.name = 'file';
+    this.dir = dir;
+    this.historySize = historySize;
+    this.sent = [];
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+    if (this.dir) {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(path.join(this.dir, `${messageId}.json`), JSON.stringify(message, null, 2));
+    }
+
+    this.sent.push(message);
+    if (this.sent.length > this.historySize) {
+      this.sent.shift();
+    }
+
+    logger.info({ to: message.to, subject: message.subject, messageId }, 'Email written (file transport)');
+
+    return { messageId };
+  }
+}
+
+module.exports = FileMailTransport;
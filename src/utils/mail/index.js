@@ -0,0 +1,47 @@
+const config = require('../../config');
+const FileMailTransport = require('./fileTransport');
+const SmtpMailTransport = require('./smtpTransport');
+const { renderTemplate, TEMPLATE_NAMES } = require('./templates');
+
+/**
+ * Mail transports, by name.
+ *
+ * A transport implements `send({ from, to, subject, text, html })`,
+ * resolves with `{ messageId }` and rejects when delivery fails.
+ */
+const transports = {
+  smtp: () => new SmtpMailTransport(config.mail.smtp),
+  file: () => new FileMailTransport({ dir: config.mail.outboxDir }),
+};
+
+let transport = null;
+
+/**
+ * Get the configured mail transport
+ */
+function getMailTransport() {
+  if (!transport) {
+    const createTransport = transports[config.mail.transport];
+    if (!createTransport) {
+      throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+    }
+    transport = createTransport();
+  }
+  return transport;
+}
+
+/**
+ * Replace the mail transport (tests, custom transports)
+ */
+function setMailTransport(customTransport) {
+  transport = customTransport;
+}
+
+module.exports = {
+  getMailTransport,
+  setMailTransport,
+  renderTemplate,
+  TEMPLATE_NAMES,
+  FileMailTransport,
+  SmtpMailTransport,
+};
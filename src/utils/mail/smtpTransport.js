@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport that delivers through an SMTP server
+ */
+class SmtpMailTransport {
+  constructor({ host, port, secure, user, pass }) {
+    if (!host) {
+      throw new Error('SMTP_HOST is required for the smtp mail transport');
+    }
+
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      ...(user && { auth: { user, pass } }),
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpMailTransport;
@@ -0,0 +1,176 @@
+const config = require('../../config');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const appLink = (path, token) => `${config.mail.appUrl}${path}?token=${encodeURIComponent(token)}`;
+
+const greeting = (name) => (name ? `Hi ${name},` : 'Hi,');
+
+/**
+ * Wrap paragraphs (and an optional button) in the shared HTML layout
+ */
+function layout(paragraphs, action = null) {
+  const body = paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n');
+  const button = action
+    ? `<p><a href="${escapeHtml(action.url)}" style="background:#6d5bd0;color:#fff;padding:12px 20px;border-radius:6px;text-decoration:none">${escapeHtml(action.label)}</a></p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,sans-serif;color:#333;max-width:560px;margin:0 auto;padding:24px">
+${body}
+${button}
+<p style="color:#888;font-size:12px">Bedtime Stories</p>
+</body>
+</html>`;
+}
+
+/**
+ * Email templates, by name. Each builds { subject, text, html } from its data.
+ */
+const templates = {
+  verify_email: ({ name, token }) => {
+    const url = appLink('/verify-email', token);
+    const paragraphs = [
+      greeting(name),
+      'Welcome to Bedtime Stories! Please confirm your email address to finish setting up your account.',
+    ];
+
+    return {
+      subject: 'Confirm your email address',
+      text: [...paragraphs, url, "If you didn't create an account, you can ignore this email."].join('\n\n'),
+      html: layout([...paragraphs, "If you didn't create an account, you can ignore this email."], { label: 'Confirm email', url }),
+    };
+  },
+
+  reset_password: ({ name, token, expiresInMin }) => {
+    const url = appLink('/reset-password', token);
+    const paragraphs = [
+      greeting(name),
+      `We received a request to reset your password. The link expires in ${expiresInMin} minutes.`,
+    ];
+    const footer = "If you didn't ask to reset your password, you can ignore this email.";
+
+    return {
+      subject: 'Reset your password',
+      text: [...paragraphs, url, footer].join('\n\n'),
+      html: layout([...paragraphs, footer], { label: 'Reset password', url }),
+    };
+  },
+
+  magic_link: ({ name, token, expiresInMin }) => {
+    const url = appLink('/magic-link', token);
+    const paragraphs = [
+      greeting(name),
+      'Use the link below to sign in to Bedtime Stories. No password needed.',
+    ];
+    const footer = `The link works once and expires in ${expiresInMin} minutes. If you didn't try to sign in, you can ignore this email.`;
+
+    return {
+      subject: 'Your sign-in link',
+      text: [...paragraphs, url, footer].join('\n\n'),
+      html: layout([...paragraphs, footer], { label: 'Sign in', url }),
+    };
+  },
+
+  welcome: ({ name }) => {
+    const paragraphs = [
+      greeting(name),
+      'Your email is confirmed. Add a profile for each of your kids to get stories, music and meditations picked for their age.',
+      'Sweet dreams!',
+    ];
+
+    return {
+      subject: 'Welcome to Bedtime Stories',
+      text: paragraphs.join('\n\n'),
+      html: layout(paragraphs),
+    };
+  },
+
+  account_locked: ({ name, token, lockMin }) => {
+    const url = appLink('/unlock-account', token);
+    const paragraphs = [
+      greeting(name),
+      'We locked your account after too many failed sign-in attempts.',
+      `If that was you, use the link below to unlock it now, or wait ${lockMin} minutes. If it was not you, unlock your account and change your password.`,
+    ];
+
+    return {
+      subject: 'Your account was locked',
+      text: [...paragraphs, url].join('\n\n'),
+      html: layout(paragraphs, { label: 'Unlock account', url }),
+    };
+  },
+
+  household_invite: ({ inviterName, householdName, token, expiresInDays }) => {
+    const url = appLink('/household/join', token);
+    const paragraphs = [
+      'Hi,',
+      `${inviterName || 'A parent'} invited you to join the "${householdName}" family on Bedtime Stories to share kid profiles, favorites and the family plan.`,
+      `The invitation expires in ${expiresInDays} days. Sign in or create an account with this email address to accept it.`,
+    ];
+
+    return {
+      subject: `Join ${householdName} on Bedtime Stories`,
+      text: [...paragraphs, url].join('\n\n'),
+      html: layout(paragraphs, { label: 'Join family', url }),
+    };
+  },
+
+  account_deletion_scheduled: ({ name, scheduledFor }) => {
+    const paragraphs = [
+      greeting(name),
+      `We received a request to delete your Bedtime Stories account. Your account, your kids' profiles and their listening history will be erased on ${new Date(scheduledFor).toUTCString()}.`,
+      'Changed your mind? Sign in before then and choose to keep your account. If you did not ask for this, sign in and change your password.',
+    ];
+
+    return {
+      subject: 'Your account is scheduled for deletion',
+      text: paragraphs.join('\n\n'),
+      html: layout(paragraphs, { label: 'Keep my account', url: `${config.mail.appUrl}/account` }),
+    };
+  },
+
+  // amount is in minor units (paise), as sent by the payments service
+  subscription_receipt: ({ name, plan, amount, currency, paymentId, paidAt }) => {
+    const formattedAmount = new Intl.NumberFormat('en', { style: 'currency', currency: currency || 'INR' })
+      .format(amount / 100);
+    const paragraphs = [
+      greeting(name),
+      `Thanks for your payment of ${formattedAmount} for the ${plan} plan.`,
+      `Payment reference: ${paymentId || 'n/a'}`,
+      `Date: ${new Date(paidAt).toUTCString()}`,
+    ];
+
+    return {
+      subject: 'Your Bedtime Stories receipt',
+      text: paragraphs.join('\n\n'),
+      html: layout(paragraphs),
+    };
+  },
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template name (see TEMPLATE_NAMES)
+ * @param {Object} data - Template data
+ * @returns {{subject: string, text: string, html: string}}
+ */
+function renderTemplate(name, data = {}) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  TEMPLATE_NAMES: Object.keys(templates),
+  renderTemplate,
+  escapeHtml,
+};
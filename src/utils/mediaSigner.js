@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Route that serves signed media (see api/v1/routes/media.js)
+const MEDIA_ROUTE = '/api/v1/media';
+
+// Signature uid for viewers who are not signed in
+const ANONYMOUS_UID = 'anonymous';
+
+// Where uploads are served from when signing is off (MEDIA_ROOT on disk)
+const UPLOADS_PREFIX = '/uploads/';
+
+/**
+ * Normalize a requested path to a path under the media root
+ * @param {string} requestedPath - Path after the media route (e.g. audio/x.mp3)
+ * @returns {string|null} Media path without leading slash, or null if invalid
+ */
+function toMediaPath(requestedPath) {
+  if (!requestedPath) {
+    return null;
+  }
+
+  const mediaPath = requestedPath
+    .split('?')[0]
+    .replace(/^\/+/, '');
+
+  if (!mediaPath || mediaPath.split('/').some(segment => segment === '..')) {
+    return null;
+  }
+
+  return mediaPath;
+}
+
+/**
+ * Media path of an asset stored on this server (under /uploads)
+ * @param {string} assetUrl - Upload path (e.g. /uploads/audio/x.mp3), optionally on MEDIA_BASE_URL
+ * @returns {string|null} Media path (e.g. audio/x.mp3), or null if stored elsewhere
+ */
+function toLocalMediaPath(assetUrl) {
+  if (!assetUrl) {
+    return null;
+  }
+
+  let assetPath = assetUrl;
+  if (assetPath.startsWith(`${config.media.baseUrl}/`)) {
+    assetPath = assetPath.substring(config.media.baseUrl.length);
+  }
+  if (!assetPath.startsWith(UPLOADS_PREFIX)) {
+    return null;
+  }
+
+  return toMediaPath(assetPath.substring(UPLOADS_PREFIX.length));
+}
+
+/**
+ * Media path of an asset on the CDN: other relative paths, or URLs on CDN_BASE
+ * @param {string} assetUrl - CDN path (e.g. /audio/x.mp3) or URL
+ * @returns {string|null} Path on the CDN (e.g. audio/x.mp3), or null if hosted elsewhere
+ */
+function toCdnMediaPath(assetUrl) {
+  if (!assetUrl) {
+    return null;
+  }
+
+  let assetPath = assetUrl;
+  if (assetPath.startsWith(`${config.cdnBase}/`)) {
+    assetPath = assetPath.substring(config.cdnBase.length);
+  } else if (/^https?:\/\//.test(assetPath)) {
+    return null;
+  }
+
+  return toMediaPath(assetPath);
+}
+
+/**
+ * HMAC over path + expiry + user so none of them can be changed
+ */
+function createSignature(mediaPath, expires, uid) {
+  return crypto
+    .createHmac('sha256', config.media.signingSecret)
+    .update(`${mediaPath}\n${expires}\n${uid}`)
+    .digest('base64url');
+}
+
+/**
+ * Sign a media path for a user
+ * @param {string} mediaPath - Path under the media root
+ * @param {string|null} userId - Viewer the URL is issued to
+ * @param {Date} now - Issue time
+ * @returns {{expires: number, uid: string, sig: string}} Query parameters
+ */
+function signMediaPath(mediaPath, userId = null, now = new Date()) {
+  const expires = Math.floor(now.getTime() / 1000) + config.media.urlTtlSec;
+  const uid = userId ? String(userId) : ANONYMOUS_UID;
+
+  return { expires, uid, sig: createSignature(mediaPath, expires, uid) };
+}
+
+/**
+ * Build a signed, expiring URL for an asset. Uploads are served by the
+ * media route; CDN assets keep their CDN URL and carry the same query
+ * parameters, checked at the edge with MEDIA_SIGNING_SECRET.
+ * @returns {string|null} Signed URL, or null if the asset is hosted elsewhere
+ */
+function buildSignedMediaUrl(assetUrl, userId = null, now = new Date()) {
+  const localPath = toLocalMediaPath(assetUrl);
+  const mediaPath = localPath || toCdnMediaPath(assetUrl);
+  if (!mediaPath) {
+    return null;
+  }
+
+  const { expires, uid, sig } = signMediaPath(mediaPath, userId, now);
+  const encodedPath = mediaPath.split('/').map(encodeURIComponent).join('/');
+  const base = localPath ? `${config.media.baseUrl}${MEDIA_ROUTE}` : config.cdnBase;
+
+  return `${base}/${encodedPath}?expires=${expires}&uid=${encodeURIComponent(uid)}&sig=${sig}`;
+}
+
+/**
+ * Verify a signed media request
+ * @param {string} mediaPath - Path under the media root
+ * @param {Object} params - { expires, uid, sig } from the query string
+ * @param {Date} now - Verification time
+ * @returns {{valid: boolean, reason?: string}}
+ */
+function verifyMediaSignature(mediaPath, { expires, uid, sig } = {}, now = new Date()) {
+  if (!expires || !uid || !sig) {
+    return { valid: false, reason: 'MISSING_SIGNATURE' };
+  }
+
+  const expected = Buffer.from(createSignature(mediaPath, expires, uid));
+  const actual = Buffer.from(String(sig));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'INVALID_SIGNATURE' };
+  }
+
+  if (Number(expires) * 1000 <= now.getTime()) {
+    return { valid: false, reason: 'EXPIRED' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  ANONYMOUS_UID,
+  toMediaPath,
+  toLocalMediaPath,
+  toCdnMediaPath,
+  signMediaPath,
+  buildSignedMediaUrl,
+  verifyMediaSignature,
+};
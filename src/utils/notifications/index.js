@@ -0,0 +1,41 @@
+const config = require('../../config');
+const LogNotificationSender = require('./logSender');
+
+/**
+ * Notification senders, by transport name.
+ *
+ * A sender implements `send({ userId, kidId, type, title, body, data })`
+ * and resolves with `{ delivered: boolean }`. Register push/SMS transports here.
+ */
+const transports = {
+  log: () => new LogNotificationSender(),
+};
+
+let sender = null;
+
+/**
+ * Get the configured notification sender
+ */
+function getNotificationSender() {
+  if (!sender) {
+    const createSender = transports[config.notifications.transport];
+    if (!createSender) {
+      throw new Error(`Unknown notification transport: ${config.notifications.transport}`);
+    }
+    sender = createSender();
+  }
+  return sender;
+}
+
+/**
+ * Replace the notification sender (tests, custom transports)
+ */
+function setNotificationSender(customSender) {
+  sender = customSender;
+}
+
+module.exports = {
+  getNotificationSender,
+  setNotificationSender,
+  LogNotificationSender,
+};
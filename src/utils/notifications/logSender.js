@@ -0,0 +1,31 @@
+const logger = require('../logger');
+
+/**
+ * Notification sender that only writes to the application log.
+ * Used locally and in tests; keeps the last messages for inspection.
+ */
+class LogNotificationSender {
+  constructor({ historySize = 100 } = {}) {
+    this.name = 'log';
+    this.historySize = historySize;
+    this.sent = [];
+  }
+
+  send(notification) {
+    this.sent.push(notification);
+    if (this.sent.length > this.historySize) {
+      this.sent.shift();
+    }
+
+    logger.info({
+      userId: notification.userId,
+      kidId: notification.kidId,
+      type: notification.type,
+      title: notification.title,
+    }, 'Notification sent (log transport)');
+
+    return Promise.resolve({ delivered: true });
+  }
+}
+
+module.exports = LogNotificationSender;
@@ -0,0 +1,80 @@
+const config = require('../../config');
+const { verifyGoogleIdToken } = require('../googleAuth');
+const JwksProvider = require('./jwksProvider');
+
+/**
+ * Google sign-in, verified by google-auth-library
+ */
+const googleProvider = {
+  name: 'google',
+
+  async verifyIdToken(idToken) {
+    const googleData = await verifyGoogleIdToken(idToken);
+
+    return {
+      subject: googleData.googleId,
+      email: googleData.email ? googleData.email.toLowerCase() : null,
+      emailVerified: Boolean(googleData.emailVerified),
+      name: googleData.name || null,
+    };
+  },
+};
+
+/**
+ * Identity providers, by name.
+ *
+ * A provider implements `verifyIdToken(idToken, now)`, resolving to
+ * `{ subject, email, emailVerified, name }` or rejecting with an
+ * AuthenticationError. Google is always available; others come from
+ * OIDC_PROVIDERS (see JwksProvider).
+ */
+let providers = null;
+
+function loadProviders() {
+  const loaded = { google: googleProvider };
+  for (const options of config.oidc.providers) {
+    if (options.name === 'local' || options.name === 'google') {
+      throw new Error(`OIDC provider name "${options.name}" is reserved`);
+    }
+    loaded[options.name] = new JwksProvider({ jwksCacheSec: config.oidc.jwksCacheSec, ...options });
+  }
+  return loaded;
+}
+
+/**
+ * Get a provider by name
+ * @returns {Object|null} Null for unknown providers
+ */
+function getIdentityProvider(name) {
+  if (!providers) {
+    providers = loadProviders();
+  }
+  return Object.prototype.hasOwnProperty.call(providers, name) ? providers[name] : null;
+}
+
+/**
+ * Names of the available providers
+ */
+function getIdentityProviderNames() {
+  if (!providers) {
+    providers = loadProviders();
+  }
+  return Object.keys(providers);
+}
+
+/**
+ * Add or replace a provider (tests, custom issuers)
+ */
+function setIdentityProvider(name, provider) {
+  if (!providers) {
+    providers = loadProviders();
+  }
+  providers[name] = provider;
+}
+
+module.exports = {
+  getIdentityProvider,
+  getIdentityProviderNames,
+  setIdentityProvider,
+  JwksProvider,
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const logger = require('../logger');
+const { OidcAuthError } = require('../errors');
+
+// An unknown key ID refetches the JWKS (key rotation), at most this often
+const MIN_REFETCH_MS = 60 * 1000;
+
+// Accepted clock skew between us and the issuer
+const CLOCK_TOLERANCE_SEC = 60;
+
+async function fetchJwks(jwksUri) {
+  const response = await axios.get(jwksUri, { timeout: 5000 });
+  return response.data;
+}
+
+/**
+ * OpenID Connect provider that verifies ID tokens against the issuer's
+ * published signing keys (JWKS). Keys are cached and refetched when a
+ * token is signed with a key we have not seen yet.
+ */
+class JwksProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in routes and on users
+   * @param {string} options.issuer - Expected `iss` claim
+   * @param {string} options.jwksUri - URL of the issuer's JWKS
+   * @param {string|string[]} options.clientIds - Accepted `aud` values
+   * @param {string[]} [options.algorithms] - Accepted signing algorithms
+   * @param {number} [options.jwksCacheSec] - How long fetched keys are trusted
+   * @param {Function} [fetchKeys] - Loads the JWKS (tests, custom transports)
+   */
+  constructor({ name, issuer, jwksUri, clientIds, algorithms = ['RS256'], jwksCacheSec = 3600 }, fetchKeys = fetchJwks) {
+    if (!name || !issuer || !jwksUri || !clientIds) {
+      throw new Error(`OIDC provider ${name || '(unnamed)'} needs name, issuer, jwksUri and clientIds`);
+    }
+
+    this.name = name;
+    this.issuer = issuer;
+    this.jwksUri = jwksUri;
+    this.clientIds = Array.isArray(clientIds) ? clientIds : [clientIds];
+    this.algorithms = algorithms;
+    this.jwksCacheMs = jwksCacheSec * 1000;
+    this.fetchKeys = fetchKeys;
+    this.keys = null;
+    this.fetchedAt = 0;
+  }
+
+  /**
+   * Verify an ID token and extract the identity
+   * @returns {Promise<{subject: string, email: string|null, emailVerified: boolean, name: string|null}>}
+   */
+  async verifyIdToken(idToken, now = new Date()) {
+    const decoded = typeof idToken === 'string' ? jwt.decode(idToken, { complete: true }) : null;
+    if (!decoded || !decoded.header) {
+      throw new OidcAuthError('Invalid ID token format');
+    }
+    if (!this.algorithms.includes(decoded.header.alg)) {
+      throw new OidcAuthError('Unsupported ID token algorithm');
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid, now);
+
+    let payload;
+    try {
+      payload = jwt.verify(idToken, key, {
+        algorithms: this.algorithms,
+        issuer: this.issuer,
+        audience: this.clientIds,
+        clockTimestamp: Math.floor(now.getTime() / 1000),
+        clockTolerance: CLOCK_TOLERANCE_SEC,
+      });
+    } catch (error) {
+      logger.warn({ provider: this.name, error: error.message }, 'ID token verification failed');
+      throw new OidcAuthError(error.name === 'TokenExpiredError' ? 'ID token expired' : 'Invalid ID token');
+    }
+
+    if (!payload.sub) {
+      throw new OidcAuthError('ID token has no subject');
+    }
+
+    return {
+      subject: String(payload.sub),
+      email: payload.email ? String(payload.email).toLowerCase() : null,
+      // Some issuers (Apple) send the flag as a string
+      emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+      name: payload.name || null,
+    };
+  }
+
+  /**
+   * Public key for a key ID, fetching the JWKS when needed
+   */
+  async getSigningKey(kid, now = new Date()) {
+    if (!this.keys || now.getTime() - this.fetchedAt > this.jwksCacheMs) {
+      await this.refreshKeys(now);
+    }
+
+    let jwk = this.findKey(kid);
+    if (!jwk && now.getTime() - this.fetchedAt > MIN_REFETCH_MS) {
+      await this.refreshKeys(now);
+      jwk = this.findKey(kid);
+    }
+    if (!jwk) {
+      throw new OidcAuthError('Unknown ID token signing key');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  findKey(kid) {
+    const keys = (this.keys || []).filter(key => !key.use || key.use === 'sig');
+    if (!kid) {
+      return keys.length === 1 ? keys[0] : null;
+    }
+    return keys.find(key => key.kid === kid) || null;
+  }
+
+  async refreshKeys(now = new Date()) {
+    try {
+      const jwks = await this.fetchKeys(this.jwksUri);
+      this.keys = Array.isArray(jwks && jwks.keys) ? jwks.keys : [];
+      this.fetchedAt = now.getTime();
+    } catch (error) {
+      logger.error({ provider: this.name, error: error.message }, 'Failed to fetch JWKS');
+      // Keep using the keys we have; without any we cannot verify
+      if (!this.keys) {
+        throw new OidcAuthError('Identity provider is unavailable');
+      }
+    }
+  }
+}
+
+module.exports = JwksProvider;
@@ -0,0 +1,74 @@
+/**
+ * Admin roles and what they may do. Every `/admin` route requires one of
+ * these permissions (see requirePermission); `admin` has all of them.
+ */
+const PERMISSIONS = [
+  'content.read',
+  'content.write',
+  'content.review',
+  'categories.write',
+  'files.upload',
+  'users.read',
+  'users.write',
+  'users.roles',
+  'lockouts.manage',
+  'orders.read',
+  'stats.read',
+  'audit.read',
+  'system.manage',
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: PERMISSIONS,
+  // Writes and submits content for review
+  editor: ['content.read', 'content.write', 'categories.write', 'files.upload', 'stats.read'],
+  // Approves, schedules and sends back content
+  reviewer: ['content.read', 'content.review', 'stats.read'],
+  // Looks up families and unlocks their accounts
+  support: ['users.read', 'lockouts.manage', 'stats.read'],
+  // Orders and subscription revenue
+  finance: ['orders.read', 'users.read', 'stats.read'],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Roles that can open the admin dashboard
+const STAFF_ROLES = ROLES.filter(role => role !== 'user');
+
+/**
+ * Permissions granted by the user's roles
+ * @returns {string[]}
+ */
+function getPermissions(user) {
+  const permissions = new Set();
+  for (const role of (user && user.roles) || []) {
+    (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+  }
+  return PERMISSIONS.filter(permission => permissions.has(permission));
+}
+
+/**
+ * Whether the user's roles grant any of the permissions
+ */
+function hasPermission(user, ...permissions) {
+  const granted = getPermissions(user);
+  return permissions.some(permission => granted.includes(permission));
+}
+
+/**
+ * Whether the user has a role beyond `user`
+ */
+function isStaff(user) {
+  return Boolean(user && user.roles && user.roles.some(role => STAFF_ROLES.includes(role)));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  STAFF_ROLES,
+  getPermissions,
+  hasPermission,
+  isStaff,
+};
@@ -0,0 +1,157 @@
+/**
+ * Typo-tolerant search helpers. Query terms match document words exactly,
+ * as a prefix (search-as-you-type) or within a small edit distance, so
+ * "dragn" and "slepy" still find "dragon" and "sleepy".
+ */
+
+// Relative strength of each kind of term match
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.8,
+  fuzzy: 0.6,
+  fuzzyPrefix: 0.4,
+};
+
+/**
+ * Lowercase, strip Latin accents and split text into words of any script.
+ * Combining marks other than accents stay: Devanagari vowel signs, for
+ * example, are marks inside a word.
+ * @param {string|string[]} text - Text or list of texts (e.g. tags)
+ * @returns {string[]} Words
+ */
+function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+  if (Array.isArray(text)) {
+    return text.flatMap(tokenize);
+  }
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Typos allowed for a term: none for short words, more for long ones
+ */
+function maxEdits(term) {
+  if (term.length <= 3) {
+    return 0;
+  }
+  return term.length <= 7 ? 1 : 2;
+}
+
+/**
+ * Damerau-Levenshtein distance (adjacent swaps count once), giving up
+ * once it exceeds max
+ * @returns {number} Distance, or max + 1 if larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let prevMin = 0;
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    // A swap can reach back two rows, so both must be out of range
+    if (rowMin > max && prevMin > max) {
+      return max + 1;
+    }
+    prevPrev = prev;
+    prev = current;
+    prevMin = rowMin;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * Score how well a query term matches a single word
+ * @returns {number} 0 when it does not match
+ */
+function matchTerm(term, word) {
+  if (word === term) {
+    return MATCH_SCORES.exact;
+  }
+  if (word.startsWith(term)) {
+    return MATCH_SCORES.prefix;
+  }
+
+  const edits = maxEdits(term);
+  if (edits === 0) {
+    return 0;
+  }
+  if (editDistance(term, word, edits) <= edits) {
+    return MATCH_SCORES.fuzzy;
+  }
+  // Misspelled while still typing: compare against the start of the word
+  for (let length = term.length - edits; length <= term.length + edits && length < word.length; length++) {
+    if (editDistance(term, word.substring(0, length), edits) <= edits) {
+      return MATCH_SCORES.fuzzyPrefix;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Score a document against query terms. Every term must match some field.
+ * @param {string[]} terms - Tokenized query
+ * @param {Array<{name: string, words: string[], weight: number}>} fields - Tokenized document fields
+ * @returns {{score: number, matchedFields: string[]}|null} Null when a term does not match
+ */
+function scoreDocument(terms, fields) {
+  let score = 0;
+  const matchedFields = new Set();
+
+  for (const term of terms) {
+    let best = 0;
+    let bestField = null;
+
+    for (const field of fields) {
+      for (const word of field.words) {
+        const termScore = matchTerm(term, word) * field.weight;
+        if (termScore > best) {
+          best = termScore;
+          bestField = field.name;
+        }
+      }
+    }
+
+    if (best === 0) {
+      return null;
+    }
+    score += best;
+    matchedFields.add(bestField);
+  }
+
+  return { score, matchedFields: [...matchedFields] };
+}
+
+module.exports = {
+  MATCH_SCORES,
+  tokenize,
+  editDistance,
+  matchTerm,
+  scoreDocument,
+};
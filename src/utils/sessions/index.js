@@ -0,0 +1,43 @@
+const config = require('../../config');
+const refreshSessionRepository = require('../../repositories/refreshSessionRepository');
+const RedisSessionStore = require('./redisSessionStore');
+
+/**
+ * Refresh session stores, by name.
+ *
+ * A store implements `create`, `findByFamilyId`, `findActiveByUserId`,
+ * `rotate`, `revoke` and `revokeAllByUserId` (see refreshSessionRepository).
+ */
+const stores = {
+  mongo: () => refreshSessionRepository,
+  redis: () => new RedisSessionStore(),
+};
+
+let store = null;
+
+/**
+ * Get the configured session store
+ */
+function getSessionStore() {
+  if (!store) {
+    const createStore = stores[config.sessions.store];
+    if (!createStore) {
+      throw new Error(`Unknown session store: ${config.sessions.store}`);
+    }
+    store = createStore();
+  }
+  return store;
+}
+
+/**
+ * Replace the session store (tests, custom backends)
+ */
+function setSessionStore(customStore) {
+  store = customStore;
+}
+
+module.exports = {
+  getSessionStore,
+  setSessionStore,
+  RedisSessionStore,
+};
@@ -0,0 +1,141 @@
+const { getRedisClient } = require('../../loaders/redisLoader');
+
+const DATE_FIELDS = ['lastUsedAt', 'expiresAt', 'revokedAt', 'createdAt', 'updatedAt'];
+
+// Compare-and-swap of the current token, so concurrent refreshes cannot both win
+const ROTATE_SCRIPT = `
+local raw = redis.call('GET', KEYS[1])
+if not raw then return false end
+local session = cjson.decode(raw)
+if session.jti ~= ARGV[1] or (session.revokedAt and session.revokedAt ~= cjson.null) then
+  return false
+end
+for field, value in pairs(cjson.decode(ARGV[2])) do
+  session[field] = value
+end
+local updated = cjson.encode(session)
+redis.call('SET', KEYS[1], updated, 'PXAT', ARGV[3])
+redis.call('PEXPIREAT', ARGV[4] .. session.userId, ARGV[3])
+return updated
+`;
+
+const sessionKey = (familyId) => `session:${familyId}`;
+const USER_KEY_PREFIX = 'sessions:user:';
+const userKey = (userId) => `${USER_KEY_PREFIX}${userId}`;
+
+/**
+ * Redis-backed refresh session store. Each session is a JSON value that
+ * expires with its refresh token; a per-user set indexes the families
+ * and lives as long as the newest of them (every token has the same TTL).
+ */
+class RedisSessionStore {
+  constructor(client = null) {
+    this.name = 'redis';
+    this.client = client;
+  }
+
+  getClient() {
+    return this.client || getRedisClient();
+  }
+
+  async create(sessionData) {
+    const now = new Date();
+    const session = {
+      revokedAt: null,
+      revokeReason: null,
+      lastUsedAt: now,
+      ...sessionData,
+      userId: String(sessionData.userId),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this.getClient()
+      .multi()
+      .set(sessionKey(session.familyId), JSON.stringify(session), 'PXAT', session.expiresAt.getTime())
+      .sadd(userKey(session.userId), session.familyId)
+      .pexpireat(userKey(session.userId), session.expiresAt.getTime())
+      .exec();
+
+    return session;
+  }
+
+  async findByFamilyId(familyId) {
+    return this.parse(await this.getClient().get(sessionKey(familyId)));
+  }
+
+  async findActiveByUserId(userId, now = new Date()) {
+    const client = this.getClient();
+    const familyIds = await client.smembers(userKey(userId));
+    if (familyIds.length === 0) {
+      return [];
+    }
+
+    const values = await client.mget(familyIds.map(sessionKey));
+
+    // Drop families whose session has expired
+    const expired = familyIds.filter((familyId, index) => !values[index]);
+    if (expired.length > 0) {
+      await client.srem(userKey(userId), ...expired);
+    }
+
+    return values
+      .map(value => this.parse(value))
+      .filter(session => session && !session.revokedAt && session.expiresAt > now)
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  }
+
+  async rotate(familyId, currentJti, updateData) {
+    const update = { ...updateData, updatedAt: new Date() };
+    const updated = await this.getClient().eval(
+      ROTATE_SCRIPT,
+      1,
+      sessionKey(familyId),
+      currentJti,
+      JSON.stringify(update),
+      update.expiresAt.getTime(),
+      USER_KEY_PREFIX
+    );
+
+    return this.parse(updated);
+  }
+
+  async revoke(familyId, reason, now = new Date()) {
+    const client = this.getClient();
+    const session = await this.findByFamilyId(familyId);
+    if (!session || session.revokedAt) {
+      return null;
+    }
+
+    const revoked = { ...session, revokedAt: now, revokeReason: reason, updatedAt: now };
+    await client.set(sessionKey(familyId), JSON.stringify(revoked), 'PXAT', session.expiresAt.getTime());
+
+    return revoked;
+  }
+
+  async revokeAllByUserId(userId, reason, now = new Date()) {
+    const sessions = await this.findActiveByUserId(userId, now);
+    const revoked = await Promise.all(sessions.map(session => this.revoke(session.familyId, reason, now)));
+
+    return revoked.filter(Boolean).length;
+  }
+
+  /**
+   * Restore dates from the stored JSON
+   */
+  parse(value) {
+    if (!value) {
+      return null;
+    }
+
+    const session = JSON.parse(value);
+    for (const field of DATE_FIELDS) {
+      if (session[field]) {
+        session[field] = new Date(session[field]);
+      }
+    }
+    return session;
+  }
+}
+
+module.exports = RedisSessionStore;
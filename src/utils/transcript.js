@@ -0,0 +1,311 @@
+/**
+ * Read-along transcripts. Admins upload SubRip (SRT), WebVTT or JSON; all
+ * three become the same list of timed segments, optionally with word
+ * timings, which is stored on the content and served as JSON or WebVTT.
+ *
+ * JSON uploads use the stored shape:
+ *   { "segments": [{ "startSec": 0, "endSec": 2.5, "text": "Once upon a time",
+ *                    "words": [{ "startSec": 0, "endSec": 0.6, "text": "Once" }, ...] }] }
+ *
+ * WebVTT word timings come from inline timestamps
+ * (`Once <00:00:00.600>upon <00:00:01.100>a time`): each one starts a word.
+ */
+const { ValidationError } = require('./errors');
+
+const MAX_SEGMENTS = 5000;
+const MAX_SEGMENT_LENGTH = 1000;
+
+// Audio durations are whole seconds, so the last cue may run slightly past
+const DURATION_TOLERANCE_SEC = 1;
+
+// `01:02:03,456` (SRT) or `01:02:03.456` / `02:03.456` (WebVTT)
+const TIMESTAMP_PATTERN = /^(?:(\d+):)?([0-5]\d):([0-5]\d)[.,](\d{3})$/;
+const INLINE_TIMESTAMP_PATTERN = /<((?:\d+:)?[0-5]\d:[0-5]\d\.\d{3})>/;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&lrm;': '', '&rlm;': '' };
+
+/**
+ * Seconds from an SRT or WebVTT timestamp, or null if malformed
+ */
+function parseTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const [, hours = '0', minutes, seconds, millis] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+/**
+ * WebVTT timestamp (`HH:MM:SS.mmm`)
+ */
+function formatTimestamp(sec) {
+  const totalMs = Math.round(sec * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const seconds = Math.floor(totalMs / 1000) % 60;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(totalMs % 1000, 3)}`;
+}
+
+// Drop markup (<i>, <c.yellow>, SRT {\an8}) and collapse whitespace
+function cleanText(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeCueText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Split a subtitle file into cues: `{ startSec, endSec, lines }`
+ */
+function parseCues(source, format) {
+  const blocks = source
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n[ \t]*\n/)
+    .map(block => block.trim())
+    .filter(Boolean);
+
+  if (format === 'vtt') {
+    if (!blocks.length || !/^WEBVTT(?:[ \t].*)?$/.test(blocks[0].split('\n')[0])) {
+      throw new ValidationError('WebVTT transcripts must start with "WEBVTT"', 'transcript');
+    }
+    blocks.shift();
+  }
+
+  const cues = [];
+  for (const block of blocks) {
+    const lines = block.split('\n');
+    if (format === 'vtt' && /^(NOTE|STYLE|REGION)(?:\s|$)/.test(lines[0])) {
+      continue;
+    }
+
+    const number = cues.length + 1;
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    // A cue identifier or SRT counter may precede the timing line
+    if (timingIndex === -1 || timingIndex > 1) {
+      throw new ValidationError(`Cue ${number} has no timing line`, 'transcript');
+    }
+
+    const [start, rest = ''] = lines[timingIndex].split('-->');
+    const startSec = parseTimestamp(start);
+    // WebVTT cue settings follow the end time
+    const endSec = parseTimestamp(rest.trim().split(/\s+/)[0]);
+    if (startSec === null || endSec === null) {
+      throw new ValidationError(`Cue ${number} has an invalid timestamp`, 'transcript');
+    }
+
+    cues.push({ startSec, endSec, lines: lines.slice(timingIndex + 1) });
+  }
+  return cues;
+}
+
+/**
+ * Words of a WebVTT cue with inline timestamps. A word ends where the
+ * next one starts, the last one at the end of the cue.
+ */
+function parseCueWords(text, startSec, endSec) {
+  const parts = text.split(INLINE_TIMESTAMP_PATTERN);
+  if (parts.length === 1) {
+    return undefined;
+  }
+
+  const timed = [{ startSec, text: parts[0] }];
+  for (let i = 1; i < parts.length; i += 2) {
+    timed.push({ startSec: parseTimestamp(parts[i]), text: parts[i + 1] });
+  }
+
+  const words = timed
+    .map(word => ({ ...word, text: cleanText(word.text) }))
+    .filter(word => word.text);
+  return words.map((word, index) => ({
+    startSec: word.startSec,
+    endSec: index + 1 < words.length ? words[index + 1].startSec : endSec,
+    text: word.text,
+  }));
+}
+
+function parseSubtitles(source, format) {
+  return parseCues(source, format).map(cue => {
+    const raw = cue.lines.join('\n');
+    return {
+      startSec: cue.startSec,
+      endSec: cue.endSec,
+      text: cleanText(raw),
+      words: format === 'vtt' ? parseCueWords(raw, cue.startSec, cue.endSec) : undefined,
+    };
+  });
+}
+
+function parseJson(source) {
+  let data;
+  try {
+    data = JSON.parse(source);
+  } catch (err) {
+    throw new ValidationError('Transcript is not valid JSON', 'transcript');
+  }
+
+  if (!data || !Array.isArray(data.segments)) {
+    throw new ValidationError('JSON transcripts need a "segments" array', 'transcript');
+  }
+
+  return data.segments.map(segment => {
+    const words = segment && Array.isArray(segment.words)
+      ? segment.words.map(word => ({
+        startSec: word && word.startSec,
+        endSec: word && word.endSec,
+        text: word && typeof word.text === 'string' ? cleanText(word.text) : '',
+      }))
+      : undefined;
+    const text = segment && typeof segment.text === 'string'
+      ? cleanText(segment.text)
+      : (words || []).map(word => word.text).join(' ');
+
+    return {
+      startSec: segment && segment.startSec,
+      endSec: segment && segment.endSec,
+      text,
+      words,
+    };
+  });
+}
+
+const PARSERS = {
+  srt: source => parseSubtitles(source, 'srt'),
+  vtt: source => parseSubtitles(source, 'vtt'),
+  json: parseJson,
+};
+
+const isTime = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const round = sec => Math.round(sec * 1000) / 1000;
+
+/**
+ * Check that segments are ordered, non-empty and end within the audio;
+ * words must sit inside their segment, in order.
+ * @returns {Array} Segments with times rounded to milliseconds
+ */
+function validateSegments(segments, durationSec) {
+  if (!segments.length) {
+    throw new ValidationError('Transcript has no segments', 'transcript');
+  }
+  if (segments.length > MAX_SEGMENTS) {
+    throw new ValidationError(`Transcripts are limited to ${MAX_SEGMENTS} segments`, 'transcript');
+  }
+
+  const maxEndSec = durationSec + DURATION_TOLERANCE_SEC;
+  let previousStartSec = 0;
+
+  return segments.map((segment, index) => {
+    const label = `Segment ${index + 1}`;
+    if (!isTime(segment.startSec) || !isTime(segment.endSec) || segment.endSec <= segment.startSec) {
+      throw new ValidationError(`${label} needs a start before its end`, 'transcript');
+    }
+    if (segment.startSec < previousStartSec) {
+      throw new ValidationError(`${label} starts before the previous segment`, 'transcript');
+    }
+    if (segment.endSec > maxEndSec) {
+      throw new ValidationError(`${label} ends at ${segment.endSec}s, after the ${durationSec}s audio`, 'transcript');
+    }
+    if (!segment.text) {
+      throw new ValidationError(`${label} has no text`, 'transcript');
+    }
+    if (segment.text.length > MAX_SEGMENT_LENGTH) {
+      throw new ValidationError(`${label} is longer than ${MAX_SEGMENT_LENGTH} characters`, 'transcript');
+    }
+    previousStartSec = segment.startSec;
+
+    let previousWordSec = segment.startSec;
+    const words = segment.words && segment.words.map((word, wordIndex) => {
+      const wordLabel = `${label}, word ${wordIndex + 1}`;
+      if (!isTime(word.startSec) || !isTime(word.endSec) || word.endSec < word.startSec) {
+        throw new ValidationError(`${wordLabel} needs a start before its end`, 'transcript');
+      }
+      if (word.startSec < previousWordSec || word.endSec > segment.endSec) {
+        throw new ValidationError(`${wordLabel} is outside its segment or out of order`, 'transcript');
+      }
+      if (!word.text) {
+        throw new ValidationError(`${wordLabel} has no text`, 'transcript');
+      }
+      previousWordSec = word.startSec;
+      return { startSec: round(word.startSec), endSec: round(word.endSec), text: word.text };
+    });
+
+    return {
+      startSec: round(segment.startSec),
+      endSec: round(segment.endSec),
+      text: segment.text,
+      ...(words && words.length && { words }),
+    };
+  });
+}
+
+/**
+ * Parse and validate an uploaded transcript
+ * @param {string} source - File contents
+ * @param {string} format - srt, vtt or json
+ * @param {number} durationSec - Length of the content's audio
+ * @returns {{ text, segments, segmentCount, wordCount, endSec }}
+ */
+function parseTranscript(source, format, durationSec) {
+  const parse = PARSERS[format];
+  if (!parse) {
+    throw new ValidationError(`Unsupported transcript format: ${format}`, 'format');
+  }
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new ValidationError('Transcript is empty', 'transcript');
+  }
+
+  const segments = validateSegments(parse(source), durationSec);
+  const text = segments.map(segment => segment.text).join(' ');
+
+  return {
+    text,
+    segments,
+    segmentCount: segments.length,
+    wordCount: text.split(' ').length,
+    endSec: Math.max(...segments.map(segment => segment.endSec)),
+  };
+}
+
+/**
+ * Transcript format from a file name (`story.srt`), or null
+ */
+function detectTranscriptFormat(filename) {
+  const extension = String(filename || '').toLowerCase().split('.').pop();
+  return Object.prototype.hasOwnProperty.call(PARSERS, extension) ? extension : null;
+}
+
+/**
+ * Render segments as a WebVTT file, with inline timestamps for word timings
+ */
+function toWebVtt(segments) {
+  const cues = segments.map((segment, index) => {
+    const text = segment.words && segment.words.length
+      ? segment.words
+        .map(word => (word.startSec > segment.startSec
+          ? `<${formatTimestamp(word.startSec)}>${escapeCueText(word.text)}`
+          : escapeCueText(word.text)))
+        .join(' ')
+      : escapeCueText(segment.text);
+    return `${index + 1}\n${formatTimestamp(segment.startSec)} --> ${formatTimestamp(segment.endSec)}\n${text}`;
+  });
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+module.exports = {
+  MAX_SEGMENTS,
+  DURATION_TOLERANCE_SEC,
+  parseTimestamp,
+  formatTimestamp,
+  parseTranscript,
+  detectTranscriptFormat,
+  toWebVtt,
+};
@@ -0,0 +1,41 @@
+const { createIntervalJob } = require('../../../src/jobs/intervalJob');
+
+describe('createIntervalJob', () => {
+  test('should skip a tick while the previous one is running', async () => {
+    let finish;
+    const run = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    const job = createIntervalJob({ name: 'Test', intervalMs: 1000, run });
+
+    const first = job.run();
+    await expect(job.run()).resolves.toBeNull();
+    finish({ done: 1 });
+
+    await expect(first).resolves.toEqual({ done: 1 });
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  test('should keep running after a failed tick', async () => {
+    const run = jest.fn()
+      .mockRejectedValueOnce(new Error('Database error'))
+      .mockResolvedValueOnce({ done: 1 });
+    const job = createIntervalJob({ name: 'Test', intervalMs: 1000, run });
+
+    await expect(job.run()).resolves.toBeNull();
+    await expect(job.run()).resolves.toEqual({ done: 1 });
+  });
+
+  test('should tick on the interval until stopped', () => {
+    jest.useFakeTimers();
+    const run = jest.fn().mockResolvedValue({});
+    const job = createIntervalJob({ name: 'Test', intervalMs: 1000, run });
+
+    job.start();
+    job.start();
+    jest.advanceTimersByTime(1000);
+    job.stop();
+    jest.advanceTimersByTime(1000);
+
+    expect(run).toHaveBeenCalledTimes(1);
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,60 @@
+const { authGuard } = require('../../../src/api/v1/middlewares/authGuard');
+const { cache } = require('../../../src/loaders/redisLoader');
+const { User, Household } = require('../../../src/models');
+const { generateAccessToken } = require('../../../src/utils/jwt');
+
+// Mock dependencies
+jest.mock('../../../src/loaders/redisLoader', () => ({
+  cache: {
+    get: jest.fn(),
+    set: jest.fn(),
+  },
+}));
+
+describe('authGuard', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const ownerId = '507f1f77bcf86cd799439012';
+
+  const lean = value => ({ lean: () => Promise.resolve(value) });
+  const selectLean = value => ({ select: () => lean(value) });
+
+  const run = async () => {
+    const req = { headers: { authorization: `Bearer ${generateAccessToken(userId)}` } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+    const next = jest.fn();
+    await authGuard(req, res, next);
+    return { req, next };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.get.mockResolvedValue(null);
+    jest.spyOn(User, 'findById').mockReturnValue(lean({ _id: userId, subscription: { plan: 'free', status: 'inactive' } }));
+    jest.spyOn(Household, 'findOne').mockReturnValue(selectLean({
+      members: [{ userId, role: 'member' }, { userId: ownerId, role: 'owner' }],
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should share an owner\'s paid family plan', async () => {
+    const subscription = { plan: 'family', status: 'active' };
+    jest.spyOn(User, 'find').mockReturnValue(selectLean([{ _id: ownerId, subscription }]));
+
+    const { req, next } = await run();
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.sharedSubscription).toEqual(subscription);
+    expect(User.hasPremiumAccess(req.user)).toBe(true);
+  });
+
+  test('should not share a family plan that content gating does not accept', async () => {
+    jest.spyOn(User, 'find').mockReturnValue(selectLean([{ _id: ownerId, subscription: { plan: 'family', status: 'past_due' } }]));
+
+    const { req } = await run();
+
+    expect(req.user.sharedSubscription).toBeNull();
+  });
+});
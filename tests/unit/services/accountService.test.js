@@ -0,0 +1,160 @@
+const accountService = require('../../../src/services/accountService');
+const userRepository = require('../../../src/repositories/userRepository');
+const kidRepository = require('../../../src/repositories/kidRepository');
+const favoriteRepository = require('../../../src/repositories/favoriteRepository');
+const listeningSessionRepository = require('../../../src/repositories/listeningSessionRepository');
+const routineRepository = require('../../../src/repositories/routineRepository');
+const orderRepository = require('../../../src/repositories/orderRepository');
+const subscriptionRepository = require('../../../src/repositories/subscriptionRepository');
+const paymentEventRepository = require('../../../src/repositories/paymentEventRepository');
+const sessionService = require('../../../src/services/sessionService');
+const householdService = require('../../../src/services/householdService');
+const mailService = require('../../../src/services/mailService');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/userRepository');
+jest.mock('../../../src/repositories/kidRepository');
+jest.mock('../../../src/repositories/favoriteRepository');
+jest.mock('../../../src/repositories/listeningSessionRepository');
+jest.mock('../../../src/repositories/routineRepository');
+jest.mock('../../../src/repositories/bedtimeReminderRepository');
+jest.mock('../../../src/repositories/downloadLicenseRepository');
+jest.mock('../../../src/repositories/emailOutboxRepository');
+jest.mock('../../../src/repositories/orderRepository');
+jest.mock('../../../src/repositories/subscriptionRepository');
+jest.mock('../../../src/repositories/paymentEventRepository');
+jest.mock('../../../src/services/sessionService');
+jest.mock('../../../src/services/householdService');
+jest.mock('../../../src/services/mailService');
+
+describe('AccountService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const kidId = '507f1f77bcf86cd799439012';
+  const now = new Date('2024-06-01T20:00:00Z');
+
+  const mockUser = (overrides = {}) => ({
+    _id: userId,
+    email: 'parent@example.com',
+    name: 'Sam',
+    password: 'hashed-password',
+    passwordResetToken: 'reset-token',
+    roles: ['user'],
+    subscription: { plan: 'free', status: 'none' },
+    deletionScheduledFor: null,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userRepository.findById.mockResolvedValue(mockUser());
+  });
+
+  describe('exportAccount', () => {
+    test('should bundle the user, kids and billing records without secrets', async () => {
+      kidRepository.findCreatedByUserId.mockResolvedValue([{ _id: kidId, name: 'Mia' }]);
+      favoriteRepository.getFavoritesWithDetailsByKidIds.mockResolvedValue([{ kidId, contentId: 'c1' }]);
+      listeningSessionRepository.findByKidIdsOrUserId.mockResolvedValue([{ kidId, secondsListened: 120 }]);
+      routineRepository.findByKidIds.mockResolvedValue([]);
+      orderRepository.findByUserId.mockResolvedValue([{ amount: 9900 }]);
+      subscriptionRepository.findByUserId.mockResolvedValue([{ status: 'cancelled' }]);
+
+      const result = await accountService.exportAccount(userId, now);
+
+      expect(kidRepository.findCreatedByUserId).toHaveBeenCalledWith(userId);
+      expect(favoriteRepository.getFavoritesWithDetailsByKidIds).toHaveBeenCalledWith([kidId]);
+      expect(listeningSessionRepository.findByKidIdsOrUserId).toHaveBeenCalledWith([kidId], userId);
+      expect(result.exportedAt).toBe(now);
+      expect(result.user.email).toBe('parent@example.com');
+      expect(result.user).not.toHaveProperty('password');
+      expect(result.user).not.toHaveProperty('passwordResetToken');
+      expect(result.kids).toHaveLength(1);
+      expect(result.listeningSessions).toHaveLength(1);
+      expect(result.orders).toEqual([{ amount: 9900 }]);
+      expect(result.subscriptions).toEqual([{ status: 'cancelled' }]);
+    });
+  });
+
+  describe('requestDeletion', () => {
+    test('should schedule deletion after the grace period and sign out every device', async () => {
+      const result = await accountService.requestDeletion(userId, now);
+
+      expect(result.deletionScheduledFor).toEqual(new Date('2024-06-15T20:00:00Z'));
+      expect(userRepository.updateById).toHaveBeenCalledWith(userId, {
+        deletionRequestedAt: now,
+        deletionScheduledFor: result.deletionScheduledFor,
+      });
+      expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(userId, 'account_deleted', now);
+      expect(mailService.send).toHaveBeenCalledWith(
+        'account_deletion_scheduled',
+        'parent@example.com',
+        { name: 'Sam', scheduledFor: result.deletionScheduledFor },
+        { userId },
+        now
+      );
+    });
+
+    test('should require cancelling an active subscription first', async () => {
+      userRepository.findById.mockResolvedValue(mockUser({ subscription: { plan: 'premium', status: 'active' } }));
+
+      await expect(
+        accountService.requestDeletion(userId, now)
+      ).rejects.toThrow('Cancel your subscription before deleting your account');
+      expect(userRepository.updateById).not.toHaveBeenCalled();
+    });
+
+    test('should reject a second request', async () => {
+      userRepository.findById.mockResolvedValue(mockUser({ deletionScheduledFor: new Date('2024-06-10T00:00:00Z') }));
+
+      await expect(
+        accountService.requestDeletion(userId, now)
+      ).rejects.toThrow('Account deletion has already been requested');
+    });
+  });
+
+  describe('cancelDeletion', () => {
+    test('should clear the scheduled deletion', async () => {
+      userRepository.findById.mockResolvedValue(mockUser({ deletionScheduledFor: new Date('2024-06-10T00:00:00Z') }));
+
+      await accountService.cancelDeletion(userId);
+
+      expect(userRepository.updateById).toHaveBeenCalledWith(userId, {
+        deletionRequestedAt: null,
+        deletionScheduledFor: null,
+      });
+    });
+  });
+
+  describe('eraseAccount', () => {
+    test('should delete the kids and user and anonymize billing records', async () => {
+      kidRepository.findCreatedByUserId.mockResolvedValue([{ _id: kidId, name: 'Mia' }]);
+
+      const result = await accountService.eraseAccount(userId, now);
+
+      expect(householdService.handOverMembership).toHaveBeenCalledWith(userId);
+      expect(householdService.removeUserInvitations).toHaveBeenCalledWith(userId, 'parent@example.com');
+      expect(listeningSessionRepository.removeAllByKidId).toHaveBeenCalledWith(kidId);
+      expect(favoriteRepository.removeAllByKidId).toHaveBeenCalledWith(kidId);
+      expect(listeningSessionRepository.removeAllByUserId).toHaveBeenCalledWith(userId);
+      expect(kidRepository.deleteByIdAndUserId).toHaveBeenCalledWith(kidId, userId);
+      expect(orderRepository.anonymizeByUserId).toHaveBeenCalledWith(userId, now);
+      expect(subscriptionRepository.anonymizeByUserId).toHaveBeenCalledWith(userId, now);
+      expect(paymentEventRepository.anonymizeByUserId).toHaveBeenCalledWith(userId, now);
+      expect(userRepository.deleteById).toHaveBeenCalledWith(userId);
+      expect(result).toEqual({ kidsDeleted: 1 });
+    });
+  });
+
+  describe('processDueDeletions', () => {
+    test('should keep going when one account fails', async () => {
+      userRepository.findDueForDeletion.mockResolvedValue([{ _id: 'a' }, { _id: 'b' }]);
+      kidRepository.findCreatedByUserId.mockResolvedValue([]);
+      userRepository.deleteById
+        .mockRejectedValueOnce(new Error('Database error'))
+        .mockResolvedValueOnce(true);
+
+      const result = await accountService.processDueDeletions(now);
+
+      expect(result).toEqual({ due: 2, erased: 1, failed: 1 });
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const analyticsService = require('../../../src/services/analyticsService');
+const listeningSessionRepository = require('../../../src/repositories/listeningSessionRepository');
+const dailyEngagementRepository = require('../../../src/repositories/dailyEngagementRepository');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/listeningSessionRepository');
+jest.mock('../../../src/repositories/dailyEngagementRepository');
+
+describe('AnalyticsService', () => {
+  const now = new Date('2024-03-10T15:30:00Z');
+  const day = date => new Date(`${date}T00:00:00Z`);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dailyEngagementRepository.findByDateRange.mockResolvedValue([]);
+    dailyEngagementRepository.upsertMany.mockResolvedValue();
+    listeningSessionRepository.aggregateDailyEngagement.mockResolvedValue([]);
+  });
+
+  describe('getDailyTrends', () => {
+    test('should return one entry per day, oldest first', async () => {
+      const trends = await analyticsService.getDailyTrends(3, now);
+
+      expect(trends.map(entry => entry.date)).toEqual([
+        day('2024-03-08'),
+        day('2024-03-09'),
+        day('2024-03-10'),
+      ]);
+      expect(trends[0]).toMatchObject({ plays: 0, completions: 0, uniqueListeners: 0, listenedSec: 0 });
+    });
+
+    test('should read finished days from rollups and only compute today', async () => {
+      dailyEngagementRepository.findByDateRange.mockResolvedValue([
+        { date: day('2024-03-08'), plays: 10, completions: 5, uniqueListeners: 4, listenedSec: 3000 },
+      ]);
+      listeningSessionRepository.aggregateDailyEngagement.mockResolvedValue([
+        { date: day('2024-03-10'), plays: 6, completions: 3, uniqueListeners: 2, listenedSec: 1200 },
+      ]);
+
+      const trends = await analyticsService.getDailyTrends(3, now);
+
+      expect(dailyEngagementRepository.findByDateRange).toHaveBeenCalledWith(day('2024-03-08'), day('2024-03-10'));
+      expect(listeningSessionRepository.aggregateDailyEngagement).toHaveBeenCalledWith(
+        day('2024-03-10'),
+        day('2024-03-11')
+      );
+      expect(trends.map(entry => entry.plays)).toEqual([10, 0, 6]);
+    });
+
+    test('should not write rollups', async () => {
+      await analyticsService.getDailyTrends(30, now);
+
+      expect(dailyEngagementRepository.upsertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rollUpEngagement', () => {
+    const stored = date => ({ date: day(date), plays: 1, completions: 0, uniqueListeners: 1, listenedSec: 60 });
+
+    test('should rewrite the last week of finished days', async () => {
+      const days = [];
+      for (let date = day('2024-02-09'); date < day('2024-03-03'); date = new Date(date.getTime() + 24 * 60 * 60 * 1000)) {
+        days.push(stored(date.toISOString().split('T')[0]));
+      }
+      dailyEngagementRepository.findByDateRange.mockResolvedValue(days);
+      listeningSessionRepository.aggregateDailyEngagement.mockResolvedValue([
+        { date: day('2024-03-09'), plays: 6, completions: 3, uniqueListeners: 2, listenedSec: 1200 },
+      ]);
+
+      const result = await analyticsService.rollUpEngagement(now);
+
+      expect(dailyEngagementRepository.findByDateRange).toHaveBeenCalledWith(day('2024-02-09'), day('2024-03-03'));
+      expect(listeningSessionRepository.aggregateDailyEngagement).toHaveBeenCalledWith(
+        day('2024-03-03'),
+        day('2024-03-10')
+      );
+      const rollups = dailyEngagementRepository.upsertMany.mock.calls[0][0];
+      expect(rollups.map(entry => entry.date)).toEqual(
+        ['03', '04', '05', '06', '07', '08', '09'].map(date => day(`2024-03-${date}`))
+      );
+      expect(rollups[6].plays).toBe(6);
+      expect(result.days).toBe(7);
+    });
+
+    test('should backfill from the first missing day', async () => {
+      dailyEngagementRepository.findByDateRange.mockResolvedValue([stored('2024-02-09'), stored('2024-02-10')]);
+
+      await analyticsService.rollUpEngagement(now);
+
+      expect(listeningSessionRepository.aggregateDailyEngagement).toHaveBeenCalledWith(
+        day('2024-02-11'),
+        day('2024-03-10')
+      );
+      expect(dailyEngagementRepository.upsertMany.mock.calls[0][0]).toHaveLength(28);
+    });
+  });
+
+  describe('getEngagementStats', () => {
+    test('should derive rates from the trend window', async () => {
+      listeningSessionRepository.count.mockResolvedValue(120);
+      listeningSessionRepository.countListeners.mockResolvedValue(15);
+      listeningSessionRepository.findTopContent.mockResolvedValue([]);
+      dailyEngagementRepository.findByDateRange.mockResolvedValue([
+        { date: day('2024-03-09'), plays: 6, completions: 3, uniqueListeners: 2, listenedSec: 1200 },
+      ]);
+      listeningSessionRepository.aggregateDailyEngagement.mockResolvedValue([
+        { date: day('2024-03-10'), plays: 2, completions: 0, uniqueListeners: 1, listenedSec: 200 },
+      ]);
+
+      const stats = await analyticsService.getEngagementStats(now);
+
+      expect(stats.totalPlays).toBe(120);
+      expect(listeningSessionRepository.countListeners).toHaveBeenCalledTimes(3);
+      expect(listeningSessionRepository.countListeners).toHaveBeenCalledWith(day('2024-02-10'));
+      expect(stats.uniqueListeners).toBe(15);
+      expect(stats.completionRate).toBe(37.5);
+      expect(stats.avgSessionDuration).toBe(175);
+      expect(stats.engagementTrends).toHaveLength(30);
+      expect(stats.engagementTrends[29]).toEqual({
+        date: '2024-03-10',
+        plays: 2,
+        users: 1,
+        duration: 100,
+      });
+    });
+  });
+
+  describe('getContentEngagementStats', () => {
+    test('should return zeros for content never played', async () => {
+      listeningSessionRepository.aggregateContentEngagement.mockResolvedValue(null);
+
+      const stats = await analyticsService.getContentEngagementStats('507f1f77bcf86cd799439013');
+
+      expect(stats).toEqual({
+        totalPlays: 0,
+        uniqueUsers: 0,
+        avgCompletionRate: 0,
+        avgListenedSec: 0,
+        lastPlayedAt: null,
+      });
+    });
+  });
+});
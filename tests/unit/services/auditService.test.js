@@ -0,0 +1,165 @@
+const auditService = require('../../../src/services/auditService');
+const auditLogRepository = require('../../../src/repositories/auditLogRepository');
+const contentRepository = require('../../../src/repositories/contentRepository');
+const userRepository = require('../../../src/repositories/userRepository');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/auditLogRepository');
+jest.mock('../../../src/repositories/contentRepository');
+jest.mock('../../../src/repositories/categoryRepository');
+jest.mock('../../../src/repositories/userRepository');
+
+describe('AuditService', () => {
+  const adminId = '507f1f77bcf86cd799439011';
+  const contentId = '507f1f77bcf86cd799439020';
+
+  const mockRequest = (audit, overrides = {}) => ({
+    method: 'PUT',
+    originalUrl: `/api/v1/admin/content/${contentId}?x=1`,
+    userId: adminId,
+    user: { email: 'admin@example.com' },
+    requestId: 'req-123',
+    ip: '203.0.113.7',
+    body: {},
+    get: () => 'jest',
+    audit: {
+      action: null,
+      targetType: null,
+      targetId: null,
+      before: null,
+      response: null,
+      ...audit,
+    },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auditLogRepository.create.mockImplementation(entry => Promise.resolve(entry));
+  });
+
+  describe('snapshot', () => {
+    test('should use id and redact secrets at any depth', async () => {
+      userRepository.findById.mockResolvedValue({
+        _id: adminId,
+        __v: 0,
+        email: 'parent@example.com',
+        password: 'hash',
+        twoFactor: { enabled: true, secret: 'base32' },
+      });
+
+      const snapshot = await auditService.snapshot('user', adminId);
+
+      expect(snapshot).toEqual({
+        id: adminId,
+        email: 'parent@example.com',
+        password: '[redacted]',
+        twoFactor: { enabled: true, secret: '[redacted]' },
+      });
+    });
+
+    test('should skip targets without snapshots', async () => {
+      await expect(auditService.snapshot('file', 'upload.mp3')).resolves.toBeNull();
+      await expect(auditService.snapshot('content', null)).resolves.toBeNull();
+    });
+  });
+
+  describe('diff', () => {
+    test('should keep only changed fields', () => {
+      const changes = auditService.diff(
+        { id: contentId, title: 'Old', isActive: true, tags: ['a'], updatedAt: '2024-01-01' },
+        { id: contentId, title: 'New', isActive: true, tags: ['a', 'b'], updatedAt: '2024-06-01' }
+      );
+
+      expect(changes).toEqual({
+        before: { title: 'Old', tags: ['a'] },
+        after: { title: 'New', tags: ['a', 'b'] },
+      });
+    });
+
+    test('should keep the whole record for creations and deletions', () => {
+      expect(auditService.diff(null, { id: contentId })).toEqual({ before: null, after: { id: contentId } });
+      expect(auditService.diff({ id: contentId }, null)).toEqual({ before: { id: contentId }, after: null });
+    });
+  });
+
+  describe('recordRequest', () => {
+    test('should record an update with the changed fields and request details', async () => {
+      contentRepository.findById.mockResolvedValue({ _id: contentId, title: 'New', isActive: true });
+      const req = mockRequest({
+        action: 'content.update',
+        targetType: 'content',
+        targetId: contentId,
+        before: { id: contentId, title: 'Old', isActive: true },
+      });
+
+      const entry = await auditService.recordRequest(req, 200);
+
+      expect(entry).toMatchObject({
+        actorId: adminId,
+        actorEmail: 'admin@example.com',
+        action: 'content.update',
+        targetType: 'content',
+        targetId: contentId,
+        changes: { before: { title: 'Old' }, after: { title: 'New' } },
+        metadata: null,
+        method: 'PUT',
+        path: `/api/v1/admin/content/${contentId}`,
+        statusCode: 200,
+        requestId: 'req-123',
+        ip: '203.0.113.7',
+      });
+    });
+
+    test('should take the target of a creation from the response', async () => {
+      contentRepository.findById.mockResolvedValue({ _id: contentId, title: 'New' });
+      const req = mockRequest(
+        { action: 'content.create', targetType: 'content', response: { _id: contentId, title: 'New' } },
+        { method: 'POST', body: { title: 'New' } }
+      );
+
+      const entry = await auditService.recordRequest(req, 201);
+
+      expect(contentRepository.findById).toHaveBeenCalledWith(contentId);
+      expect(entry.targetId).toBe(contentId);
+      expect(entry.changes).toEqual({ before: null, after: { id: contentId, title: 'New' } });
+      expect(entry.metadata).toBeNull();
+    });
+
+    test('should keep the request body when there is no single target', async () => {
+      const req = mockRequest(
+        { action: 'content.bulk_update', targetType: 'content', response: { modifiedCount: 2, matchedCount: 2 } },
+        { method: 'POST', body: { ids: [contentId], updates: { isFeatured: true } } }
+      );
+
+      const entry = await auditService.recordRequest(req, 200);
+
+      expect(contentRepository.findById).not.toHaveBeenCalled();
+      expect(entry.targetId).toBeNull();
+      expect(entry.changes.after).toEqual({ modifiedCount: 2, matchedCount: 2 });
+      expect(entry.metadata).toEqual({ ids: [contentId], updates: { isFeatured: true } });
+    });
+
+    test('should name unnamed routes by method and path', async () => {
+      const req = mockRequest({}, { method: 'POST', originalUrl: '/api/v1/admin/system/reindex' });
+
+      const entry = await auditService.recordRequest(req, 200);
+
+      expect(entry.action).toBe('POST /api/v1/admin/system/reindex');
+      expect(entry.targetType).toBeNull();
+    });
+  });
+
+  describe('getAuditLog', () => {
+    test('should page through entries', async () => {
+      auditLogRepository.find.mockResolvedValue([{ _id: 'entry-1', action: 'user.update', changes: {} }]);
+      auditLogRepository.count.mockResolvedValue(3);
+
+      const result = await auditService.getAuditLog({ action: 'user.update' }, { limit: 1, offset: 1 });
+
+      expect(auditLogRepository.find).toHaveBeenCalledWith({ action: 'user.update' }, 1, 1);
+      expect(result.entries[0]).toMatchObject({ id: 'entry-1', action: 'user.update' });
+      expect(result.pagination).toEqual({ total: 3, limit: 1, offset: 1, hasMore: true });
+    });
+  });
+});
@@ -2,6 +2,9 @@ const authService = require('../../../src/services/authService');
 const userRepository = require('../../../src/repositories/userRepository');
 const { verifyGoogleIdToken } = require('../../../src/utils/googleAuth');
 const { cache } = require('../../../src/loaders/redisLoader');
+const crypto = require('crypto');
+const sessionService = require('../../../src/services/sessionService');
+const mailService = require('../../../src/services/mailService');
 
 // Mock dependencies
 jest.mock('../../../src/repositories/userRepository');
@@ -225,4 +228,75 @@ describe('AuthService', () => {
       ).rejects.toThrow('User not found');
     });
   });
+
+  describe('magic link', () => {
+    const now = new Date('2024-06-01T20:00:00Z');
+    const mockUser = {
+      _id: '507f1f77bcf86cd799439011',
+      email: 'test@example.com',
+      name: 'Test User',
+      provider: 'google',
+      roles: ['user'],
+      isEmailVerified: true,
+    };
+
+    beforeEach(() => {
+      jest.spyOn(mailService, 'send').mockResolvedValue({});
+      jest.spyOn(sessionService, 'startSession').mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should email a hashed single-use token', async () => {
+      userRepository.findByEmail.mockResolvedValue({ ...mockUser, magicLinkExpires: null });
+
+      const result = await authService.requestMagicLink('test@example.com', now);
+
+      const [template, to, data] = mailService.send.mock.calls[0];
+      expect(template).toBe('magic_link');
+      expect(to).toBe('test@example.com');
+      expect(userRepository.updateById).toHaveBeenCalledWith(mockUser._id, {
+        magicLinkTokenHash: crypto.createHash('sha256').update(data.token).digest('hex'),
+        magicLinkExpires: new Date('2024-06-01T20:15:00Z'),
+      });
+      expect(result.message).toBe('If the email exists, a sign-in link has been sent');
+    });
+
+    test('should not reveal unknown emails or resend within the cooldown', async () => {
+      userRepository.findByEmail.mockResolvedValueOnce(null);
+      const unknown = await authService.requestMagicLink('nobody@example.com', now);
+
+      // Requested 30 seconds ago
+      userRepository.findByEmail.mockResolvedValueOnce({ ...mockUser, magicLinkExpires: new Date('2024-06-01T20:14:30Z') });
+      const repeated = await authService.requestMagicLink('test@example.com', now);
+
+      expect(unknown).toEqual(repeated);
+      expect(mailService.send).not.toHaveBeenCalled();
+    });
+
+    test('should sign in with a valid token', async () => {
+      userRepository.consumeMagicLinkToken.mockResolvedValue({ ...mockUser });
+
+      const result = await authService.verifyMagicLink('magic-token', {}, now);
+
+      expect(userRepository.consumeMagicLinkToken).toHaveBeenCalledWith(
+        crypto.createHash('sha256').update('magic-token').digest('hex'),
+        now
+      );
+      expect(sessionService.startSession).toHaveBeenCalledWith(mockUser._id, {}, now);
+      expect(result).toMatchObject({ accessToken: 'access', refreshToken: 'refresh' });
+      expect(result.user.email).toBe('test@example.com');
+    });
+
+    test('should reject used or expired tokens', async () => {
+      userRepository.consumeMagicLinkToken.mockResolvedValue(null);
+
+      await expect(
+        authService.verifyMagicLink('magic-token', {}, now)
+      ).rejects.toThrow('Invalid or expired sign-in link');
+      expect(sessionService.startSession).not.toHaveBeenCalled();
+    });
+  });
 });
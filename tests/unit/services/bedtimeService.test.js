@@ -0,0 +1,104 @@
+const bedtimeService = require('../../../src/services/bedtimeService');
+const kidRepository = require('../../../src/repositories/kidRepository');
+const bedtimeReminderRepository = require('../../../src/repositories/bedtimeReminderRepository');
+const { setNotificationSender, LogNotificationSender } = require('../../../src/utils/notifications');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/kidRepository');
+jest.mock('../../../src/repositories/bedtimeReminderRepository');
+
+describe('BedtimeService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const kidId = '507f1f77bcf86cd799439012';
+  const now = new Date('2024-01-15T18:45:00Z');
+
+  const mockKid = {
+    _id: kidId,
+    userId,
+    name: 'Emma',
+    bedtime: {
+      enabled: true,
+      time: '19:30',
+      timezone: 'Europe/London',
+      windDownMin: 30,
+      sleepTimerMin: 20,
+      days: [0, 1, 2, 3, 4, 5, 6],
+    },
+  };
+
+  let sender;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sender = new LogNotificationSender();
+    setNotificationSender(sender);
+    kidRepository.findByIdAndUserId.mockResolvedValue(mockKid);
+    kidRepository.findById.mockResolvedValue(mockKid);
+    bedtimeReminderRepository.insertMissing.mockResolvedValue();
+  });
+
+  describe('runScheduler', () => {
+    test('should create reminders within the lookahead window', async () => {
+      kidRepository.findWithBedtimeEnabled.mockResolvedValue([mockKid]);
+      bedtimeReminderRepository.findDue.mockResolvedValue([]);
+
+      const result = await bedtimeService.runScheduler(now);
+
+      expect(result).toEqual({ kids: 1, scheduled: 2, delivered: 0 });
+      expect(bedtimeReminderRepository.insertMissing).toHaveBeenCalledWith([
+        { type: 'wind_down', scheduledFor: new Date('2024-01-15T19:00:00Z'), userId, kidId },
+        { type: 'bedtime', scheduledFor: new Date('2024-01-15T19:30:00Z'), userId, kidId },
+      ]);
+    });
+  });
+
+  describe('deliverDueReminders', () => {
+    test('should send due reminders and mark them sent', async () => {
+      bedtimeReminderRepository.findDue.mockResolvedValue([
+        { _id: 'r1', userId, kidId, type: 'wind_down', scheduledFor: new Date('2024-01-15T18:45:00Z') },
+      ]);
+
+      const delivered = await bedtimeService.deliverDueReminders(now);
+
+      expect(delivered).toBe(1);
+      expect(sender.sent).toHaveLength(1);
+      expect(sender.sent[0]).toMatchObject({
+        type: 'bedtime.wind_down',
+        title: 'Time to wind down, Emma',
+        data: { reminderId: 'r1', sleepTimerMin: 20 },
+      });
+      expect(bedtimeReminderRepository.markSent).toHaveBeenCalledWith('r1', now);
+    });
+
+    test('should keep reminders pending when the sender fails', async () => {
+      bedtimeReminderRepository.findDue.mockResolvedValue([
+        { _id: 'r1', userId, kidId, type: 'bedtime', scheduledFor: now },
+      ]);
+      setNotificationSender({ send: () => Promise.reject(new Error('Transport down')) });
+
+      const delivered = await bedtimeService.deliverDueReminders(now);
+
+      expect(delivered).toBe(0);
+      expect(bedtimeReminderRepository.markSent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateSettings', () => {
+    test('should fill defaults for profiles without bedtime settings', async () => {
+      kidRepository.findByIdAndUserId.mockResolvedValue({ ...mockKid, bedtime: undefined });
+      kidRepository.updateByIdAndUserId.mockImplementation((id, user, data) => Promise.resolve({ ...mockKid, ...data }));
+
+      const result = await bedtimeService.updateSettings(userId, kidId, { days: [5, 1, 1] });
+
+      expect(result).toMatchObject({ enabled: false, time: '19:30', timezone: 'UTC', days: [1, 5] });
+      expect(bedtimeReminderRepository.removeUpcomingByKidId).toHaveBeenCalledWith(kidId);
+    });
+
+    test('should reject unknown timezones', async () => {
+      await expect(
+        bedtimeService.updateSettings(userId, kidId, { timezone: 'Mars/Olympus_Mons' })
+      ).rejects.toThrow('Invalid timezone');
+      expect(kidRepository.updateByIdAndUserId).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,293 @@
+const contentService = require('../../../src/services/contentService');
+const contentRepository = require('../../../src/repositories/contentRepository');
+const kidRepository = require('../../../src/repositories/kidRepository');
+const listeningSessionRepository = require('../../../src/repositories/listeningSessionRepository');
+const recommendationService = require('../../../src/services/recommendationService');
+const searchService = require('../../../src/services/searchService');
+const { Highlight } = require('../../../src/models');
+const config = require('../../../src/config');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/contentRepository');
+jest.mock('../../../src/repositories/kidRepository');
+jest.mock('../../../src/repositories/listeningSessionRepository');
+jest.mock('../../../src/services/recommendationService');
+jest.mock('../../../src/services/searchService');
+
+describe('ContentService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const kidId = '507f1f77bcf86cd799439012';
+
+  const mockKid = {
+    _id: kidId,
+    userId,
+    name: 'Emma',
+    ageRange: '6-8',
+    preferences: { tags: ['calming'] },
+  };
+
+  const unfinishedSession = {
+    _id: '507f1f77bcf86cd799439014',
+    positionSec: 150,
+    durationSec: 600,
+    lastHeartbeatAt: new Date('2024-01-01T20:00:00Z'),
+    content: {
+      _id: '507f1f77bcf86cd799439013',
+      title: 'The Sleepy Forest',
+      audioUrl: '/uploads/audio/sleepy-forest.mp3',
+      imageUrl: '/uploads/images/sleepy-forest.jpg',
+    },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kidRepository.findByIdAndUserId.mockResolvedValue(mockKid);
+  });
+
+  describe('getContinueListening', () => {
+    test('should return content with resume offset and progress', async () => {
+      listeningSessionRepository.findUnfinishedByKidId.mockResolvedValue([unfinishedSession]);
+
+      const result = await contentService.getContinueListening(kidId, userId);
+
+      expect(listeningSessionRepository.findUnfinishedByKidId).toHaveBeenCalledWith(kidId, 10);
+      expect(result).toHaveLength(1);
+      expect(result[0].title).toBe('The Sleepy Forest');
+      expect(result[0].sessionId).toBe(unfinishedSession._id);
+      expect(result[0].resumePositionSec).toBe(150);
+      expect(result[0].progress).toBe(0.25);
+      expect(result[0].lastListenedAt).toEqual(unfinishedSession.lastHeartbeatAt);
+      expect(result[0].audioUrl).toMatch(/\/audio\/sleepy-forest\.mp3\?/);
+    });
+
+    test('should throw error when kid does not belong to user', async () => {
+      kidRepository.findByIdAndUserId.mockResolvedValue(null);
+
+      await expect(
+        contentService.getContinueListening(kidId, userId)
+      ).rejects.toThrow('Kid profile not found');
+      expect(listeningSessionRepository.findUnfinishedByKidId).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchContent', () => {
+    test('should return paginated results with facets', async () => {
+      const facets = { type: [{ value: 'story', count: 12 }] };
+      searchService.search.mockResolvedValue({
+        results: [{ _id: 'c1', title: 'Dragons at Dawn', audioUrl: '/uploads/audio/dragons.mp3' }],
+        total: 12,
+        truncated: false,
+        facets,
+      });
+
+      const result = await contentService.searchContent(' dragn ', { type: 'story' }, { limit: '100', offset: '10' });
+
+      expect(searchService.search).toHaveBeenCalledWith('dragn', { type: 'story' }, { limit: 50, offset: 10 });
+      expect(result.content[0].audioUrl).toMatch(/\/audio\/dragons\.mp3\?/);
+      expect(result.pagination).toEqual({ total: 12, limit: 50, offset: 10, hasMore: true, truncated: false });
+      expect(result.facets).toBe(facets);
+    });
+
+    test('should throw error for empty search text', async () => {
+      await expect(contentService.searchContent('   ')).rejects.toThrow('Search text is required');
+      expect(searchService.search).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildContentUrls', () => {
+    const premiumContent = {
+      _id: '507f1f77bcf86cd799439016',
+      title: 'The Dream Train',
+      accessTier: 'premium',
+      audioUrl: '/uploads/audio/dream-train.mp3',
+      videoUrl: '/uploads/video/dream-train.mp4',
+      imageUrl: '/uploads/images/dream-train.jpg',
+    };
+    const freeUser = { _id: userId, subscription: { plan: 'free', status: 'active' } };
+    const premiumUser = { _id: userId, subscription: { plan: 'premium', status: 'active' } };
+
+    test('should lock premium content for anonymous and free users', () => {
+      for (const viewer of [null, freeUser]) {
+        const result = contentService.buildContentUrls(premiumContent, viewer);
+
+        expect(result.isLocked).toBe(true);
+        expect(result).not.toHaveProperty('audioUrl');
+        expect(result).not.toHaveProperty('videoUrl');
+        expect(result.title).toBe('The Dream Train');
+        expect(result.imageUrl).toMatch(/\/images\/dream-train\.jpg\?/);
+      }
+    });
+
+    test('should unlock premium content for active premium and family plans', () => {
+      const familyUser = { _id: userId, subscription: { plan: 'family', status: 'active' } };
+
+      for (const viewer of [premiumUser, familyUser]) {
+        const result = contentService.buildContentUrls(premiumContent, viewer);
+
+        expect(result.isLocked).toBe(false);
+        expect(result.audioUrl).toMatch(/\/audio\/dream-train\.mp3\?/);
+      }
+    });
+
+    test('should lock premium content when the subscription is not active', () => {
+      const lapsedUser = { _id: userId, subscription: { plan: 'premium', status: 'past_due' } };
+
+      const result = contentService.buildContentUrls(premiumContent, lapsedUser);
+
+      expect(result.isLocked).toBe(true);
+      expect(result).not.toHaveProperty('audioUrl');
+    });
+
+    test('should leave free content unlocked for everyone', () => {
+      const result = contentService.buildContentUrls({ ...premiumContent, accessTier: 'free' });
+
+      expect(result.isLocked).toBe(false);
+      expect(result.audioUrl).toMatch(/\/audio\/dream-train\.mp3\?/);
+    });
+
+    test('should sign media URLs for the viewer', () => {
+      const result = contentService.buildContentUrls(premiumContent, premiumUser);
+
+      expect(result.audioUrl).toContain('/api/v1/media/audio/dream-train.mp3?');
+      expect(result.audioUrl).toContain(`uid=${userId}`);
+      expect(result.videoUrl).toContain('/api/v1/media/video/dream-train.mp4?');
+      expect(result.imageUrl).toMatch(/&sig=[\w-]+$/);
+    });
+
+    test('should leave externally hosted media untouched', () => {
+      const external = { ...premiumContent, audioUrl: 'https://media.example.org/dream-train.mp3' };
+
+      const result = contentService.buildContentUrls(external, premiumUser);
+
+      expect(result.audioUrl).toBe('https://media.example.org/dream-train.mp3');
+    });
+
+    test('should sign CDN media on the CDN', () => {
+      const onCdn = { ...premiumContent, audioUrl: '/audio/dream-train.mp3', imageUrl: `${config.cdnBase}/images/dream-train.jpg` };
+
+      const result = contentService.buildContentUrls(onCdn, premiumUser);
+
+      expect(result.audioUrl).toMatch(new RegExp(`^${config.cdnBase}/audio/dream-train\\.mp3\\?expires=\\d+&uid=${userId}&sig=[\\w-]+$`));
+      expect(result.imageUrl).toMatch(new RegExp(`^${config.cdnBase}/images/dream-train\\.jpg\\?expires=`));
+    });
+
+    test('should lock premium items on the home shelves', async () => {
+      jest.spyOn(Highlight, 'findCurrent').mockResolvedValue([]);
+      contentRepository.findFeatured.mockResolvedValue([premiumContent]);
+      contentRepository.findPopular.mockResolvedValue([]);
+
+      const locked = await contentService.getHomeContent(userId, null, freeUser);
+      const unlocked = await contentService.getHomeContent(userId, null, premiumUser);
+
+      expect(locked.featured[0].isLocked).toBe(true);
+      expect(unlocked.featured[0].isLocked).toBe(false);
+
+      jest.restoreAllMocks();
+    });
+  });
+
+  describe('localizeContent', () => {
+    const groupId = '507f1f77bcf86cd799439020';
+    const english = { _id: groupId, slug: 'the-sleepy-fox', language: 'en', translationGroupId: groupId };
+    const hindi = { _id: '507f1f77bcf86cd799439021', slug: 'neend-wali-lomdi', language: 'hi', translationGroupId: groupId };
+    const tamil = { _id: '507f1f77bcf86cd799439022', slug: 'thookam-nari', language: 'ta', translationGroupId: groupId };
+    const untranslated = { _id: '507f1f77bcf86cd799439023', slug: 'moon-song', language: 'en', translationGroupId: null };
+
+    test('should swap stories for their variant in the language', async () => {
+      contentRepository.findTranslations.mockResolvedValue([english, hindi]);
+
+      const result = await contentService.localizeContent([english, untranslated], 'hi');
+
+      expect(contentRepository.findTranslations).toHaveBeenCalledWith([groupId], ['hi', 'en']);
+      expect(result.map(item => item.slug)).toEqual(['neend-wali-lomdi', 'moon-song']);
+    });
+
+    test('should fall back to the English variant', async () => {
+      contentRepository.findTranslations.mockResolvedValue([english]);
+
+      const result = await contentService.localizeContent([tamil], 'hi');
+
+      expect(result[0].slug).toBe('the-sleepy-fox');
+    });
+
+    test('should keep added fields on the variant', async () => {
+      contentRepository.findTranslations.mockResolvedValue([english, hindi]);
+      const recommendation = { score: 4.5, reasons: ['preferred_tags'] };
+
+      const [result] = await contentService.localizeContent([{ ...english, recommendation }], 'hi');
+
+      expect(result.slug).toBe('neend-wali-lomdi');
+      expect(result.recommendation).toBe(recommendation);
+    });
+
+    test('should list a story once when several of its variants resolve to it', async () => {
+      contentRepository.findTranslations.mockResolvedValue([english, hindi]);
+
+      const result = await contentService.localizeContent([tamil, untranslated, english], 'hi');
+
+      expect(result.map(item => item.slug)).toEqual(['neend-wali-lomdi', 'moon-song']);
+    });
+
+    test('should not query when nothing is translated', async () => {
+      const result = await contentService.localizeContent([untranslated], 'hi');
+
+      expect(result).toEqual([untranslated]);
+      expect(contentRepository.findTranslations).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRecommendedContent', () => {
+    test('should fill the shelf after collapsing translated stories', async () => {
+      const groupId = '507f1f77bcf86cd799439020';
+      const english = { _id: groupId, slug: 'the-sleepy-fox', language: 'en', translationGroupId: groupId };
+      const tamil = { _id: '507f1f77bcf86cd799439022', slug: 'thookam-nari', language: 'ta', translationGroupId: groupId };
+      const moonSong = { _id: '507f1f77bcf86cd799439023', slug: 'moon-song', language: 'en', translationGroupId: null };
+      kidRepository.findByIdAndUserId.mockResolvedValue(mockKid);
+      recommendationService.recommendForKid.mockResolvedValue([english, tamil, moonSong]);
+      contentRepository.findTranslations.mockResolvedValue([english]);
+
+      const result = await contentService.getRecommendedContent(kidId, userId, 2, null, 'hi');
+
+      expect(recommendationService.recommendForKid).toHaveBeenCalledWith(mockKid, 6);
+      expect(result.map(item => item.slug)).toEqual(['the-sleepy-fox', 'moon-song']);
+    });
+  });
+
+  describe('getHomeContent', () => {
+    beforeEach(() => {
+      jest.spyOn(Highlight, 'findCurrent').mockResolvedValue([]);
+      contentRepository.findFeatured.mockResolvedValue([]);
+      recommendationService.recommendForKid.mockResolvedValue([]);
+      contentRepository.findPopular.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should include continue listening shelf for a kid', async () => {
+      listeningSessionRepository.findUnfinishedByKidId.mockResolvedValue([unfinishedSession]);
+
+      const result = await contentService.getHomeContent(userId, kidId);
+
+      expect(result.continueListening).toHaveLength(1);
+      expect(result.continueListening[0].resumePositionSec).toBe(150);
+    });
+
+    test('should return an empty shelf without a kid', async () => {
+      const result = await contentService.getHomeContent(userId);
+
+      expect(result.continueListening).toEqual([]);
+      expect(listeningSessionRepository.findUnfinishedByKidId).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to an empty shelf when listening history fails', async () => {
+      listeningSessionRepository.findUnfinishedByKidId.mockRejectedValue(new Error('Database error'));
+
+      const result = await contentService.getHomeContent(userId, kidId);
+
+      expect(result.continueListening).toEqual([]);
+      expect(result.recommended).toEqual([]);
+    });
+  });
+});
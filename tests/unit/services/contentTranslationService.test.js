@@ -0,0 +1,104 @@
+const contentTranslationService = require('../../../src/services/contentTranslationService');
+const contentRepository = require('../../../src/repositories/contentRepository');
+const { invalidateCache } = require('../../../src/api/v1/middlewares/cache');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/contentRepository');
+jest.mock('../../../src/api/v1/middlewares/cache', () => ({
+  invalidateCache: {
+    content: jest.fn(),
+    home: jest.fn(),
+  },
+}));
+
+describe('ContentTranslationService', () => {
+  const englishId = '507f1f77bcf86cd799439011';
+  const hindiId = '507f1f77bcf86cd799439012';
+  const tamilId = '507f1f77bcf86cd799439013';
+
+  const english = { _id: englishId, slug: 'the-sleepy-fox', language: 'en', translationGroupId: null };
+  const hindi = { _id: hindiId, slug: 'neend-wali-lomdi', language: 'hi', translationGroupId: null };
+
+  const mockContent = (...items) => {
+    contentRepository.findById.mockImplementation(id => Promise.resolve(
+      items.find(item => item._id === id) || null
+    ));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('linkTranslation', () => {
+    test('should start a group named after the original story', async () => {
+      mockContent(english, hindi);
+      contentRepository.findTranslationGroup.mockResolvedValue([]);
+
+      await contentTranslationService.linkTranslation(hindiId, englishId);
+
+      expect(contentRepository.setTranslationGroup).toHaveBeenCalledWith([englishId, hindiId], englishId);
+      expect(invalidateCache.content).toHaveBeenCalledWith('the-sleepy-fox');
+      expect(invalidateCache.content).toHaveBeenCalledWith('neend-wali-lomdi');
+    });
+
+    test('should join an existing group', async () => {
+      const grouped = { ...english, translationGroupId: englishId };
+      const tamil = { _id: tamilId, slug: 'thookam-nari', language: 'ta', translationGroupId: null };
+      mockContent(grouped, tamil);
+      contentRepository.findTranslationGroup.mockResolvedValue([grouped, { ...hindi, translationGroupId: englishId }]);
+
+      await contentTranslationService.linkTranslation(tamilId, englishId);
+
+      expect(contentRepository.setTranslationGroup).toHaveBeenCalledWith([englishId, tamilId], englishId);
+    });
+
+    test('should reject a second variant in the same language', async () => {
+      const secondEnglish = { _id: tamilId, slug: 'the-sleepy-fox-retold', language: 'en', translationGroupId: null };
+      mockContent({ ...english, translationGroupId: englishId }, secondEnglish);
+      contentRepository.findTranslationGroup.mockResolvedValue([{ ...english, translationGroupId: englishId }]);
+
+      await expect(
+        contentTranslationService.linkTranslation(tamilId, englishId)
+      ).rejects.toThrow('This story already has a variant in "en"');
+      expect(contentRepository.setTranslationGroup).not.toHaveBeenCalled();
+    });
+
+    test('should reject content from another group', async () => {
+      mockContent(english, { ...hindi, translationGroupId: tamilId });
+
+      await expect(
+        contentTranslationService.linkTranslation(hindiId, englishId)
+      ).rejects.toThrow('Content already belongs to another translation group');
+    });
+
+    test('should reject linking content to itself', async () => {
+      await expect(
+        contentTranslationService.linkTranslation(englishId, englishId)
+      ).rejects.toThrow('Content cannot be a translation of itself');
+    });
+  });
+
+  describe('unlinkTranslation', () => {
+    test('should dissolve a group left with one variant', async () => {
+      mockContent({ ...hindi, translationGroupId: englishId });
+      contentRepository.findTranslationGroup.mockResolvedValue([{ ...english, translationGroupId: englishId }]);
+
+      await contentTranslationService.unlinkTranslation(hindiId);
+
+      expect(contentRepository.setTranslationGroup).toHaveBeenCalledWith([hindiId], null);
+      expect(contentRepository.setTranslationGroup).toHaveBeenCalledWith([englishId], null);
+    });
+
+    test('should keep a group with several variants left', async () => {
+      mockContent({ ...hindi, translationGroupId: englishId });
+      contentRepository.findTranslationGroup.mockResolvedValue([
+        { ...english, translationGroupId: englishId },
+        { _id: tamilId, slug: 'thookam-nari', language: 'ta', translationGroupId: englishId },
+      ]);
+
+      await contentTranslationService.unlinkTranslation(hindiId);
+
+      expect(contentRepository.setTranslationGroup).toHaveBeenCalledTimes(1);
+    });
+  });
+});
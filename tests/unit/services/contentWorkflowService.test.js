@@ -0,0 +1,155 @@
+const contentWorkflowService = require('../../../src/services/contentWorkflowService');
+const contentRepository = require('../../../src/repositories/contentRepository');
+const { invalidateCache } = require('../../../src/api/v1/middlewares/cache');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/contentRepository');
+jest.mock('../../../src/api/v1/middlewares/cache', () => ({
+  invalidateCache: {
+    content: jest.fn(),
+    series: jest.fn(),
+    home: jest.fn(),
+  },
+}));
+
+describe('ContentWorkflowService', () => {
+  const contentId = '507f1f77bcf86cd799439011';
+  const now = new Date('2024-06-01T20:00:00Z');
+  const admin = { _id: '507f1f77bcf86cd799439012', email: 'editor@example.com', roles: ['user', 'admin'] };
+
+  const mockContent = (status) => ({ _id: contentId, slug: 'the-sleepy-fox', status });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('transition', () => {
+    test('should reject transitions the workflow does not allow', async () => {
+      contentRepository.findById.mockResolvedValue(mockContent('draft'));
+
+      await expect(
+        contentWorkflowService.transition(contentId, 'published', {}, admin, now)
+      ).rejects.toThrow('Content cannot move from draft to published');
+      expect(contentRepository.transitionStatus).not.toHaveBeenCalled();
+    });
+
+    test('should treat content without a status as published', async () => {
+      contentRepository.findById.mockResolvedValue(mockContent(undefined));
+      contentRepository.transitionStatus.mockResolvedValue(mockContent('archived'));
+
+      await contentWorkflowService.transition(contentId, 'archived', {}, admin, now);
+
+      expect(contentRepository.transitionStatus).toHaveBeenCalledWith(contentId, 'published', { status: 'archived' }, null);
+      expect(invalidateCache.content).toHaveBeenCalledWith('the-sleepy-fox');
+      expect(invalidateCache.home).toHaveBeenCalled();
+    });
+
+    test('should leave review decisions to reviewers', async () => {
+      const editor = { ...admin, roles: ['user', 'editor'] };
+      contentRepository.findById.mockResolvedValue(mockContent('in_review'));
+
+      await expect(
+        contentWorkflowService.transition(contentId, 'published', {}, editor, now)
+      ).rejects.toThrow('Only reviewers can approve, schedule or send back content');
+
+      contentRepository.findById.mockResolvedValue(mockContent('draft'));
+      contentRepository.transitionStatus.mockResolvedValue(mockContent('in_review'));
+
+      await contentWorkflowService.transition(contentId, 'in_review', {}, editor, now);
+
+      expect(contentRepository.transitionStatus).toHaveBeenCalledWith(contentId, 'draft', { status: 'in_review' }, null);
+    });
+
+    test('should require a comment when sending content back to draft', async () => {
+      contentRepository.findById.mockResolvedValue(mockContent('in_review'));
+
+      await expect(
+        contentWorkflowService.transition(contentId, 'draft', { comment: '  ' }, admin, now)
+      ).rejects.toThrow('Say what needs to change when sending content back to draft');
+    });
+
+    test('should keep the reviewer comment with the transition', async () => {
+      contentRepository.findById.mockResolvedValue(mockContent('in_review'));
+      contentRepository.transitionStatus.mockResolvedValue(mockContent('draft'));
+
+      await contentWorkflowService.transition(contentId, 'draft', { comment: 'Narration is too fast' }, admin, now);
+
+      expect(contentRepository.transitionStatus).toHaveBeenCalledWith(contentId, 'in_review', { status: 'draft' }, {
+        authorId: admin._id,
+        authorEmail: 'editor@example.com',
+        body: 'Narration is too fast',
+        fromStatus: 'in_review',
+        toStatus: 'draft',
+        createdAt: now,
+      });
+      expect(invalidateCache.content).not.toHaveBeenCalled();
+    });
+
+    test('should schedule content for a future publish time', async () => {
+      contentRepository.findById.mockResolvedValue(mockContent('in_review'));
+      contentRepository.transitionStatus.mockResolvedValue(mockContent('scheduled'));
+
+      await expect(
+        contentWorkflowService.transition(contentId, 'scheduled', { publishAt: '2024-06-01T19:00:00Z' }, admin, now)
+      ).rejects.toThrow('Scheduled content needs a publish time in the future');
+
+      await contentWorkflowService.transition(contentId, 'scheduled', { publishAt: '2024-06-02T18:00:00Z' }, admin, now);
+
+      expect(contentRepository.transitionStatus).toHaveBeenCalledWith(contentId, 'in_review', {
+        status: 'scheduled',
+        publishedAt: new Date('2024-06-02T18:00:00Z'),
+      }, null);
+    });
+
+    test('should stamp the publish time when publishing', async () => {
+      contentRepository.findById.mockResolvedValue(mockContent('in_review'));
+      contentRepository.transitionStatus.mockResolvedValue(mockContent('published'));
+
+      await contentWorkflowService.transition(contentId, 'published', {}, admin, now);
+
+      expect(contentRepository.transitionStatus).toHaveBeenCalledWith(contentId, 'in_review', {
+        status: 'published',
+        publishedAt: now,
+      }, null);
+      expect(invalidateCache.content).toHaveBeenCalledWith('the-sleepy-fox');
+    });
+
+    test('should report a conflict when the status changed in the meantime', async () => {
+      contentRepository.findById.mockResolvedValue(mockContent('in_review'));
+      contentRepository.transitionStatus.mockResolvedValue(null);
+
+      await expect(
+        contentWorkflowService.transition(contentId, 'published', {}, admin, now)
+      ).rejects.toThrow('Content status changed in the meantime; reload and try again');
+    });
+
+    test('should report missing content', async () => {
+      contentRepository.findById.mockResolvedValue(null);
+
+      await expect(
+        contentWorkflowService.transition(contentId, 'in_review', {}, admin, now)
+      ).rejects.toThrow('Content not found');
+    });
+  });
+
+  describe('publishDue', () => {
+    test('should publish scheduled content whose time has come', async () => {
+      contentRepository.findDueForPublishing.mockResolvedValue([
+        { _id: 'a', slug: 'first', publishedAt: now },
+        { _id: 'b', slug: 'second', publishedAt: now },
+      ]);
+      contentRepository.transitionStatus
+        .mockResolvedValueOnce({ _id: 'a', slug: 'first', status: 'published' })
+        // Unscheduled by an editor after it was found
+        .mockResolvedValueOnce(null);
+
+      const result = await contentWorkflowService.publishDue(now);
+
+      expect(contentRepository.findDueForPublishing).toHaveBeenCalledWith(now, 100);
+      expect(contentRepository.transitionStatus).toHaveBeenCalledWith('a', 'scheduled', { status: 'published' });
+      expect(invalidateCache.content).toHaveBeenCalledTimes(1);
+      expect(invalidateCache.content).toHaveBeenCalledWith('first');
+      expect(result).toEqual({ due: 2, published: 1 });
+    });
+  });
+});
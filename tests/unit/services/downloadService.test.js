@@ -0,0 +1,163 @@
+const downloadService = require('../../../src/services/downloadService');
+const downloadLicenseRepository = require('../../../src/repositories/downloadLicenseRepository');
+const kidRepository = require('../../../src/repositories/kidRepository');
+const contentRepository = require('../../../src/repositories/contentRepository');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/downloadLicenseRepository');
+jest.mock('../../../src/repositories/kidRepository');
+jest.mock('../../../src/repositories/contentRepository');
+
+describe('DownloadService', () => {
+  const now = new Date('2024-03-10T20:00:00Z');
+  const userId = '507f1f77bcf86cd799439011';
+  const kidId = '507f1f77bcf86cd799439012';
+  const contentId = '507f1f77bcf86cd799439013';
+  const licenseId = '507f1f77bcf86cd799439017';
+  const deviceId = 'iphone-1234';
+
+  const freeUser = { _id: userId, subscription: { plan: 'free', status: 'active' } };
+  const premiumUser = { _id: userId, subscription: { plan: 'premium', status: 'active' } };
+
+  const content = (overrides = {}) => ({
+    _id: contentId,
+    title: 'The Sleepy Forest',
+    audioUrl: '/uploads/audio/sleepy-forest.mp3',
+    isActive: true,
+    accessTier: 'free',
+    ...overrides,
+  });
+
+  const license = (overrides = {}) => ({
+    _id: licenseId,
+    kidId,
+    deviceId,
+    plan: 'premium',
+    expiresAt: new Date('2024-03-20T20:00:00Z'),
+    revokedAt: null,
+    renewCount: 0,
+    contentId: content(),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kidRepository.findByIdAndUserId.mockResolvedValue({ _id: kidId, userId });
+    contentRepository.findById.mockResolvedValue(content());
+    downloadLicenseRepository.findActive.mockResolvedValue(null);
+    downloadLicenseRepository.countActiveByUserId.mockResolvedValue(0);
+    downloadLicenseRepository.create.mockImplementation(data => Promise.resolve({ ...data, _id: licenseId }));
+    downloadLicenseRepository.findByIdAndUserId.mockResolvedValue(license());
+  });
+
+  describe('requestLicense', () => {
+    test('should issue a license that expires after the plan period', async () => {
+      const result = await downloadService.requestLicense(premiumUser, { kidId, contentId, deviceId: ` ${deviceId} ` }, now);
+
+      const created = downloadLicenseRepository.create.mock.calls[0][0];
+      expect(created.deviceId).toBe(deviceId);
+      expect(created.plan).toBe('premium');
+      expect(created.expiresAt).toEqual(new Date('2024-04-09T20:00:00Z'));
+      expect(result.id).toBe(licenseId);
+      expect(result.content.audioUrl).toContain('/api/v1/media/audio/sleepy-forest.mp3?');
+    });
+
+    test('should use free limits when the paid plan is not active', async () => {
+      const lapsedUser = { _id: userId, subscription: { plan: 'premium', status: 'cancelled' } };
+      downloadLicenseRepository.countActiveByUserId.mockResolvedValue(3);
+
+      await expect(
+        downloadService.requestLicense(lapsedUser, { kidId, contentId, deviceId }, now)
+      ).rejects.toThrow('Download limit reached for the free plan (3)');
+      expect(downloadLicenseRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should roll back a license issued past the cap by a parallel request', async () => {
+      downloadLicenseRepository.countActiveByUserId
+        .mockResolvedValueOnce(2)
+        .mockResolvedValueOnce(4);
+
+      await expect(
+        downloadService.requestLicense(freeUser, { kidId, contentId, deviceId }, now)
+      ).rejects.toThrow('Download limit reached for the free plan (3)');
+      expect(downloadLicenseRepository.deleteById).toHaveBeenCalledWith(licenseId);
+    });
+
+    test('should refuse premium content for free users', async () => {
+      contentRepository.findById.mockResolvedValue(content({ accessTier: 'premium' }));
+
+      await expect(
+        downloadService.requestLicense(freeUser, { kidId, contentId, deviceId }, now)
+      ).rejects.toThrow('A premium subscription is required to download this content');
+    });
+
+    test('should renew instead of duplicating a license on the same device', async () => {
+      downloadLicenseRepository.findActive.mockResolvedValue(license());
+      downloadLicenseRepository.countActiveByUserId.mockResolvedValue(25);
+      downloadLicenseRepository.renew.mockResolvedValue(license({ renewCount: 1 }));
+
+      const result = await downloadService.requestLicense(premiumUser, { kidId, contentId, deviceId }, now);
+
+      expect(downloadLicenseRepository.create).not.toHaveBeenCalled();
+      expect(result.renewCount).toBe(1);
+    });
+
+    test('should reject a missing device ID', async () => {
+      await expect(
+        downloadService.requestLicense(premiumUser, { kidId, contentId, deviceId: '  ' }, now)
+      ).rejects.toThrow('A device ID of at most 100 characters is required');
+    });
+  });
+
+  describe('renewLicense', () => {
+    test('should check the cap when renewing an expired license', async () => {
+      downloadLicenseRepository.findByIdAndUserId.mockResolvedValue(license({ expiresAt: new Date('2024-03-01T00:00:00Z') }));
+      downloadLicenseRepository.countActiveByUserId.mockResolvedValue(25);
+
+      await expect(
+        downloadService.renewLicense(premiumUser, licenseId, now)
+      ).rejects.toThrow('Download limit reached for the premium plan (25)');
+      expect(downloadLicenseRepository.renew).not.toHaveBeenCalled();
+    });
+
+    test('should revoke premium downloads after the subscription lapses', async () => {
+      downloadLicenseRepository.findByIdAndUserId.mockResolvedValue(license({ contentId: content({ accessTier: 'premium' }) }));
+
+      await expect(
+        downloadService.renewLicense(freeUser, licenseId, now)
+      ).rejects.toThrow('A premium subscription is required to keep this download');
+      expect(downloadLicenseRepository.revoke).toHaveBeenCalledWith(licenseId, userId, now);
+    });
+
+    test('should throw error for revoked licenses', async () => {
+      downloadLicenseRepository.findByIdAndUserId.mockResolvedValue(license({ revokedAt: now }));
+
+      await expect(
+        downloadService.renewLicense(premiumUser, licenseId, now)
+      ).rejects.toThrow('Download not found');
+    });
+  });
+
+  describe('getLicenses', () => {
+    test('should report plan usage', async () => {
+      downloadLicenseRepository.findActiveByUserId.mockResolvedValue([license()]);
+      downloadLicenseRepository.countActiveByUserId.mockResolvedValue(1);
+
+      const result = await downloadService.getLicenses(premiumUser, { deviceId }, now);
+
+      expect(downloadLicenseRepository.findActiveByUserId).toHaveBeenCalledWith(userId, { deviceId }, now);
+      expect(result.downloads).toHaveLength(1);
+      expect(result.limits).toEqual({ plan: 'premium', maxDownloads: 25, licenseDays: 30, used: 1, remaining: 24 });
+    });
+
+    test('should use the family plan shared by the household', async () => {
+      downloadLicenseRepository.findActiveByUserId.mockResolvedValue([]);
+      downloadLicenseRepository.countActiveByUserId.mockResolvedValue(0);
+      const guardian = { ...freeUser, sharedSubscription: { plan: 'family', status: 'active' } };
+
+      const result = await downloadService.getLicenses(guardian, {}, now);
+
+      expect(result.limits).toEqual({ plan: 'family', maxDownloads: 50, licenseDays: 30, used: 0, remaining: 50 });
+    });
+  });
+});
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const householdService = require('../../../src/services/householdService');
+const householdRepository = require('../../../src/repositories/householdRepository');
+const kidRepository = require('../../../src/repositories/kidRepository');
+const userRepository = require('../../../src/repositories/userRepository');
+const mailService = require('../../../src/services/mailService');
+const { cache } = require('../../../src/loaders/redisLoader');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/householdRepository');
+jest.mock('../../../src/repositories/kidRepository');
+jest.mock('../../../src/repositories/userRepository');
+jest.mock('../../../src/services/mailService');
+jest.mock('../../../src/loaders/redisLoader', () => ({
+  cache: {
+    del: jest.fn(),
+  },
+}));
+
+describe('HouseholdService', () => {
+  const ownerId = '507f1f77bcf86cd799439011';
+  const memberId = '507f1f77bcf86cd799439012';
+  const householdId = '507f1f77bcf86cd799439020';
+  const invitationId = '507f1f77bcf86cd799439030';
+  const now = new Date('2024-06-01T20:00:00Z');
+
+  const token = 'invite-token';
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+  const mockHousehold = (overrides = {}) => ({
+    _id: householdId,
+    name: 'The Smiths',
+    members: [{ userId: ownerId, role: 'owner' }],
+    invitations: [],
+    ...overrides,
+  });
+
+  const populated = (household) => ({
+    ...household,
+    members: household.members.map(member => ({
+      ...member,
+      userId: { _id: member.userId, name: 'Guardian', email: 'guardian@example.com' },
+    })),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    userRepository.findById.mockResolvedValue({ _id: ownerId, name: 'Sam', subscription: { plan: 'free' } });
+  });
+
+  describe('inviteMember', () => {
+    test('should store a hashed token and email the invitation', async () => {
+      const household = mockHousehold();
+      householdRepository.findByMemberId.mockResolvedValue(household);
+      userRepository.findByEmail.mockResolvedValue(null);
+      householdRepository.addInvitation.mockImplementation((id, invitation) =>
+        Promise.resolve(mockHousehold({ invitations: [{ _id: invitationId, ...invitation }] }))
+      );
+
+      const result = await householdService.inviteMember(ownerId, { email: ' Grandma@Example.com ' }, now);
+
+      const stored = householdRepository.addInvitation.mock.calls[0][1];
+      expect(stored.email).toBe('grandma@example.com');
+      expect(stored.expiresAt).toEqual(new Date('2024-06-08T20:00:00Z'));
+
+      const [template, to, data] = mailService.send.mock.calls[0];
+      expect(template).toBe('household_invite');
+      expect(to).toBe('grandma@example.com');
+      expect(stored.tokenHash).toBe(crypto.createHash('sha256').update(data.token).digest('hex'));
+
+      expect(result.id).toBe(invitationId);
+      expect(result).not.toHaveProperty('tokenHash');
+    });
+
+    test('should only allow owners to invite', async () => {
+      householdRepository.findByMemberId.mockResolvedValue(mockHousehold({
+        members: [{ userId: ownerId, role: 'owner' }, { userId: memberId, role: 'member' }],
+      }));
+
+      await expect(
+        householdService.inviteMember(memberId, { email: 'grandma@example.com' }, now)
+      ).rejects.toThrow('Only household owners can do this');
+      expect(householdRepository.addInvitation).not.toHaveBeenCalled();
+    });
+
+    test('should count pending invitations against the member limit', async () => {
+      const invitations = Array.from({ length: 5 }, (_, i) => ({
+        email: `guardian${i}@example.com`,
+        expiresAt: new Date('2024-06-05T00:00:00Z'),
+      }));
+      householdRepository.findByMemberId.mockResolvedValue(mockHousehold({ invitations }));
+      userRepository.findByEmail.mockResolvedValue(null);
+
+      await expect(
+        householdService.inviteMember(ownerId, { email: 'grandma@example.com' }, now)
+      ).rejects.toThrow('Maximum number of household members reached (6)');
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    const invitation = {
+      _id: invitationId,
+      email: 'grandma@example.com',
+      tokenHash,
+      role: 'member',
+      expiresAt: new Date('2024-06-05T00:00:00Z'),
+    };
+
+    beforeEach(() => {
+      householdRepository.findByInvitationTokenHash.mockResolvedValue(mockHousehold({ invitations: [invitation] }));
+      userRepository.findById.mockResolvedValue({ _id: memberId, email: 'grandma@example.com' });
+      kidRepository.countByHouseholdOrUserId.mockResolvedValue(3);
+    });
+
+    test('should add the guardian and share their kids', async () => {
+      householdRepository.findByMemberId.mockResolvedValue(null);
+      householdRepository.acceptInvitation.mockResolvedValue(mockHousehold());
+      householdRepository.findByIdWithMembers.mockResolvedValue(populated(mockHousehold({
+        members: [{ userId: ownerId, role: 'owner' }, { userId: memberId, role: 'member' }],
+      })));
+
+      const result = await householdService.acceptInvitation(memberId, token, now);
+
+      expect(householdRepository.acceptInvitation).toHaveBeenCalledWith(householdId, invitationId, {
+        userId: memberId,
+        role: 'member',
+        joinedAt: now,
+      });
+      expect(kidRepository.assignHousehold).toHaveBeenCalledWith(memberId, householdId);
+      expect(cache.del).toHaveBeenCalledWith(`user:${ownerId}`);
+      expect(cache.del).toHaveBeenCalledWith(`user:${memberId}`);
+      expect(result.role).toBe('member');
+      expect(result.invitations).toEqual([]);
+    });
+
+    test('should reject joining when the merged kids exceed the limit', async () => {
+      householdRepository.findByMemberId.mockResolvedValue(null);
+      kidRepository.countByHouseholdOrUserId.mockResolvedValue(6);
+
+      await expect(
+        householdService.acceptInvitation(memberId, token, now)
+      ).rejects.toThrow('Joining would give the household 6 kid profiles; the maximum is 5');
+      expect(kidRepository.countByHouseholdOrUserId).toHaveBeenCalledWith(householdId, memberId);
+      expect(householdRepository.acceptInvitation).not.toHaveBeenCalled();
+    });
+
+    test('should reject invitations sent to another email', async () => {
+      userRepository.findById.mockResolvedValue({ _id: memberId, email: 'someone@example.com' });
+
+      await expect(
+        householdService.acceptInvitation(memberId, token, now)
+      ).rejects.toThrow('This invitation was sent to a different email address');
+      expect(householdRepository.acceptInvitation).not.toHaveBeenCalled();
+    });
+
+    test('should reject expired invitations', async () => {
+      await expect(
+        householdService.acceptInvitation(memberId, token, new Date('2024-06-06T00:00:00Z'))
+      ).rejects.toThrow('Invitation has expired');
+    });
+
+    test('should reject guardians already in a household', async () => {
+      householdRepository.findByMemberId.mockResolvedValue(mockHousehold({ _id: 'other' }));
+
+      await expect(
+        householdService.acceptInvitation(memberId, token, now)
+      ).rejects.toThrow('You already belong to a household');
+    });
+  });
+
+  describe('leaveHousehold', () => {
+    test('should release the kids the member created', async () => {
+      const household = mockHousehold({
+        members: [{ userId: ownerId, role: 'owner' }, { userId: memberId, role: 'member' }],
+      });
+      householdRepository.findByMemberId.mockResolvedValue(household);
+
+      await householdService.leaveHousehold(memberId);
+
+      expect(householdRepository.removeMember).toHaveBeenCalledWith(householdId, memberId);
+      expect(kidRepository.releaseFromHousehold).toHaveBeenCalledWith(householdId, memberId);
+      expect(cache.del).toHaveBeenCalledWith(`user:${ownerId}`);
+      expect(cache.del).toHaveBeenCalledWith(`user:${memberId}`);
+    });
+
+    test('should not let the last owner leave other members behind', async () => {
+      householdRepository.findByMemberId.mockResolvedValue(mockHousehold({
+        members: [{ userId: ownerId, role: 'owner' }, { userId: memberId, role: 'member' }],
+      }));
+
+      await expect(
+        householdService.leaveHousehold(ownerId)
+      ).rejects.toThrow('a household needs at least one owner');
+      expect(householdRepository.removeMember).not.toHaveBeenCalled();
+    });
+
+    test('should delete the household when the last member leaves', async () => {
+      householdRepository.findByMemberId.mockResolvedValue(mockHousehold());
+
+      await householdService.leaveHousehold(ownerId);
+
+      expect(kidRepository.releaseFromHousehold).toHaveBeenCalledWith(householdId);
+      expect(householdRepository.deleteById).toHaveBeenCalledWith(householdId);
+    });
+  });
+
+  describe('handOverMembership', () => {
+    test('should promote a member and hand them the kids when the only owner is erased', async () => {
+      householdRepository.findByMemberId.mockResolvedValue(mockHousehold({
+        members: [{ userId: ownerId, role: 'owner' }, { userId: memberId, role: 'member' }],
+      }));
+
+      const successorId = await householdService.handOverMembership(ownerId);
+
+      expect(successorId).toBe(memberId);
+      expect(householdRepository.updateMemberRole).toHaveBeenCalledWith(householdId, memberId, 'owner');
+      expect(householdRepository.removeMember).toHaveBeenCalledWith(householdId, ownerId);
+      expect(kidRepository.transferOwnership).toHaveBeenCalledWith(householdId, ownerId, memberId);
+    });
+
+    test('should delete the household of its last member', async () => {
+      householdRepository.findByMemberId.mockResolvedValue(mockHousehold());
+
+      const successorId = await householdService.handOverMembership(ownerId);
+
+      expect(successorId).toBeNull();
+      expect(householdRepository.deleteById).toHaveBeenCalledWith(householdId);
+    });
+  });
+
+  describe('formatHousehold', () => {
+    test('should include the family plan shared by an owner', async () => {
+      householdRepository.findByIdWithMembers.mockResolvedValue(populated(mockHousehold()));
+      userRepository.findById.mockResolvedValue({
+        _id: ownerId,
+        subscription: { plan: 'family', status: 'active' },
+      });
+
+      const result = await householdService.formatHousehold(householdId, ownerId, now);
+
+      expect(result.subscription).toEqual({ plan: 'family', status: 'active', sharedBy: ownerId });
+    });
+  });
+});
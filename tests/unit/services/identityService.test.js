@@ -0,0 +1,154 @@
+const identityService = require('../../../src/services/identityService');
+const userRepository = require('../../../src/repositories/userRepository');
+const sessionService = require('../../../src/services/sessionService');
+const { setIdentityProvider } = require('../../../src/utils/oidc');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/userRepository');
+jest.mock('../../../src/services/sessionService');
+
+describe('IdentityService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const now = new Date('2024-06-01T20:00:00Z');
+
+  const claims = {
+    subject: 'apple-123',
+    email: 'parent@example.com',
+    emailVerified: true,
+    name: 'Sam',
+  };
+
+  const provider = { verifyIdToken: jest.fn() };
+  setIdentityProvider('apple', provider);
+
+  const mockUser = (overrides = {}) => ({
+    _id: userId,
+    email: 'parent@example.com',
+    name: 'Sam',
+    provider: 'local',
+    password: 'hashed',
+    isEmailVerified: true,
+    identities: [],
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider.verifyIdToken.mockResolvedValue(claims);
+  });
+
+  describe('verify', () => {
+    test('should reject unknown providers', async () => {
+      await expect(identityService.verify('myspace', 'token', now)).rejects.toThrow('Unknown sign-in provider: myspace');
+    });
+
+    test('should return the provider claims', async () => {
+      await expect(identityService.verify('apple', 'token', now)).resolves.toEqual(claims);
+      expect(provider.verifyIdToken).toHaveBeenCalledWith('token', now);
+    });
+  });
+
+  describe('findOrCreateUser', () => {
+    test('should return the account already linked to the identity', async () => {
+      const user = mockUser();
+      userRepository.findByIdentity.mockResolvedValue(user);
+
+      await expect(identityService.findOrCreateUser('apple', claims, now)).resolves.toBe(user);
+      expect(userRepository.findByIdentity).toHaveBeenCalledWith('apple', 'apple-123');
+      expect(userRepository.addIdentity).not.toHaveBeenCalled();
+    });
+
+    test('should link a second provider to the account with the same email', async () => {
+      const user = mockUser();
+      userRepository.findByIdentity.mockResolvedValue(null);
+      userRepository.findByEmail.mockResolvedValue(user);
+      userRepository.addIdentity.mockResolvedValue(user);
+
+      await identityService.findOrCreateUser('apple', claims, now);
+
+      expect(userRepository.addIdentity).toHaveBeenCalledWith(userId, {
+        provider: 'apple',
+        subject: 'apple-123',
+        email: 'parent@example.com',
+        linkedAt: now,
+      });
+      // A verified account keeps its password and sessions
+      expect(userRepository.updateById).not.toHaveBeenCalled();
+      expect(sessionService.revokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    test('should clear the password of an unverified account with the same email', async () => {
+      const user = mockUser({ isEmailVerified: false });
+      userRepository.findByIdentity.mockResolvedValue(null);
+      userRepository.findByEmail.mockResolvedValue(user);
+      userRepository.addIdentity.mockResolvedValue({ ...user });
+
+      const linked = await identityService.findOrCreateUser('apple', claims, now);
+
+      expect(userRepository.updateById).toHaveBeenCalledWith(userId, expect.objectContaining({
+        provider: 'apple',
+        isEmailVerified: true,
+        password: null,
+      }));
+      expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(userId, 'identity_linked', now);
+      expect(linked.isEmailVerified).toBe(true);
+    });
+
+    test('should not link identities without a verified email', async () => {
+      userRepository.findByIdentity.mockResolvedValue(null);
+
+      await expect(
+        identityService.findOrCreateUser('apple', { ...claims, emailVerified: false }, now)
+      ).rejects.toThrow('did not confirm an email address');
+      expect(userRepository.findByEmail).not.toHaveBeenCalled();
+    });
+
+    test('should create an account for a new identity', async () => {
+      userRepository.findByIdentity.mockResolvedValue(null);
+      userRepository.findByEmail.mockResolvedValue(null);
+      userRepository.create.mockResolvedValue(mockUser({ provider: 'apple', password: null }));
+
+      await identityService.findOrCreateUser('apple', claims, now);
+
+      expect(userRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        email: 'parent@example.com',
+        provider: 'apple',
+        identities: [{ provider: 'apple', subject: 'apple-123', email: 'parent@example.com', linkedAt: now }],
+        isEmailVerified: true,
+      }));
+    });
+  });
+
+  describe('linkIdentity', () => {
+    test('should refuse an identity linked to another user', async () => {
+      userRepository.findByIdentity.mockResolvedValue(mockUser({ _id: '507f1f77bcf86cd799439012' }));
+
+      await expect(
+        identityService.linkIdentity(userId, 'apple', 'token', now)
+      ).rejects.toThrow('This apple account is already linked to another user');
+      expect(userRepository.addIdentity).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('unlinkIdentity', () => {
+    test('should keep the last way to sign in', async () => {
+      userRepository.findById.mockResolvedValue(mockUser({
+        password: null,
+        identities: [{ provider: 'apple', subject: 'apple-123' }],
+      }));
+
+      await expect(
+        identityService.unlinkIdentity(userId, 'apple')
+      ).rejects.toThrow('Link another sign-in method before unlinking this one');
+      expect(userRepository.removeIdentity).not.toHaveBeenCalled();
+    });
+
+    test('should unlink a provider from an account with a password', async () => {
+      userRepository.findById.mockResolvedValue(mockUser({ googleId: 'google-123' }));
+
+      await identityService.unlinkIdentity(userId, 'google');
+
+      expect(userRepository.removeIdentity).toHaveBeenCalledWith(userId, 'google');
+    });
+  });
+});
@@ -0,0 +1,201 @@
+const listeningService = require('../../../src/services/listeningService');
+const listeningSessionRepository = require('../../../src/repositories/listeningSessionRepository');
+const kidRepository = require('../../../src/repositories/kidRepository');
+const contentRepository = require('../../../src/repositories/contentRepository');
+const seriesRepository = require('../../../src/repositories/seriesRepository');
+const { invalidateCache } = require('../../../src/api/v1/middlewares/cache');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/listeningSessionRepository');
+jest.mock('../../../src/repositories/kidRepository');
+jest.mock('../../../src/repositories/contentRepository');
+jest.mock('../../../src/repositories/seriesRepository');
+jest.mock('../../../src/api/v1/middlewares/cache', () => ({
+  invalidateCache: {
+    user: jest.fn(),
+    series: jest.fn(),
+  },
+}));
+
+describe('ListeningService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const kidId = '507f1f77bcf86cd799439012';
+  const contentId = '507f1f77bcf86cd799439013';
+  const sessionId = '507f1f77bcf86cd799439014';
+
+  const mockKid = { _id: kidId, userId, name: 'Emma', ageRange: '6-8' };
+  const mockContent = { _id: contentId, title: 'The Sleepy Forest', durationSec: 600, isActive: true };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kidRepository.findByIdAndUserId.mockResolvedValue(mockKid);
+  });
+
+  describe('startSession', () => {
+    test('should resume from the last unfinished position', async () => {
+      contentRepository.findById.mockResolvedValue(mockContent);
+      listeningSessionRepository.findLatestForKidContent.mockResolvedValue({
+        status: 'active',
+        positionSec: 240,
+      });
+      listeningSessionRepository.create.mockImplementation(data => Promise.resolve({
+        ...data,
+        _id: sessionId,
+        toJSON() { return { ...data, id: sessionId }; },
+      }));
+
+      const result = await listeningService.startSession(userId, kidId, contentId);
+
+      expect(result.resumePositionSec).toBe(240);
+      expect(result.session.positionSec).toBe(240);
+      expect(result.session.durationSec).toBe(600);
+      // Plays are counted by POST /content/:slug/play
+      expect(contentRepository.incrementPopularity).not.toHaveBeenCalled();
+    });
+
+    test('should start from the beginning after a completed session', async () => {
+      contentRepository.findById.mockResolvedValue(mockContent);
+      listeningSessionRepository.findLatestForKidContent.mockResolvedValue({
+        status: 'completed',
+        positionSec: 600,
+      });
+      listeningSessionRepository.create.mockImplementation(data => Promise.resolve({
+        ...data,
+        toJSON() { return data; },
+      }));
+
+      const result = await listeningService.startSession(userId, kidId, contentId);
+
+      expect(result.resumePositionSec).toBe(0);
+      expect(result.session.positionSec).toBe(0);
+    });
+
+    test('should include the next episode of a series', async () => {
+      const nextEpisode = { _id: '507f1f77bcf86cd799439015', slug: 'the-sleepy-forest-part-2', title: 'Part 2' };
+      contentRepository.findById.mockResolvedValue(mockContent);
+      listeningSessionRepository.findLatestForKidContent.mockResolvedValue(null);
+      listeningSessionRepository.create.mockImplementation(data => Promise.resolve({
+        ...data,
+        toJSON() { return data; },
+      }));
+      seriesRepository.findByContentId.mockResolvedValue({
+        _id: '507f1f77bcf86cd799439016',
+        slug: 'the-sleepy-forest',
+        title: 'The Sleepy Forest',
+        episodes: [{ contentId: mockContent }, { contentId: nextEpisode }],
+      });
+
+      const result = await listeningService.startSession(userId, kidId, contentId);
+
+      expect(result.nextEpisode.episodeNumber).toBe(2);
+      expect(result.nextEpisode.content.slug).toBe('the-sleepy-forest-part-2');
+      expect(result.nextEpisode.series.slug).toBe('the-sleepy-forest');
+    });
+
+    test('should throw error when kid does not belong to user', async () => {
+      kidRepository.findByIdAndUserId.mockResolvedValue(null);
+
+      await expect(
+        listeningService.startSession(userId, kidId, contentId)
+      ).rejects.toThrow('Kid profile not found');
+      expect(listeningSessionRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should throw error for inactive content', async () => {
+      contentRepository.findById.mockResolvedValue({ ...mockContent, isActive: false });
+
+      await expect(
+        listeningService.startSession(userId, kidId, contentId)
+      ).rejects.toThrow('Content not found');
+    });
+  });
+
+  describe('recordProgress', () => {
+    test('should mark session completed near the end of the content', async () => {
+      listeningSessionRepository.findByIdAndKidId.mockResolvedValue({
+        _id: sessionId,
+        status: 'active',
+        positionSec: 560,
+        durationSec: 600,
+        listenedSec: 560,
+        lastHeartbeatAt: new Date(Date.now() - 30 * 1000),
+      });
+      listeningSessionRepository.updateById.mockImplementation((id, data) => Promise.resolve(data));
+
+      const result = await listeningService.recordProgress(userId, kidId, sessionId, 590);
+
+      expect(result.status).toBe('completed');
+      expect(result.completedAt).toBeInstanceOf(Date);
+      expect(result.listenedSec).toBe(590);
+      expect(invalidateCache.user).toHaveBeenCalledWith(userId);
+    });
+
+    test('should not clear the home cache on regular heartbeats', async () => {
+      listeningSessionRepository.findByIdAndKidId.mockResolvedValue({
+        _id: sessionId,
+        status: 'active',
+        positionSec: 100,
+        durationSec: 600,
+        listenedSec: 100,
+        lastHeartbeatAt: new Date(Date.now() - 30 * 1000),
+      });
+      listeningSessionRepository.updateById.mockImplementation((id, data) => Promise.resolve(data));
+
+      const result = await listeningService.recordProgress(userId, kidId, sessionId, 130);
+
+      expect(result.positionSec).toBe(130);
+      expect(invalidateCache.user).not.toHaveBeenCalled();
+    });
+
+    test('should reject progress on a completed session', async () => {
+      listeningSessionRepository.findByIdAndKidId.mockResolvedValue({
+        _id: sessionId,
+        status: 'completed',
+      });
+
+      await expect(
+        listeningService.recordProgress(userId, kidId, sessionId, 100)
+      ).rejects.toThrow('Listening session already completed');
+    });
+  });
+
+  describe('computeProgress', () => {
+    const now = new Date('2024-01-01T20:00:00Z');
+    const session = {
+      positionSec: 100,
+      durationSec: 600,
+      listenedSec: 100,
+      lastHeartbeatAt: new Date('2024-01-01T19:59:30Z'),
+    };
+
+    test('should count regular playback as listened time', () => {
+      const result = listeningService.computeProgress(session, 130, now);
+
+      expect(result.positionSec).toBe(130);
+      expect(result.listenedSec).toBe(130);
+    });
+
+    test('should not count seeking forward as listened time', () => {
+      const result = listeningService.computeProgress(session, 500, now);
+
+      expect(result.positionSec).toBe(500);
+      expect(result.listenedSec).toBe(145); // 30s elapsed + 15s grace
+    });
+
+    test('should clamp position to content duration', () => {
+      const result = listeningService.computeProgress(session, 9999, now);
+
+      expect(result.positionSec).toBe(600);
+    });
+  });
+
+  describe('getResumePosition', () => {
+    test('should return 0 without a previous session', () => {
+      expect(listeningService.getResumePosition(null)).toBe(0);
+    });
+
+    test('should ignore positions too close to the start', () => {
+      expect(listeningService.getResumePosition({ status: 'active', positionSec: 3 })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const loginLockoutService = require('../../../src/services/loginLockoutService');
+const userRepository = require('../../../src/repositories/userRepository');
+const mailService = require('../../../src/services/mailService');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/userRepository');
+jest.mock('../../../src/services/mailService');
+
+describe('LoginLockoutService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const now = new Date('2024-06-01T20:00:00Z');
+
+  const mockUser = (loginLockout = {}) => ({
+    _id: userId,
+    email: 'parent@example.com',
+    name: 'Sam',
+    loginLockout: {
+      failedAttempts: 0,
+      lastFailedAt: null,
+      lockedUntil: null,
+      lockedAt: null,
+      ...loginLockout,
+    },
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('assertCanAttempt', () => {
+    test('should allow attempts when not locked', () => {
+      expect(() => loginLockoutService.assertCanAttempt(mockUser(), now)).not.toThrow();
+      expect(() => loginLockoutService.assertCanAttempt(
+        mockUser({ lockedUntil: new Date('2024-06-01T19:59:00Z') }), now
+      )).not.toThrow();
+    });
+
+    test('should report the backoff delay', () => {
+      const user = mockUser({ failedAttempts: 4, lockedUntil: new Date('2024-06-01T20:00:10Z') });
+
+      expect(() => loginLockoutService.assertCanAttempt(user, now))
+        .toThrow('Too many failed sign-in attempts. Try again in 10 seconds');
+    });
+
+    test('should point locked accounts at the unlock email', () => {
+      const user = mockUser({ lockedAt: now, lockedUntil: new Date('2024-06-01T20:30:00Z') });
+
+      try {
+        loginLockoutService.assertCanAttempt(user, now);
+        throw new Error('Expected a lockout');
+      } catch (error) {
+        expect(error.statusCode).toBe(429);
+        expect(error.retryAfterSec).toBe(1800);
+        expect(error.message).toContain('Use the link we emailed you or try again in 30 minutes');
+      }
+    });
+  });
+
+  describe('recordFailure', () => {
+    test('should not delay the first attempts', async () => {
+      userRepository.recordLoginFailure.mockResolvedValue(mockUser({ failedAttempts: 2 }));
+
+      await loginLockoutService.recordFailure(mockUser(), now);
+
+      expect(userRepository.recordLoginFailure).toHaveBeenCalledWith(userId, now);
+      expect(userRepository.updateById).not.toHaveBeenCalled();
+    });
+
+    test('should forget failures after a quiet window', async () => {
+      userRepository.recordLoginFailure.mockResolvedValue(mockUser({ failedAttempts: 1 }));
+
+      await loginLockoutService.recordFailure(
+        mockUser({ failedAttempts: 9, lastFailedAt: new Date('2024-06-01T19:30:00Z') }), now
+      );
+
+      expect(userRepository.expireLoginLockout).toHaveBeenCalledWith(
+        userId, new Date('2024-06-01T19:30:00Z'), now
+      );
+      expect(userRepository.updateById).not.toHaveBeenCalled();
+    });
+
+    test('should keep recent failures', async () => {
+      userRepository.recordLoginFailure.mockResolvedValue(mockUser({ failedAttempts: 3 }));
+
+      await loginLockoutService.recordFailure(
+        mockUser({ failedAttempts: 2, lastFailedAt: new Date('2024-06-01T19:45:00Z') }), now
+      );
+
+      expect(userRepository.expireLoginLockout).not.toHaveBeenCalled();
+    });
+
+    test('should clear an ended lock before counting', async () => {
+      userRepository.recordLoginFailure.mockResolvedValue(mockUser({ failedAttempts: 1 }));
+
+      await loginLockoutService.recordFailure(mockUser({
+        lockedAt: new Date('2024-06-01T19:00:00Z'),
+        lockedUntil: new Date('2024-06-01T19:30:00Z'),
+        lastFailedAt: new Date('2024-06-01T19:00:00Z'),
+      }), now);
+
+      expect(userRepository.expireLoginLockout).toHaveBeenCalled();
+      expect(userRepository.recordLoginFailure).toHaveBeenCalledWith(userId, now);
+    });
+
+    test('should double the delay for each further failure', async () => {
+      userRepository.recordLoginFailure.mockResolvedValue(mockUser({ failedAttempts: 5 }));
+
+      await loginLockoutService.recordFailure(mockUser(), now);
+
+      expect(userRepository.updateById).toHaveBeenCalledWith(userId, {
+        'loginLockout.lockedUntil': new Date('2024-06-01T20:00:20Z'),
+      });
+    });
+
+    test('should lock the account and email an unlock link', async () => {
+      userRepository.recordLoginFailure.mockResolvedValue(mockUser({ failedAttempts: 10 }));
+
+      await loginLockoutService.recordFailure(mockUser(), now);
+
+      const update = userRepository.updateById.mock.calls[0][1];
+      expect(update['loginLockout.lockedUntil']).toEqual(new Date('2024-06-01T20:30:00Z'));
+      expect(update['loginLockout.lockedAt']).toBe(now);
+      expect(update['loginLockout.failedAttempts']).toBe(0);
+
+      const [template, to, data] = mailService.send.mock.calls[0];
+      expect(template).toBe('account_locked');
+      expect(to).toBe('parent@example.com');
+      expect(update['loginLockout.unlockTokenHash'])
+        .toBe(crypto.createHash('sha256').update(data.token).digest('hex'));
+    });
+  });
+
+  describe('recordSuccess', () => {
+    test('should only write when there is something to clear', async () => {
+      await loginLockoutService.recordSuccess(mockUser());
+      expect(userRepository.clearLoginLockout).not.toHaveBeenCalled();
+
+      await loginLockoutService.recordSuccess(mockUser({ failedAttempts: 2 }));
+      expect(userRepository.clearLoginLockout).toHaveBeenCalledWith(userId);
+    });
+  });
+
+  describe('unlock', () => {
+    test('should clear the lockout for a valid token', async () => {
+      userRepository.findByUnlockTokenHash.mockResolvedValue(mockUser({ lockedAt: now }));
+
+      await loginLockoutService.unlock('unlock-token', now);
+
+      expect(userRepository.findByUnlockTokenHash).toHaveBeenCalledWith(
+        crypto.createHash('sha256').update('unlock-token').digest('hex'),
+        now
+      );
+      expect(userRepository.clearLoginLockout).toHaveBeenCalledWith(userId);
+    });
+
+    test('should reject unknown or expired tokens', async () => {
+      userRepository.findByUnlockTokenHash.mockResolvedValue(null);
+
+      await expect(
+        loginLockoutService.unlock('unlock-token', now)
+      ).rejects.toThrow('Invalid or expired unlock link');
+    });
+  });
+
+  describe('getLockouts', () => {
+    test('should list locked accounts with the time left', async () => {
+      userRepository.findLockedOut.mockResolvedValue([
+        mockUser({ failedAttempts: 0, lockedAt: now, lockedUntil: new Date('2024-06-01T20:30:00Z') }),
+      ]);
+      userRepository.countLockedOut.mockResolvedValue(1);
+
+      const result = await loginLockoutService.getLockouts({ limit: 20, offset: 0 }, now);
+
+      expect(result.lockouts[0]).toMatchObject({ email: 'parent@example.com', isLocked: true, retryAfterSec: 1800 });
+      expect(result.pagination).toEqual({ total: 1, limit: 20, offset: 0, hasMore: false });
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const mailService = require('../../../src/services/mailService');
+const emailOutboxRepository = require('../../../src/repositories/emailOutboxRepository');
+const { setMailTransport, renderTemplate } = require('../../../src/utils/mail');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/emailOutboxRepository');
+
+describe('MailService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const messageId = '507f1f77bcf86cd799439020';
+  const now = new Date('2024-06-01T20:00:00Z');
+  let transport;
+
+  const queued = (attempts = 1) => ({
+    _id: messageId,
+    to: 'parent@example.com',
+    template: 'reset_password',
+    subject: 'Reset your password',
+    text: 'text',
+    html: '<p>html</p>',
+    attempts,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transport = { send: jest.fn().mockResolvedValue({ messageId: 'smtp-1' }) };
+    setMailTransport(transport);
+    emailOutboxRepository.create.mockImplementation(data => Promise.resolve({ ...data, _id: messageId }));
+    emailOutboxRepository.claim.mockResolvedValue(queued());
+  });
+
+  afterAll(() => {
+    setMailTransport(null);
+  });
+
+  describe('send', () => {
+    test('should queue the rendered message and deliver it', async () => {
+      await mailService.send('reset_password', 'parent@example.com', {
+        name: 'Sam',
+        token: 'abc123',
+        expiresInMin: 10,
+      }, { userId }, now);
+
+      const created = emailOutboxRepository.create.mock.calls[0][0];
+      expect(created.template).toBe('reset_password');
+      expect(created.text).toContain('/reset-password?token=abc123');
+      expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ to: 'parent@example.com' }));
+      expect(emailOutboxRepository.markSent).toHaveBeenCalledWith(messageId, 'smtp-1', now);
+    });
+
+    test('should not throw when delivery fails', async () => {
+      transport.send.mockRejectedValue(new Error('Connection refused'));
+
+      await mailService.send('welcome', 'parent@example.com', { name: 'Sam' }, { userId }, now);
+
+      expect(emailOutboxRepository.markFailed).toHaveBeenCalledWith(
+        messageId,
+        'Connection refused',
+        new Date(now.getTime() + 60 * 1000)
+      );
+    });
+  });
+
+  describe('deliver', () => {
+    test('should skip messages claimed by another worker', async () => {
+      emailOutboxRepository.claim.mockResolvedValue(null);
+
+      const sent = await mailService.deliver(messageId, now);
+
+      expect(sent).toBe(false);
+      expect(transport.send).not.toHaveBeenCalled();
+    });
+
+    test('should give up after the last attempt', async () => {
+      emailOutboxRepository.claim.mockResolvedValue(queued(5));
+      transport.send.mockRejectedValue(new Error('Mailbox unavailable'));
+
+      await mailService.deliver(messageId, now);
+
+      expect(emailOutboxRepository.markFailed).toHaveBeenCalledWith(messageId, 'Mailbox unavailable', null);
+    });
+  });
+
+  describe('processOutbox', () => {
+    test('should deliver due messages', async () => {
+      emailOutboxRepository.findDue.mockResolvedValue([queued(), { ...queued(), _id: 'other' }]);
+      transport.send
+        .mockResolvedValueOnce({ messageId: 'smtp-1' })
+        .mockRejectedValueOnce(new Error('Timeout'));
+
+      const result = await mailService.processOutbox(now);
+
+      expect(result).toEqual({ due: 2, sent: 1 });
+    });
+  });
+
+  describe('getRetryTime', () => {
+    test('should back off between attempts', () => {
+      expect(mailService.getRetryTime(2, now)).toEqual(new Date(now.getTime() + 5 * 60 * 1000));
+      expect(mailService.getRetryTime(4, now)).toEqual(new Date(now.getTime() + 60 * 60 * 1000));
+    });
+  });
+
+  describe('templates', () => {
+    test('should escape user data in HTML', () => {
+      const { html, text } = renderTemplate('welcome', { name: '<b>Sam</b>' });
+
+      expect(html).toContain('&lt;b&gt;Sam&lt;/b&gt;');
+      expect(text).toContain('<b>Sam</b>');
+    });
+
+    test('should format receipt amounts from paise', () => {
+      const { text } = renderTemplate('subscription_receipt', {
+        plan: 'premium',
+        amount: 49900,
+        currency: 'INR',
+        paymentId: 'pay_1',
+        paidAt: now,
+      });
+
+      expect(text).toContain('499.00');
+      expect(text).toContain('pay_1');
+    });
+
+    test('should throw for unknown templates', () => {
+      expect(() => renderTemplate('newsletter')).toThrow('Unknown email template: newsletter');
+    });
+  });
+});
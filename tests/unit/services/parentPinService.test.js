@@ -0,0 +1,181 @@
+const parentPinService = require('../../../src/services/parentPinService');
+const userRepository = require('../../../src/repositories/userRepository');
+const { cache } = require('../../../src/loaders/redisLoader');
+const { setSessionStore } = require('../../../src/utils/sessions');
+const { verifyParentToken } = require('../../../src/utils/jwt');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/userRepository');
+jest.mock('../../../src/loaders/redisLoader', () => ({
+  cache: {
+    del: jest.fn(),
+  },
+}));
+
+describe('ParentPinService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const sessionId = '3b241101-e2bb-4255-8caf-4136c566a962';
+  const now = new Date('2024-06-01T20:00:00Z');
+
+  const mockUser = (overrides = {}) => ({
+    _id: userId,
+    provider: 'local',
+    parentPin: 'hashed-pin',
+    parentPinFailedAttempts: 0,
+    parentPinLockedUntil: null,
+    comparePin: jest.fn(pin => Promise.resolve(pin === '1234')),
+    comparePassword: jest.fn(password => Promise.resolve(password === 'secret')),
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  });
+
+  let session;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    session = { userId, familyId: sessionId, createdAt: new Date(now.getTime() - 5 * 60 * 1000), revokedAt: null };
+    setSessionStore({ findByFamilyId: jest.fn(() => Promise.resolve(session)) });
+  });
+
+  afterAll(() => {
+    setSessionStore(null);
+  });
+
+  describe('setPin', () => {
+    test('should set a first PIN with the account password', async () => {
+      const user = mockUser({ parentPin: null });
+      userRepository.findByIdForPin.mockResolvedValue(user);
+
+      await parentPinService.setPin(userId, { pin: '4321', password: 'secret' }, null, now);
+
+      expect(user.parentPin).toBe('4321');
+      expect(user.parentPinSetAt).toEqual(now);
+      expect(user.save).toHaveBeenCalled();
+      expect(cache.del).toHaveBeenCalledWith(`user:${userId}`);
+    });
+
+    test('should set a first PIN right after signing in', async () => {
+      const user = mockUser({ parentPin: null, provider: 'google' });
+      userRepository.findByIdForPin.mockResolvedValue(user);
+
+      await parentPinService.setPin(userId, { pin: '4321' }, sessionId, now);
+
+      expect(user.parentPin).toBe('4321');
+    });
+
+    test('should require the password or a fresh sign-in for the first PIN', async () => {
+      const user = mockUser({ parentPin: null });
+      userRepository.findByIdForPin.mockResolvedValue(user);
+      session.createdAt = new Date(now.getTime() - 60 * 60 * 1000);
+
+      await expect(
+        parentPinService.setPin(userId, { pin: '4321' }, sessionId, now)
+      ).rejects.toThrow('Enter your password to set a PIN');
+      await expect(
+        parentPinService.setPin(userId, { pin: '4321', password: 'wrong' }, sessionId, now)
+      ).rejects.toThrow('Incorrect password');
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test('should require the current PIN to change it', async () => {
+      userRepository.findByIdForPin.mockResolvedValue(mockUser());
+
+      await expect(
+        parentPinService.setPin(userId, { pin: '4321' }, sessionId, now)
+      ).rejects.toThrow('Current PIN is required to change it');
+    });
+
+    test('should accept the account password instead of the current PIN', async () => {
+      const user = mockUser();
+      userRepository.findByIdForPin.mockResolvedValue(user);
+
+      await parentPinService.setPin(userId, { pin: '4321', password: 'secret' }, null, now);
+
+      expect(user.parentPin).toBe('4321');
+    });
+
+    test('should reject PINs that are not 4 to 6 digits', async () => {
+      await expect(
+        parentPinService.setPin(userId, { pin: '12ab' }, null, now)
+      ).rejects.toThrow('PIN must be 4 to 6 digits');
+      expect(userRepository.findByIdForPin).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('elevate', () => {
+    test('should issue a parent token bound to the session', async () => {
+      userRepository.findByIdForPin.mockResolvedValue(mockUser());
+
+      const result = await parentPinService.elevate(userId, '1234', sessionId, now);
+      const decoded = verifyParentToken(result.parentToken);
+
+      expect(decoded.sub).toBe(userId);
+      expect(decoded.sid).toBe(sessionId);
+      expect(result.expiresAt).toBeInstanceOf(Date);
+    });
+
+    test('should require a PIN to be set', async () => {
+      userRepository.findByIdForPin.mockResolvedValue(mockUser({ parentPin: null }));
+
+      await expect(
+        parentPinService.elevate(userId, '1234', sessionId, now)
+      ).rejects.toThrow('Set a parent PIN first');
+    });
+
+    test('should count wrong PINs and lock after too many', async () => {
+      userRepository.findByIdForPin.mockResolvedValue(mockUser({ parentPinFailedAttempts: 4 }));
+      userRepository.recordPinFailure.mockResolvedValue({ _id: userId, parentPinFailedAttempts: 5 });
+
+      await expect(
+        parentPinService.elevate(userId, '0000', sessionId, now)
+      ).rejects.toThrow('Incorrect PIN');
+      expect(userRepository.recordPinFailure).toHaveBeenCalledWith(userId);
+      expect(userRepository.updateById).toHaveBeenCalledWith(userId, {
+        parentPinFailedAttempts: 0,
+        parentPinLockedUntil: new Date(now.getTime() + 15 * 60 * 1000),
+      });
+
+      // Even the right PIN is refused while locked
+      userRepository.findByIdForPin.mockResolvedValue(mockUser({
+        parentPinLockedUntil: new Date(now.getTime() + 15 * 60 * 1000),
+      }));
+      await expect(
+        parentPinService.elevate(userId, '1234', sessionId, now)
+      ).rejects.toThrow('Too many incorrect PIN attempts. Try again in 15 minutes');
+    });
+
+    test('should count from the stored total, not the loaded user', async () => {
+      // Parallel guesses loaded the user before the others were counted
+      userRepository.findByIdForPin.mockResolvedValue(mockUser({ parentPinFailedAttempts: 0 }));
+      userRepository.recordPinFailure.mockResolvedValue({ _id: userId, parentPinFailedAttempts: 5 });
+
+      await expect(
+        parentPinService.elevate(userId, '0000', sessionId, now)
+      ).rejects.toThrow('Incorrect PIN');
+      expect(userRepository.updateById).toHaveBeenCalledWith(userId, expect.objectContaining({
+        parentPinLockedUntil: new Date(now.getTime() + 15 * 60 * 1000),
+      }));
+    });
+
+    test('should not lock before the limit', async () => {
+      userRepository.findByIdForPin.mockResolvedValue(mockUser({ parentPinFailedAttempts: 1 }));
+      userRepository.recordPinFailure.mockResolvedValue({ _id: userId, parentPinFailedAttempts: 2 });
+
+      await expect(
+        parentPinService.elevate(userId, '0000', sessionId, now)
+      ).rejects.toThrow('Incorrect PIN');
+      expect(userRepository.updateById).not.toHaveBeenCalled();
+    });
+
+    test('should reset failed attempts after the right PIN', async () => {
+      userRepository.findByIdForPin.mockResolvedValue(mockUser({ parentPinFailedAttempts: 2 }));
+
+      await parentPinService.elevate(userId, '1234', sessionId, now);
+
+      expect(userRepository.updateById).toHaveBeenCalledWith(userId, {
+        parentPinFailedAttempts: 0,
+        parentPinLockedUntil: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,135 @@
+const recommendationService = require('../../../src/services/recommendationService');
+const contentRepository = require('../../../src/repositories/contentRepository');
+const favoriteRepository = require('../../../src/repositories/favoriteRepository');
+const listeningSessionRepository = require('../../../src/repositories/listeningSessionRepository');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/contentRepository');
+jest.mock('../../../src/repositories/favoriteRepository');
+jest.mock('../../../src/repositories/listeningSessionRepository');
+
+// Minimal stand-in for a Content document
+const mockContent = (id, overrides = {}) => {
+  const data = {
+    _id: id,
+    title: `Content ${id}`,
+    type: 'story',
+    tags: [],
+    isFeatured: false,
+    ...overrides,
+  };
+
+  return {
+    ...data,
+    rankingScore: overrides.rankingScore || 0,
+    getRecencyBoost: () => overrides.recencyBoost || 0,
+    toObject: () => data,
+  };
+};
+
+describe('RecommendationService', () => {
+  const now = new Date('2024-03-10T20:00:00Z');
+  const kid = {
+    _id: '507f1f77bcf86cd799439012',
+    name: 'Emma',
+    ageRange: '6-8',
+    preferences: { tags: ['calming'] },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    favoriteRepository.getKidFavoritesWithDetails.mockResolvedValue([]);
+    listeningSessionRepository.aggregateKidHistory.mockResolvedValue([]);
+    listeningSessionRepository.aggregateCompletionRates.mockResolvedValue([]);
+  });
+
+  describe('recommendForKid', () => {
+    test('should rank preferred tags above plain popularity', async () => {
+      contentRepository.findRecommendationCandidates.mockResolvedValue([
+        mockContent('popular', { tags: ['adventure'], rankingScore: 4 }),
+        mockContent('calm', { tags: ['calming'], rankingScore: 1 }),
+      ]);
+
+      const result = await recommendationService.recommendForKid(kid, 10, now);
+
+      expect(result.map(item => item._id)).toEqual(['calm', 'popular']);
+      expect(result[0].recommendation.reasons).toContain('preferred_tags');
+      expect(result[0].recommendation.matchedTags).toEqual(['calming']);
+      expect(result[1].recommendation.reasons).toEqual(['popular']);
+      expect(result[1].recommendation.reason).toBe('Popular with other kids');
+    });
+
+    test('should exclude content heard recently', async () => {
+      listeningSessionRepository.aggregateKidHistory.mockResolvedValue([
+        {
+          contentId: 'heard-yesterday',
+          plays: 1,
+          completions: 1,
+          lastListenedAt: new Date('2024-03-09T20:00:00Z'),
+          tags: ['calming'],
+          type: 'story',
+        },
+        {
+          contentId: 'heard-last-month',
+          plays: 1,
+          completions: 1,
+          lastListenedAt: new Date('2024-02-10T20:00:00Z'),
+          tags: ['calming'],
+          type: 'story',
+        },
+      ]);
+      contentRepository.findRecommendationCandidates.mockResolvedValue([]);
+
+      await recommendationService.recommendForKid(kid, 10, now);
+
+      expect(contentRepository.findRecommendationCandidates).toHaveBeenCalledWith('6-8', {
+        excludeIds: ['heard-yesterday'],
+        limit: 100,
+      });
+    });
+
+    test('should prefer content most kids finish', async () => {
+      contentRepository.findRecommendationCandidates.mockResolvedValue([
+        mockContent('skipped'),
+        mockContent('finished'),
+      ]);
+      listeningSessionRepository.aggregateCompletionRates.mockResolvedValue([
+        { _id: 'skipped', plays: 10, completions: 1 },
+        { _id: 'finished', plays: 10, completions: 9 },
+      ]);
+
+      const result = await recommendationService.recommendForKid({ ...kid, preferences: { tags: [] } }, 10, now);
+
+      expect(result[0]._id).toBe('finished');
+      expect(result[0].recommendation.reasons).toEqual(['often_completed']);
+    });
+  });
+
+  describe('buildProfile', () => {
+    test('should combine favorites and finished history', () => {
+      const profile = recommendationService.buildProfile(
+        kid,
+        [{ contentId: { tags: ['fantasy'], type: 'story' } }],
+        [{ tags: ['fantasy', 'music'], type: 'music', completions: 1, maxProgress: 1 }]
+      );
+
+      expect(profile.tags.get('calming').weight).toBe(3);
+      expect(profile.tags.get('fantasy').weight).toBe(2.5);
+      expect([...profile.tags.get('fantasy').sources]).toEqual(['similar_to_favorites', 'similar_to_history']);
+      expect(profile.types.get('story')).toBe(1);
+      expect(profile.types.get('music')).toBe(0.5);
+    });
+
+    test('should count content abandoned early against its tags', () => {
+      const profile = recommendationService.buildProfile(
+        { preferences: { tags: [] } },
+        [],
+        [{ tags: ['adventure'], type: 'story', completions: 0, maxProgress: 0.1 }]
+      );
+
+      expect(profile.tags.get('adventure').weight).toBe(-0.5);
+      expect(profile.tags.get('adventure').sources.size).toBe(0);
+      expect(profile.types.has('story')).toBe(false);
+    });
+  });
+});
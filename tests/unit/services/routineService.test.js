@@ -0,0 +1,127 @@
+const routineService = require('../../../src/services/routineService');
+const routineRepository = require('../../../src/repositories/routineRepository');
+const kidRepository = require('../../../src/repositories/kidRepository');
+const contentRepository = require('../../../src/repositories/contentRepository');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/routineRepository');
+jest.mock('../../../src/repositories/kidRepository');
+jest.mock('../../../src/repositories/contentRepository');
+
+describe('RoutineService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const kidId = '507f1f77bcf86cd799439012';
+  const routineId = '507f1f77bcf86cd799439015';
+
+  const mockKid = {
+    _id: kidId,
+    userId,
+    name: 'Emma',
+    ageRange: '6-8',
+    preferences: { tags: ['calming'] },
+  };
+
+  const content = (id, type, tags = []) => ({
+    _id: id,
+    type,
+    tags,
+    title: `${type} ${id}`,
+    durationSec: 300,
+    audioUrl: `/audio/${id}.mp3`,
+    imageUrl: `/images/${id}.jpg`,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    kidRepository.findByIdAndUserId.mockResolvedValue(mockKid);
+    routineRepository.countByKidId.mockResolvedValue(0);
+    routineRepository.create.mockImplementation(data => Promise.resolve({ ...data, _id: routineId }));
+  });
+
+  describe('generateRoutine', () => {
+    test('should pick one item per step, preferring matching tags', async () => {
+      contentRepository.findByTypeAndAge.mockImplementation(type => Promise.resolve({
+        story: [content('s1', 'story', ['adventure']), content('s2', 'story', ['calming'])],
+        meditation: [content('m1', 'meditation', ['calming'])],
+      }[type] || []));
+      routineRepository.findByIdAndKidId.mockResolvedValue({ _id: routineId, items: [] });
+
+      await routineService.generateRoutine(userId, kidId, { steps: ['story', 'meditation', 'music'] });
+
+      const created = routineRepository.create.mock.calls[0][0];
+      expect(created.items).toEqual([{ contentId: 's2' }, { contentId: 'm1' }]);
+      expect(created.name).toBe("Emma's bedtime routine");
+      expect(created.source).toBe('generated');
+      expect(contentRepository.findByTypeAndAge).toHaveBeenCalledWith('story', '6-8', expect.any(Object));
+    });
+
+    test('should not repeat content across steps of the same type', async () => {
+      contentRepository.findByTypeAndAge.mockResolvedValue([
+        content('s1', 'story', ['calming']),
+        content('s2', 'story'),
+      ]);
+      routineRepository.findByIdAndKidId.mockResolvedValue({ _id: routineId, items: [] });
+
+      await routineService.generateRoutine(userId, kidId, { steps: ['story', 'story', 'story'] });
+
+      const created = routineRepository.create.mock.calls[0][0];
+      expect(created.items).toEqual([{ contentId: 's1' }, { contentId: 's2' }]);
+    });
+
+    test('should throw error when no content is available', async () => {
+      contentRepository.findByTypeAndAge.mockResolvedValue([]);
+
+      await expect(
+        routineService.generateRoutine(userId, kidId)
+      ).rejects.toThrow('No content available for this routine');
+      expect(routineRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should throw error when the routine limit is reached', async () => {
+      routineRepository.countByKidId.mockResolvedValue(10);
+
+      await expect(
+        routineService.generateRoutine(userId, kidId)
+      ).rejects.toThrow('Maximum number of routines reached (10)');
+    });
+  });
+
+  describe('createRoutine', () => {
+    test('should throw error when content does not exist', async () => {
+      contentRepository.findByIds.mockResolvedValue([content('c1', 'story')]);
+
+      await expect(
+        routineService.createRoutine(userId, kidId, { name: 'Nightly', contentIds: ['c1', 'c2'] })
+      ).rejects.toThrow('One or more content items were not found');
+      expect(routineRepository.create).not.toHaveBeenCalled();
+    });
+
+    test('should throw error when kid does not belong to user', async () => {
+      kidRepository.findByIdAndUserId.mockResolvedValue(null);
+
+      await expect(
+        routineService.createRoutine(userId, kidId, { name: 'Nightly', contentIds: ['c1'] })
+      ).rejects.toThrow('Kid profile not found');
+    });
+  });
+
+  describe('formatRoutine', () => {
+    test('should keep item order and drop missing content', () => {
+      const result = routineService.formatRoutine({
+        _id: routineId,
+        kidId,
+        name: 'Nightly',
+        source: 'manual',
+        items: [
+          { contentId: content('c2', 'music') },
+          { contentId: null },
+          { contentId: content('c1', 'story') },
+        ],
+      });
+
+      expect(result.items.map(item => item.content._id)).toEqual(['c2', 'c1']);
+      expect(result.items.map(item => item.position)).toEqual([0, 1]);
+      expect(result.totalDurationSec).toBe(600);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const searchService = require('../../../src/services/searchService');
+const contentRepository = require('../../../src/repositories/contentRepository');
+const categoryRepository = require('../../../src/repositories/categoryRepository');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/contentRepository');
+jest.mock('../../../src/repositories/categoryRepository');
+
+describe('SearchService', () => {
+  const categoryId = '507f1f77bcf86cd799439021';
+
+  const content = (id, overrides = {}) => ({
+    _id: id,
+    title: `Content ${id}`,
+    type: 'story',
+    ageRange: '6-8',
+    tags: [],
+    language: 'en',
+    durationSec: 600,
+    categoryId: '507f1f77bcf86cd799439099',
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    categoryRepository.findActive.mockResolvedValue([{ _id: categoryId, name: 'Dinosaur Tales' }]);
+    contentRepository.findSearchCandidates.mockResolvedValue([
+      content('popular', { title: 'Dragons at Dawn', tags: ['adventure'], durationSec: 240 }),
+      content('exact', { title: 'The Dragon Who Slept', tags: ['fantasy', 'calming'], type: 'music' }),
+      content('described', { title: 'Moon Lullaby', description: 'A baby dragon learns to sleep', language: 'es' }),
+      content('category', { title: 'Big Feet', categoryId }),
+      content('unrelated', { title: 'Ocean Breathing' }),
+    ]);
+  });
+
+  describe('search', () => {
+    test('should match misspelled prefixes across title and description', async () => {
+      const result = await searchService.search('dragn', {}, { limit: 10, offset: 0 });
+
+      expect(result.results.map(item => item._id)).toEqual(['exact', 'popular', 'described']);
+      expect(result.total).toBe(3);
+      expect(result.results[2].search.matchedFields).toEqual(['description']);
+    });
+
+    test('should match category names', async () => {
+      const result = await searchService.search('dinosaur', {}, { limit: 10, offset: 0 });
+
+      expect(result.results.map(item => item._id)).toEqual(['category']);
+      expect(result.results[0].search.matchedFields).toEqual(['category']);
+    });
+
+    test('should paginate results and count facets over all matches', async () => {
+      const result = await searchService.search('drag', {}, { limit: 1, offset: 1 });
+
+      expect(result.results).toHaveLength(1);
+      expect(result.total).toBe(3);
+      expect(result.facets.type).toEqual([
+        { value: 'story', count: 2 },
+        { value: 'music', count: 1 },
+      ]);
+      expect(result.facets.language).toEqual([
+        { value: 'en', count: 2 },
+        { value: 'es', count: 1 },
+      ]);
+      expect(result.facets.tags).toEqual([
+        { value: 'adventure', count: 1 },
+        { value: 'calming', count: 1 },
+        { value: 'fantasy', count: 1 },
+      ]);
+      expect(result.facets.duration).toEqual([
+        { value: 'under_5', count: 1 },
+        { value: '5_to_15', count: 2 },
+        { value: 'over_15', count: 0 },
+      ]);
+    });
+
+    test('should pass filters to the candidate query', async () => {
+      const filters = { type: 'story', language: 'en' };
+
+      await searchService.search('dragon', filters);
+
+      expect(contentRepository.findSearchCandidates).toHaveBeenCalledWith(filters, 1001);
+    });
+
+    test('should match queries in non-Latin scripts', async () => {
+      contentRepository.findSearchCandidates.mockResolvedValue([
+        content('hindi', { title: 'चाँद की कहानी', language: 'hi' }),
+        content('english', { title: 'Moon Story' }),
+      ]);
+
+      const result = await searchService.search('कहानी');
+
+      expect(result.results.map(item => item._id)).toEqual(['hindi']);
+    });
+
+    test('should flag totals cut off by the candidate pool', async () => {
+      const pool = Array.from({ length: 1001 }, (_, i) => content(`c${i}`, { title: 'Dragon' }));
+      contentRepository.findSearchCandidates.mockResolvedValue(pool);
+
+      const result = await searchService.search('dragon');
+
+      expect(result.total).toBe(1000);
+      expect(result.truncated).toBe(true);
+    });
+
+    test('should not flag totals when every candidate fits', async () => {
+      const result = await searchService.search('dragon');
+
+      expect(result.truncated).toBe(false);
+    });
+
+    test('should return nothing for queries without words', async () => {
+      const result = await searchService.search('!!!');
+
+      expect(result.total).toBe(0);
+      expect(contentRepository.findSearchCandidates).not.toHaveBeenCalled();
+    });
+  });
+});
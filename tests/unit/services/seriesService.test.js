@@ -0,0 +1,189 @@
+const seriesService = require('../../../src/services/seriesService');
+const seriesRepository = require('../../../src/repositories/seriesRepository');
+const contentRepository = require('../../../src/repositories/contentRepository');
+const kidRepository = require('../../../src/repositories/kidRepository');
+const listeningSessionRepository = require('../../../src/repositories/listeningSessionRepository');
+const { invalidateCache } = require('../../../src/api/v1/middlewares/cache');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/seriesRepository');
+jest.mock('../../../src/repositories/contentRepository');
+jest.mock('../../../src/repositories/kidRepository');
+jest.mock('../../../src/repositories/listeningSessionRepository');
+jest.mock('../../../src/api/v1/middlewares/cache', () => ({
+  invalidateCache: {
+    series: jest.fn(),
+  },
+}));
+
+describe('SeriesService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const kidId = '507f1f77bcf86cd799439012';
+  const seriesId = '507f1f77bcf86cd799439013';
+
+  const episode = (n, extra = {}) => ({
+    _id: `507f1f77bcf86cd79943902${n}`,
+    slug: `dragon-night-${n}`,
+    title: `Dragon Night, part ${n}`,
+    durationSec: 600,
+    accessTier: 'free',
+    audioUrl: `/audio/dragon-night-${n}.mp3`,
+    ...extra,
+  });
+
+  // An unpublished episode is populated as null and keeps its place
+  const mockSeries = (episodes = [episode(1), null, episode(3), episode(4)]) => ({
+    _id: seriesId,
+    slug: 'dragon-night',
+    title: 'Dragon Night',
+    isActive: true,
+    episodes: episodes.map(contentId => ({ contentId })),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getSeriesBySlug', () => {
+    test('should number published episodes in order', async () => {
+      seriesRepository.findBySlug.mockResolvedValue(mockSeries());
+
+      const result = await seriesService.getSeriesBySlug('dragon-night');
+
+      expect(result.totalEpisodes).toBe(3);
+      expect(result.totalDurationSec).toBe(1800);
+      expect(result.episodes.map(item => [item.episodeNumber, item.content.slug])).toEqual([
+        [1, 'dragon-night-1'],
+        [2, 'dragon-night-3'],
+        [3, 'dragon-night-4'],
+      ]);
+    });
+
+    test('should lock premium episodes for free viewers', async () => {
+      seriesRepository.findBySlug.mockResolvedValue(mockSeries([episode(1, { accessTier: 'premium' })]));
+
+      const result = await seriesService.getSeriesBySlug('dragon-night', null);
+
+      expect(result.episodes[0].content.isLocked).toBe(true);
+      expect(result.episodes[0].content.audioUrl).toBeUndefined();
+    });
+
+    test('should throw error for unknown series', async () => {
+      seriesRepository.findBySlug.mockResolvedValue(null);
+
+      await expect(seriesService.getSeriesBySlug('missing')).rejects.toThrow('Series not found');
+    });
+  });
+
+  describe('getNextEpisode', () => {
+    test('should skip unpublished episodes', async () => {
+      seriesRepository.findByContentId.mockResolvedValue(mockSeries());
+
+      const result = await seriesService.getNextEpisode(episode(1)._id);
+
+      expect(result.episodeNumber).toBe(2);
+      expect(result.totalEpisodes).toBe(3);
+      expect(result.content.slug).toBe('dragon-night-3');
+      expect(result.series).toEqual({ id: seriesId, slug: 'dragon-night', title: 'Dragon Night' });
+    });
+
+    test('should return null after the last episode', async () => {
+      seriesRepository.findByContentId.mockResolvedValue(mockSeries());
+
+      expect(await seriesService.getNextEpisode(episode(4)._id)).toBeNull();
+    });
+
+    test('should return null for content outside a series', async () => {
+      seriesRepository.findByContentId.mockResolvedValue(null);
+
+      expect(await seriesService.getNextEpisode(episode(1)._id)).toBeNull();
+    });
+  });
+
+  describe('getKidProgress', () => {
+    beforeEach(() => {
+      kidRepository.findByIdAndUserId.mockResolvedValue({ _id: kidId, userId });
+      seriesRepository.findBySlug.mockResolvedValue(mockSeries());
+    });
+
+    test('should resume at the first unfinished episode', async () => {
+      listeningSessionRepository.aggregateKidContentProgress.mockResolvedValue([
+        { _id: episode(1)._id, completed: true, positionSec: 600, lastListenedAt: new Date() },
+        { _id: episode(3)._id, completed: false, positionSec: 240, lastListenedAt: new Date() },
+      ]);
+
+      const result = await seriesService.getKidProgress(userId, kidId, 'dragon-night');
+
+      expect(result.completedEpisodes).toBe(1);
+      expect(result.isComplete).toBe(false);
+      expect(result.episodes.map(item => item.status)).toEqual(['completed', 'in_progress', 'not_started']);
+      expect(result.nextEpisode.episodeNumber).toBe(2);
+      expect(result.nextEpisode.resumePositionSec).toBe(240);
+    });
+
+    test('should report a finished series', async () => {
+      listeningSessionRepository.aggregateKidContentProgress.mockResolvedValue(
+        [1, 3, 4].map(n => ({ _id: episode(n)._id, completed: true, positionSec: 600, lastListenedAt: new Date() }))
+      );
+
+      const result = await seriesService.getKidProgress(userId, kidId, 'dragon-night');
+
+      expect(result.isComplete).toBe(true);
+      expect(result.nextEpisode).toBeNull();
+    });
+
+    test('should throw error when kid does not belong to user', async () => {
+      kidRepository.findByIdAndUserId.mockResolvedValue(null);
+
+      await expect(
+        seriesService.getKidProgress(userId, kidId, 'dragon-night')
+      ).rejects.toThrow('Kid profile not found');
+      expect(listeningSessionRepository.aggregateKidContentProgress).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setEpisodes', () => {
+    const contentIds = [episode(2)._id, episode(1)._id];
+
+    beforeEach(() => {
+      seriesRepository.findById.mockResolvedValue(mockSeries());
+      contentRepository.findById.mockImplementation(id => Promise.resolve({ _id: id }));
+      seriesRepository.findContainingContent.mockResolvedValue([]);
+      seriesRepository.updateById.mockResolvedValue(mockSeries());
+    });
+
+    test('should save episodes in the given order', async () => {
+      await seriesService.setEpisodes(seriesId, contentIds);
+
+      expect(seriesRepository.findContainingContent).toHaveBeenCalledWith(contentIds, seriesId);
+      expect(seriesRepository.updateById).toHaveBeenCalledWith(seriesId, {
+        episodes: [{ contentId: contentIds[0] }, { contentId: contentIds[1] }],
+      });
+      expect(invalidateCache.series).toHaveBeenCalledWith('dragon-night');
+    });
+
+    test('should reject repeated episodes', async () => {
+      await expect(
+        seriesService.setEpisodes(seriesId, [contentIds[0], contentIds[0]])
+      ).rejects.toThrow('An episode can only appear once in a series');
+      expect(seriesRepository.updateById).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown content', async () => {
+      contentRepository.findById.mockResolvedValue(null);
+
+      await expect(
+        seriesService.setEpisodes(seriesId, contentIds)
+      ).rejects.toThrow('One or more content items were not found');
+    });
+
+    test('should reject episodes of another series', async () => {
+      seriesRepository.findContainingContent.mockResolvedValue([{ title: 'Moon Tales' }]);
+
+      await expect(
+        seriesService.setEpisodes(seriesId, contentIds)
+      ).rejects.toThrow('One or more episodes already belong to the series "Moon Tales"');
+      expect(seriesRepository.updateById).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const sessionService = require('../../../src/services/sessionService');
+const { setSessionStore } = require('../../../src/utils/sessions');
+const { verifyAccessToken, verifyRefreshToken } = require('../../../src/utils/jwt');
+
+describe('SessionService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const now = new Date('2024-06-01T20:00:00Z');
+  let sessions;
+  let store;
+
+  beforeEach(() => {
+    sessions = new Map();
+    store = {
+      create: jest.fn(data => {
+        const session = { ...data, createdAt: now, revokedAt: null };
+        sessions.set(data.familyId, session);
+        return Promise.resolve(session);
+      }),
+      findByFamilyId: jest.fn(familyId => Promise.resolve(sessions.get(familyId) || null)),
+      findActiveByUserId: jest.fn(id => Promise.resolve(
+        [...sessions.values()].filter(session => session.userId === id && !session.revokedAt)
+      )),
+      rotate: jest.fn((familyId, currentJti, update) => {
+        const session = sessions.get(familyId);
+        if (!session || session.jti !== currentJti || session.revokedAt) {
+          return Promise.resolve(null);
+        }
+        Object.assign(session, update);
+        return Promise.resolve(session);
+      }),
+      revoke: jest.fn((familyId, reason, at) => {
+        const session = sessions.get(familyId);
+        Object.assign(session, { revokedAt: at, revokeReason: reason });
+        return Promise.resolve(session);
+      }),
+      revokeAllByUserId: jest.fn().mockResolvedValue(2),
+    };
+    setSessionStore(store);
+  });
+
+  afterAll(() => {
+    setSessionStore(null);
+  });
+
+  describe('startSession', () => {
+    test('should store the session and tie both tokens to it', async () => {
+      const result = await sessionService.startSession(userId, {
+        deviceId: 'tablet-1',
+        deviceName: "Emma's iPad",
+        userAgent: 'BedtimeApp/1.0',
+        ip: '10.0.0.1',
+      }, now);
+
+      const refresh = verifyRefreshToken(result.refreshToken);
+      const access = verifyAccessToken(result.accessToken);
+      const stored = sessions.get(result.sessionId);
+
+      expect(refresh.fam).toBe(result.sessionId);
+      expect(access.sid).toBe(result.sessionId);
+      expect(stored.jti).toBe(refresh.jti);
+      expect(stored.deviceName).toBe("Emma's iPad");
+      expect(stored.expiresAt).toEqual(new Date(refresh.exp * 1000));
+    });
+  });
+
+  describe('rotateSession', () => {
+    test('should issue a new token in the same family', async () => {
+      const { refreshToken, sessionId } = await sessionService.startSession(userId, {}, now);
+      const decoded = verifyRefreshToken(refreshToken);
+
+      const result = await sessionService.rotateSession(decoded, { ip: '10.0.0.2' }, now);
+      const rotated = verifyRefreshToken(result.refreshToken);
+
+      expect(rotated.fam).toBe(sessionId);
+      expect(rotated.jti).not.toBe(decoded.jti);
+      expect(sessions.get(sessionId).jti).toBe(rotated.jti);
+      expect(sessions.get(sessionId).ip).toBe('10.0.0.2');
+    });
+
+    test('should revoke the family when a rotated token is reused', async () => {
+      const { refreshToken, sessionId } = await sessionService.startSession(userId, {}, now);
+      const decoded = verifyRefreshToken(refreshToken);
+      const { refreshToken: newToken } = await sessionService.rotateSession(decoded, {}, now);
+
+      await expect(
+        sessionService.rotateSession(decoded, {}, now)
+      ).rejects.toThrow('Refresh token has already been used');
+      expect(sessions.get(sessionId).revokeReason).toBe('reuse_detected');
+
+      // The legitimate holder is signed out too
+      await expect(
+        sessionService.rotateSession(verifyRefreshToken(newToken), {}, now)
+      ).rejects.toThrow('Session has been revoked');
+    });
+
+    test('should treat a lost rotation race as reuse', async () => {
+      const { refreshToken, sessionId } = await sessionService.startSession(userId, {}, now);
+      store.rotate.mockResolvedValueOnce(null);
+
+      await expect(
+        sessionService.rotateSession(verifyRefreshToken(refreshToken), {}, now)
+      ).rejects.toThrow('Refresh token has already been used');
+      expect(sessions.get(sessionId).revokedAt).toEqual(now);
+    });
+
+    test('should reject tokens issued before sessions were tracked', async () => {
+      await expect(
+        sessionService.rotateSession({ sub: userId, jti: 'legacy', type: 'refresh' }, {}, now)
+      ).rejects.toThrow('Session not found, please sign in again');
+    });
+
+    test('should reject a session that belongs to another user', async () => {
+      const { refreshToken } = await sessionService.startSession(userId, {}, now);
+      const decoded = { ...verifyRefreshToken(refreshToken), sub: '507f1f77bcf86cd799439099' };
+
+      await expect(
+        sessionService.rotateSession(decoded, {}, now)
+      ).rejects.toThrow('Session not found, please sign in again');
+    });
+  });
+
+  describe('getSessions', () => {
+    test('should mark the session of the calling token', async () => {
+      const first = await sessionService.startSession(userId, { deviceName: 'Phone' }, now);
+      await sessionService.startSession(userId, { deviceName: 'Tablet' }, now);
+
+      const result = await sessionService.getSessions(userId, first.sessionId, now);
+
+      expect(result).toHaveLength(2);
+      expect(result.find(session => session.isCurrent).deviceName).toBe('Phone');
+      expect(result[0]).not.toHaveProperty('jti');
+    });
+  });
+
+  describe('revokeSession', () => {
+    test('should sign out the device', async () => {
+      const { sessionId } = await sessionService.startSession(userId, {}, now);
+
+      await sessionService.revokeSession(userId, sessionId, now);
+
+      expect(store.revoke).toHaveBeenCalledWith(sessionId, 'user_revoked', now);
+    });
+
+    test("should not revoke another user's session", async () => {
+      const { sessionId } = await sessionService.startSession('507f1f77bcf86cd799439099', {}, now);
+
+      await expect(
+        sessionService.revokeSession(userId, sessionId, now)
+      ).rejects.toThrow('Session not found');
+      expect(store.revoke).not.toHaveBeenCalled();
+    });
+  });
+});
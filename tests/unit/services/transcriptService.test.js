@@ -0,0 +1,119 @@
+const transcriptService = require('../../../src/services/transcriptService');
+const contentRepository = require('../../../src/repositories/contentRepository');
+const { invalidateCache } = require('../../../src/api/v1/middlewares/cache');
+const { NotFoundError, ValidationError, AuthorizationError } = require('../../../src/utils/errors');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/contentRepository');
+jest.mock('../../../src/api/v1/middlewares/cache', () => ({
+  invalidateCache: {
+    content: jest.fn(),
+  },
+}));
+
+describe('TranscriptService', () => {
+  const contentId = '507f1f77bcf86cd799439011';
+
+  const segments = [{ startSec: 0, endSec: 2, text: 'Once upon a time' }];
+
+  const mockContent = (extra = {}) => ({
+    _id: contentId,
+    slug: 'the-sleepy-fox',
+    language: 'en',
+    durationSec: 60,
+    accessTier: 'free',
+    ...extra,
+  });
+
+  const withTranscript = (extra = {}) => mockContent({
+    transcript: {
+      format: 'srt',
+      segmentCount: 1,
+      wordCount: 4,
+      endSec: 2,
+      text: 'Once upon a time',
+      segments,
+    },
+    ...extra,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getTranscript', () => {
+    test('should return the text and timings', async () => {
+      contentRepository.findBySlugWithTranscript.mockResolvedValue(withTranscript());
+
+      const result = await transcriptService.getTranscript('the-sleepy-fox');
+
+      expect(result).toMatchObject({
+        slug: 'the-sleepy-fox',
+        durationSec: 60,
+        format: 'srt',
+        text: 'Once upon a time',
+        segments,
+      });
+    });
+
+    test('should lock premium transcripts for free users', async () => {
+      contentRepository.findBySlugWithTranscript.mockResolvedValue(withTranscript({ accessTier: 'premium' }));
+
+      await expect(transcriptService.getTranscript('the-sleepy-fox', { subscription: { plan: 'free' } }))
+        .rejects.toThrow(AuthorizationError);
+    });
+
+    test('should 404 for content without a transcript', async () => {
+      contentRepository.findBySlugWithTranscript.mockResolvedValue(mockContent());
+
+      await expect(transcriptService.getTranscript('the-sleepy-fox'))
+        .rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('uploadTranscript', () => {
+    const srt = '1\n00:00:00,000 --> 00:00:02,000\nOnce upon a time\n';
+
+    test('should store the parsed transcript and clear the content cache', async () => {
+      contentRepository.findByIdWithTranscript.mockResolvedValue(mockContent());
+
+      const result = await transcriptService.uploadTranscript(contentId, { source: srt, filename: 'fox.srt' });
+
+      expect(contentRepository.setTranscript).toHaveBeenCalledWith(contentId, expect.objectContaining({
+        format: 'srt',
+        segments,
+        segmentCount: 1,
+        wordCount: 4,
+        endSec: 2,
+      }));
+      expect(invalidateCache.content).toHaveBeenCalledWith('the-sleepy-fox');
+      expect(result.text).toBe('Once upon a time');
+    });
+
+    test('should validate timings against the content duration', async () => {
+      contentRepository.findByIdWithTranscript.mockResolvedValue(mockContent({ durationSec: 1 }));
+
+      await expect(transcriptService.uploadTranscript(contentId, { source: srt.replace('00:00:02', '00:00:05'), format: 'srt' }))
+        .rejects.toThrow('Segment 1 ends at 5s, after the 1s audio');
+      expect(contentRepository.setTranscript).not.toHaveBeenCalled();
+    });
+
+    test('should require a known format', async () => {
+      contentRepository.findByIdWithTranscript.mockResolvedValue(mockContent());
+
+      await expect(transcriptService.uploadTranscript(contentId, { source: srt, filename: 'fox.txt' }))
+        .rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('deleteTranscript', () => {
+    test('should remove the transcript', async () => {
+      contentRepository.findByIdWithTranscript.mockResolvedValue(withTranscript());
+
+      await transcriptService.deleteTranscript(contentId);
+
+      expect(contentRepository.setTranscript).toHaveBeenCalledWith(contentId, null);
+      expect(invalidateCache.content).toHaveBeenCalledWith('the-sleepy-fox');
+    });
+  });
+});
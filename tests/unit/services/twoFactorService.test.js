@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const twoFactorService = require('../../../src/services/twoFactorService');
+const userRepository = require('../../../src/repositories/userRepository');
+const sessionService = require('../../../src/services/sessionService');
+const { generateSecret, generateCode, getStep } = require('../../../src/utils/totp');
+
+// Mock dependencies
+jest.mock('../../../src/repositories/userRepository');
+jest.mock('../../../src/services/sessionService');
+
+describe('TwoFactorService', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const now = new Date('2024-06-01T20:00:00Z');
+  const secret = generateSecret();
+
+  const hash = (code) => crypto.createHash('sha256').update(code.replace('-', '')).digest('hex');
+
+  const mockUser = (twoFactor = {}, overrides = {}) => ({
+    _id: userId,
+    email: 'admin@example.com',
+    roles: ['user', 'admin'],
+    twoFactor: {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      enabledAt: null,
+      lastUsedStep: null,
+      ...twoFactor,
+    },
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sessionService.startSession.mockResolvedValue({ accessToken: 'access', refreshToken: 'refresh' });
+  });
+
+  describe('setup', () => {
+    test('should store a pending secret and return the otpauth URI', async () => {
+      const user = mockUser();
+      userRepository.findByIdForTwoFactor.mockResolvedValue(user);
+
+      const result = await twoFactorService.setup(userId);
+
+      expect(user.twoFactor.pendingSecret).toBe(result.secret);
+      expect(user.twoFactor.enabled).toBe(false);
+      expect(result.otpauthUri).toContain(`secret=${result.secret}`);
+      expect(result.otpauthUri).toContain('admin%40example.com');
+    });
+
+    test('should only be available to admins', async () => {
+      userRepository.findByIdForTwoFactor.mockResolvedValue(mockUser({}, { roles: ['user'] }));
+
+      await expect(
+        twoFactorService.setup(userId)
+      ).rejects.toThrow('Two-factor authentication is only available for admin accounts');
+    });
+  });
+
+  describe('enable', () => {
+    test('should enable 2FA, issue recovery codes and start a 2FA session', async () => {
+      const user = mockUser({ pendingSecret: secret });
+      userRepository.findByIdForTwoFactor.mockResolvedValue(user);
+
+      const result = await twoFactorService.enable(userId, generateCode(secret, getStep(now)), {}, now);
+
+      expect(user.twoFactor.enabled).toBe(true);
+      expect(user.twoFactor.secret).toBe(secret);
+      expect(user.twoFactor.pendingSecret).toBeNull();
+      expect(result.recoveryCodes).toHaveLength(10);
+      expect(user.twoFactor.recoveryCodes).toEqual(result.recoveryCodes.map(hash));
+      expect(sessionService.startSession).toHaveBeenCalledWith(userId, {}, now, { mfa: true });
+      expect(result.accessToken).toBe('access');
+    });
+
+    test('should reject a wrong code', async () => {
+      const user = mockUser({ pendingSecret: secret });
+      userRepository.findByIdForTwoFactor.mockResolvedValue(user);
+
+      await expect(
+        twoFactorService.enable(userId, generateCode(secret, getStep(now) + 5), {}, now)
+      ).rejects.toThrow('Invalid two-factor code');
+      expect(user.twoFactor.enabled).toBe(false);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const enabled = (overrides = {}) => mockUser({
+      enabled: true,
+      secret,
+      recoveryCodes: [hash('abcde-12345'), hash('fghij-67890')],
+      ...overrides,
+    });
+
+    test('should accept a current code once', async () => {
+      const user = enabled();
+      const code = generateCode(secret, getStep(now));
+
+      const result = await twoFactorService.verifyCode(user, code, now);
+
+      expect(result.method).toBe('totp');
+      expect(user.twoFactor.lastUsedStep).toBe(getStep(now));
+      await expect(
+        twoFactorService.verifyCode(user, code, now)
+      ).rejects.toThrow('Two-factor code has already been used');
+    });
+
+    test('should consume a recovery code', async () => {
+      const user = enabled();
+
+      const result = await twoFactorService.verifyCode(user, 'ABCDE-12345', now);
+
+      expect(result).toEqual({ method: 'recovery_code', recoveryCodesRemaining: 1 });
+      await expect(
+        twoFactorService.verifyCode(user, 'abcde-12345', now)
+      ).rejects.toThrow('Invalid two-factor code');
+    });
+  });
+
+  describe('disable', () => {
+    test('should clear the secret and sign out every session', async () => {
+      const user = mockUser({ enabled: true, secret, recoveryCodes: [hash('abcde-12345')] });
+      userRepository.findByIdForTwoFactor.mockResolvedValue(user);
+
+      await twoFactorService.disable(userId, 'abcde-12345', now);
+
+      expect(user.twoFactor.enabled).toBe(false);
+      expect(user.twoFactor.secret).toBeNull();
+      expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(userId, 'revoke_all', now);
+    });
+  });
+});
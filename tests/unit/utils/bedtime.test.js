@@ -0,0 +1,95 @@
+const { zonedTimeToUtc, getRemindersBetween, isValidTimezone } = require('../../../src/utils/bedtime');
+
+describe('Bedtime Utils', () => {
+  const everyDay = [0, 1, 2, 3, 4, 5, 6];
+
+  describe('zonedTimeToUtc', () => {
+    test('should convert local time to UTC', () => {
+      const result = zonedTimeToUtc(2024, 1, 15, 19, 30, 'Asia/Kolkata');
+
+      expect(result.toISOString()).toBe('2024-01-15T14:00:00.000Z');
+    });
+
+    test('should follow daylight saving changes', () => {
+      const beforeDst = zonedTimeToUtc(2024, 3, 9, 19, 30, 'America/New_York');
+      const afterDst = zonedTimeToUtc(2024, 3, 10, 19, 30, 'America/New_York');
+
+      expect(beforeDst.toISOString()).toBe('2024-03-10T00:30:00.000Z');
+      expect(afterDst.toISOString()).toBe('2024-03-10T23:30:00.000Z');
+    });
+  });
+
+  describe('getRemindersBetween', () => {
+    const bedtime = {
+      enabled: true,
+      time: '19:30',
+      timezone: 'Europe/London',
+      windDownMin: 30,
+      days: everyDay,
+    };
+
+    test('should return wind-down and bedtime events in the window', () => {
+      const result = getRemindersBetween(
+        bedtime,
+        new Date('2024-01-15T18:00:00Z'),
+        new Date('2024-01-15T20:00:00Z')
+      );
+
+      expect(result).toEqual([
+        { type: 'wind_down', scheduledFor: new Date('2024-01-15T19:00:00Z') },
+        { type: 'bedtime', scheduledFor: new Date('2024-01-15T19:30:00Z') },
+      ]);
+    });
+
+    test('should skip days that are not selected', () => {
+      // 2024-01-13 is a Saturday
+      const result = getRemindersBetween(
+        { ...bedtime, days: [1, 2, 3, 4, 5] },
+        new Date('2024-01-13T00:00:00Z'),
+        new Date('2024-01-15T00:00:00Z')
+      );
+
+      expect(result).toEqual([]);
+    });
+
+    test('should omit wind-down when disabled', () => {
+      const result = getRemindersBetween(
+        { ...bedtime, windDownMin: 0 },
+        new Date('2024-01-15T00:00:00Z'),
+        new Date('2024-01-16T00:00:00Z')
+      );
+
+      expect(result.map(event => event.type)).toEqual(['bedtime']);
+    });
+
+    test('should return nothing when bedtime is disabled', () => {
+      const result = getRemindersBetween(
+        { ...bedtime, enabled: false },
+        new Date('2024-01-15T00:00:00Z'),
+        new Date('2024-01-16T00:00:00Z')
+      );
+
+      expect(result).toEqual([]);
+    });
+
+    test('should use the local day for timezones ahead of UTC', () => {
+      // 07:30 on Tuesday in Auckland is still Monday in UTC
+      const result = getRemindersBetween(
+        { ...bedtime, time: '07:30', timezone: 'Pacific/Auckland', windDownMin: 0, days: [2] },
+        new Date('2024-01-15T00:00:00Z'),
+        new Date('2024-01-16T00:00:00Z')
+      );
+
+      expect(result).toEqual([
+        { type: 'bedtime', scheduledFor: new Date('2024-01-15T18:30:00Z') },
+      ]);
+    });
+  });
+
+  describe('isValidTimezone', () => {
+    test('should accept IANA names and reject unknown ones', () => {
+      expect(isValidTimezone('Europe/London')).toBe(true);
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    });
+  });
+});
@@ -55,6 +55,15 @@ describe('JWT Utils', () => {
       expect(decoded.aud).toBe('bedtime-app');
     });
 
+    test('should keep the family across rotations', () => {
+      const first = generateRefreshToken(testUserId);
+      const rotated = generateRefreshToken(testUserId, first.familyId);
+
+      expect(verifyRefreshToken(rotated.token).fam).toBe(first.familyId);
+      expect(rotated.jti).not.toBe(first.jti);
+      expect(rotated.expiresAt).toBeInstanceOf(Date);
+    });
+
     test('should throw error for invalid refresh token', () => {
       expect(() => {
         verifyRefreshToken('invalid-token');
@@ -0,0 +1,34 @@
+const { parseAcceptLanguage, negotiateLanguage } = require('../../../src/utils/language');
+
+describe('Language Utils', () => {
+  const supported = ['en', 'hi', 'ta'];
+
+  describe('parseAcceptLanguage', () => {
+    test('should order languages by weight', () => {
+      expect(parseAcceptLanguage('en-US;q=0.5, hi-IN, ta;q=0.8')).toEqual(['hi', 'ta', 'en']);
+    });
+
+    test('should keep header order for equal weights and drop wildcards', () => {
+      expect(parseAcceptLanguage('ta, hi, *;q=0.1, fr;q=0')).toEqual(['ta', 'hi']);
+    });
+
+    test('should return nothing for a missing header', () => {
+      expect(parseAcceptLanguage(undefined)).toEqual([]);
+    });
+  });
+
+  describe('negotiateLanguage', () => {
+    test('should prefer ?lang= over the header', () => {
+      expect(negotiateLanguage('ta', 'hi-IN,hi;q=0.9', supported)).toBe('ta');
+    });
+
+    test('should use the best supported header language', () => {
+      expect(negotiateLanguage(undefined, 'fr-FR, hi;q=0.7, en;q=0.5', supported)).toBe('hi');
+    });
+
+    test('should fall back to English', () => {
+      expect(negotiateLanguage('fr', 'de-DE', supported)).toBe('en');
+      expect(negotiateLanguage(undefined, undefined, supported)).toBe('en');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const {
+  toMediaPath,
+  toLocalMediaPath,
+  toCdnMediaPath,
+  signMediaPath,
+  buildSignedMediaUrl,
+  verifyMediaSignature,
+} = require('../../../src/utils/mediaSigner');
+const config = require('../../../src/config');
+
+describe('Media Signer', () => {
+  const userId = '507f1f77bcf86cd799439011';
+  const now = new Date('2024-03-10T20:00:00Z');
+
+  describe('toMediaPath', () => {
+    test('should normalize requested paths', () => {
+      expect(toMediaPath('audio/stories/forest.mp3')).toBe('audio/stories/forest.mp3');
+      expect(toMediaPath('/images/forest.jpg?v=2')).toBe('images/forest.jpg');
+    });
+
+    test('should return null for path traversal', () => {
+      expect(toMediaPath('audio/../../etc/passwd')).toBeNull();
+      expect(toMediaPath('')).toBeNull();
+    });
+  });
+
+  describe('toLocalMediaPath', () => {
+    test('should accept uploads, relative or on the media host', () => {
+      expect(toLocalMediaPath('/uploads/audio/stories/forest.mp3')).toBe('audio/stories/forest.mp3');
+      expect(toLocalMediaPath(`${config.media.baseUrl}/uploads/images/forest.jpg`)).toBe('images/forest.jpg');
+    });
+
+    test('should return null for CDN, external and traversing paths', () => {
+      expect(toLocalMediaPath('/audio/stories/forest.mp3')).toBeNull();
+      expect(toLocalMediaPath(`${config.cdnBase}/images/forest.jpg`)).toBeNull();
+      expect(toLocalMediaPath('https://media.example.org/forest.mp3')).toBeNull();
+      expect(toLocalMediaPath('/uploads/../../etc/passwd')).toBeNull();
+    });
+  });
+
+  describe('toCdnMediaPath', () => {
+    test('should accept relative paths and URLs on the CDN', () => {
+      expect(toCdnMediaPath('/audio/stories/forest.mp3')).toBe('audio/stories/forest.mp3');
+      expect(toCdnMediaPath(`${config.cdnBase}/images/forest.jpg`)).toBe('images/forest.jpg');
+    });
+
+    test('should return null for other hosts and traversing paths', () => {
+      expect(toCdnMediaPath('https://media.example.org/forest.mp3')).toBeNull();
+      expect(toCdnMediaPath('/audio/../../etc/passwd')).toBeNull();
+    });
+  });
+
+  describe('verifyMediaSignature', () => {
+    test('should accept a valid signature before expiry', () => {
+      const params = signMediaPath('audio/forest.mp3', userId, now);
+
+      expect(params.uid).toBe(userId);
+      expect(params.expires).toBe(now.getTime() / 1000 + config.media.urlTtlSec);
+      expect(verifyMediaSignature('audio/forest.mp3', params, now)).toEqual({ valid: true });
+    });
+
+    test('should reject expired URLs', () => {
+      const params = signMediaPath('audio/forest.mp3', userId, now);
+      const later = new Date(now.getTime() + (config.media.urlTtlSec + 1) * 1000);
+
+      expect(verifyMediaSignature('audio/forest.mp3', params, later)).toEqual({ valid: false, reason: 'EXPIRED' });
+    });
+
+    test('should reject tampered path, expiry or user', () => {
+      const params = signMediaPath('audio/forest.mp3', userId, now);
+
+      expect(verifyMediaSignature('audio/other.mp3', params, now).reason).toBe('INVALID_SIGNATURE');
+      expect(verifyMediaSignature('audio/forest.mp3', { ...params, expires: params.expires + 3600 }, now).reason).toBe('INVALID_SIGNATURE');
+      expect(verifyMediaSignature('audio/forest.mp3', { ...params, uid: 'someone-else' }, now).reason).toBe('INVALID_SIGNATURE');
+      expect(verifyMediaSignature('audio/forest.mp3', { expires: params.expires, uid: userId }, now).reason).toBe('MISSING_SIGNATURE');
+    });
+  });
+
+  describe('buildSignedMediaUrl', () => {
+    test('should build a URL on the media route that verifies', () => {
+      const url = new URL(buildSignedMediaUrl('/uploads/audio/forest night.mp3', userId, now));
+
+      expect(url.pathname).toBe('/api/v1/media/audio/forest%20night.mp3');
+      expect(verifyMediaSignature('audio/forest night.mp3', Object.fromEntries(url.searchParams), now).valid).toBe(true);
+    });
+
+    test('should sign CDN assets on the CDN host', () => {
+      const url = new URL(buildSignedMediaUrl('/audio/forest.mp3', userId, now));
+
+      expect(url.origin).toBe(new URL(config.cdnBase).origin);
+      expect(url.pathname).toBe('/audio/forest.mp3');
+      expect(verifyMediaSignature('audio/forest.mp3', Object.fromEntries(url.searchParams), now).valid).toBe(true);
+    });
+
+    test('should leave assets on other hosts unsigned', () => {
+      expect(buildSignedMediaUrl('https://media.example.org/forest.mp3', userId, now)).toBeNull();
+    });
+
+    test('should sign anonymous viewers with a shared uid', () => {
+      const url = new URL(buildSignedMediaUrl('/uploads/images/forest.jpg', null, now));
+
+      expect(url.searchParams.get('uid')).toBe('anonymous');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { JwksProvider } = require('../../../src/utils/oidc');
+
+describe('JwksProvider', () => {
+  const now = new Date('2024-06-01T20:00:00Z');
+  const issuer = 'https://issuer.example.com';
+
+  const makeKey = (kid) => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' } };
+  };
+
+  const key1 = makeKey('key-1');
+  const key2 = makeKey('key-2');
+
+  const sign = (key, claims = {}) => jwt.sign({
+    sub: 'subject-123',
+    iss: issuer,
+    aud: 'client-app',
+    email: 'Parent@Example.com',
+    email_verified: 'true',
+    name: 'Sam',
+    iat: Math.floor(now.getTime() / 1000),
+    exp: Math.floor(now.getTime() / 1000) + 600,
+    ...claims,
+  }, key.privateKey, { algorithm: 'RS256', keyid: key.kid });
+
+  const createProvider = (fetchKeys) => new JwksProvider({
+    name: 'test',
+    issuer,
+    jwksUri: 'https://issuer.example.com/jwks',
+    clientIds: ['client-app'],
+  }, fetchKeys);
+
+  test('should verify a token and return the identity', async () => {
+    const fetchKeys = jest.fn().mockResolvedValue({ keys: [key1.jwk] });
+    const provider = createProvider(fetchKeys);
+
+    const claims = await provider.verifyIdToken(sign(key1), now);
+
+    expect(claims).toEqual({
+      subject: 'subject-123',
+      email: 'parent@example.com',
+      emailVerified: true,
+      name: 'Sam',
+    });
+
+    // Keys are cached between tokens
+    await provider.verifyIdToken(sign(key1), now);
+    expect(fetchKeys).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject tokens for another audience or issuer', async () => {
+    const provider = createProvider(jest.fn().mockResolvedValue({ keys: [key1.jwk] }));
+
+    await expect(
+      provider.verifyIdToken(sign(key1, { aud: 'other-app' }), now)
+    ).rejects.toThrow('Invalid ID token');
+    await expect(
+      provider.verifyIdToken(sign(key1, { iss: 'https://evil.example.com' }), now)
+    ).rejects.toThrow('Invalid ID token');
+  });
+
+  test('should reject expired tokens', async () => {
+    const provider = createProvider(jest.fn().mockResolvedValue({ keys: [key1.jwk] }));
+    const later = new Date(now.getTime() + 60 * 60 * 1000);
+
+    await expect(provider.verifyIdToken(sign(key1), later)).rejects.toThrow('ID token expired');
+  });
+
+  test('should refetch the keys when a token uses a new key', async () => {
+    const fetchKeys = jest.fn()
+      .mockResolvedValueOnce({ keys: [key1.jwk] })
+      .mockResolvedValue({ keys: [key1.jwk, key2.jwk] });
+    const provider = createProvider(fetchKeys);
+
+    await provider.verifyIdToken(sign(key1), now);
+
+    // Within the refetch window an unknown key is rejected without fetching
+    await expect(provider.verifyIdToken(sign(key2), now)).rejects.toThrow('Unknown ID token signing key');
+    expect(fetchKeys).toHaveBeenCalledTimes(1);
+
+    const later = new Date(now.getTime() + 2 * 60 * 1000);
+    const claims = await provider.verifyIdToken(sign(key2, {
+      iat: Math.floor(later.getTime() / 1000),
+      exp: Math.floor(later.getTime() / 1000) + 600,
+    }), later);
+
+    expect(claims.subject).toBe('subject-123');
+    expect(fetchKeys).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reject unsigned tokens', async () => {
+    const provider = createProvider(jest.fn().mockResolvedValue({ keys: [key1.jwk] }));
+    const unsigned = jwt.sign({ sub: 'subject-123', iss: issuer, aud: 'client-app' }, null, { algorithm: 'none' });
+
+    await expect(provider.verifyIdToken(unsigned, now)).rejects.toThrow('Unsupported ID token algorithm');
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  ROLES,
+  PERMISSIONS,
+  getPermissions,
+  hasPermission,
+  isStaff,
+} = require('../../../src/utils/permissions');
+const { requirePermission } = require('../../../src/api/v1/middlewares/roleGuard');
+const config = require('../../../src/config');
+
+describe('Permission Utils', () => {
+  describe('getPermissions', () => {
+    test('should give admins every permission', () => {
+      expect(getPermissions({ roles: ['user', 'admin'] })).toEqual(PERMISSIONS);
+    });
+
+    test('should combine the permissions of several roles', () => {
+      const permissions = getPermissions({ roles: ['user', 'support', 'finance'] });
+
+      expect(permissions).toEqual(['users.read', 'lockouts.manage', 'orders.read', 'stats.read']);
+    });
+
+    test('should give plain users and unknown roles nothing', () => {
+      expect(getPermissions({ roles: ['user'] })).toEqual([]);
+      expect(getPermissions({ roles: ['owner'] })).toEqual([]);
+      expect(getPermissions(null)).toEqual([]);
+    });
+  });
+
+  describe('hasPermission', () => {
+    test('should accept any of the permissions', () => {
+      const reviewer = { roles: ['user', 'reviewer'] };
+
+      expect(hasPermission(reviewer, 'content.write', 'content.review')).toBe(true);
+      expect(hasPermission(reviewer, 'content.write')).toBe(false);
+    });
+  });
+
+  describe('isStaff', () => {
+    test('should treat every role beyond user as staff', () => {
+      ROLES.filter(role => role !== 'user').forEach(role => {
+        expect(isStaff({ roles: ['user', role] })).toBe(true);
+      });
+      expect(isStaff({ roles: ['user'] })).toBe(false);
+    });
+  });
+});
+
+describe('requirePermission', () => {
+  const originalRequired = config.twoFactor.requiredForAdmins;
+
+  const run = (req) => {
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    const next = jest.fn();
+    requirePermission('orders.read')(req, res, next);
+    return { res, next };
+  };
+
+  afterEach(() => {
+    config.twoFactor.requiredForAdmins = originalRequired;
+  });
+
+  test('should let roles with the permission through', () => {
+    config.twoFactor.requiredForAdmins = true;
+
+    const { next } = run({ user: { roles: ['user', 'finance'] }, token: { mfa: true } });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should reject roles without the permission', () => {
+    const { res, next } = run({ user: { roles: ['user', 'editor'] }, token: { mfa: true } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].error).toEqual(['INSUFFICIENT_PERMISSIONS']);
+  });
+
+  test('should require a second factor for staff when enforced', () => {
+    config.twoFactor.requiredForAdmins = true;
+
+    const { res, next } = run({ user: { roles: ['user', 'finance'] }, token: {} });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].error).toEqual(['TWO_FACTOR_REQUIRED']);
+  });
+
+  test('should require authentication', () => {
+    const { res } = run({ user: null });
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -0,0 +1,66 @@
+const { tokenize, editDistance, matchTerm, scoreDocument, MATCH_SCORES } = require('../../../src/utils/search');
+
+describe('Search Utils', () => {
+  describe('tokenize', () => {
+    test('should lowercase, strip accents and split tags', () => {
+      expect(tokenize('The Café of DREAMS!')).toEqual(['the', 'cafe', 'of', 'dreams']);
+      expect(tokenize(['folk_tales', 'calming'])).toEqual(['folk', 'tales', 'calming']);
+      expect(tokenize(undefined)).toEqual([]);
+    });
+
+    test('should keep words in non-Latin scripts', () => {
+      expect(tokenize('सोने की कहानी, भाग 2')).toEqual(['सोने', 'की', 'कहानी', 'भाग', '2']);
+      expect(tokenize('Сонная сказка')).toEqual(['сонная', 'сказка']);
+    });
+  });
+
+  describe('editDistance', () => {
+    test('should count insertions, deletions, substitutions and swaps', () => {
+      expect(editDistance('dragon', 'dragon', 2)).toBe(0);
+      expect(editDistance('dragn', 'dragon', 2)).toBe(1);
+      expect(editDistance('forset', 'forest', 2)).toBe(1);
+      expect(editDistance('kitten', 'sitting', 3)).toBe(3);
+    });
+
+    test('should stop once the distance exceeds the maximum', () => {
+      expect(editDistance('abcdef', 'uvwxyz', 1)).toBe(2);
+      expect(editDistance('a', 'abcdef', 2)).toBe(3);
+    });
+  });
+
+  describe('matchTerm', () => {
+    test('should rank exact, prefix and fuzzy matches', () => {
+      expect(matchTerm('moon', 'moon')).toBe(MATCH_SCORES.exact);
+      expect(matchTerm('dra', 'dragon')).toBe(MATCH_SCORES.prefix);
+      expect(matchTerm('slepy', 'sleepy')).toBe(MATCH_SCORES.fuzzy);
+      expect(matchTerm('unicrn', 'unicorns')).toBe(MATCH_SCORES.fuzzyPrefix);
+    });
+
+    test('should not allow typos in short terms', () => {
+      expect(matchTerm('cat', 'car')).toBe(0);
+      expect(matchTerm('owl', 'bowl')).toBe(0);
+    });
+  });
+
+  describe('scoreDocument', () => {
+    const fields = [
+      { name: 'title', words: tokenize('The Sleepy Forest'), weight: 3 },
+      { name: 'description', words: tokenize('An owl helps the animals sleep'), weight: 1 },
+    ];
+
+    test('should require every term to match a field', () => {
+      expect(scoreDocument(['slepy', 'owl'], fields)).toEqual({
+        score: 3 * MATCH_SCORES.fuzzy + 1,
+        matchedFields: ['title', 'description'],
+      });
+      expect(scoreDocument(['sleepy', 'dragon'], fields)).toBeNull();
+    });
+
+    test('should prefer the field with the highest weighted match', () => {
+      expect(scoreDocument(['sleep'], fields)).toEqual({
+        score: 3 * MATCH_SCORES.prefix,
+        matchedFields: ['title'],
+      });
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+} = require('../../../src/utils/totp');
+
+describe('TOTP utils', () => {
+  // RFC 6238 test secret ("12345678901234567890")
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('base32', () => {
+    test('should round-trip secrets', () => {
+      expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+      expect(base32Decode(generateSecret())).toHaveLength(20);
+    });
+
+    test('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 secret');
+    });
+  });
+
+  describe('generateCode', () => {
+    test('should match the RFC 6238 test vectors (last 6 digits)', () => {
+      expect(generateCode(secret, Math.floor(59 / 30))).toBe('287082');
+      expect(generateCode(secret, Math.floor(1111111109 / 30))).toBe('081804');
+      expect(generateCode(secret, Math.floor(2000000000 / 30))).toBe('279037');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = new Date(1111111109 * 1000);
+
+    test('should return the matching time step', () => {
+      expect(verifyCode(secret, '081804', now)).toBe(Math.floor(1111111109 / 30));
+    });
+
+    test('should accept one step of clock drift', () => {
+      const later = new Date(now.getTime() + 30 * 1000);
+      expect(verifyCode(secret, '081804', later)).toBe(Math.floor(1111111109 / 30));
+    });
+
+    test('should reject other codes', () => {
+      expect(verifyCode(secret, '081805', now)).toBeNull();
+      expect(verifyCode(secret, '0818', now)).toBeNull();
+      expect(verifyCode(secret, '081804', new Date(now.getTime() + 5 * 60 * 1000))).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    test('should label the account with the issuer', () => {
+      const uri = buildOtpauthUri(secret, 'admin@example.com', 'Bedtime Stories');
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/Bedtime%20Stories%3Aadmin%40example\.com\?/);
+      expect(uri).toContain(`secret=${secret}`);
+      expect(uri).toContain('issuer=Bedtime+Stories');
+      expect(uri).toContain('digits=6');
+    });
+  });
+});
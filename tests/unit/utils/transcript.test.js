@@ -0,0 +1,133 @@
+const {
+  parseTimestamp,
+  formatTimestamp,
+  parseTranscript,
+  detectTranscriptFormat,
+  toWebVtt,
+} = require('../../../src/utils/transcript');
+const { ValidationError } = require('../../../src/utils/errors');
+
+describe('Transcript Utils', () => {
+  describe('timestamps', () => {
+    test('should parse SRT and WebVTT timestamps', () => {
+      expect(parseTimestamp('01:02:03,456')).toBe(3723.456);
+      expect(parseTimestamp('02:03.500')).toBe(123.5);
+      expect(parseTimestamp('1:2:3')).toBeNull();
+    });
+
+    test('should format WebVTT timestamps', () => {
+      expect(formatTimestamp(3723.456)).toBe('01:02:03.456');
+      expect(formatTimestamp(0.5)).toBe('00:00:00.500');
+    });
+  });
+
+  describe('parseTranscript', () => {
+    test('should parse SRT cues and strip markup', () => {
+      const srt = '1\r\n00:00:00,000 --> 00:00:02,500\r\nOnce upon a <i>time</i>\r\n\r\n'
+        + '2\r\n00:00:02,500 --> 00:00:05,000\r\nthere was a fox\r\nwho loved the moon.\r\n';
+
+      const result = parseTranscript(srt, 'srt', 60);
+
+      expect(result.segments).toEqual([
+        { startSec: 0, endSec: 2.5, text: 'Once upon a time' },
+        { startSec: 2.5, endSec: 5, text: 'there was a fox who loved the moon.' },
+      ]);
+      expect(result.text).toBe('Once upon a time there was a fox who loved the moon.');
+      expect(result.wordCount).toBe(12);
+      expect(result.endSec).toBe(5);
+    });
+
+    test('should read word timings from WebVTT inline timestamps', () => {
+      const vtt = 'WEBVTT\n\nNOTE read-along\n\nintro\n00:01.000 --> 00:03.000 align:start\n'
+        + 'Once <00:00:01.600>upon <00:00:02.100>a time\n';
+
+      const [segment] = parseTranscript(vtt, 'vtt', 60).segments;
+
+      expect(segment.text).toBe('Once upon a time');
+      expect(segment.words).toEqual([
+        { startSec: 1, endSec: 1.6, text: 'Once' },
+        { startSec: 1.6, endSec: 2.1, text: 'upon' },
+        { startSec: 2.1, endSec: 3, text: 'a time' },
+      ]);
+    });
+
+    test('should accept JSON with word timings', () => {
+      const json = JSON.stringify({
+        segments: [{
+          startSec: 0,
+          endSec: 1.2,
+          words: [{ startSec: 0, endSec: 0.5, text: 'Good' }, { startSec: 0.5, endSec: 1.2, text: 'night' }],
+        }],
+      });
+
+      const [segment] = parseTranscript(json, 'json', 60).segments;
+
+      expect(segment.text).toBe('Good night');
+      expect(segment.words).toHaveLength(2);
+    });
+
+    test('should reject timings past the end of the audio', () => {
+      const srt = '1\n00:00:00,000 --> 00:01:05,000\nThe end\n';
+
+      expect(() => parseTranscript(srt, 'srt', 60)).toThrow(ValidationError);
+      expect(() => parseTranscript(srt, 'srt', 60)).toThrow('Segment 1 ends at 65s, after the 60s audio');
+      expect(parseTranscript(srt, 'srt', 65).segmentCount).toBe(1);
+    });
+
+    test('should reject segments out of order', () => {
+      const json = JSON.stringify({
+        segments: [
+          { startSec: 5, endSec: 6, text: 'second' },
+          { startSec: 1, endSec: 2, text: 'first' },
+        ],
+      });
+
+      expect(() => parseTranscript(json, 'json', 60)).toThrow('Segment 2 starts before the previous segment');
+    });
+
+    test('should reject words outside their segment', () => {
+      const json = JSON.stringify({
+        segments: [{ startSec: 0, endSec: 1, text: 'Hello', words: [{ startSec: 0, endSec: 2, text: 'Hello' }] }],
+      });
+
+      expect(() => parseTranscript(json, 'json', 60)).toThrow('Segment 1, word 1 is outside its segment or out of order');
+    });
+
+    test('should reject malformed files', () => {
+      expect(() => parseTranscript('00:00:01.000 --> 00:00:02.000\nHi', 'vtt', 60)).toThrow('must start with "WEBVTT"');
+      expect(() => parseTranscript('1\n00:00:01 --> 00:00:02\nHi', 'srt', 60)).toThrow('Cue 1 has an invalid timestamp');
+      expect(() => parseTranscript('{"lines": []}', 'json', 60)).toThrow('"segments" array');
+      expect(() => parseTranscript('   ', 'srt', 60)).toThrow('Transcript is empty');
+    });
+  });
+
+  describe('detectTranscriptFormat', () => {
+    test('should use the file extension', () => {
+      expect(detectTranscriptFormat('fox.SRT')).toBe('srt');
+      expect(detectTranscriptFormat('fox.vtt')).toBe('vtt');
+      expect(detectTranscriptFormat('fox.txt')).toBeNull();
+      expect(detectTranscriptFormat(undefined)).toBeNull();
+    });
+  });
+
+  describe('toWebVtt', () => {
+    test('should write cues with inline word timestamps', () => {
+      const vtt = toWebVtt([
+        { startSec: 1, endSec: 3, text: 'Once upon', words: [{ startSec: 1, endSec: 1.6, text: 'Once' }, { startSec: 1.6, endSec: 3, text: 'upon' }] },
+        { startSec: 3, endSec: 4, text: 'Fox & <moon>' },
+      ]);
+
+      expect(vtt).toBe('WEBVTT\n\n'
+        + '1\n00:00:01.000 --> 00:00:03.000\nOnce <00:00:01.600>upon\n\n'
+        + '2\n00:00:03.000 --> 00:00:04.000\nFox &amp; &lt;moon&gt;\n');
+    });
+
+    test('should round-trip through the WebVTT parser', () => {
+      const segments = [
+        { startSec: 0, endSec: 2, text: 'Sleep tight', words: [{ startSec: 0, endSec: 1, text: 'Sleep' }, { startSec: 1, endSec: 2, text: 'tight' }] },
+      ];
+
+      expect(parseTranscript(toWebVtt(segments), 'vtt', 60).segments).toEqual(segments);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { z } = require('zod');
+const validate = require('../../../src/api/v1/validators/validate');
+const { exploreListSchema } = require('../../../src/api/v1/validators/contentValidators');
+
+describe('validate middleware', () => {
+  const schema = z.object({
+    body: z.object({
+      name: z.string().min(1),
+      positionSec: z.number().int().min(0).optional(),
+    }),
+    query: z.object({
+      limit: z.coerce.number().int().min(1).max(50).default(20),
+      offset: z.coerce.number().int().min(0).default(0),
+    }),
+  });
+
+  const run = (middleware, req) => {
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    const next = jest.fn();
+    middleware(req, res, next);
+    return { res, next };
+  };
+
+  test('should replace request parts with the parsed data', () => {
+    const req = { body: { name: 'Bedtime', extra: 'dropped' }, query: { limit: '5' } };
+
+    const { next } = run(validate(schema), req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual({ name: 'Bedtime' });
+    expect(req.query).toEqual({ limit: 5, offset: 0 });
+  });
+
+  test('should reject invalid input with 400', () => {
+    const req = { body: { name: 42, positionSec: '1e9' }, query: {} };
+
+    const { res, next } = run(validate(schema), req);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(req.body).toEqual({ name: 42, positionSec: '1e9' });
+  });
+
+  test('should only validate the parts the schema describes', () => {
+    const req = { body: { name: 'Bedtime' }, params: { id: 'anything' }, query: {} };
+
+    run(validate(schema), req);
+
+    expect(req.params).toEqual({ id: 'anything' });
+  });
+
+  test('should read "false" query flags as false', () => {
+    const req = { query: { isFeatured: 'false' } };
+
+    const { next } = run(validate(exploreListSchema), req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.query.isFeatured).toBe(false);
+  });
+});